@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Dominios de email desechables (temporales)
+ *
+ * El formulario público de leads rechaza los emails de estos dominios
+ * y de sus subdominios. Se pueden añadir más con la variable
+ * LEAD_BLOCKED_EMAIL_DOMAINS (separados por comas).
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const DISPOSABLE_EMAIL_DOMAINS = [
+  "10minutemail.com",
+  "10minutemail.net",
+  "20minutemail.com",
+  "anonbox.net",
+  "burnermail.io",
+  "dispostable.com",
+  "dropmail.me",
+  "emailondeck.com",
+  "fakeinbox.com",
+  "getairmail.com",
+  "getnada.com",
+  "guerrillamail.biz",
+  "guerrillamail.com",
+  "guerrillamail.de",
+  "guerrillamail.net",
+  "guerrillamail.org",
+  "guerrillamailblock.com",
+  "harakirimail.com",
+  "incognitomail.org",
+  "jetable.org",
+  "mailcatch.com",
+  "maildrop.cc",
+  "mailinator.com",
+  "mailinator.net",
+  "mailnesia.com",
+  "mintemail.com",
+  "mohmal.com",
+  "mytemp.email",
+  "sharklasers.com",
+  "spam4.me",
+  "spambog.com",
+  "spamgourmet.com",
+  "temp-mail.io",
+  "temp-mail.org",
+  "tempail.com",
+  "tempmail.com",
+  "tempmail.net",
+  "tempmailo.com",
+  "tempr.email",
+  "throwawaymail.com",
+  "trashmail.com",
+  "trashmail.de",
+  "trashmail.net",
+  "yopmail.com",
+  "yopmail.fr",
+  "yopmail.net",
+];
+
+module.exports = {
+  DISPOSABLE_EMAIL_DOMAINS,
+};
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Catálogo de permisos de Boost Agency API
+ *
+ * Cada rol (tabla roles) tiene una lista de estos permisos.
+ * El permiso especial '*' otorga todos (rol admin).
+ *
+ * Para proteger un endpoint nuevo: añadir aquí el permiso y usar
+ * requirePermission('modulo:accion') en la ruta.
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const ALL_PERMISSIONS = "*";
+
+const PERMISSIONS = {
+  "leads:read": "Ver leads y estadísticas",
+  "leads:write": "Editar, asignar y cambiar el estado de leads",
+  "leads:delete": "Eliminar leads",
+  "leads:export":
+    "Exportar leads a CSV/Excel y ver el registro de exportaciones",
+  "leads:quarantine":
+    "Revisar los envíos del formulario retenidos por el antispam",
+  "pipelines:manage": "Configurar pipelines de ventas y sus etapas",
+  "assignment_rules:manage":
+    "Configurar reglas de asignación automática de leads",
+  "scoring_rules:manage": "Configurar reglas de puntuación (scoring) de leads",
+  "content:write": "Editar contenido del sitio (borradores)",
+  "content:publish": "Publicar contenido del sitio",
+  "blog:write": "Crear y editar episodios del blog/podcast",
+  "blog:publish": "Publicar episodios del blog/podcast",
+  "servicios:write": "Gestionar servicios",
+  "planes:write": "Gestionar planes",
+  "tienda:write": "Gestionar productos de la tienda",
+  "uploads:write": "Subir y editar archivos",
+  "uploads:delete": "Eliminar archivos",
+  "users:manage": "Gestionar usuarios, sesiones y seguridad de cuentas",
+  "roles:manage": "Gestionar roles y permisos",
+  "api_keys:manage": "Gestionar API keys de integraciones",
+  "webhooks:manage": "Gestionar webhooks salientes y ver sus envíos",
+  "soporte:read": "Ver tickets de soporte",
+  "soporte:write": "Atender tickets: asignar, clasificar y cambiar su estado",
+  "soporte:manage": "Configurar los plazos (SLA) de soporte",
+};
+
+/**
+ * Indica si una lista de permisos incluye el permiso pedido
+ *
+ * @param {Array<string>} granted - Permisos concedidos
+ * @param {string} permission - Permiso requerido
+ * @returns {boolean}
+ */
+function hasPermission(granted, permission) {
+  if (!Array.isArray(granted)) return false;
+  return granted.includes(ALL_PERMISSIONS) || granted.includes(permission);
+}
+
+/**
+ * Devuelve los permisos que no existen en el catálogo
+ * ('*' no está en el catálogo: solo lo tiene el rol admin)
+ *
+ * @param {Array<string>} permissions - Permisos a validar
+ * @returns {Array<string>} Permisos desconocidos (vacío si todos son válidos)
+ */
+function findUnknownPermissions(permissions) {
+  return permissions.filter(
+    (permission) =>
+      !Object.prototype.hasOwnProperty.call(PERMISSIONS, permission)
+  );
+}
+
+module.exports = {
+  ALL_PERMISSIONS,
+  PERMISSIONS,
+  hasPermission,
+  findUnknownPermissions,
+};
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Middleware de API keys para Boost Agency API
+ *
+ * Las integraciones se autentican con una API key en lugar de un JWT:
+ *
+ *   X-API-Key: ba_xxxxxxxx
+ *   (o también Authorization: Bearer ba_xxxxxxxx)
+ *
+ * - identifyApiKey: resuelve la clave al inicio (server.js) y rechaza claves inválidas
+ * - apiKeyLimiter: límite por minuto propio de cada clave, además del límite por IP
+ * - resolveApiKey: usado por authenticateToken / optionalAuth
+ * - sendApiKeyError: respuesta de error de resolveApiKey (401 o 500)
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const rateLimit = require("express-rate-limit");
+const ApiKey = require("../models/ApiKey");
+
+const INVALID_API_KEY_ERROR = "API key inválida, revocada o expirada";
+
+/**
+ * Helper: Extrae la API key de la petición (o null si no hay)
+ */
+function getApiKeyFromRequest(req) {
+  if (req.headers["x-api-key"]) {
+    return req.headers["x-api-key"];
+  }
+
+  const authHeader = req.headers["authorization"];
+  const token = authHeader && authHeader.split(" ")[1];
+  return ApiKey.looksLikeKey(token) ? token : null;
+}
+
+/**
+ * Resuelve la API key de la petición (el resultado queda en req.apiKey)
+ *
+ * @param {Object} req - Request de Express
+ * @returns {Promise<Object|null>} API key o null si la petición no trae clave
+ * @throws {Error} Si trae una clave inválida, revocada o expirada
+ */
+async function resolveApiKey(req) {
+  if (req.apiKey !== undefined) return req.apiKey;
+
+  const key = getApiKeyFromRequest(req);
+  if (!key) {
+    req.apiKey = null;
+    return null;
+  }
+
+  const apiKey = await ApiKey.findActiveByKey(key);
+  if (!apiKey) {
+    throw new Error(INVALID_API_KEY_ERROR);
+  }
+
+  await ApiKey.touch(apiKey.id, req.ip);
+  req.apiKey = apiKey;
+  return apiKey;
+}
+
+/**
+ * Envía la respuesta de error de resolveApiKey: 401 si la clave es
+ * inválida; cualquier otro fallo (p. ej. de la base de datos) es un 500
+ *
+ * DÓNDE SE USA: En identifyApiKey y authenticateToken
+ *
+ * @param {Object} res - Response de Express
+ * @param {Error} error - Error lanzado por resolveApiKey
+ */
+function sendApiKeyError(res, error) {
+  if (error.message === INVALID_API_KEY_ERROR) {
+    return res.status(401).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  console.error("Error verificando la API key:", error);
+  return res.status(500).json({
+    success: false,
+    error: "Error al verificar la API key",
+    details: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+}
+
+/**
+ * Middleware: Identifica la API key (si la hay) antes del límite por clave
+ * Una clave inválida se rechaza aunque el endpoint sea público
+ */
+const identifyApiKey = async (req, res, next) => {
+  try {
+    await resolveApiKey(req);
+  } catch (error) {
+    return sendApiKeyError(res, error);
+  }
+  next();
+};
+
+/**
+ * Middleware: Límite por minuto de cada API key (rate_limit_per_minute)
+ * Las peticiones sin API key no se cuentan aquí
+ */
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minuto
+  max: (req) => req.apiKey.rate_limit_per_minute,
+  keyGenerator: (req) => `api-key:${req.apiKey.id}`,
+  skip: (req) => !req.apiKey,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    error: "Límite de peticiones de la API key superado, intenta más tarde",
+  },
+});
+
+module.exports = {
+  getApiKeyFromRequest,
+  resolveApiKey,
+  sendApiKeyError,
+  identifyApiKey,
+  apiKeyLimiter,
+};
@@ -14,14 +14,49 @@
 
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const Role = require("../models/Role");
+const { hasPermission } = require("../config/permissions");
+const {
+  getApiKeyFromRequest,
+  resolveApiKey,
+  sendApiKeyError,
+} = require("./apiKey");
+
+/**
+ * Helper: Usuario del request para una petición autenticada con API key
+ * No representa a una persona: id es null y los permisos son los scopes de la clave
+ */
+function apiKeyUser(apiKey) {
+  return {
+    id: null,
+    email: null,
+    role: null,
+    full_name: `API key: ${apiKey.name}`,
+    api_key_id: apiKey.id,
+    permissions: apiKey.scopes,
+  };
+}
 
 /**
  * Middleware de autenticación JWT
  * Verifica el token en el header Authorization
  *
  * CAMBIOS: Ahora verifica contra la base de datos en lugar de archivo JSON
+ * NUEVO: Rechaza access tokens cuya sesión (familia de refresh tokens) fue revocada
+ * NUEVO: Acepta API keys (X-API-Key) como alternativa al JWT
  */
 const authenticateToken = async (req, res, next) => {
+  try {
+    const apiKey = await resolveApiKey(req);
+    if (apiKey) {
+      req.user = apiKeyUser(apiKey);
+      return next();
+    }
+  } catch (error) {
+    return sendApiKeyError(res, error);
+  }
+
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1];
 
@@ -56,12 +91,22 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // NUEVO: Verificar que la sesión no haya sido revocada y registrar actividad
+    if (!decoded.sid || !(await Session.touch(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        error: "Sesión revocada o expirada",
+      });
+    }
+
     // Agregar información del usuario al request
     req.user = {
       id: user.id,
       email: user.email,
       role: user.role,
       full_name: user.full_name,
+      session_id: decoded.sid,
+      permissions: await Role.getPermissions(user.role),
     };
 
     next();
@@ -79,6 +124,7 @@ const authenticateToken = async (req, res, next) => {
  * Verifica que el usuario tenga uno de los roles permitidos
  *
  * SIN CAMBIOS: Funciona igual, pero ahora req.user viene de PostgreSQL
+ * Para rutas nuevas usar requirePermission (los roles son configurables)
  */
 const requireRole = (roles) => {
   return (req, res, next) => {
@@ -101,6 +147,97 @@ const requireRole = (roles) => {
   };
 };
 
+/**
+ * NUEVO: Middleware de autenticación solo para personas (JWT)
+ * Igual que authenticateToken pero rechaza API keys: se usa en la cuenta
+ * propia (perfil, sesiones, 2FA) y en la administración de usuarios y roles
+ */
+const authenticateUser = (req, res, next) => {
+  if (getApiKeyFromRequest(req)) {
+    return res.status(403).json({
+      success: false,
+      error: "Esta operación requiere iniciar sesión como usuario",
+    });
+  }
+
+  return authenticateToken(req, res, next);
+};
+
+/**
+ * NUEVO: Middleware de verificación de permisos
+ * Verifica que el rol del usuario tenga TODOS los permisos indicados
+ * (los permisos de cada rol se definen en la tabla roles)
+ *
+ * Uso: requirePermission("leads:read")
+ *      requirePermission("content:write", "content:publish")
+ */
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: "Usuario no autenticado",
+      });
+    }
+
+    const missing = permissions.filter(
+      (permission) => !hasPermission(req.user.permissions, permission)
+    );
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: "Permisos insuficientes",
+        required_permissions: missing,
+        user_role: req.user.role,
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * NUEVO: Middleware que protege a los admins de quien no es admin
+ * Carga el usuario de req.params[param] en req.targetUser (404 si no existe)
+ * y responde 403 si es admin y quien hace la petición no lo es:
+ * users:manage se puede dar a cualquier rol, pero solo un admin puede
+ * gestionar a otro admin (contraseña, 2FA, sesiones, estado...)
+ *
+ * Uso: requireAdminForAdminTarget("userId")
+ */
+const requireAdminForAdminTarget = (param = "id") => {
+  return async (req, res, next) => {
+    try {
+      const target = await User.findById(req.params[param]);
+
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          error: "Usuario no encontrado",
+        });
+      }
+
+      if (target.role === "admin" && req.user.role !== "admin") {
+        return res.status(403).json({
+          success: false,
+          error: "Solo un administrador puede gestionar a otro administrador",
+        });
+      }
+
+      req.targetUser = target;
+      next();
+    } catch (error) {
+      console.error("Error cargando el usuario:", error);
+      return res.status(500).json({
+        success: false,
+        error: "Error al cargar el usuario",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  };
+};
+
 /**
  * Middleware opcional de autenticación
  * No falla si no hay token, pero agrega user si existe
@@ -108,6 +245,17 @@ const requireRole = (roles) => {
  * CAMBIOS: Ahora también verifica contra base de datos
  */
 const optionalAuth = async (req, res, next) => {
+  try {
+    const apiKey = await resolveApiKey(req);
+    if (apiKey) {
+      req.user = apiKeyUser(apiKey);
+      return next();
+    }
+  } catch (error) {
+    // Clave inválida: continuar sin usuario
+    return next();
+  }
+
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1];
 
@@ -123,13 +271,16 @@ const optionalAuth = async (req, res, next) => {
 
     // NUEVO: Verificar contra base de datos
     const user = await User.findById(decoded.id);
+    const sessionActive = decoded.sid && (await Session.touch(decoded.sid));
 
-    if (user && user.status === "active") {
+    if (user && user.status === "active" && sessionActive) {
       req.user = {
         id: user.id,
         email: user.email,
         role: user.role,
         full_name: user.full_name,
+        session_id: decoded.sid,
+        permissions: await Role.getPermissions(user.role),
       };
     }
   } catch (error) {
@@ -154,7 +305,10 @@ const requireEditor = requireRole(["admin", "editor"]);
 
 module.exports = {
   authenticateToken,
+  authenticateUser,
   requireRole,
+  requirePermission,
+  requireAdminForAdminTarget,
   optionalAuth,
   requireAdmin,
   requireEditor,
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Middleware de carga de archivos (multer) para Boost Agency API
+ *
+ * Configuración compartida por las rutas que reciben archivos:
+ * - routes/upload.js (biblioteca de archivos)
+ * - routes/auth.js (avatar del usuario)
+ * - routes/leads.js (importación CSV, en memoria: no se guarda en disco)
+ *
+ * Los archivos se guardan en uploads/<categoría>/ con nombre único.
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const multer = require("multer");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Helper: Determina la categoría del archivo según su MIME type
+ */
+function getFileCategory(mimetype) {
+  if (mimetype.startsWith("image/")) return "imagenes";
+  if (mimetype.startsWith("audio/")) return "audio";
+  if (mimetype.startsWith("video/")) return "video";
+  if (mimetype.includes("pdf") || mimetype.includes("document"))
+    return "documentos";
+  return "otros";
+}
+
+/**
+ * Helper: Obtiene dimensiones de imagen (requiere sharp - opcional)
+ * Si no tienes sharp instalado, esta función retorna null
+ */
+async function getImageDimensions(filePath) {
+  try {
+    // Intenta usar sharp si está instalado
+    const sharp = require("sharp");
+    const metadata = await sharp(filePath).metadata();
+    return {
+      width: metadata.width,
+      height: metadata.height,
+    };
+  } catch (error) {
+    // Si sharp no está instalado o hay error, retorna null
+    return { width: null, height: null };
+  }
+}
+
+// Configuración de multer para upload de archivos
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    // Organizar archivos por tipo en subcarpetas
+    const fileType = getFileCategory(file.mimetype);
+    const uploadDir = path.join(__dirname, "../uploads/", fileType);
+
+    if (!fs.existsSync(uploadDir)) {
+      fs.mkdirSync(uploadDir, { recursive: true });
+    }
+    cb(null, uploadDir);
+  },
+  filename: function (req, file, cb) {
+    // Nombre único: timestamp-random-nombre-original
+    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+    const ext = path.extname(file.originalname);
+    const baseName = path
+      .basename(file.originalname, ext)
+      .replace(/[^a-z0-9]/gi, "-")
+      .toLowerCase();
+    cb(null, `${uniqueSuffix}-${baseName}${ext}`);
+  },
+});
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB límite
+  },
+  fileFilter: (req, file, cb) => {
+    // Tipos de archivo permitidos
+    const allowedTypes =
+      /jpeg|jpg|png|gif|webp|svg|pdf|doc|docx|mp3|mp4|webm|wav/;
+    const extname = allowedTypes.test(
+      path.extname(file.originalname).toLowerCase()
+    );
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(
+        new Error(
+          "Tipo de archivo no permitido. Permitidos: imágenes, documentos, audio, video"
+        )
+      );
+    }
+  },
+});
+
+// Importación de leads: el CSV se procesa en memoria y se descarta
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB límite
+  },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === ".csv") {
+      return cb(null, true);
+    }
+    cb(new Error("Tipo de archivo no permitido. Permitido: .csv"));
+  },
+});
+
+module.exports = {
+  upload,
+  csvUpload,
+  getFileCategory,
+  getImageDimensions,
+};
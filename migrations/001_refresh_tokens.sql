@@ -0,0 +1,26 @@
+-- =============================================================
+-- Migración 001: Refresh tokens con rotación y revocación
+--
+-- Cada login crea una "familia" de refresh tokens (family_id).
+-- En cada /api/auth/refresh el token usado se revoca y se emite
+-- uno nuevo dentro de la misma familia. Si se reutiliza un token
+-- ya rotado, se revoca la familia completa.
+--
+-- USO:
+-- psql boost_agency < migrations/001_refresh_tokens.sql
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  family_id UUID NOT NULL,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(50),
+  replaced_by UUID REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
@@ -0,0 +1,42 @@
+-- =============================================================
+-- Migración 002: Sesiones activas de usuario
+--
+-- Cada sesión corresponde a una familia de refresh tokens
+-- (refresh_tokens.family_id = user_sessions.id) y guarda
+-- dispositivo, IP, user agent y última actividad.
+--
+-- USO:
+-- psql boost_agency < migrations/002_user_sessions.sql
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  device VARCHAR(255),
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(50)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+
+-- Crear sesiones para las familias de refresh tokens existentes
+INSERT INTO user_sessions (id, user_id, created_at, last_seen_at, revoked_at, revoked_reason)
+SELECT
+  family_id,
+  user_id,
+  MIN(created_at),
+  MAX(created_at),
+  CASE WHEN BOOL_OR(revoked_at IS NULL) THEN NULL ELSE MAX(revoked_at) END,
+  CASE WHEN BOOL_OR(revoked_at IS NULL) THEN NULL ELSE 'migrated' END
+FROM refresh_tokens
+GROUP BY family_id, user_id
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE refresh_tokens
+  DROP CONSTRAINT IF EXISTS fk_refresh_tokens_session,
+  ADD CONSTRAINT fk_refresh_tokens_session
+    FOREIGN KEY (family_id) REFERENCES user_sessions(id) ON DELETE CASCADE;
@@ -0,0 +1,21 @@
+-- =============================================================
+-- Migración 003: Tokens de recuperación de contraseña
+--
+-- Tokens de un solo uso enviados por email. Solo se guarda el
+-- hash SHA-256 del token, nunca el token en texto plano.
+--
+-- USO:
+-- psql boost_agency < migrations/003_password_reset_tokens.sql
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  requested_ip VARCHAR(45),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id);
@@ -0,0 +1,38 @@
+-- =============================================================
+-- Migración 004: Autenticación en dos pasos (TOTP)
+--
+-- - users.totp_secret: secreto cifrado (AES-256-GCM)
+-- - users.totp_last_step: último paso TOTP aceptado (evita reusar un código)
+-- - user_recovery_codes: códigos de recuperación de un solo uso (hash SHA-256)
+-- - two_factor_policies: roles para los que el 2FA es obligatorio
+--
+-- USO:
+-- psql boost_agency < migrations/004_two_factor_auth.sql
+-- =============================================================
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+  ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id);
+
+CREATE TABLE IF NOT EXISTS two_factor_policies (
+  role VARCHAR(50) PRIMARY KEY,
+  required BOOLEAN NOT NULL DEFAULT FALSE,
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO two_factor_policies (role, required)
+VALUES ('admin', FALSE), ('editor', FALSE)
+ON CONFLICT (role) DO NOTHING;
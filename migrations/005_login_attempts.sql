@@ -0,0 +1,29 @@
+-- =============================================================
+-- Migración 005: Protección contra fuerza bruta en el login
+--
+-- - login_attempts: historial de intentos de login (exitosos y fallidos)
+-- - users.failed_login_count / last_failed_login_at: fallos consecutivos
+-- - users.locked_until: bloqueo temporal de la cuenta
+--
+-- USO:
+-- psql boost_agency < migrations/005_login_attempts.sql
+-- =============================================================
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  success BOOLEAN NOT NULL,
+  failure_reason VARCHAR(50),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_user ON login_attempts(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, created_at DESC);
@@ -0,0 +1,49 @@
+-- =============================================================
+-- Migración 006: Roles y permisos
+--
+-- - roles: cada rol define un conjunto de permisos con nombre
+--   ('leads:read', 'content:publish', ...). '*' equivale a todos.
+-- - Los roles del sistema (admin, editor, user) no se pueden eliminar
+-- - users.role pasa a referenciar roles(name)
+--
+-- USO:
+-- psql boost_agency < migrations/006_roles_permissions.sql
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS roles (
+  name VARCHAR(50) PRIMARY KEY,
+  description TEXT,
+  permissions TEXT[] NOT NULL DEFAULT '{}',
+  is_system BOOLEAN NOT NULL DEFAULT FALSE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Roles del sistema con los mismos accesos que tenían antes
+-- (requireAdmin / requireEditor)
+INSERT INTO roles (name, description, permissions, is_system) VALUES
+  ('admin', 'Acceso total', ARRAY['*'], TRUE),
+  ('editor', 'Gestiona el sitio y los leads', ARRAY[
+    'leads:read', 'leads:write',
+    'content:write', 'content:publish',
+    'blog:write', 'blog:publish',
+    'servicios:write', 'planes:write', 'tienda:write',
+    'uploads:write'
+  ], TRUE),
+  ('user', 'Sin acceso al panel', ARRAY[]::TEXT[], TRUE)
+ON CONFLICT (name) DO NOTHING;
+
+-- Cualquier otro rol ya asignado a usuarios se conserva (sin permisos)
+INSERT INTO roles (name, description)
+SELECT DISTINCT role, 'Rol importado' FROM users
+WHERE role IS NOT NULL
+ON CONFLICT (name) DO NOTHING;
+
+-- El rol deja de ser una lista fija: ahora es una referencia a roles
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+
+ALTER TABLE users
+  DROP CONSTRAINT IF EXISTS fk_users_role,
+  ADD CONSTRAINT fk_users_role
+    FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
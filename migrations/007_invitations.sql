@@ -0,0 +1,30 @@
+-- =============================================================
+-- Migración 007: Invitaciones de usuarios
+--
+-- Un admin invita a un email con un rol; el invitado recibe un enlace
+-- con un token de un solo uso (solo se guarda su hash) que expira a los
+-- INVITATION_EXPIRES_DAYS días y, al aceptarlo, define su contraseña.
+--
+-- USO:
+-- psql boost_agency < migrations/007_invitations.sql
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) NOT NULL,
+  role VARCHAR(50) NOT NULL REFERENCES roles(name) ON UPDATE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  sent_count INTEGER NOT NULL DEFAULT 1,
+  last_sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  accepted_at TIMESTAMP,
+  accepted_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Solo una invitación abierta por email
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invitations_open_email
+  ON invitations(LOWER(email))
+  WHERE accepted_at IS NULL AND revoked_at IS NULL;
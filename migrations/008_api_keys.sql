@@ -0,0 +1,27 @@
+-- =============================================================
+-- Migración 008: API keys para integraciones
+--
+-- Claves para landings externas y automatizaciones (sin JWT):
+-- - Solo se guarda el hash SHA-256; key_prefix se muestra para identificarla
+-- - scopes: permisos concedidos (mismo catálogo que los roles)
+-- - rate_limit_per_minute: límite propio de cada clave
+--
+-- USO:
+-- psql boost_agency < migrations/008_api_keys.sql
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(20) NOT NULL,
+  key_hash VARCHAR(64) NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  rate_limit_per_minute INTEGER NOT NULL DEFAULT 60,
+  expires_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  last_used_ip VARCHAR(45),
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  revoked_at TIMESTAMP
+);
@@ -0,0 +1,33 @@
+-- =============================================================
+-- Migración 009: Historial de actividades de leads
+--
+-- - Actividades registradas por el equipo: nota, llamada, email, reunion
+-- - Eventos del sistema (tipo 'sistema'): creación, cambio de estado,
+--   asignación... con el detalle en metadata
+--
+-- USO:
+-- psql boost_agency < migrations/009_lead_activities.sql
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS lead_activities (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  lead_id UUID NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  tipo VARCHAR(20) NOT NULL,
+  evento VARCHAR(50),
+  descripcion TEXT,
+  metadata JSONB NOT NULL DEFAULT '{}',
+  author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  fecha_actividad TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_activities_lead
+  ON lead_activities(lead_id, fecha_actividad DESC);
+
+-- Registrar la creación de los leads existentes para que su historial no quede vacío
+INSERT INTO lead_activities (lead_id, tipo, evento, descripcion, metadata, fecha_actividad)
+SELECT l.id, 'sistema', 'creado', 'Lead creado', jsonb_build_object('origen', l.origen), l.fecha
+FROM leads l
+WHERE NOT EXISTS (
+  SELECT 1 FROM lead_activities a WHERE a.lead_id = l.id AND a.evento = 'creado'
+);
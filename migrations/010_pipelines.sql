@@ -0,0 +1,86 @@
+-- =============================================================
+-- Migración 010: Pipelines de ventas configurables
+--
+-- - Pipelines definidos por el admin con etapas ordenadas
+-- - Cada etapa tiene probabilidad (0-100) y tipo: open, won (ganada), lost (perdida)
+-- - Los leads pasan a pertenecer a un pipeline y una etapa
+--   (leads.estado se mantiene con la clave de la etapa)
+-- - Los leads existentes se migran al pipeline por defecto con las
+--   etapas nuevo, contactado, calificado y cerrado
+--
+-- USO:
+-- psql boost_agency < migrations/010_pipelines.sql
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS pipelines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Solo puede haber un pipeline por defecto
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pipelines_default
+  ON pipelines(is_default) WHERE is_default;
+
+CREATE TABLE IF NOT EXISTS pipeline_stages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  pipeline_id UUID NOT NULL REFERENCES pipelines(id) ON DELETE CASCADE,
+  key VARCHAR(50) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  position INTEGER NOT NULL,
+  probability INTEGER NOT NULL DEFAULT 0 CHECK (probability BETWEEN 0 AND 100),
+  kind VARCHAR(10) NOT NULL DEFAULT 'open' CHECK (kind IN ('open', 'won', 'lost')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (pipeline_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pipeline_stages_pipeline
+  ON pipeline_stages(pipeline_id, position);
+
+-- Pipeline y etapa de cada lead
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS pipeline_id UUID REFERENCES pipelines(id);
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS stage_id UUID REFERENCES pipeline_stages(id);
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS lost_reason TEXT;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS stage_changed_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_leads_pipeline_stage ON leads(pipeline_id, stage_id);
+
+-- leads.estado ya no está limitado a los cuatro valores fijos
+ALTER TABLE leads DROP CONSTRAINT IF EXISTS leads_estado_check;
+
+-- Pipeline por defecto con los estados actuales
+INSERT INTO pipelines (name, description, is_default)
+SELECT 'Ventas', 'Pipeline por defecto', true
+WHERE NOT EXISTS (SELECT 1 FROM pipelines WHERE is_default);
+
+INSERT INTO pipeline_stages (pipeline_id, key, name, position, probability, kind)
+SELECT p.id, s.key, s.name, s.position, s.probability, s.kind
+FROM pipelines p
+CROSS JOIN (
+  VALUES
+    ('nuevo', 'Nuevo', 1, 10, 'open'),
+    ('contactado', 'Contactado', 2, 25, 'open'),
+    ('calificado', 'Calificado', 3, 50, 'open'),
+    ('cerrado', 'Cerrado', 4, 100, 'won')
+) AS s(key, name, position, probability, kind)
+WHERE p.is_default
+ON CONFLICT (pipeline_id, key) DO NOTHING;
+
+-- Migrar los leads existentes (un estado desconocido pasa a 'nuevo')
+UPDATE leads l
+SET pipeline_id = s.pipeline_id,
+    stage_id = s.id,
+    estado = s.key,
+    stage_changed_at = COALESCE(l.updated_at, l.fecha)
+FROM pipeline_stages s
+JOIN pipelines p ON p.id = s.pipeline_id AND p.is_default
+WHERE l.stage_id IS NULL
+  AND s.key = CASE
+    WHEN l.estado IN ('nuevo', 'contactado', 'calificado', 'cerrado') THEN l.estado
+    ELSE 'nuevo'
+  END;
@@ -0,0 +1,35 @@
+-- =============================================================
+-- Migración 011: Detección de leads duplicados
+--
+-- - Columnas normalizadas (generadas) para comparar leads:
+--   email en minúsculas, teléfono solo dígitos, empresa sin espacios ni signos
+-- - duplicate_of: lead existente al que se vinculó un envío duplicado
+--
+-- USO:
+-- psql boost_agency < migrations/011_lead_duplicates.sql
+-- =============================================================
+
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS email_normalizado VARCHAR(255)
+  GENERATED ALWAYS AS (NULLIF(LOWER(BTRIM(email)), '')) STORED;
+
+-- Teléfonos con menos de 7 dígitos no se usan para comparar
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS telefono_normalizado VARCHAR(50)
+  GENERATED ALWAYS AS (
+    CASE
+      WHEN LENGTH(REGEXP_REPLACE(COALESCE(telefono, ''), '[^0-9]', '', 'g')) >= 7
+      THEN REGEXP_REPLACE(telefono, '[^0-9]', '', 'g')
+    END
+  ) STORED;
+
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS empresa_normalizada VARCHAR(255)
+  GENERATED ALWAYS AS (
+    NULLIF(LOWER(REGEXP_REPLACE(COALESCE(empresa, ''), '[^[:alnum:]]', '', 'g')), '')
+  ) STORED;
+
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS duplicate_of UUID
+  REFERENCES leads(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_leads_email_normalizado ON leads(email_normalizado);
+CREATE INDEX IF NOT EXISTS idx_leads_telefono_normalizado ON leads(telefono_normalizado);
+CREATE INDEX IF NOT EXISTS idx_leads_empresa_normalizada ON leads(empresa_normalizada);
+CREATE INDEX IF NOT EXISTS idx_leads_duplicate_of ON leads(duplicate_of);
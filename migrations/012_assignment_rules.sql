@@ -0,0 +1,40 @@
+-- =============================================================
+-- Migración 012: Reglas de asignación automática de leads
+--
+-- - Condiciones: servicio_interes, origen y rango de presupuesto
+-- - Reparto entre los usuarios de la regla: round_robin o least_loaded
+-- - Se evalúan por prioridad (menor primero) al crear el lead
+--
+-- USO:
+-- psql boost_agency < migrations/012_assignment_rules.sql
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS assignment_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(100) NOT NULL,
+  priority INTEGER NOT NULL DEFAULT 100,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  -- Condiciones (vacío / NULL = cualquiera)
+  servicios TEXT[] NOT NULL DEFAULT '{}',
+  origenes TEXT[] NOT NULL DEFAULT '{}',
+  presupuesto_min NUMERIC(12, 2),
+  presupuesto_max NUMERIC(12, 2),
+  -- Reparto
+  strategy VARCHAR(20) NOT NULL DEFAULT 'round_robin'
+    CHECK (strategy IN ('round_robin', 'least_loaded')),
+  last_assigned_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignment_rules_priority
+  ON assignment_rules(priority) WHERE is_active;
+
+-- Usuarios entre los que reparte cada regla
+CREATE TABLE IF NOT EXISTS assignment_rule_users (
+  rule_id UUID NOT NULL REFERENCES assignment_rules(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (rule_id, user_id)
+);
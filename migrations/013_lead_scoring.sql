@@ -0,0 +1,62 @@
+-- =============================================================
+-- Migración 013: Puntuación (scoring) de leads
+--
+-- - scoring_rules: reglas editables por el admin; cada regla suma
+--   (o resta) puntos si el lead cumple su criterio
+-- - leads.score: puntuación calculada y su desglose (score_detalle)
+--
+-- Criterios:
+--   presupuesto       valor = rango de rangos_presupuesto ("$5,000 - $10,000")
+--   servicio_interes  valor = servicio ("SEO")
+--   empresa           sin valor: el lead indica empresa
+--   mensaje_longitud  valor = mínimo de caracteres ("100")
+--   origen            valor = origen ("referido")
+--   actividad         valor = tipo o evento del historial ("reunion");
+--                     puntos por cada una, hasta max_puntos
+--
+-- Tras aplicarla, recalcular los leads existentes con
+-- POST /api/scoring-rules/recalculate
+--
+-- USO:
+-- psql boost_agency < migrations/013_lead_scoring.sql
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS scoring_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(100) NOT NULL,
+  criterio VARCHAR(30) NOT NULL CHECK (criterio IN (
+    'presupuesto', 'servicio_interes', 'empresa',
+    'mensaje_longitud', 'origen', 'actividad'
+  )),
+  valor TEXT,
+  puntos INTEGER NOT NULL,
+  max_puntos INTEGER,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS score INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS score_detalle JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS score_updated_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_leads_score ON leads(score DESC);
+
+-- Reglas iniciales (solo si la tabla está vacía)
+INSERT INTO scoring_rules (name, criterio, valor, puntos, max_puntos)
+SELECT r.name, r.criterio, r.valor, r.puntos, r.max_puntos
+FROM (
+  VALUES
+    ('Presupuesto menor a $2,000', 'presupuesto', 'Menos de $2,000', 5, NULL::INTEGER),
+    ('Presupuesto $2,000 - $5,000', 'presupuesto', '$2,000 - $5,000', 10, NULL),
+    ('Presupuesto $5,000 - $10,000', 'presupuesto', '$5,000 - $10,000', 20, NULL),
+    ('Presupuesto $10,000 - $25,000', 'presupuesto', '$10,000 - $25,000', 30, NULL),
+    ('Presupuesto mayor a $25,000', 'presupuesto', 'Más de $25,000', 40, NULL),
+    ('Indica empresa', 'empresa', NULL, 10, NULL),
+    ('Mensaje detallado', 'mensaje_longitud', '100', 10, NULL),
+    ('Reuniones', 'actividad', 'reunion', 15, 30),
+    ('Llamadas', 'actividad', 'llamada', 5, 15),
+    ('Vuelve a escribir', 'actividad', 'duplicado_recibido', 5, 10)
+) AS r(name, criterio, valor, puntos, max_puntos)
+WHERE NOT EXISTS (SELECT 1 FROM scoring_rules);
@@ -0,0 +1,26 @@
+-- =============================================================
+-- Migración 014: Registro de exportaciones de leads
+--
+-- - lead_exports: quién exportó leads, cuándo, en qué formato,
+--   con qué filtros y columnas, y cuántas filas salieron
+--
+-- USO:
+-- psql boost_agency < migrations/014_lead_exports.sql
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS lead_exports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  format VARCHAR(10) NOT NULL CHECK (format IN ('csv', 'xlsx')),
+  filters JSONB NOT NULL DEFAULT '{}',
+  columns TEXT[] NOT NULL,
+  row_count INTEGER NOT NULL DEFAULT 0,
+  success BOOLEAN NOT NULL,
+  error TEXT,
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_exports_created ON lead_exports(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_lead_exports_user ON lead_exports(user_id, created_at DESC);
@@ -0,0 +1,14 @@
+-- =============================================================
+-- Migración 015: Etiquetas de leads
+--
+-- - leads.tags: etiquetas libres (minúsculas) para segmentar leads
+--   ("evento-2024", "revisar", "vip"...). Se asignan con
+--   POST /api/leads/bulk (acción 'tag') y se filtran con ?tag=
+--
+-- USO:
+-- psql boost_agency < migrations/015_lead_tags.sql
+-- =============================================================
+
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_leads_tags ON leads USING GIN (tags);
@@ -0,0 +1,36 @@
+-- =============================================================
+-- Migración 016: Tareas de seguimiento de leads
+--
+-- - tasks: tareas ligadas a un lead (llamar, enviar propuesta...)
+--   con fecha límite, responsable y estado (hecha o no)
+-- - remind_at: cuándo enviar el recordatorio (NULL = TASK_REMINDER_MINUTES
+--   antes de due_at)
+-- - reminder_sent_at / overdue_at: los marca el job de tareas
+--   (services/taskScheduler.js) al notificar el recordatorio y al
+--   detectar que la tarea venció
+--
+-- USO:
+-- psql boost_agency < migrations/016_tasks.sql
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS tasks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  lead_id UUID NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  title VARCHAR(200) NOT NULL,
+  description TEXT,
+  due_at TIMESTAMP NOT NULL,
+  remind_at TIMESTAMP,
+  assigned_to UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  done BOOLEAN NOT NULL DEFAULT false,
+  completed_at TIMESTAMP,
+  completed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reminder_sent_at TIMESTAMP,
+  overdue_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_tasks_lead ON tasks(lead_id, due_at);
+CREATE INDEX IF NOT EXISTS idx_tasks_assigned ON tasks(assigned_to, done, due_at);
+CREATE INDEX IF NOT EXISTS idx_tasks_pending_due ON tasks(due_at) WHERE done = false;
@@ -0,0 +1,42 @@
+-- =============================================================
+-- Migración 017: Antispam del formulario público de leads
+--
+-- - lead_form_submissions: envíos del formulario (aceptados y
+--   rechazados) con IP y email, para limitar envíos por IP y por email
+-- - lead_quarantine: envíos rechazados por el antispam (honeypot,
+--   token, límites, email desechable, CAPTCHA) con los datos
+--   recibidos. Un admin puede aprobarlos (se crea el lead) o descartarlos
+--
+-- USO:
+-- psql boost_agency < migrations/017_lead_spam.sql
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS lead_form_submissions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  ip_address VARCHAR(45),
+  email VARCHAR(255),
+  accepted BOOLEAN NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_form_submissions_ip ON lead_form_submissions(ip_address, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_lead_form_submissions_email ON lead_form_submissions(email, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS lead_quarantine (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  motivo VARCHAR(30) NOT NULL
+    CHECK (motivo IN ('honeypot', 'token_invalido', 'demasiado_rapido', 'limite_ip', 'limite_email', 'email_desechable', 'captcha')),
+  detalle TEXT,
+  payload JSONB NOT NULL DEFAULT '{}',
+  email VARCHAR(255),
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  estado VARCHAR(20) NOT NULL DEFAULT 'pendiente'
+    CHECK (estado IN ('pendiente', 'aprobado', 'descartado')),
+  lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_quarantine_estado ON lead_quarantine(estado, created_at DESC);
@@ -0,0 +1,31 @@
+-- =============================================================
+-- Migración 018: Atribución de leads (UTM, referrer, gclid/fbclid)
+--
+-- - lead_attribution: primer y último contacto (touch) de cada lead
+--   con los parámetros UTM, el referrer, la página de entrada y los
+--   identificadores de clic de Google Ads (gclid) y Meta (fbclid)
+--   * first: primera visita conocida (la guarda el frontend)
+--   * last: visita en la que se envió el formulario. Un envío duplicado
+--     actualiza el último contacto del lead original
+--
+-- USO:
+-- psql boost_agency < migrations/018_lead_attribution.sql
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS lead_attribution (
+  lead_id UUID NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  touch VARCHAR(5) NOT NULL CHECK (touch IN ('first', 'last')),
+  utm_source VARCHAR(255),
+  utm_medium VARCHAR(255),
+  utm_campaign VARCHAR(255),
+  utm_term VARCHAR(255),
+  utm_content VARCHAR(255),
+  gclid VARCHAR(255),
+  fbclid VARCHAR(255),
+  referrer TEXT,
+  landing_page TEXT,
+  touched_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (lead_id, touch)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_attribution_source ON lead_attribution(touch, utm_source, utm_medium);
@@ -0,0 +1,44 @@
+-- =============================================================
+-- Migración 020: Tickets de soporte
+--
+-- Reemplaza content/formularios/soporte.json (tickets_soporte).
+-- tipo_consulta, prioridad y estado toman sus valores de la
+-- configuración de ese archivo (se validan en models/Ticket.js):
+-- - estado: abierto → en_proceso → pendiente_cliente → resuelto → cerrado
+-- - asignado_a: usuario del equipo que lo atiende
+-- - lead_id: lead del cliente (se vincula por email al crearlo)
+--
+-- USO:
+-- psql boost_agency < migrations/020_support_tickets.sql
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS tickets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  numero SERIAL UNIQUE,
+  lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+  nombre VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  telefono VARCHAR(50),
+  tipo_consulta VARCHAR(100) NOT NULL,
+  prioridad VARCHAR(20) NOT NULL DEFAULT 'media',
+  asunto VARCHAR(255) NOT NULL,
+  mensaje TEXT NOT NULL,
+  estado VARCHAR(30) NOT NULL DEFAULT 'abierto',
+  asignado_a UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMP,
+  closed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_tickets_estado ON tickets(estado, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_tickets_asignado ON tickets(asignado_a, estado);
+CREATE INDEX IF NOT EXISTS idx_tickets_lead ON tickets(lead_id);
+CREATE INDEX IF NOT EXISTS idx_tickets_email ON tickets(LOWER(email));
+
+-- El rol editor (que ya atiende los leads) también atiende el soporte
+UPDATE roles
+SET permissions = permissions || ARRAY['soporte:read', 'soporte:write'],
+    updated_at = CURRENT_TIMESTAMP
+WHERE name = 'editor' AND NOT permissions @> ARRAY['soporte:read'];
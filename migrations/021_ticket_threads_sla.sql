@@ -0,0 +1,59 @@
+-- =============================================================
+-- Migración 021: Conversación y SLA de los tickets de soporte
+--
+-- - ticket_messages: respuestas del equipo y del cliente y notas
+--   internas (interno = TRUE, el cliente no las ve)
+-- - ticket_sla_policies: plazos de primera respuesta y resolución
+--   por prioridad (en minutos)
+-- - tickets: plazos calculados al crearlo o cambiar su prioridad,
+--   primera respuesta del equipo y versión del enlace del cliente
+--   (al regenerarlo deja de valer el anterior)
+--
+-- USO:
+-- psql boost_agency < migrations/021_ticket_threads_sla.sql
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS ticket_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  ticket_id UUID NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+  autor_tipo VARCHAR(20) NOT NULL CHECK (autor_tipo IN ('equipo', 'cliente')),
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  mensaje TEXT NOT NULL,
+  interno BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  -- Las notas internas solo las escribe el equipo
+  CHECK (NOT interno OR autor_tipo = 'equipo')
+);
+
+CREATE INDEX IF NOT EXISTS idx_ticket_messages_ticket ON ticket_messages(ticket_id, created_at);
+
+CREATE TABLE IF NOT EXISTS ticket_sla_policies (
+  prioridad VARCHAR(20) PRIMARY KEY,
+  primera_respuesta_minutos INTEGER NOT NULL CHECK (primera_respuesta_minutos > 0),
+  resolucion_minutos INTEGER NOT NULL CHECK (resolucion_minutos > 0),
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Plazos iniciales (se pueden cambiar en PUT /api/soporte/sla/:prioridad)
+INSERT INTO ticket_sla_policies (prioridad, primera_respuesta_minutos, resolucion_minutos) VALUES
+  ('urgente', 60, 480),
+  ('alta', 240, 1440),
+  ('media', 480, 2880),
+  ('baja', 1440, 7200)
+ON CONFLICT (prioridad) DO NOTHING;
+
+ALTER TABLE tickets
+  ADD COLUMN IF NOT EXISTS first_response_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS first_response_due_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS resolution_due_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS access_version INTEGER NOT NULL DEFAULT 1;
+
+-- Plazos de los tickets que ya existían
+UPDATE tickets t
+SET first_response_due_at = t.created_at + p.primera_respuesta_minutos * INTERVAL '1 minute',
+    resolution_due_at = t.created_at + p.resolucion_minutos * INTERVAL '1 minute'
+FROM ticket_sla_policies p
+WHERE p.prioridad = t.prioridad AND t.first_response_due_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_tickets_sla ON tickets(estado, resolution_due_at);
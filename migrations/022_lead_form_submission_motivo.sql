@@ -0,0 +1,14 @@
+-- =============================================================
+-- Migración 022: Motivo de rechazo de los envíos del formulario
+--
+-- - lead_form_submissions.motivo: por qué se rechazó el envío (NULL si
+--   se aceptó). Los rechazados por los propios límites (limite_ip,
+--   limite_email) no cuentan para esos límites: así una IP o un email
+--   bloqueados no renuevan su bloqueo con cada reintento
+--
+-- USO:
+-- psql boost_agency < migrations/022_lead_form_submission_motivo.sql
+-- =============================================================
+
+ALTER TABLE lead_form_submissions
+  ADD COLUMN IF NOT EXISTS motivo VARCHAR(30);
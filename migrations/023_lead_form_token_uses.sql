@@ -0,0 +1,18 @@
+-- =============================================================
+-- Migración 023: Tokens del formulario público ya usados
+--
+-- - lead_form_token_uses: nonce de cada token de formulario con el que
+--   se aceptó un envío. Un token solo vale para un envío; las filas más
+--   antiguas que el tiempo de vida del token se borran (el token ya no
+--   sería válido)
+--
+-- USO:
+-- psql boost_agency < migrations/023_lead_form_token_uses.sql
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS lead_form_token_uses (
+  nonce VARCHAR(64) PRIMARY KEY,
+  used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_form_token_uses_used_at ON lead_form_token_uses(used_at);
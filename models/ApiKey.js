@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Modelo de API keys para Boost Agency
+ *
+ * Claves para integraciones máquina a máquina (landings en otros dominios,
+ * automatizaciones tipo Zapier) que no usan el JWT de una persona:
+ * - La clave completa se muestra una sola vez al crearla
+ * - En la base de datos solo se guarda su hash y un prefijo visible
+ * - Cada clave tiene sus scopes (permisos), expiración y límite por minuto
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const { query } = require("../config/database");
+const { generateToken, hashToken } = require("../utils/tokens");
+
+// Prefijo de todas las claves (permite distinguirlas de un JWT)
+const API_KEY_PREFIX = "ba_";
+
+// Caracteres de la clave que se guardan en claro para identificarla
+const VISIBLE_PREFIX_LENGTH = 11;
+
+// Intervalo mínimo entre actualizaciones de last_used_at
+const LAST_USED_THROTTLE_SECONDS = 60;
+
+// Columnas públicas (nunca se devuelve key_hash)
+const SELECT_FIELDS = `
+  k.id, k.name, k.key_prefix, k.scopes, k.rate_limit_per_minute,
+  k.expires_at, k.last_used_at, k.last_used_ip, k.created_at, k.updated_at,
+  k.revoked_at, k.created_by, u.full_name AS created_by_name
+`;
+
+class ApiKey {
+  /**
+   * Crea una API key
+   *
+   * DÓNDE SE USA: En POST /api/api-keys
+   *
+   * @param {Object} keyData - Datos de la clave
+   * @param {string} keyData.name - Nombre descriptivo ('Landing campaña X')
+   * @param {Array<string>} keyData.scopes - Permisos concedidos
+   * @param {number} [keyData.rate_limit_per_minute=60] - Límite por minuto
+   * @param {string} [keyData.expires_at] - Fecha de expiración (null = no expira)
+   * @param {string} createdBy - UUID del admin que la crea
+   * @returns {Promise<Object>} { apiKey, key } (key en texto plano, se muestra una vez)
+   */
+  static async create(keyData, createdBy) {
+    const {
+      name,
+      scopes = [],
+      rate_limit_per_minute = 60,
+      expires_at = null,
+    } = keyData;
+    const key = `${API_KEY_PREFIX}${generateToken(32)}`;
+
+    const sql = `
+      INSERT INTO api_keys (name, key_prefix, key_hash, scopes, rate_limit_per_minute, expires_at, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `;
+
+    const result = await query(sql, [
+      name,
+      key.slice(0, VISIBLE_PREFIX_LENGTH),
+      hashToken(key),
+      scopes,
+      rate_limit_per_minute,
+      expires_at,
+      createdBy,
+    ]);
+
+    return { apiKey: await ApiKey.findById(result.rows[0].id), key };
+  }
+
+  /**
+   * Lista las API keys
+   *
+   * @param {Object} options - Opciones de búsqueda
+   * @param {boolean} [options.includeRevoked=false] - Incluir claves revocadas
+   * @returns {Promise<Array>} API keys (sin hash)
+   */
+  static async findAll(options = {}) {
+    const { includeRevoked = false } = options;
+
+    const sql = `
+      SELECT ${SELECT_FIELDS}
+      FROM api_keys k
+      LEFT JOIN users u ON k.created_by = u.id
+      ${includeRevoked ? "" : "WHERE k.revoked_at IS NULL"}
+      ORDER BY k.created_at DESC
+    `;
+
+    const result = await query(sql);
+    return result.rows;
+  }
+
+  /**
+   * Busca una API key por ID
+   *
+   * @param {string} id - UUID de la clave
+   * @returns {Promise<Object|null>} API key o null
+   */
+  static async findById(id) {
+    const sql = `
+      SELECT ${SELECT_FIELDS}
+      FROM api_keys k
+      LEFT JOIN users u ON k.created_by = u.id
+      WHERE k.id = $1
+    `;
+
+    const result = await query(sql, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Busca una API key vigente (no revocada ni expirada) por la clave en texto plano
+   *
+   * DÓNDE SE USA: En el middleware de autenticación
+   *
+   * @param {string} key - Clave recibida en la petición
+   * @returns {Promise<Object|null>} API key o null si no es válida
+   */
+  static async findActiveByKey(key) {
+    const sql = `
+      SELECT id, name, key_prefix, scopes, rate_limit_per_minute, created_by, last_used_at
+      FROM api_keys
+      WHERE key_hash = $1
+        AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+    `;
+
+    const result = await query(sql, [hashToken(key)]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Registra el uso de una clave (como mucho una escritura por minuto)
+   *
+   * @param {string} id - UUID de la clave
+   * @param {string} ipAddress - IP del cliente
+   * @returns {Promise<void>}
+   */
+  static async touch(id, ipAddress) {
+    const sql = `
+      UPDATE api_keys
+      SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $2
+      WHERE id = $1
+        AND (
+          last_used_at IS NULL
+          OR last_used_at < CURRENT_TIMESTAMP - $3 * INTERVAL '1 second'
+        )
+    `;
+
+    await query(sql, [id, ipAddress, LAST_USED_THROTTLE_SECONDS]);
+  }
+
+  /**
+   * Actualiza nombre, scopes, límite o expiración de una clave
+   *
+   * @param {string} id - UUID de la clave
+   * @param {Object} updates - Campos a actualizar
+   * @returns {Promise<Object>} API key actualizada
+   */
+  static async update(id, updates) {
+    const allowedFields = [
+      "name",
+      "scopes",
+      "rate_limit_per_minute",
+      "expires_at",
+    ];
+    const updateFields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (allowedFields.includes(key) && value !== undefined) {
+        updateFields.push(`${key} = $${paramIndex}`);
+        values.push(value);
+        paramIndex++;
+      }
+    }
+
+    if (updateFields.length === 0) {
+      throw new Error("No hay campos válidos para actualizar");
+    }
+
+    values.push(id);
+
+    const sql = `
+      UPDATE api_keys
+      SET ${updateFields.join(", ")}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${paramIndex} AND revoked_at IS NULL
+      RETURNING id
+    `;
+
+    const result = await query(sql, values);
+
+    if (result.rows.length === 0) {
+      throw new Error("API key no encontrada o revocada");
+    }
+
+    return await ApiKey.findById(id);
+  }
+
+  /**
+   * Revoca una API key (deja de funcionar inmediatamente)
+   *
+   * @param {string} id - UUID de la clave
+   * @returns {Promise<boolean>} true si se revocó
+   */
+  static async revoke(id) {
+    const result = await query(
+      `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING id`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error("API key no encontrada o revocada");
+    }
+
+    return true;
+  }
+
+  /**
+   * Indica si un valor tiene el formato de una API key
+   *
+   * @param {string} value - Valor recibido (header)
+   * @returns {boolean}
+   */
+  static looksLikeKey(value) {
+    return typeof value === "string" && value.startsWith(API_KEY_PREFIX);
+  }
+}
+
+module.exports = ApiKey;
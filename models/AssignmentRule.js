@@ -0,0 +1,522 @@
+/**
+ * @fileoverview Modelo de Reglas de asignación de leads para Boost Agency CRM
+ *
+ * Asigna automáticamente los leads nuevos a un vendedor:
+ * - Cada regla tiene condiciones (servicio_interes, origen, rango de presupuesto)
+ *   y una lista de usuarios entre los que reparte
+ * - Las reglas activas se evalúan por prioridad (menor primero); gana la primera
+ *   que coincide y tiene algún usuario activo
+ * - Estrategias de reparto:
+ *   · round_robin: por turnos, siguiendo el orden en que se añadieron los usuarios
+ *   · least_loaded: al usuario con menos leads abiertos (empate: por turnos)
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const { query, transaction } = require("../config/database");
+const { parsePresupuesto } = require("../utils/presupuesto");
+
+// Estrategias de reparto
+const STRATEGIES = ["round_robin", "least_loaded"];
+
+/**
+ * Helper: Normaliza un texto para comparar condiciones
+ */
+function normalize(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Helper: Indica si un lead cumple las condiciones de una regla
+ * Devuelve { matched, motivo } (motivo explica por qué no coincide)
+ */
+function matchRule(rule, lead) {
+  if (
+    rule.servicios.length > 0 &&
+    !rule.servicios.map(normalize).includes(normalize(lead.servicio_interes))
+  ) {
+    return { matched: false, motivo: "servicio_interes no coincide" };
+  }
+
+  if (
+    rule.origenes.length > 0 &&
+    !rule.origenes.map(normalize).includes(normalize(lead.origen))
+  ) {
+    return { matched: false, motivo: "origen no coincide" };
+  }
+
+  if (rule.presupuesto_min !== null || rule.presupuesto_max !== null) {
+    const rango = parsePresupuesto(lead.presupuesto);
+
+    if (!rango) {
+      return { matched: false, motivo: "presupuesto no indicado" };
+    }
+
+    if (
+      rule.presupuesto_min !== null &&
+      rango.min < Number(rule.presupuesto_min)
+    ) {
+      return { matched: false, motivo: "presupuesto por debajo del mínimo" };
+    }
+
+    if (
+      rule.presupuesto_max !== null &&
+      (rango.max === null || rango.max > Number(rule.presupuesto_max))
+    ) {
+      return { matched: false, motivo: "presupuesto por encima del máximo" };
+    }
+  }
+
+  return { matched: true, motivo: null };
+}
+
+/**
+ * Helper: Valida los datos de una regla (con partial = true solo los presentes)
+ * Devuelve un mensaje de error o null si son válidos
+ */
+function validateRule(data, partial = false) {
+  const present = (field) => !partial || data[field] !== undefined;
+
+  if (present("name") && (!data.name || !String(data.name).trim())) {
+    return "El nombre es requerido";
+  }
+
+  if (data.priority !== undefined && !Number.isInteger(data.priority)) {
+    return "Prioridad inválida (debe ser un entero)";
+  }
+
+  if (data.strategy !== undefined && !STRATEGIES.includes(data.strategy)) {
+    return `Estrategia inválida. Debe ser una de: ${STRATEGIES.join(", ")}`;
+  }
+
+  for (const field of ["servicios", "origenes"]) {
+    if (
+      data[field] !== undefined &&
+      (!Array.isArray(data[field]) ||
+        data[field].some((value) => typeof value !== "string"))
+    ) {
+      return `Campo ${field} inválido (debe ser un array de textos)`;
+    }
+  }
+
+  for (const field of ["presupuesto_min", "presupuesto_max"]) {
+    const value = data[field];
+    if (
+      value !== undefined &&
+      value !== null &&
+      (typeof value !== "number" || value < 0)
+    ) {
+      return `Campo ${field} inválido (debe ser un número positivo o null)`;
+    }
+  }
+
+  if (
+    typeof data.presupuesto_min === "number" &&
+    typeof data.presupuesto_max === "number" &&
+    data.presupuesto_min > data.presupuesto_max
+  ) {
+    return "Rango de presupuesto inválido: el mínimo supera al máximo";
+  }
+
+  if (
+    present("user_ids") &&
+    (!Array.isArray(data.user_ids) || data.user_ids.length === 0)
+  ) {
+    return "Campo user_ids inválido (debe tener al menos un usuario)";
+  }
+
+  return null;
+}
+
+class AssignmentRule {
+  /**
+   * Lista las reglas (por prioridad) con sus usuarios
+   *
+   * DÓNDE SE USA: En GET /api/assignment-rules
+   *
+   * @returns {Promise<Array>} Reglas
+   */
+  static async findAll() {
+    const rules = await query(`
+      SELECT * FROM assignment_rules
+      ORDER BY priority ASC, created_at ASC
+    `);
+
+    const users = await query(`
+      SELECT ru.rule_id, u.id, u.full_name, u.email, u.status
+      FROM assignment_rule_users ru
+      JOIN users u ON ru.user_id = u.id
+      ORDER BY ru.created_at ASC, u.id ASC
+    `);
+
+    return rules.rows.map((rule) => ({
+      ...rule,
+      users: users.rows
+        .filter((user) => user.rule_id === rule.id)
+        .map(({ rule_id, ...user }) => user),
+    }));
+  }
+
+  /**
+   * Busca una regla por ID (con sus usuarios)
+   *
+   * @param {string} id - UUID de la regla
+   * @param {Object} [client] - Cliente de transacción (opcional)
+   * @returns {Promise<Object|null>} Regla o null
+   */
+  static async findById(id, client = null) {
+    const run = client ? client.query.bind(client) : query;
+
+    const result = await run("SELECT * FROM assignment_rules WHERE id = $1", [
+      id,
+    ]);
+    if (result.rows.length === 0) return null;
+
+    const users = await run(
+      `SELECT u.id, u.full_name, u.email, u.status
+       FROM assignment_rule_users ru
+       JOIN users u ON ru.user_id = u.id
+       WHERE ru.rule_id = $1
+       ORDER BY ru.created_at ASC, u.id ASC`,
+      [id]
+    );
+
+    return { ...result.rows[0], users: users.rows };
+  }
+
+  /**
+   * Crea una regla de asignación
+   *
+   * DÓNDE SE USA: En POST /api/assignment-rules
+   *
+   * @param {Object} ruleData - Datos de la regla
+   * @param {string} ruleData.name - Nombre ('SEO con presupuesto alto')
+   * @param {Array<string>} ruleData.user_ids - Usuarios entre los que reparte
+   * @param {number} [ruleData.priority=100] - Prioridad (menor se evalúa antes)
+   * @param {boolean} [ruleData.is_active=true] - Regla activa
+   * @param {Array<string>} [ruleData.servicios] - Servicios (vacío = cualquiera)
+   * @param {Array<string>} [ruleData.origenes] - Orígenes (vacío = cualquiera)
+   * @param {number} [ruleData.presupuesto_min] - Presupuesto mínimo
+   * @param {number} [ruleData.presupuesto_max] - Presupuesto máximo
+   * @param {string} [ruleData.strategy='round_robin'] - 'round_robin' o 'least_loaded'
+   * @param {string} createdBy - UUID del admin que la crea
+   * @returns {Promise<Object>} Regla creada
+   */
+  static async create(ruleData, createdBy) {
+    const error = validateRule(ruleData);
+    if (error) throw new Error(error);
+
+    const {
+      name,
+      user_ids,
+      priority = 100,
+      is_active = true,
+      servicios = [],
+      origenes = [],
+      presupuesto_min = null,
+      presupuesto_max = null,
+      strategy = "round_robin",
+    } = ruleData;
+
+    await AssignmentRule.assertUsersExist(user_ids);
+
+    return await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO assignment_rules (
+           name, priority, is_active, servicios, origenes,
+           presupuesto_min, presupuesto_max, strategy, created_by
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING id`,
+        [
+          String(name).trim(),
+          priority,
+          is_active,
+          servicios,
+          origenes,
+          presupuesto_min,
+          presupuesto_max,
+          strategy,
+          createdBy,
+        ]
+      );
+      const ruleId = result.rows[0].id;
+
+      await AssignmentRule.setUsers(client, ruleId, user_ids);
+
+      return await AssignmentRule.findById(ruleId, client);
+    });
+  }
+
+  /**
+   * Actualiza una regla (si se envía user_ids, reemplaza la lista de usuarios)
+   *
+   * @param {string} id - UUID de la regla
+   * @param {Object} updates - Campos a actualizar
+   * @returns {Promise<Object>} Regla actualizada
+   */
+  static async update(id, updates) {
+    const error = validateRule(updates, true);
+    if (error) throw new Error(error);
+
+    const allowedFields = [
+      "name",
+      "priority",
+      "is_active",
+      "servicios",
+      "origenes",
+      "presupuesto_min",
+      "presupuesto_max",
+      "strategy",
+    ];
+    const updateFields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (allowedFields.includes(key) && value !== undefined) {
+        updateFields.push(`${key} = $${paramIndex}`);
+        values.push(key === "name" ? String(value).trim() : value);
+        paramIndex++;
+      }
+    }
+
+    if (updateFields.length === 0 && updates.user_ids === undefined) {
+      throw new Error("No hay campos válidos para actualizar");
+    }
+
+    if (updates.user_ids !== undefined) {
+      await AssignmentRule.assertUsersExist(updates.user_ids);
+    }
+
+    updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
+    values.push(id);
+
+    return await transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE assignment_rules
+         SET ${updateFields.join(", ")}
+         WHERE id = $${paramIndex}
+         RETURNING *`,
+        values
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error("Regla no encontrada");
+      }
+
+      const rule = result.rows[0];
+      if (
+        rule.presupuesto_min !== null &&
+        rule.presupuesto_max !== null &&
+        Number(rule.presupuesto_min) > Number(rule.presupuesto_max)
+      ) {
+        throw new Error(
+          "Rango de presupuesto inválido: el mínimo supera al máximo"
+        );
+      }
+
+      if (updates.user_ids !== undefined) {
+        await client.query(
+          "DELETE FROM assignment_rule_users WHERE rule_id = $1",
+          [id]
+        );
+        await AssignmentRule.setUsers(client, id, updates.user_ids);
+      }
+
+      return await AssignmentRule.findById(id, client);
+    });
+  }
+
+  /**
+   * Elimina una regla
+   *
+   * @param {string} id - UUID de la regla
+   * @returns {Promise<boolean>} true si se eliminó
+   */
+  static async delete(id) {
+    const result = await query(
+      "DELETE FROM assignment_rules WHERE id = $1 RETURNING id",
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error("Regla no encontrada");
+    }
+
+    return true;
+  }
+
+  /**
+   * Evalúa las reglas para un lead y elige el usuario al que asignarlo
+   *
+   * DÓNDE SE USA:
+   * - En Lead.create (dentro de su transacción: avanza el turno de la regla)
+   * - En POST /api/assignment-rules/dry-run (dryRun: no modifica nada)
+   *
+   * @param {Object} lead - Lead (o lead de ejemplo): servicio_interes, origen, presupuesto
+   * @param {Object} [options] - Opciones
+   * @param {Object} [options.client] - Cliente de transacción
+   * @param {boolean} [options.dryRun=false] - Solo simular (evalúa todas las reglas)
+   * @param {boolean} [options.includeInactive=false] - Evaluar también reglas inactivas
+   * @returns {Promise<Object>} { rule, user, evaluacion: [{ rule_id, name, matched, motivo }] }
+   */
+  static async evaluate(lead, options = {}) {
+    const { client = null, dryRun = false, includeInactive = false } = options;
+    const run = client ? client.query.bind(client) : query;
+
+    const rules = await run(`
+      SELECT * FROM assignment_rules
+      ${includeInactive ? "" : "WHERE is_active"}
+      ORDER BY priority ASC, created_at ASC
+    `);
+
+    const evaluacion = [];
+    let selected = { rule: null, user: null };
+
+    for (const rule of rules.rows) {
+      const { matched, motivo } = matchRule(rule, lead);
+      const entry = {
+        rule_id: rule.id,
+        name: rule.name,
+        priority: rule.priority,
+        is_active: rule.is_active,
+        matched,
+        motivo,
+      };
+      evaluacion.push(entry);
+
+      if (!matched || selected.rule) continue;
+
+      const user = await AssignmentRule.pickUser(rule, { client, dryRun });
+
+      if (!user) {
+        entry.matched = false;
+        entry.motivo = "sin usuarios activos";
+        continue;
+      }
+
+      selected = { rule, user };
+      if (!dryRun) break;
+    }
+
+    return { ...selected, evaluacion };
+  }
+
+  /**
+   * Elige el siguiente usuario de una regla según su estrategia
+   * Fuera de dryRun bloquea la regla y guarda el turno (last_assigned_user_id)
+   *
+   * @param {Object} rule - Regla
+   * @param {Object} [options] - { client, dryRun }
+   * @returns {Promise<Object|null>} { id, full_name, email, carga } o null
+   */
+  static async pickUser(rule, options = {}) {
+    const { client = null, dryRun = false } = options;
+    const run = client ? client.query.bind(client) : query;
+
+    // El turno se lee bloqueando la regla para que dos leads simultáneos no
+    // vayan al mismo usuario
+    let lastAssigned = rule.last_assigned_user_id;
+    if (!dryRun) {
+      const locked = await run(
+        `SELECT last_assigned_user_id FROM assignment_rules
+         WHERE id = $1
+         FOR UPDATE`,
+        [rule.id]
+      );
+      lastAssigned = locked.rows[0].last_assigned_user_id;
+    }
+
+    // Usuarios activos de la regla con su carga (leads en etapas abiertas)
+    const result = await run(
+      `SELECT
+         u.id, u.full_name, u.email,
+         COUNT(l.id) FILTER (WHERE COALESCE(s.kind, 'open') = 'open')::int AS carga
+       FROM assignment_rule_users ru
+       JOIN users u ON ru.user_id = u.id AND u.status = 'active'
+       LEFT JOIN leads l ON l.assigned_to = u.id
+       LEFT JOIN pipeline_stages s ON l.stage_id = s.id
+       WHERE ru.rule_id = $1
+       GROUP BY u.id, ru.created_at
+       ORDER BY ru.created_at ASC, u.id ASC`,
+      [rule.id]
+    );
+    const users = result.rows;
+
+    if (users.length === 0) return null;
+
+    // Orden de turnos: empezando por el siguiente al último asignado
+    const start = users.findIndex((user) => user.id === lastAssigned) + 1;
+    const rotation = [...users.slice(start), ...users.slice(0, start)];
+
+    let user = rotation[0];
+    if (rule.strategy === "least_loaded") {
+      const minCarga = Math.min(...rotation.map((u) => u.carga));
+      user = rotation.find((u) => u.carga === minCarga);
+    }
+
+    if (!dryRun) {
+      await run(
+        "UPDATE assignment_rules SET last_assigned_user_id = $1 WHERE id = $2",
+        [user.id, rule.id]
+      );
+    }
+
+    return user;
+  }
+
+  /**
+   * Comprueba que todos los usuarios existen
+   *
+   * @param {Array<string>} userIds - UUIDs de usuarios
+   * @returns {Promise<void>}
+   * @throws {Error} Si alguno no existe
+   */
+  static async assertUsersExist(userIds) {
+    const result = await query(
+      "SELECT id FROM users WHERE id = ANY($1::uuid[])",
+      [userIds]
+    );
+
+    const missing = userIds.filter(
+      (id) => !result.rows.some((row) => row.id === id)
+    );
+    if (missing.length > 0) {
+      throw new Error(`Usuarios inválidos: ${missing.join(", ")}`);
+    }
+  }
+
+  /**
+   * Guarda los usuarios de una regla en el orden recibido
+   *
+   * @param {Object} client - Cliente de transacción
+   * @param {string} ruleId - UUID de la regla
+   * @param {Array<string>} userIds - UUIDs de usuarios
+   * @returns {Promise<void>}
+   */
+  static async setUsers(client, ruleId, userIds) {
+    // created_at creciente para conservar el orden de los turnos
+    for (const [index, userId] of [...new Set(userIds)].entries()) {
+      await client.query(
+        `INSERT INTO assignment_rule_users (rule_id, user_id, created_at)
+         VALUES ($1, $2, CURRENT_TIMESTAMP + $3 * INTERVAL '1 millisecond')`,
+        [ruleId, userId, index]
+      );
+    }
+  }
+
+  /**
+   * Devuelve las estrategias de reparto válidas
+   *
+   * @returns {Array<string>} 'round_robin', 'least_loaded'
+   */
+  static get strategies() {
+    return STRATEGIES;
+  }
+}
+
+module.exports = AssignmentRule;
@@ -13,7 +13,22 @@
  * @version 2.0.0
  */
 
-const { query } = require("../config/database");
+const { query, transaction } = require("../config/database");
+const Webhook = require("./Webhook");
+
+/**
+ * Helper: Emite blog.published si el episodio acaba de publicarse
+ * (row.previous_status es el estado anterior; se quita del resultado)
+ */
+async function emitIfPublished(client, row) {
+  const { previous_status, ...post } = row;
+
+  if (post.status === "published" && previous_status !== "published") {
+    await Webhook.emit("blog.published", BlogPost._parsePost(post), client);
+  }
+
+  return post;
+}
 
 class BlogPost {
   /**
@@ -37,6 +52,8 @@ class BlogPost {
    * @param {string} [postData.status='draft'] - Estado ('draft', 'published', 'archived')
    * @param {string} postData.author_id - UUID del autor
    * @returns {Promise<Object>} Episodio creado
+   *
+   * Si se crea publicado, emite el webhook blog.published
    */
   static async create(postData) {
     const {
@@ -67,24 +84,28 @@ class BlogPost {
       RETURNING *
     `;
 
-    const result = await query(sql, [
-      episode_id,
-      episode_number,
-      title,
-      description,
-      publish_date,
-      duration,
-      guest_name,
-      guest_title,
-      cover_image_url,
-      audio_url,
-      is_featured,
-      JSON.stringify(topics),
-      status,
-      author_id,
-    ]);
-
-    return this._parsePost(result.rows[0]);
+    const post = await transaction(async (client) => {
+      const result = await client.query(sql, [
+        episode_id,
+        episode_number,
+        title,
+        description,
+        publish_date,
+        duration,
+        guest_name,
+        guest_title,
+        cover_image_url,
+        audio_url,
+        is_featured,
+        JSON.stringify(topics),
+        status,
+        author_id,
+      ]);
+
+      return await emitIfPublished(client, result.rows[0]);
+    });
+
+    return this._parsePost(post);
   }
 
   /**
@@ -271,6 +292,8 @@ class BlogPost {
    * @param {string} episodeId - episode_id del episodio
    * @param {Object} updates - Campos a actualizar
    * @returns {Promise<Object>} Episodio actualizado
+   *
+   * Si pasa a publicado, emite el webhook blog.published
    */
   static async update(episodeId, updates) {
     const allowedFields = [
@@ -295,10 +318,10 @@ class BlogPost {
       if (allowedFields.includes(key) && value !== undefined) {
         // Convertir topics a JSON
         if (key === "topics") {
-          updateFields.push(`${key} = ${paramIndex}::jsonb`);
+          updateFields.push(`${key} = $${paramIndex}::jsonb`);
           values.push(JSON.stringify(value));
         } else {
-          updateFields.push(`${key} = ${paramIndex}`);
+          updateFields.push(`${key} = $${paramIndex}`);
           values.push(value);
         }
         paramIndex++;
@@ -313,19 +336,26 @@ class BlogPost {
     values.push(episodeId);
 
     const sql = `
-      UPDATE blog_posts
+      UPDATE blog_posts bp
       SET ${updateFields.join(", ")}
-      WHERE episode_id = ${paramIndex}
-      RETURNING *
+      FROM (
+        SELECT id, status FROM blog_posts WHERE episode_id = $${paramIndex} FOR UPDATE
+      ) previous
+      WHERE bp.id = previous.id
+      RETURNING bp.*, previous.status AS previous_status
     `;
 
-    const result = await query(sql, values);
+    const post = await transaction(async (client) => {
+      const result = await client.query(sql, values);
 
-    if (result.rows.length === 0) {
-      throw new Error("Episodio no encontrado");
-    }
+      if (result.rows.length === 0) {
+        throw new Error("Episodio no encontrado");
+      }
 
-    return this._parsePost(result.rows[0]);
+      return await emitIfPublished(client, result.rows[0]);
+    });
+
+    return this._parsePost(post);
   }
 
   /**
@@ -383,6 +413,8 @@ class BlogPost {
    * @param {string} episodeId - episode_id del episodio
    * @param {string} newStatus - Nuevo estado ('draft', 'published', 'archived')
    * @returns {Promise<Object>} Episodio actualizado
+   *
+   * Al publicarlo (si no lo estaba) emite el webhook blog.published
    */
   static async changeStatus(episodeId, newStatus) {
     const validStatuses = ["draft", "published", "archived"];
@@ -392,19 +424,26 @@ class BlogPost {
     }
 
     const sql = `
-      UPDATE blog_posts
+      UPDATE blog_posts bp
       SET status = $1, updated_at = CURRENT_TIMESTAMP
-      WHERE episode_id = $2
-      RETURNING *
+      FROM (
+        SELECT id, status FROM blog_posts WHERE episode_id = $2 FOR UPDATE
+      ) previous
+      WHERE bp.id = previous.id
+      RETURNING bp.*, previous.status AS previous_status
     `;
 
-    const result = await query(sql, [newStatus, episodeId]);
+    const post = await transaction(async (client) => {
+      const result = await client.query(sql, [newStatus, episodeId]);
 
-    if (result.rows.length === 0) {
-      throw new Error("Episodio no encontrado");
-    }
+      if (result.rows.length === 0) {
+        throw new Error("Episodio no encontrado");
+      }
 
-    return this._parsePost(result.rows[0]);
+      return await emitIfPublished(client, result.rows[0]);
+    });
+
+    return this._parsePost(post);
   }
 
   /**
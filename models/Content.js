@@ -16,7 +16,8 @@
  * @version 2.0.0
  */
 
-const { query } = require("../config/database");
+const { query, transaction } = require("../config/database");
+const Webhook = require("./Webhook");
 
 class Content {
   /**
@@ -31,6 +32,8 @@ class Content {
    * @param {string} [contentData.status='published'] - Estado ('draft', 'published', 'archived')
    * @param {string} contentData.updated_by - UUID del usuario que actualiza
    * @returns {Promise<Object>} Contenido creado/actualizado
+   *
+   * Si queda publicado, emite el webhook content.published
    */
   static async upsert(contentData) {
     const {
@@ -55,15 +58,22 @@ class Content {
       RETURNING *
     `;
 
-    const result = await query(sql, [
-      section_key,
-      section_name,
-      JSON.stringify(content_data),
-      status,
-      updated_by,
-    ]);
+    return await transaction(async (client) => {
+      const result = await client.query(sql, [
+        section_key,
+        section_name,
+        JSON.stringify(content_data),
+        status,
+        updated_by,
+      ]);
+      const content = result.rows[0];
 
-    return result.rows[0];
+      if (content.status === "published") {
+        await Webhook.emit("content.published", content, client);
+      }
+
+      return content;
+    });
   }
 
   /**
@@ -216,7 +226,7 @@ class Content {
   }
 
   /**
-   * Restaura una sección archivada
+   * Restaura una sección archivada (emite el webhook content.published)
    *
    * @param {string} sectionKey - Clave de la sección
    * @returns {Promise<boolean>} true si se restauró correctamente
@@ -226,9 +236,16 @@ class Content {
       UPDATE content
       SET status = 'published', updated_at = CURRENT_TIMESTAMP
       WHERE section_key = $1
+      RETURNING *
     `;
 
-    await query(sql, [sectionKey]);
+    await transaction(async (client) => {
+      const result = await client.query(sql, [sectionKey]);
+
+      if (result.rows.length > 0) {
+        await Webhook.emit("content.published", result.rows[0], client);
+      }
+    });
     return true;
   }
 
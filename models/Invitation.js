@@ -0,0 +1,309 @@
+/**
+ * @fileoverview Modelo de Invitaciones de usuarios para Boost Agency
+ *
+ * Alta de cuentas del equipo por invitación:
+ * - Un admin invita a un email con un rol
+ * - El invitado recibe un enlace con un token de un solo uso (solo se guarda el hash)
+ * - Al aceptar define su contraseña y perfil, y la cuenta se crea con User.create
+ *
+ * Estados (calculados): pending, accepted, revoked, expired
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const { query, transaction } = require("../config/database");
+const { generateToken, hashToken } = require("../utils/tokens");
+const User = require("./User");
+
+// Validez del enlace de invitación en días
+const INVITATION_EXPIRES_DAYS =
+  parseInt(process.env.INVITATION_EXPIRES_DAYS) || 7;
+
+// Estado calculado de la invitación
+const STATUS_SQL = `
+  CASE
+    WHEN i.accepted_at IS NOT NULL THEN 'accepted'
+    WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN i.expires_at <= CURRENT_TIMESTAMP THEN 'expired'
+    ELSE 'pending'
+  END
+`;
+
+// Columnas públicas (nunca se devuelve token_hash)
+const SELECT_FIELDS = `
+  i.id, i.email, i.role, i.expires_at, i.sent_count, i.last_sent_at,
+  i.accepted_at, i.accepted_user_id, i.revoked_at, i.created_at,
+  i.invited_by, u.full_name AS invited_by_name,
+  ${STATUS_SQL} AS status
+`;
+
+class Invitation {
+  /**
+   * Crea una invitación
+   *
+   * DÓNDE SE USA: En POST /api/invitations
+   *
+   * @param {Object} invitationData - Datos de la invitación
+   * @param {string} invitationData.email - Email del invitado
+   * @param {string} invitationData.role - Rol que tendrá la cuenta
+   * @param {string} invitedBy - UUID del admin que invita
+   * @returns {Promise<Object>} { invitation, token }
+   */
+  static async create(invitationData, invitedBy) {
+    const email = String(invitationData.email).trim().toLowerCase();
+    const { role } = invitationData;
+    const token = generateToken(32);
+
+    const id = await transaction(async (client) => {
+      // Las invitaciones vencidas del mismo email dejan de bloquear una nueva
+      await client.query(
+        `UPDATE invitations SET revoked_at = CURRENT_TIMESTAMP
+         WHERE LOWER(email) = $1
+           AND accepted_at IS NULL AND revoked_at IS NULL
+           AND expires_at <= CURRENT_TIMESTAMP`,
+        [email]
+      );
+
+      const open = await client.query(
+        `SELECT id FROM invitations
+         WHERE LOWER(email) = $1 AND accepted_at IS NULL AND revoked_at IS NULL`,
+        [email]
+      );
+
+      if (open.rows.length > 0) {
+        throw new Error("Ya existe una invitación pendiente para este email");
+      }
+
+      const result = await client.query(
+        `INSERT INTO invitations (email, role, token_hash, invited_by, expires_at)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + $5 * INTERVAL '1 day')
+         RETURNING id`,
+        [email, role, hashToken(token), invitedBy, INVITATION_EXPIRES_DAYS]
+      );
+
+      return result.rows[0].id;
+    });
+
+    return { invitation: await Invitation.findById(id), token };
+  }
+
+  /**
+   * Lista invitaciones con filtros y paginación
+   *
+   * @param {Object} options - Opciones de búsqueda
+   * @param {string} [options.status] - pending, accepted, revoked, expired
+   * @param {number} [options.page=1] - Página actual
+   * @param {number} [options.limit=20] - Invitaciones por página
+   * @returns {Promise<Object>} { invitations: [], pagination: {} }
+   */
+  static async findAll(options = {}) {
+    const { status, page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    let where = "";
+    const params = [];
+
+    if (status) {
+      where = `WHERE ${STATUS_SQL} = $1`;
+      params.push(status);
+    }
+
+    const sql = `
+      SELECT ${SELECT_FIELDS}
+      FROM invitations i
+      LEFT JOIN users u ON i.invited_by = u.id
+      ${where}
+      ORDER BY i.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+    const result = await query(sql, [...params, limit, offset]);
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM invitations i ${where}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      invitations: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Busca una invitación por ID
+   *
+   * @param {string} id - UUID de la invitación
+   * @returns {Promise<Object|null>} Invitación o null
+   */
+  static async findById(id) {
+    const sql = `
+      SELECT ${SELECT_FIELDS}
+      FROM invitations i
+      LEFT JOIN users u ON i.invited_by = u.id
+      WHERE i.id = $1
+    `;
+
+    const result = await query(sql, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Busca una invitación pendiente y vigente por su token
+   *
+   * DÓNDE SE USA: Al abrir el enlace, para mostrar email y rol antes de aceptar
+   *
+   * @param {string} token - Token en texto plano del enlace
+   * @returns {Promise<Object|null>} Invitación o null si no es válida
+   */
+  static async findValidByToken(token) {
+    const sql = `
+      SELECT ${SELECT_FIELDS}
+      FROM invitations i
+      LEFT JOIN users u ON i.invited_by = u.id
+      WHERE i.token_hash = $1
+        AND i.accepted_at IS NULL
+        AND i.revoked_at IS NULL
+        AND i.expires_at > CURRENT_TIMESTAMP
+    `;
+
+    const result = await query(sql, [hashToken(token)]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Reenvía una invitación: genera un enlace nuevo (el anterior deja de
+   * funcionar) y renueva la fecha de expiración
+   *
+   * @param {string} id - UUID de la invitación
+   * @returns {Promise<Object>} { invitation, token }
+   */
+  static async resend(id) {
+    const token = generateToken(32);
+
+    const sql = `
+      UPDATE invitations
+      SET
+        token_hash = $1,
+        expires_at = CURRENT_TIMESTAMP + $2 * INTERVAL '1 day',
+        sent_count = sent_count + 1,
+        last_sent_at = CURRENT_TIMESTAMP
+      WHERE id = $3 AND accepted_at IS NULL AND revoked_at IS NULL
+      RETURNING id
+    `;
+
+    const result = await query(sql, [
+      hashToken(token),
+      INVITATION_EXPIRES_DAYS,
+      id,
+    ]);
+
+    if (result.rows.length === 0) {
+      await Invitation.assertExists(id);
+      throw new Error("La invitación ya no está pendiente");
+    }
+
+    return { invitation: await Invitation.findById(id), token };
+  }
+
+  /**
+   * Revoca una invitación pendiente
+   *
+   * @param {string} id - UUID de la invitación
+   * @returns {Promise<Object>} Invitación revocada
+   */
+  static async revoke(id) {
+    const result = await query(
+      `UPDATE invitations SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+       RETURNING id`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      await Invitation.assertExists(id);
+      throw new Error("La invitación ya no está pendiente");
+    }
+
+    return await Invitation.findById(id);
+  }
+
+  /**
+   * Acepta una invitación y crea la cuenta con User.create
+   *
+   * @param {string} token - Token en texto plano del enlace
+   * @param {Object} profile - Datos que elige el invitado
+   * @param {string} profile.password - Contraseña
+   * @param {string} profile.full_name - Nombre completo
+   * @param {string} [profile.phone] - Teléfono
+   * @returns {Promise<Object>} Usuario creado
+   */
+  static async accept(token, profile) {
+    return await transaction(async (client) => {
+      const result = await client.query(
+        `SELECT id, email, role FROM invitations
+         WHERE token_hash = $1
+           AND accepted_at IS NULL
+           AND revoked_at IS NULL
+           AND expires_at > CURRENT_TIMESTAMP
+         FOR UPDATE`,
+        [hashToken(token)]
+      );
+      const invitation = result.rows[0];
+
+      if (!invitation) {
+        throw new Error("Invitación inválida o expirada");
+      }
+
+      const user = await User.create(
+        {
+          email: invitation.email,
+          password: profile.password,
+          full_name: profile.full_name,
+          role: invitation.role,
+          phone: profile.phone,
+        },
+        client
+      );
+
+      await client.query(
+        `UPDATE invitations
+         SET accepted_at = CURRENT_TIMESTAMP, accepted_user_id = $1
+         WHERE id = $2`,
+        [user.id, invitation.id]
+      );
+
+      return user;
+    });
+  }
+
+  /**
+   * Lanza "Invitación no encontrada" si el ID no existe
+   *
+   * @param {string} id - UUID de la invitación
+   * @returns {Promise<void>}
+   */
+  static async assertExists(id) {
+    const result = await query(`SELECT 1 FROM invitations WHERE id = $1`, [id]);
+    if (result.rows.length === 0) {
+      throw new Error("Invitación no encontrada");
+    }
+  }
+
+  /**
+   * Devuelve la validez configurada de las invitaciones en días
+   *
+   * @returns {number} Días de validez
+   */
+  static get expiresInDays() {
+    return INVITATION_EXPIRES_DAYS;
+  }
+}
+
+module.exports = Invitation;
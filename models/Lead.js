@@ -4,17 +4,422 @@
  * Gestiona todos los leads capturados desde formularios web.
  * Este modelo reemplaza completamente el sistema de archivos JSON.
  *
- * Estados posibles: 'nuevo', 'contactado', 'calificado', 'cerrado'
+ * Cada lead pertenece a un pipeline y a una etapa (ver models/Pipeline.js).
+ * leads.estado guarda la clave de la etapa; en el pipeline por defecto:
+ * 'nuevo', 'contactado', 'calificado', 'cerrado'
  *
  * @author Boost Agency Development Team
  * @version 2.0.0
  */
 
-const { query } = require("../config/database");
+const { query, transaction } = require("../config/database");
+const LeadActivity = require("./LeadActivity");
+const Pipeline = require("./Pipeline");
+const AssignmentRule = require("./AssignmentRule");
+const ScoringRule = require("./ScoringRule");
+const LeadAttribution = require("./LeadAttribution");
+const Webhook = require("./Webhook");
+const { validateLeadFields } = require("../utils/leadValidation");
+
+// Datos de la etapa y el pipeline del lead (requiere STAGE_JOINS)
+const STAGE_FIELDS = `
+  s.name as stage_name,
+  s.kind as stage_kind,
+  s.probability as stage_probability,
+  p.name as pipeline_name
+`;
+
+const STAGE_JOINS = `
+  LEFT JOIN pipeline_stages s ON l.stage_id = s.id
+  LEFT JOIN pipelines p ON l.pipeline_id = p.id
+`;
+
+// Columnas por las que se puede ordenar el listado de leads
+const SORT_COLUMNS = {
+  fecha: "l.fecha",
+  score: "l.score",
+};
+
+// Modelos de atribución de las estadísticas: primer o último contacto
+const ATTRIBUTION_MODELS = ["first", "last"];
+
+// Desgloses de atribución → expresión SQL (alias a = lead_attribution)
+// Sin UTM, la fuente y el medio se deducen de gclid/fbclid y del referrer
+const ATTRIBUTION_BREAKDOWNS = {
+  por_fuente: `COALESCE(
+    a.utm_source,
+    CASE WHEN a.gclid IS NOT NULL THEN 'google'
+         WHEN a.fbclid IS NOT NULL THEN 'facebook' END,
+    substring(a.referrer from '^[a-zA-Z]+://(?:www\\.)?([^/:?#]+)'),
+    '(direct)'
+  )`,
+  por_medio: `COALESCE(
+    a.utm_medium,
+    CASE WHEN a.gclid IS NOT NULL OR a.fbclid IS NOT NULL THEN 'cpc'
+         WHEN a.referrer IS NOT NULL THEN 'referral' END,
+    '(none)'
+  )`,
+  por_campana: "COALESCE(a.utm_campaign, '(none)')",
+};
+
+// Tipos de actividad que cuentan como contacto con el lead (estadísticas avanzadas)
+const CONTACT_TYPES = ["llamada", "email", "reunion"];
+
+// Columnas exportables (GET /api/leads/export) → expresión SQL (alias l, u, s, p)
+const EXPORT_COLUMNS = {
+  id: "l.id",
+  nombre: "l.nombre",
+  email: "l.email",
+  telefono: "l.telefono",
+  empresa: "l.empresa",
+  servicio_interes: "l.servicio_interes",
+  presupuesto: "l.presupuesto",
+  mensaje: "l.mensaje",
+  origen: "l.origen",
+  estado: "l.estado",
+  pipeline: "p.name",
+  etapa: "s.name",
+  lost_reason: "l.lost_reason",
+  score: "l.score",
+  tags: "ARRAY_TO_STRING(l.tags, ', ')",
+  asignado_a: "u.full_name",
+  asignado_email: "u.email",
+  fecha: "l.fecha",
+  stage_changed_at: "l.stage_changed_at",
+  updated_at: "l.updated_at",
+};
+
+const DEFAULT_EXPORT_COLUMNS = [
+  "nombre",
+  "email",
+  "telefono",
+  "empresa",
+  "servicio_interes",
+  "presupuesto",
+  "origen",
+  "estado",
+  "score",
+  "asignado_a",
+  "fecha",
+];
+
+// Leads por lote al exportar
+const EXPORT_BATCH_SIZE = 500;
+
+// Modos de manejo de duplicados al importar
+const IMPORT_DUPLICATE_MODES = ["vincular", "omitir"];
+
+// Acciones de POST /api/leads/bulk y máximo de leads por operación
+const BULK_ACTIONS = ["estado", "assign", "tag", "delete"];
+const MAX_BULK_LEADS = 1000;
+
+// Formato de una etiqueta (se guardan en minúsculas)
+const TAG_REGEX = /^[\p{L}\p{N}][\p{L}\p{N} _-]{0,49}$/u;
+
+// Campos que se combinan al fusionar leads duplicados
+const MERGE_FIELDS = [
+  "nombre",
+  "email",
+  "telefono",
+  "empresa",
+  "servicio_interes",
+  "presupuesto",
+  "mensaje",
+  "assigned_to",
+];
+
+/**
+ * Helper: Expresión SQL con los motivos por los que dos leads coinciden
+ * (email, teléfono y empresa normalizados, o vínculo duplicate_of)
+ */
+function motivosSql(a, b) {
+  return `ARRAY_REMOVE(ARRAY[
+    CASE WHEN ${a}.email_normalizado = ${b}.email_normalizado THEN 'email' END,
+    CASE WHEN ${a}.telefono_normalizado = ${b}.telefono_normalizado THEN 'telefono' END,
+    CASE WHEN ${a}.empresa_normalizada = ${b}.empresa_normalizada THEN 'empresa' END,
+    CASE WHEN ${a}.duplicate_of = ${b}.id OR ${b}.duplicate_of = ${a}.id THEN 'vinculado' END
+  ], NULL)`;
+}
+
+/**
+ * Helper: Busca el lead original de un lead recién creado
+ * (mismo email o teléfono normalizado; la empresa sola no basta).
+ * Prefiere leads que no son a su vez duplicados y, entre ellos, el más antiguo
+ */
+async function findOriginal(client, leadId) {
+  const result = await client.query(
+    `SELECT o.id, o.nombre, ${motivosSql("o", "l")} AS motivos
+     FROM leads l
+     JOIN leads o ON o.id <> l.id
+       AND (
+         o.email_normalizado = l.email_normalizado
+         OR o.telefono_normalizado = l.telefono_normalizado
+       )
+     WHERE l.id = $1
+     ORDER BY (o.duplicate_of IS NULL) DESC, o.fecha ASC
+     LIMIT 1`,
+    [leadId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Helper: Indica si un campo está vacío (para completar al fusionar)
+ */
+function isEmptyValue(value) {
+  return value === null || value === undefined || String(value).trim() === "";
+}
+
+/**
+ * Helper: Normaliza una lista de etiquetas (minúsculas, sin repetidas)
+ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) {
+    throw new Error("Etiquetas inválidas: debe ser un array de textos");
+  }
+
+  const normalized = tags.map((tag) => String(tag).trim().toLowerCase());
+  const invalid = normalized.filter((tag) => !TAG_REGEX.test(tag));
+
+  if (invalid.length > 0) {
+    throw new Error(
+      `Etiquetas inválidas: ${invalid.join(
+        ", "
+      )} (letras, números, espacios, - y _; máx. 50)`
+    );
+  }
+
+  return [...new Set(normalized)];
+}
+
+/**
+ * Helper: Bloquea un lead (FOR UPDATE) y devuelve su etapa actual
+ * Debe ejecutarse dentro de una transacción
+ */
+async function lockLead(client, leadId) {
+  const result = await client.query(
+    `SELECT l.id, l.estado, l.pipeline_id, l.stage_id, s.name AS stage_name
+     FROM leads l
+     LEFT JOIN pipeline_stages s ON l.stage_id = s.id
+     WHERE l.id = $1
+     FOR UPDATE OF l`,
+    [leadId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error("Lead no encontrado");
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Helper: Busca la etapa con esa clave en el pipeline del lead
+ * (los leads sin pipeline usan el pipeline por defecto)
+ */
+async function resolveStageByKey(client, pipelineId, key) {
+  if (!pipelineId) {
+    const defaultPipeline = await Pipeline.getDefault(client);
+    pipelineId = defaultPipeline ? defaultPipeline.id : null;
+  }
+
+  const stage = pipelineId
+    ? await Pipeline.findStageByKey(pipelineId, key, client)
+    : null;
+
+  if (!stage) {
+    const stages = pipelineId
+      ? await Pipeline.getStages(pipelineId, client)
+      : [];
+    throw new Error(
+      `Estado inválido. Debe ser uno de: ${stages
+        .map((stage) => stage.key)
+        .join(", ")}`
+    );
+  }
+
+  return stage;
+}
+
+/**
+ * Helper: Condiciones WHERE de los filtros de listado de leads (alias l)
+ * Compartido por findAll y la exportación para que filtren igual
+ */
+function buildLeadFilters(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  const add = (condition, value) => {
+    params.push(value);
+    conditions.push(condition.replace("?", `$${params.length}`));
+  };
+
+  if (filters.estado) add("l.estado = ?", filters.estado);
+  if (filters.pipeline_id) add("l.pipeline_id = ?", filters.pipeline_id);
+  if (filters.stage_id) add("l.stage_id = ?", filters.stage_id);
+  if (filters.servicio) add("l.servicio_interes = ?", filters.servicio);
+  if (filters.fecha_desde) add("l.fecha >= ?", filters.fecha_desde);
+  if (filters.fecha_hasta) add("l.fecha <= ?", filters.fecha_hasta);
+  if (filters.assigned_to) add("l.assigned_to = ?", filters.assigned_to);
+  if (filters.score_min !== undefined) add("l.score >= ?", filters.score_min);
+  if (filters.score_max !== undefined) add("l.score <= ?", filters.score_max);
+  if (filters.tag) add("? = ANY(l.tags)", String(filters.tag).toLowerCase());
+
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(" AND ")}` : "",
+    params,
+  };
+}
+
+/**
+ * Helper: ORDER BY del listado de leads (por defecto, más recientes primero)
+ */
+function buildLeadOrder({ sort = "fecha", order = "desc" } = {}) {
+  const sortColumn = SORT_COLUMNS[sort] || SORT_COLUMNS.fecha;
+  const sortOrder = order === "asc" ? "ASC" : "DESC";
+  return `ORDER BY ${sortColumn} ${sortOrder}, l.fecha DESC, l.id`;
+}
+
+/**
+ * Helper: CTEs comunes de las estadísticas avanzadas
+ * - base: leads filtrados con el tipo de su etapa
+ * - first_contact: primer contacto de cada lead (llamada, email o reunión
+ *   registrada, o paso a una etapa que no sea perdida)
+ *
+ * @returns {Object} { cte, params } (los parámetros propios de cada consulta
+ *   van después de params)
+ */
+function buildAnalyticsBase(filters) {
+  const { where, params } = buildLeadFilters(filters);
+  params.push(CONTACT_TYPES);
+
+  const cte = `
+    WITH base AS (
+      SELECT l.id, l.fecha, l.assigned_to, l.pipeline_id, l.stage_id,
+             l.stage_changed_at, s.kind AS stage_kind
+      FROM leads l
+      LEFT JOIN pipeline_stages s ON l.stage_id = s.id
+      ${where}
+    ),
+    first_contact AS (
+      SELECT a.lead_id, MIN(a.fecha_actividad) AS contactado_at
+      FROM lead_activities a
+      JOIN base b ON b.id = a.lead_id
+      LEFT JOIN pipeline_stages ts
+        ON a.evento = 'estado_cambiado'
+       AND ts.id = (a.metadata->>'to_stage_id')::uuid
+      WHERE a.tipo = ANY($${params.length}::text[])
+         OR (a.evento = 'estado_cambiado' AND ts.kind IS DISTINCT FROM 'lost')
+      GROUP BY a.lead_id
+    )
+  `;
+
+  return { cte, params };
+}
+
+/**
+ * Helper: Horas entre el alta del lead y su primer contacto (SQL, alias b y fc)
+ */
+const FIRST_CONTACT_HOURS = `GREATEST(EXTRACT(EPOCH FROM fc.contactado_at - b.fecha) / 3600, 0)`;
+
+/**
+ * Helper: Porcentaje con un decimal (null si el total es 0)
+ */
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+/**
+ * Helper: Número con un decimal (null si no hay valor)
+ */
+function round1(value) {
+  return value === null || value === undefined
+    ? null
+    : Math.round(parseFloat(value) * 10) / 10;
+}
+
+/**
+ * Helper: Mueve un lead bloqueado a una etapa y registra el cambio en el historial
+ * Las etapas perdidas (kind 'lost') exigen motivo; al salir de ellas se borra
+ */
+async function applyStageChange(client, current, stage, userId, lostReason) {
+  const motivo = lostReason ? String(lostReason).trim() : "";
+
+  if (stage.kind === "lost" && !motivo) {
+    throw new Error(
+      "El motivo de pérdida (lost_reason) es requerido para una etapa perdida"
+    );
+  }
+
+  const result = await client.query(
+    `UPDATE leads
+     SET pipeline_id = $1,
+         stage_id = $2,
+         estado = $3,
+         lost_reason = $4,
+         stage_changed_at = CASE
+           WHEN stage_id IS DISTINCT FROM $2 THEN CURRENT_TIMESTAMP
+           ELSE stage_changed_at
+         END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $5
+     RETURNING *`,
+    [
+      stage.pipeline_id,
+      stage.id,
+      stage.key,
+      stage.kind === "lost" ? motivo : null,
+      current.id,
+    ]
+  );
+
+  const changed = current.stage_id !== stage.id;
+  const change = {
+    from: current.estado,
+    to: stage.key,
+    from_stage_id: current.stage_id,
+    to_stage_id: stage.id,
+    pipeline_id: stage.pipeline_id,
+    ...(stage.kind === "lost" ? { lost_reason: motivo } : {}),
+  };
+
+  if (changed) {
+    await LeadActivity.recordEvent(
+      current.id,
+      "estado_cambiado",
+      `Estado cambiado de ${current.stage_name || current.estado} a ${
+        stage.name
+      }`,
+      change,
+      userId,
+      client
+    );
+  }
+
+  const lead = {
+    ...result.rows[0],
+    ...(await ScoringRule.recalculateLead(current.id, client)),
+  };
+
+  if (changed) {
+    await Webhook.emit(
+      "lead.estado_changed",
+      { ...change, stage_kind: stage.kind, lead },
+      client
+    );
+  }
+
+  return lead;
+}
 
 class Lead {
   /**
    * Crea un nuevo lead en la base de datos
+   * Entra en la primera etapa abierta del pipeline por defecto.
+   * Si el email o el teléfono coinciden con un lead existente, se vincula
+   * a él (duplicate_of) y se registra en el historial de ambos.
+   * Si ninguna regla de asignación coincide, queda sin asignar
    *
    * DÓNDE SE USA: Cuando alguien llena el formulario de contacto en el sitio web
    *
@@ -27,9 +432,13 @@ class Lead {
    * @param {string} [leadData.presupuesto] - Presupuesto estimado (opcional)
    * @param {string} [leadData.mensaje] - Mensaje adicional (opcional)
    * @param {string} [leadData.origen='formulario-web'] - De dónde viene el lead
+   * @param {Object} [leadData.atribucion] - Primer y último contacto
+   *   ({ first, last } de utils/attribution.js)
+   * @param {string} [createdBy] - UUID del usuario que lo crea (null si es público)
+   * @param {Object} [client] - Cliente de una transacción en curso (opcional)
    * @returns {Promise<Object>} Lead creado con su ID
    */
-  static async create(leadData) {
+  static async create(leadData, createdBy = null, client = null) {
     const {
       nombre,
       email,
@@ -39,30 +448,134 @@ class Lead {
       presupuesto = "",
       mensaje = "",
       origen = "formulario-web",
+      atribucion = null,
     } = leadData;
 
     const sql = `
       INSERT INTO leads (
         nombre, email, telefono, empresa, 
         servicio_interes, presupuesto, mensaje, 
-        origen, estado, fecha
+        origen, pipeline_id, stage_id, estado,
+        stage_changed_at, fecha
+      )
+      VALUES (
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11,
+        CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'nuevo', CURRENT_TIMESTAMP)
       RETURNING *
     `;
 
-    const result = await query(sql, [
-      nombre,
-      email,
-      telefono,
-      empresa,
-      servicio_interes,
-      presupuesto,
-      mensaje,
-      origen,
-    ]);
+    const insertLead = async (client) => {
+      const pipeline = await Pipeline.getDefault(client);
+      const stage =
+        pipeline && pipeline.stages.find((stage) => stage.kind === "open");
 
-    return result.rows[0];
+      if (!stage) {
+        throw new Error("No hay un pipeline por defecto con etapas abiertas");
+      }
+
+      const result = await client.query(sql, [
+        nombre,
+        email,
+        telefono,
+        empresa,
+        servicio_interes,
+        presupuesto,
+        mensaje,
+        origen,
+        pipeline.id,
+        stage.id,
+        stage.key,
+      ]);
+      const lead = result.rows[0];
+
+      await LeadActivity.recordEvent(
+        lead.id,
+        "creado",
+        "Lead creado",
+        { origen },
+        createdBy,
+        client
+      );
+
+      const original = await findOriginal(client, lead.id);
+
+      if (original) {
+        await client.query("UPDATE leads SET duplicate_of = $1 WHERE id = $2", [
+          original.id,
+          lead.id,
+        ]);
+        lead.duplicate_of = original.id;
+
+        await LeadActivity.recordEvent(
+          lead.id,
+          "duplicado_detectado",
+          `Posible duplicado de ${original.nombre}`,
+          { duplicate_of: original.id, motivos: original.motivos },
+          createdBy,
+          client
+        );
+
+        await LeadActivity.recordEvent(
+          original.id,
+          "duplicado_recibido",
+          `Nuevo envío de ${lead.nombre} detectado como duplicado`,
+          { lead_id: lead.id, origen, motivos: original.motivos },
+          createdBy,
+          client
+        );
+      }
+
+      // Campaña de la que viene (un duplicado es un nuevo contacto del original)
+      if (atribucion) {
+        await LeadAttribution.record(lead.id, atribucion, client);
+
+        if (original) {
+          await LeadAttribution.record(original.id, atribucion, client);
+        }
+      }
+
+      // Asignación automática según las reglas configuradas
+      const { rule, user } = await AssignmentRule.evaluate(lead, { client });
+
+      if (user) {
+        await client.query("UPDATE leads SET assigned_to = $1 WHERE id = $2", [
+          user.id,
+          lead.id,
+        ]);
+        lead.assigned_to = user.id;
+
+        await LeadActivity.recordEvent(
+          lead.id,
+          "asignado",
+          `Lead asignado automáticamente a ${user.full_name} (regla "${rule.name}")`,
+          {
+            from: null,
+            from_name: null,
+            to: user.id,
+            to_name: user.full_name,
+            rule_id: rule.id,
+            rule_name: rule.name,
+            strategy: rule.strategy,
+          },
+          createdBy,
+          client
+        );
+      }
+
+      // Puntuación según las reglas de scoring (el original suma el duplicado)
+      Object.assign(lead, await ScoringRule.recalculateLead(lead.id, client));
+
+      if (original) {
+        await ScoringRule.recalculateLead(original.id, client);
+      }
+
+      await Webhook.emit("lead.created", lead, client);
+
+      return lead;
+    };
+
+    return client ? await insertLead(client) : await transaction(insertLead);
   }
 
   /**
@@ -76,9 +589,11 @@ class Lead {
       SELECT 
         l.*,
         u.full_name as assigned_to_name,
-        u.email as assigned_to_email
+        u.email as assigned_to_email,
+        ${STAGE_FIELDS}
       FROM leads l
       LEFT JOIN users u ON l.assigned_to = u.id
+      ${STAGE_JOINS}
       WHERE l.id = $1
     `;
 
@@ -92,110 +607,47 @@ class Lead {
    * DÓNDE SE USA: En el dashboard del CRM para listar todos los leads
    *
    * @param {Object} filters - Filtros de búsqueda
-   * @param {string} [filters.estado] - Filtrar por estado
+   * @param {string} [filters.estado] - Filtrar por estado (clave de la etapa)
+   * @param {string} [filters.pipeline_id] - Filtrar por pipeline
+   * @param {string} [filters.stage_id] - Filtrar por etapa
    * @param {string} [filters.servicio] - Filtrar por servicio de interés
    * @param {string} [filters.fecha_desde] - Filtrar desde fecha (ISO string)
    * @param {string} [filters.fecha_hasta] - Filtrar hasta fecha (ISO string)
    * @param {string} [filters.assigned_to] - Filtrar por usuario asignado
+   * @param {string} [filters.tag] - Filtrar por etiqueta
+   * @param {number} [filters.score_min] - Score mínimo
+   * @param {number} [filters.score_max] - Score máximo
+   * @param {string} [filters.sort='fecha'] - Ordenar por 'fecha' o 'score'
+   * @param {string} [filters.order='desc'] - Dirección: 'asc' o 'desc'
    * @param {number} [filters.page=1] - Página actual
    * @param {number} [filters.limit=20] - Leads por página
    * @returns {Promise<Object>} { leads: [], pagination: {} }
    */
   static async findAll(filters = {}) {
-    const {
-      estado,
-      servicio,
-      fecha_desde,
-      fecha_hasta,
-      assigned_to,
-      page = 1,
-      limit = 20,
-    } = filters;
-
+    const { page = 1, limit = 20 } = filters;
     const offset = (page - 1) * limit;
+    const { where, params } = buildLeadFilters(filters);
 
-    let sql = `
+    const sql = `
       SELECT 
         l.*,
-        u.full_name as assigned_to_name
+        u.full_name as assigned_to_name,
+        ${STAGE_FIELDS}
       FROM leads l
       LEFT JOIN users u ON l.assigned_to = u.id
-      WHERE 1=1
+      ${STAGE_JOINS}
+      ${where}
+      ${buildLeadOrder(filters)}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
     `;
 
-    const params = [];
-    let paramIndex = 1;
-
-    // Aplicar filtros dinámicamente
-    if (estado) {
-      sql += ` AND l.estado = $${paramIndex}`;
-      params.push(estado);
-      paramIndex++;
-    }
-
-    if (servicio) {
-      sql += ` AND l.servicio_interes = $${paramIndex}`;
-      params.push(servicio);
-      paramIndex++;
-    }
-
-    if (fecha_desde) {
-      sql += ` AND l.fecha >= $${paramIndex}`;
-      params.push(fecha_desde);
-      paramIndex++;
-    }
-
-    if (fecha_hasta) {
-      sql += ` AND l.fecha <= $${paramIndex}`;
-      params.push(fecha_hasta);
-      paramIndex++;
-    }
-
-    if (assigned_to) {
-      sql += ` AND l.assigned_to = $${paramIndex}`;
-      params.push(assigned_to);
-      paramIndex++;
-    }
-
-    // Ordenar por fecha (más recientes primero)
-    sql += ` ORDER BY l.fecha DESC LIMIT $${paramIndex} OFFSET $${
-      paramIndex + 1
-    }`;
-    params.push(limit, offset);
-
-    const result = await query(sql, params);
+    const result = await query(sql, [...params, limit, offset]);
 
     // Contar total para paginación
-    let countSql = `SELECT COUNT(*) FROM leads WHERE 1=1`;
-    const countParams = [];
-    let countIndex = 1;
-
-    if (estado) {
-      countSql += ` AND estado = $${countIndex}`;
-      countParams.push(estado);
-      countIndex++;
-    }
-    if (servicio) {
-      countSql += ` AND servicio_interes = $${countIndex}`;
-      countParams.push(servicio);
-      countIndex++;
-    }
-    if (fecha_desde) {
-      countSql += ` AND fecha >= $${countIndex}`;
-      countParams.push(fecha_desde);
-      countIndex++;
-    }
-    if (fecha_hasta) {
-      countSql += ` AND fecha <= $${countIndex}`;
-      countParams.push(fecha_hasta);
-      countIndex++;
-    }
-    if (assigned_to) {
-      countSql += ` AND assigned_to = $${countIndex}`;
-      countParams.push(assigned_to);
-    }
-
-    const countResult = await query(countSql, countParams);
+    const countResult = await query(
+      `SELECT COUNT(*) FROM leads l ${where}`,
+      params
+    );
     const total = parseInt(countResult.rows[0].count);
 
     return {
@@ -210,47 +662,148 @@ class Lead {
   }
 
   /**
-   * Actualiza el estado de un lead
+   * Recorre los leads que cumplen los filtros por lotes con un cursor,
+   * sin cargarlos todos en memoria
+   *
+   * DÓNDE SE USA: En GET /api/leads/export (CSV / Excel)
+   *
+   * @param {Object} filters - Mismos filtros y orden que findAll (sin paginación)
+   * @param {Array<string>} columns - Columnas de EXPORT_COLUMNS a incluir
+   * @param {Function} onBatch - async (rows) => {} por cada lote
+   * @returns {Promise<number>} Cantidad de leads exportados
+   */
+  static async exportAll(filters, columns, onBatch) {
+    const { where, params } = buildLeadFilters(filters);
+    const fields = columns
+      .map((column) => `${EXPORT_COLUMNS[column]} AS ${column}`)
+      .join(", ");
+
+    return await transaction(async (client) => {
+      await client.query(
+        `DECLARE leads_export NO SCROLL CURSOR FOR
+         SELECT ${fields}
+         FROM leads l
+         LEFT JOIN users u ON l.assigned_to = u.id
+         ${STAGE_JOINS}
+         ${where}
+         ${buildLeadOrder(filters)}`,
+        params
+      );
+
+      let total = 0;
+      for (;;) {
+        const batch = await client.query(
+          `FETCH ${EXPORT_BATCH_SIZE} FROM leads_export`
+        );
+        if (batch.rows.length === 0) break;
+
+        await onBatch(batch.rows);
+        total += batch.rows.length;
+      }
+
+      await client.query("CLOSE leads_export");
+      return total;
+    });
+  }
+
+  /**
+   * Columnas exportables y columnas exportadas por defecto
+   *
+   * @returns {Object} { disponibles, por_defecto }
+   */
+  static get exportColumns() {
+    return {
+      disponibles: Object.keys(EXPORT_COLUMNS),
+      por_defecto: DEFAULT_EXPORT_COLUMNS,
+    };
+  }
+
+  /**
+   * Actualiza el estado de un lead (mueve el lead a la etapa con esa clave
+   * dentro de su pipeline). El cambio queda registrado en el historial
    *
    * DÓNDE SE USA: Cuando un vendedor cambia el estado del lead en el CRM
    *
    * @param {string} leadId - UUID del lead
-   * @param {string} nuevoEstado - Nuevo estado ('nuevo', 'contactado', 'calificado', 'cerrado')
+   * @param {string} nuevoEstado - Clave de la etapa ('nuevo', 'contactado', 'calificado', 'cerrado'...)
+   * @param {string} [userId] - UUID del usuario que hace el cambio
+   * @param {Object} [options] - Opciones
+   * @param {string} [options.lost_reason] - Motivo de pérdida (requerido en etapas perdidas)
+   * @param {Object} [client] - Cliente de una transacción en curso (opcional)
    * @returns {Promise<Object>} Lead actualizado
    */
-  static async updateEstado(leadId, nuevoEstado) {
-    const estadosValidos = ["nuevo", "contactado", "calificado", "cerrado"];
+  static async updateEstado(
+    leadId,
+    nuevoEstado,
+    userId = null,
+    options = {},
+    client = null
+  ) {
+    const changeEstado = async (client) => {
+      const current = await lockLead(client, leadId);
+      const stage = await resolveStageByKey(
+        client,
+        current.pipeline_id,
+        nuevoEstado
+      );
 
-    if (!estadosValidos.includes(nuevoEstado)) {
-      throw new Error(
-        `Estado inválido. Debe ser uno de: ${estadosValidos.join(", ")}`
+      return await applyStageChange(
+        client,
+        current,
+        stage,
+        userId,
+        options.lost_reason
       );
-    }
+    };
 
-    const sql = `
-      UPDATE leads 
-      SET estado = $1, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2
-      RETURNING *
-    `;
+    return client
+      ? await changeEstado(client)
+      : await transaction(changeEstado);
+  }
 
-    const result = await query(sql, [nuevoEstado, leadId]);
+  /**
+   * Mueve un lead a una etapa (puede ser de otro pipeline)
+   * El cambio queda registrado en el historial
+   *
+   * DÓNDE SE USA: En PUT /api/leads/:id/etapa (arrastrar en el Kanban)
+   *
+   * @param {string} leadId - UUID del lead
+   * @param {string} stageId - UUID de la etapa destino
+   * @param {string} [userId] - UUID del usuario que hace el cambio
+   * @param {Object} [options] - Opciones
+   * @param {string} [options.lost_reason] - Motivo de pérdida (requerido en etapas perdidas)
+   * @returns {Promise<Object>} Lead actualizado
+   */
+  static async moveToStage(leadId, stageId, userId = null, options = {}) {
+    return await transaction(async (client) => {
+      const current = await lockLead(client, leadId);
+      const stage = await Pipeline.findStage(stageId, client);
 
-    if (result.rows.length === 0) {
-      throw new Error("Lead no encontrado");
-    }
+      if (!stage) {
+        throw new Error("Etapa no encontrada");
+      }
 
-    return result.rows[0];
+      return await applyStageChange(
+        client,
+        current,
+        stage,
+        userId,
+        options.lost_reason
+      );
+    });
   }
 
   /**
    * Actualiza completamente un lead
+   * Si cambia el estado, el cambio queda registrado en el historial.
+   * El score se recalcula con los nuevos datos
    *
    * @param {string} leadId - UUID del lead
-   * @param {Object} updates - Campos a actualizar
+   * @param {Object} updates - Campos a actualizar (estado + lost_reason para cambiar de etapa)
+   * @param {string} [userId] - UUID del usuario que hace el cambio
    * @returns {Promise<Object>} Lead actualizado
    */
-  static async update(leadId, updates) {
+  static async update(leadId, updates, userId = null) {
     const allowedFields = [
       "nombre",
       "email",
@@ -259,8 +812,8 @@ class Lead {
       "servicio_interes",
       "presupuesto",
       "mensaje",
-      "estado",
     ];
+    const { estado, lost_reason } = updates;
 
     const updateFields = [];
     const values = [];
@@ -275,7 +828,7 @@ class Lead {
       }
     }
 
-    if (updateFields.length === 0) {
+    if (updateFields.length === 0 && estado === undefined) {
       throw new Error("No hay campos válidos para actualizar");
     }
 
@@ -289,53 +842,629 @@ class Lead {
       RETURNING *
     `;
 
-    const result = await query(sql, values);
+    return await transaction(async (client) => {
+      const current = await lockLead(client, leadId);
+      let lead = (await client.query(sql, values)).rows[0];
 
-    if (result.rows.length === 0) {
-      throw new Error("Lead no encontrado");
-    }
+      // El estado se cambia moviendo el lead de etapa
+      if (estado !== undefined) {
+        const stage = await resolveStageByKey(
+          client,
+          current.pipeline_id,
+          estado
+        );
+        lead = await applyStageChange(
+          client,
+          current,
+          stage,
+          userId,
+          lost_reason
+        );
+      } else {
+        Object.assign(lead, await ScoringRule.recalculateLead(leadId, client));
+      }
 
-    return result.rows[0];
+      return lead;
+    });
   }
 
   /**
    * Asigna un lead a un usuario (vendedor)
+   * La asignación queda registrada en el historial del lead
    *
    * @param {string} leadId - UUID del lead
-   * @param {string} userId - UUID del usuario a asignar
+   * @param {string} userId - UUID del usuario a asignar (null para desasignar)
+   * @param {string} [assignedBy] - UUID del usuario que hace la asignación
+   * @param {Object} [client] - Cliente de una transacción en curso (opcional)
    * @returns {Promise<Object>} Lead actualizado
    */
-  static async assignTo(leadId, userId) {
+  static async assignTo(leadId, userId, assignedBy = null, client = null) {
+    const assign = async (client) => {
+      const previous = await client.query(
+        `SELECT l.assigned_to, u.full_name AS assigned_to_name
+         FROM leads l
+         LEFT JOIN users u ON l.assigned_to = u.id
+         WHERE l.id = $1
+         FOR UPDATE OF l`,
+        [leadId]
+      );
+
+      if (previous.rows.length === 0) {
+        throw new Error("Lead no encontrado");
+      }
+
+      let assignee = null;
+      if (userId) {
+        const userResult = await client.query(
+          "SELECT id, full_name FROM users WHERE id = $1",
+          [userId]
+        );
+        assignee = userResult.rows[0];
+
+        if (!assignee) {
+          throw new Error("Usuario no encontrado");
+        }
+      }
+
+      const result = await client.query(
+        `UPDATE leads 
+         SET assigned_to = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING *`,
+        [userId || null, leadId]
+      );
+
+      const { assigned_to: fromId, assigned_to_name: fromName } =
+        previous.rows[0];
+
+      if ((fromId || null) !== (userId || null)) {
+        await LeadActivity.recordEvent(
+          leadId,
+          "asignado",
+          assignee
+            ? `Lead asignado a ${assignee.full_name}`
+            : "Lead sin asignar",
+          {
+            from: fromId,
+            from_name: fromName,
+            to: assignee ? assignee.id : null,
+            to_name: assignee ? assignee.full_name : null,
+          },
+          assignedBy,
+          client
+        );
+      }
+
+      return result.rows[0];
+    };
+
+    return client ? await assign(client) : await transaction(assign);
+  }
+
+  /**
+   * Añade o quita etiquetas de un lead
+   * El cambio queda registrado en el historial (evento 'etiquetado')
+   *
+   * DÓNDE SE USA: En POST /api/leads/bulk (acción 'tag')
+   *
+   * @param {string} leadId - UUID del lead
+   * @param {Object} cambios - Etiquetas a cambiar
+   * @param {Array<string>} [cambios.add] - Etiquetas a añadir
+   * @param {Array<string>} [cambios.remove] - Etiquetas a quitar
+   * @param {string} [userId] - UUID del usuario que hace el cambio
+   * @param {Object} [client] - Cliente de una transacción en curso (opcional)
+   * @returns {Promise<Object>} Lead actualizado
+   */
+  static async updateTags(leadId, cambios, userId = null, client = null) {
+    const add = normalizeTags(cambios.add || []);
+    const remove = normalizeTags(cambios.remove || []);
+
+    if (add.length === 0 && remove.length === 0) {
+      throw new Error(
+        "Las etiquetas a añadir o quitar (add/remove) son requeridas"
+      );
+    }
+
+    const tagLead = async (client) => {
+      const current = await client.query(
+        "SELECT tags FROM leads WHERE id = $1 FOR UPDATE",
+        [leadId]
+      );
+
+      if (current.rows.length === 0) {
+        throw new Error("Lead no encontrado");
+      }
+
+      const previous = current.rows[0].tags;
+      const tags = [
+        ...previous.filter((tag) => !remove.includes(tag)),
+        ...add.filter((tag) => !previous.includes(tag)),
+      ];
+
+      const result = await client.query(
+        `UPDATE leads
+         SET tags = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING *`,
+        [tags, leadId]
+      );
+
+      const added = tags.filter((tag) => !previous.includes(tag));
+      const removed = previous.filter((tag) => !tags.includes(tag));
+
+      if (added.length > 0 || removed.length > 0) {
+        await LeadActivity.recordEvent(
+          leadId,
+          "etiquetado",
+          [
+            added.length ? `Etiquetas añadidas: ${added.join(", ")}` : null,
+            removed.length ? `Etiquetas quitadas: ${removed.join(", ")}` : null,
+          ]
+            .filter(Boolean)
+            .join(". "),
+          { added, removed, tags },
+          userId,
+          client
+        );
+      }
+
+      return result.rows[0];
+    };
+
+    return client ? await tagLead(client) : await transaction(tagLead);
+  }
+
+  /**
+   * Aplica una acción a muchos leads en una sola transacción
+   *
+   * Los leads se indican por IDs o por los mismos filtros de findAll
+   * (máx. MAX_BULK_LEADS). Cada lead se procesa en su savepoint y el
+   * resultado se informa por lead; si alguno falla no se aplica ningún
+   * cambio, salvo con omitirErrores.
+   *
+   * Acciones y datos:
+   * - 'estado': { estado, lost_reason } (como updateEstado)
+   * - 'assign': { user_id } (null para desasignar, como assignTo)
+   * - 'tag': { add: [], remove: [] } (como updateTags)
+   * - 'delete': sin datos
+   *
+   * DÓNDE SE USA: En POST /api/leads/bulk
+   *
+   * @param {Object} seleccion - { ids: [] } o { filters: {} }
+   * @param {string} accion - Acción (ver BULK_ACTIONS)
+   * @param {Object} [datos] - Datos de la acción
+   * @param {Object} [options] - Opciones
+   * @param {string} [options.userId] - UUID del usuario que hace el cambio
+   * @param {boolean} [options.omitirErrores=false] - Aplicar aunque algunos leads fallen
+   * @returns {Promise<Object>} { aplicado, resumen, resultados: [{ id, success, error }] }
+   */
+  static async bulk(seleccion, accion, datos = {}, options = {}) {
+    const { userId = null, omitirErrores = false } = options;
+
+    if (!BULK_ACTIONS.includes(accion)) {
+      throw new Error(
+        `Acción inválida. Debe ser una de: ${BULK_ACTIONS.join(", ")}`
+      );
+    }
+
+    return await transaction(async (client) => {
+      let leadIds = seleccion.ids;
+
+      if (!leadIds) {
+        const { where, params } = buildLeadFilters(seleccion.filters);
+        const result = await client.query(
+          `SELECT l.id FROM leads l ${where} ${buildLeadOrder(
+            seleccion.filters
+          )} LIMIT ${MAX_BULK_LEADS + 1}`,
+          params
+        );
+        leadIds = result.rows.map((row) => row.id);
+      }
+
+      if (leadIds.length > MAX_BULK_LEADS) {
+        throw new Error(
+          `Selección inválida: el máximo es ${MAX_BULK_LEADS} leads por operación`
+        );
+      }
+
+      await client.query("SAVEPOINT bulk");
+      const resultados = [];
+
+      for (const id of leadIds) {
+        await client.query("SAVEPOINT item");
+
+        try {
+          if (accion === "estado") {
+            await Lead.updateEstado(
+              id,
+              datos.estado,
+              userId,
+              { lost_reason: datos.lost_reason },
+              client
+            );
+          } else if (accion === "assign") {
+            await Lead.assignTo(id, datos.user_id || null, userId, client);
+          } else if (accion === "tag") {
+            await Lead.updateTags(id, datos, userId, client);
+          } else {
+            await Lead.delete(id, client);
+          }
+
+          await client.query("RELEASE SAVEPOINT item");
+          resultados.push({ id, success: true });
+        } catch (error) {
+          await client.query("ROLLBACK TO SAVEPOINT item");
+          resultados.push({ id, success: false, error: error.message });
+        }
+      }
+
+      const fallidos = resultados.filter((r) => !r.success).length;
+      const aplicado = fallidos === 0 || omitirErrores;
+
+      if (!aplicado) {
+        await client.query("ROLLBACK TO SAVEPOINT bulk");
+      }
+
+      return {
+        aplicado,
+        resumen: {
+          total: resultados.length,
+          exitosos: resultados.length - fallidos,
+          fallidos,
+        },
+        resultados,
+      };
+    });
+  }
+
+  /**
+   * Busca los posibles duplicados de un lead
+   * - coincidencia 'alta': mismo email o teléfono (o vinculado al crearse)
+   * - coincidencia 'baja': solo la misma empresa
+   *
+   * DÓNDE SE USA: En GET /api/leads/:id/duplicados
+   *
+   * @param {string} leadId - UUID del lead
+   * @returns {Promise<Array>} Leads candidatos con sus motivos
+   */
+  static async findDuplicates(leadId) {
     const sql = `
-      UPDATE leads 
-      SET assigned_to = $1, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2
-      RETURNING *
+      SELECT 
+        o.id, o.nombre, o.email, o.telefono, o.empresa,
+        o.servicio_interes, o.estado, o.origen, o.fecha,
+        o.assigned_to, o.duplicate_of,
+        ${motivosSql("o", "l")} AS motivos
+      FROM leads l
+      JOIN leads o ON o.id <> l.id
+        AND (
+          o.email_normalizado = l.email_normalizado
+          OR o.telefono_normalizado = l.telefono_normalizado
+          OR o.empresa_normalizada = l.empresa_normalizada
+          OR o.duplicate_of = l.id
+          OR l.duplicate_of = o.id
+        )
+      WHERE l.id = $1
+      ORDER BY o.fecha ASC
     `;
 
-    const result = await query(sql, [userId, leadId]);
+    const result = await query(sql, [leadId]);
+
+    return result.rows
+      .map((row) => ({
+        ...row,
+        coincidencia:
+          row.motivos.length === 1 && row.motivos[0] === "empresa"
+            ? "baja"
+            : "alta",
+      }))
+      .sort((a, b) =>
+        a.coincidencia === b.coincidencia
+          ? 0
+          : a.coincidencia === "alta"
+          ? -1
+          : 1
+      );
+  }
 
-    if (result.rows.length === 0) {
-      throw new Error("Lead no encontrado");
+  /**
+   * Importa varios leads en una sola transacción (importación CSV)
+   *
+   * Cada fila se valida con las reglas del formulario y se crea con
+   * Lead.create (pipeline, duplicados, asignación y scoring incluidos).
+   * Duplicados (mismo email o teléfono que un lead existente o que una
+   * fila anterior del archivo):
+   * - 'vincular': se crean vinculados al original (como en el formulario)
+   * - 'omitir': no se crean
+   *
+   * Si alguna fila tiene errores no se importa nada, salvo con
+   * omitirErrores. En dryRun todo se deshace al final: el resultado
+   * indica qué pasaría con cada fila sin guardar nada.
+   *
+   * DÓNDE SE USA: En POST /api/leads/import
+   *
+   * @param {Array<Object>} rows - Filas ya mapeadas a campos del lead
+   * @param {Object} options - Opciones
+   * @param {string} [options.duplicados='vincular'] - 'vincular' u 'omitir'
+   * @param {boolean} [options.dryRun=false] - Simular sin guardar
+   * @param {boolean} [options.omitirErrores=false] - Importar las filas válidas aunque otras fallen
+   * @param {string} [options.createdBy] - UUID del usuario que importa
+   * @returns {Promise<Object>} { importado, resumen, filas: [{ fila, estado, lead_id, duplicate_of, errores }] }
+   */
+  static async importMany(rows, options = {}) {
+    const {
+      duplicados = "vincular",
+      dryRun = false,
+      omitirErrores = false,
+      createdBy = null,
+    } = options;
+
+    if (!IMPORT_DUPLICATE_MODES.includes(duplicados)) {
+      throw new Error(
+        `Modo de duplicados inválido. Debe ser uno de: ${IMPORT_DUPLICATE_MODES.join(
+          ", "
+        )}`
+      );
     }
 
-    return result.rows[0];
+    return await transaction(async (client) => {
+      await client.query("SAVEPOINT importacion");
+      const filas = [];
+      const filaPorLead = new Map(); // leads creados en esta importación → fila
+
+      for (const [index, row] of rows.entries()) {
+        const fila = { fila: index + 1, estado: null };
+        const { campos_faltantes, errores } = validateLeadFields(row);
+
+        if (campos_faltantes.length > 0 || errores.length > 0) {
+          filas.push({
+            ...fila,
+            estado: "error",
+            errores: [
+              ...campos_faltantes.map((campo) => `${campo} es requerido`),
+              ...errores,
+            ],
+          });
+          continue;
+        }
+
+        // Cada fila en su savepoint: un error o un duplicado omitido solo deshace esa fila
+        await client.query("SAVEPOINT fila");
+
+        try {
+          const lead = await Lead.create(row, createdBy, client);
+
+          // Duplicado de otra fila del mismo archivo
+          if (filaPorLead.has(lead.duplicate_of)) {
+            fila.duplicate_of_fila = filaPorLead.get(lead.duplicate_of);
+          }
+
+          if (lead.duplicate_of && duplicados === "omitir") {
+            await client.query("ROLLBACK TO SAVEPOINT fila");
+            filas.push({
+              ...fila,
+              estado: "omitido",
+              duplicate_of: lead.duplicate_of,
+            });
+          } else {
+            await client.query("RELEASE SAVEPOINT fila");
+            filaPorLead.set(lead.id, fila.fila);
+            filas.push({
+              ...fila,
+              estado: lead.duplicate_of ? "duplicado" : "nuevo",
+              lead_id: dryRun ? null : lead.id,
+              duplicate_of: lead.duplicate_of || null,
+            });
+          }
+        } catch (error) {
+          await client.query("ROLLBACK TO SAVEPOINT fila");
+          filas.push({ ...fila, estado: "error", errores: [error.message] });
+        }
+      }
+
+      const resumen = {
+        total: filas.length,
+        nuevos: filas.filter((f) => f.estado === "nuevo").length,
+        duplicados: filas.filter((f) => f.estado === "duplicado").length,
+        omitidos: filas.filter((f) => f.estado === "omitido").length,
+        errores: filas.filter((f) => f.estado === "error").length,
+      };
+      const importado = !dryRun && (resumen.errores === 0 || omitirErrores);
+
+      if (!importado) {
+        await client.query("ROLLBACK TO SAVEPOINT importacion");
+      }
+
+      // Sin importar, los IDs creados en el archivo no existen
+      return {
+        importado,
+        resumen,
+        filas: importado
+          ? filas
+          : filas.map((f) => ({
+              ...f,
+              ...(f.lead_id !== undefined ? { lead_id: null } : {}),
+              ...(f.duplicate_of_fila ? { duplicate_of: null } : {}),
+            })),
+      };
+    });
+  }
+
+  /**
+   * Fusiona leads duplicados en un lead superviviente
+   * - Los campos vacíos del superviviente se completan con los duplicados
+   *   (el más reciente primero), salvo que `campos` indique de qué lead tomar cada uno
+   * - El historial de actividades de los duplicados pasa al superviviente
+   * - El superviviente se queda con las etiquetas de todos
+   * - Los duplicados se eliminan; sus datos quedan en el evento 'fusionado'
+   *
+   * Cualquier tabla nueva con lead_id debe repuntarse aquí antes del DELETE
+   *
+   * DÓNDE SE USA: En POST /api/leads/merge
+   *
+   * @param {string} survivorId - UUID del lead que se conserva
+   * @param {Array<string>} mergeIds - UUIDs de los leads que se fusionan en él
+   * @param {string} [userId] - UUID del usuario que fusiona
+   * @param {Object} [campos] - { campo: leadId } para elegir el valor de un campo
+   * @returns {Promise<Object>} Lead superviviente actualizado
+   */
+  static async merge(survivorId, mergeIds, userId = null, campos = {}) {
+    if (
+      !Array.isArray(mergeIds) ||
+      mergeIds.length === 0 ||
+      new Set(mergeIds).size !== mergeIds.length ||
+      mergeIds.includes(survivorId)
+    ) {
+      throw new Error(
+        "Lista de duplicados inválida: debe tener al menos un lead distinto del superviviente"
+      );
+    }
+
+    const allIds = [survivorId, ...mergeIds];
+
+    for (const [field, sourceId] of Object.entries(campos)) {
+      if (!MERGE_FIELDS.includes(field) || !allIds.includes(sourceId)) {
+        throw new Error(`Campo de fusión inválido: ${field}`);
+      }
+    }
+
+    await transaction(async (client) => {
+      const result = await client.query(
+        `SELECT * FROM leads
+         WHERE id = ANY($1::uuid[])
+         ORDER BY fecha DESC
+         FOR UPDATE`,
+        [allIds]
+      );
+
+      const missing = allIds.filter(
+        (id) => !result.rows.some((row) => row.id === id)
+      );
+      if (missing.length > 0) {
+        throw new Error(`Leads no encontrados: ${missing.join(", ")}`);
+      }
+
+      const survivor = result.rows.find((row) => row.id === survivorId);
+      const merged = result.rows.filter((row) => row.id !== survivorId);
+
+      // Elegir el valor final de cada campo
+      const changes = {};
+      for (const field of MERGE_FIELDS) {
+        let value;
+
+        if (campos[field]) {
+          value = result.rows.find((row) => row.id === campos[field])[field];
+        } else if (isEmptyValue(survivor[field])) {
+          const source = merged.find((row) => !isEmptyValue(row[field]));
+          value = source ? source[field] : undefined;
+        }
+
+        if (value !== undefined && value !== survivor[field]) {
+          changes[field] = value;
+        }
+      }
+
+      const updateFields = [];
+      const values = [];
+      let paramIndex = 1;
+
+      for (const [field, value] of Object.entries(changes)) {
+        updateFields.push(`${field} = $${paramIndex}`);
+        values.push(value);
+        paramIndex++;
+      }
+
+      // El superviviente se queda con las etiquetas de todos
+      const tags = [...new Set(result.rows.flatMap((row) => row.tags))];
+      if (tags.length !== survivor.tags.length) {
+        updateFields.push(`tags = $${paramIndex}`);
+        values.push(tags);
+        paramIndex++;
+      }
+
+      // Si el superviviente estaba vinculado a uno de los fusionados, deja de estarlo
+      if (mergeIds.includes(survivor.duplicate_of)) {
+        updateFields.push(`duplicate_of = NULL`);
+      }
+
+      updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
+      values.push(survivorId);
+
+      await client.query(
+        `UPDATE leads SET ${updateFields.join(", ")} WHERE id = $${paramIndex}`,
+        values
+      );
+
+      // Historial, tareas, tickets, atribución y vínculos de los duplicados pasan al superviviente
+      await client.query(
+        "UPDATE lead_activities SET lead_id = $1 WHERE lead_id = ANY($2::uuid[])",
+        [survivorId, mergeIds]
+      );
+      await client.query(
+        "UPDATE tasks SET lead_id = $1 WHERE lead_id = ANY($2::uuid[])",
+        [survivorId, mergeIds]
+      );
+      await client.query(
+        "UPDATE tickets SET lead_id = $1 WHERE lead_id = ANY($2::uuid[])",
+        [survivorId, mergeIds]
+      );
+      await LeadAttribution.mergeInto(survivorId, mergeIds, client);
+      await client.query(
+        `UPDATE leads SET duplicate_of = $1
+         WHERE duplicate_of = ANY($2::uuid[]) AND id <> $1`,
+        [survivorId, mergeIds]
+      );
+
+      await client.query("DELETE FROM leads WHERE id = ANY($1::uuid[])", [
+        mergeIds,
+      ]);
+
+      await LeadActivity.recordEvent(
+        survivorId,
+        "fusionado",
+        `Fusionado con ${merged.length} lead(s) duplicado(s)`,
+        {
+          merged_ids: mergeIds,
+          campos_actualizados: Object.keys(changes),
+          leads: merged.map((row) => ({
+            id: row.id,
+            nombre: row.nombre,
+            email: row.email,
+            telefono: row.telefono,
+            empresa: row.empresa,
+            servicio_interes: row.servicio_interes,
+            presupuesto: row.presupuesto,
+            mensaje: row.mensaje,
+            origen: row.origen,
+            estado: row.estado,
+            fecha: row.fecha,
+          })),
+        },
+        userId,
+        client
+      );
+
+      await ScoringRule.recalculateLead(survivorId, client);
+    });
+
+    return await Lead.findById(survivorId);
   }
 
   /**
    * Elimina un lead permanentemente
    *
    * @param {string} leadId - UUID del lead
+   * @param {Object} [client] - Cliente de una transacción en curso (opcional)
    * @returns {Promise<Object>} Lead eliminado
    */
-  static async delete(leadId) {
+  static async delete(leadId, client = null) {
+    const run = client ? client.query.bind(client) : query;
     const sql = `
       DELETE FROM leads 
       WHERE id = $1
       RETURNING *
     `;
 
-    const result = await query(sql, [leadId]);
+    const result = await run(sql, [leadId]);
 
     if (result.rows.length === 0) {
       throw new Error("Lead no encontrado");
@@ -349,21 +1478,58 @@ class Lead {
    *
    * DÓNDE SE USA: En el dashboard principal para mostrar métricas
    *
+   * @param {Object} [options] - Opciones
+   * @param {string} [options.atribucion='first'] - Contacto usado en los
+   *   desgloses de atribución: 'first' o 'last'
    * @returns {Promise<Object>} Estadísticas detalladas
    */
-  static async getEstadisticas() {
-    // Estadísticas por estado
-    const estadosSql = `
+  static async getEstadisticas(options = {}) {
+    const { atribucion = "first" } = options;
+
+    if (!ATTRIBUTION_MODELS.includes(atribucion)) {
+      throw new Error(
+        `Modelo de atribución inválido. Válidos: ${ATTRIBUTION_MODELS.join(
+          ", "
+        )}`
+      );
+    }
+
+    // Totales por tipo de etapa (en curso, ganados, perdidos)
+    const totalesSql = `
       SELECT 
         COUNT(*) as total,
-        COUNT(*) FILTER (WHERE estado = 'nuevo') as nuevos,
-        COUNT(*) FILTER (WHERE estado = 'contactado') as contactados,
-        COUNT(*) FILTER (WHERE estado = 'calificado') as calificados,
-        COUNT(*) FILTER (WHERE estado = 'cerrado') as cerrados
+        COUNT(*) FILTER (WHERE s.kind = 'open') as abiertos,
+        COUNT(*) FILTER (WHERE s.kind = 'won') as ganados,
+        COUNT(*) FILTER (WHERE s.kind = 'lost') as perdidos
+      FROM leads l
+      LEFT JOIN pipeline_stages s ON l.stage_id = s.id
+    `;
+    const totalesResult = await query(totalesSql);
+
+    // Estadísticas por estado (clave de la etapa)
+    const estadosSql = `
+      SELECT estado, COUNT(*) as cantidad
       FROM leads
+      GROUP BY estado
+      ORDER BY cantidad DESC
     `;
     const estadosResult = await query(estadosSql);
 
+    // Estadísticas por pipeline y etapa (incluye etapas vacías)
+    const etapasSql = `
+      SELECT 
+        p.id as pipeline_id,
+        p.name as pipeline_name,
+        s.id, s.key, s.name, s.kind, s.probability,
+        COUNT(l.id) as cantidad
+      FROM pipelines p
+      JOIN pipeline_stages s ON s.pipeline_id = p.id
+      LEFT JOIN leads l ON l.stage_id = s.id
+      GROUP BY p.id, s.id
+      ORDER BY p.is_default DESC, p.name ASC, s.position ASC
+    `;
+    const etapasResult = await query(etapasSql);
+
     // Estadísticas por servicio
     const serviciosSql = `
       SELECT servicio_interes, COUNT(*) as cantidad
@@ -385,6 +1551,54 @@ class Lead {
     `;
     const mesesResult = await query(mesesSql);
 
+    // Atribución por fuente, medio y campaña (leads sin datos: '(sin datos)')
+    const porAtribucion = { modelo: atribucion };
+    for (const [key, expression] of Object.entries(ATTRIBUTION_BREAKDOWNS)) {
+      const result = await query(
+        `SELECT
+           CASE WHEN a.lead_id IS NULL THEN '(sin datos)' ELSE ${expression} END AS valor,
+           COUNT(*) AS cantidad,
+           COUNT(*) FILTER (WHERE s.kind = 'won') AS ganados
+         FROM leads l
+         LEFT JOIN pipeline_stages s ON l.stage_id = s.id
+         LEFT JOIN lead_attribution a ON a.lead_id = l.id AND a.touch = $1
+         GROUP BY valor
+         ORDER BY cantidad DESC, valor ASC`,
+        [atribucion]
+      );
+
+      porAtribucion[key] = result.rows.map((row) => ({
+        valor: row.valor,
+        cantidad: parseInt(row.cantidad),
+        ganados: parseInt(row.ganados),
+      }));
+    }
+
+    // Convertir por_estado a objeto
+    const porEstado = {};
+    estadosResult.rows.forEach((row) => {
+      porEstado[row.estado] = parseInt(row.cantidad);
+    });
+
+    // Agrupar etapas por pipeline
+    const porPipeline = [];
+    etapasResult.rows.forEach((row) => {
+      let pipeline = porPipeline.find((p) => p.id === row.pipeline_id);
+      if (!pipeline) {
+        pipeline = { id: row.pipeline_id, name: row.pipeline_name, etapas: [] };
+        porPipeline.push(pipeline);
+      }
+
+      pipeline.etapas.push({
+        id: row.id,
+        key: row.key,
+        name: row.name,
+        kind: row.kind,
+        probability: row.probability,
+        cantidad: parseInt(row.cantidad),
+      });
+    });
+
     // Convertir por_servicio a objeto
     const porServicio = {};
     serviciosResult.rows.forEach((row) => {
@@ -398,9 +1612,356 @@ class Lead {
     });
 
     return {
-      ...estadosResult.rows[0],
+      ...totalesResult.rows[0],
+      por_estado: porEstado,
+      por_pipeline: porPipeline,
       por_servicio: porServicio,
       por_mes: porMes,
+      atribucion: porAtribucion,
+    };
+  }
+
+  /**
+   * Estadísticas avanzadas de ventas: embudo, tiempo en cada etapa, tiempo
+   * hasta el primer contacto, rendimiento por vendedor y cohortes por mes
+   *
+   * Primer contacto: la primera llamada, email o reunión registrada, o el
+   * primer paso a una etapa que no sea perdida.
+   *
+   * DÓNDE SE USA: En GET /api/leads/estadisticas/avanzadas
+   *
+   * @param {Object} filters - Filtros (fecha de alta, servicio, pipeline, vendedor)
+   * @param {string} [filters.fecha_desde] - Alta desde (default: hace 12 meses)
+   * @param {string} [filters.fecha_hasta] - Alta hasta
+   * @param {string} [filters.servicio] - Servicio de interés
+   * @param {string} [filters.pipeline_id] - Pipeline (el embudo usa el
+   *   pipeline por defecto si no se indica)
+   * @param {string} [filters.assigned_to] - Vendedor
+   * @returns {Promise<Object>} { filtros, resumen, embudo, tiempo_en_etapa,
+   *   primer_contacto, vendedores, cohortes }
+   */
+  static async getEstadisticasAvanzadas(filters = {}) {
+    const pipeline = filters.pipeline_id
+      ? await Pipeline.findById(filters.pipeline_id)
+      : await Pipeline.getDefault();
+
+    if (!pipeline) {
+      throw new Error("Pipeline no encontrado");
+    }
+
+    const filtros = {
+      fecha_desde:
+        filters.fecha_desde ||
+        new Date(new Date().setMonth(new Date().getMonth() - 12))
+          .toISOString()
+          .slice(0, 10),
+      fecha_hasta: filters.fecha_hasta,
+      servicio: filters.servicio,
+      pipeline_id: filters.pipeline_id,
+      assigned_to: filters.assigned_to,
+    };
+    const { cte, params } = buildAnalyticsBase(filtros);
+    const pipelineParam = `$${params.length + 1}`;
+
+    // Resumen de los leads filtrados
+    const resumenResult = await query(
+      `${cte}
+       SELECT
+         COUNT(*) AS total,
+         COUNT(fc.lead_id) AS contactados,
+         COUNT(*) FILTER (WHERE b.stage_kind = 'won') AS ganados,
+         COUNT(*) FILTER (WHERE b.stage_kind = 'lost') AS perdidos,
+         COUNT(*) FILTER (WHERE b.assigned_to IS NULL) AS sin_asignar
+       FROM base b
+       LEFT JOIN first_contact fc ON fc.lead_id = b.id`,
+      params
+    );
+    const resumen = {};
+    for (const [key, value] of Object.entries(resumenResult.rows[0])) {
+      resumen[key] = parseInt(value);
+    }
+    resumen.tasa_contacto = percent(resumen.contactados, resumen.total);
+    resumen.tasa_conversion = percent(resumen.ganados, resumen.total);
+
+    // Embudo: leads que alcanzaron cada etapa (o una posterior).
+    // Todos empiezan en la primera etapa; las perdidas no cuentan como avance
+    const embudoResult = await query(
+      `${cte},
+       stages AS (
+         SELECT id, key, name, kind, position,
+                MIN(position) FILTER (WHERE kind <> 'lost') OVER () AS first_position
+         FROM pipeline_stages
+         WHERE pipeline_id = ${pipelineParam}
+       ),
+       touched AS (
+         SELECT b.id AS lead_id, b.stage_id FROM base b
+         UNION
+         SELECT a.lead_id, (a.metadata->>'to_stage_id')::uuid
+         FROM lead_activities a JOIN base b ON b.id = a.lead_id
+         WHERE a.evento = 'estado_cambiado'
+         UNION
+         SELECT a.lead_id, (a.metadata->>'from_stage_id')::uuid
+         FROM lead_activities a JOIN base b ON b.id = a.lead_id
+         WHERE a.evento = 'estado_cambiado'
+       ),
+       pipeline_leads AS (
+         SELECT b.id, b.stage_id,
+                MAX(st.position) AS max_position
+         FROM base b
+         LEFT JOIN touched t ON t.lead_id = b.id
+         LEFT JOIN stages st ON st.id = t.stage_id AND st.kind <> 'lost'
+         WHERE b.pipeline_id = ${pipelineParam}
+         GROUP BY b.id, b.stage_id
+       )
+       SELECT st.id, st.key, st.name, st.kind, st.position,
+         COUNT(pl.id) FILTER (
+           WHERE pl.max_position >= st.position OR st.position = st.first_position
+         ) AS alcanzaron,
+         COUNT(pl.id) FILTER (WHERE pl.stage_id = st.id) AS actuales
+       FROM stages st
+       LEFT JOIN pipeline_leads pl ON true
+       GROUP BY st.id, st.key, st.name, st.kind, st.position, st.first_position
+       ORDER BY st.position ASC`,
+      [...params, pipeline.id]
+    );
+
+    const etapasEmbudo = embudoResult.rows.filter((row) => row.kind !== "lost");
+    const inicio = etapasEmbudo.length
+      ? parseInt(etapasEmbudo[0].alcanzaron)
+      : 0;
+    const embudo = {
+      pipeline: { id: pipeline.id, name: pipeline.name },
+      etapas: etapasEmbudo.map((row, index) => {
+        const alcanzaron = parseInt(row.alcanzaron);
+        const anterior =
+          index > 0 ? parseInt(etapasEmbudo[index - 1].alcanzaron) : null;
+
+        return {
+          id: row.id,
+          key: row.key,
+          name: row.name,
+          kind: row.kind,
+          alcanzaron,
+          actuales: parseInt(row.actuales),
+          conversion_desde_anterior:
+            anterior === null ? null : percent(alcanzaron, anterior),
+          conversion_desde_inicio: percent(alcanzaron, inicio),
+        };
+      }),
+      perdidos: embudoResult.rows
+        .filter((row) => row.kind === "lost")
+        .reduce((total, row) => total + parseInt(row.actuales), 0),
+    };
+
+    // Tiempo en cada etapa: estancias terminadas (de la entrada al siguiente cambio)
+    const tiempoResult = await query(
+      `${cte},
+       changes AS (
+         SELECT a.lead_id, a.fecha_actividad AS changed_at,
+                (a.metadata->>'from_stage_id')::uuid AS from_stage_id,
+                LAG(a.fecha_actividad) OVER (
+                  PARTITION BY a.lead_id
+                  ORDER BY a.fecha_actividad, a.created_at
+                ) AS previous_at
+         FROM lead_activities a JOIN base b ON b.id = a.lead_id
+         WHERE a.evento = 'estado_cambiado'
+       ),
+       stays AS (
+         SELECT c.from_stage_id AS stage_id,
+                GREATEST(EXTRACT(EPOCH FROM c.changed_at - COALESCE(c.previous_at, b.fecha)) / 3600, 0) AS horas
+         FROM changes c JOIN base b ON b.id = c.lead_id
+       )
+       SELECT st.id, st.key, st.name,
+         COUNT(s.horas) AS estancias,
+         percentile_cont(0.5) WITHIN GROUP (ORDER BY s.horas) AS mediana_horas,
+         AVG(s.horas) AS promedio_horas
+       FROM pipeline_stages st
+       LEFT JOIN stays s ON s.stage_id = st.id
+       WHERE st.pipeline_id = ${pipelineParam} AND st.kind = 'open'
+       GROUP BY st.id, st.key, st.name, st.position
+       ORDER BY st.position ASC`,
+      [...params, pipeline.id]
+    );
+    const tiempoEnEtapa = tiempoResult.rows.map((row) => ({
+      id: row.id,
+      key: row.key,
+      name: row.name,
+      estancias: parseInt(row.estancias),
+      mediana_horas: round1(row.mediana_horas),
+      promedio_horas: round1(row.promedio_horas),
+    }));
+
+    // Tiempo hasta el primer contacto
+    const contactoResult = await query(
+      `${cte}
+       SELECT
+         COUNT(fc.lead_id) AS contactados,
+         COUNT(*) - COUNT(fc.lead_id) AS sin_contactar,
+         AVG(${FIRST_CONTACT_HOURS}) AS promedio_horas,
+         percentile_cont(0.5) WITHIN GROUP (ORDER BY ${FIRST_CONTACT_HOURS}) AS mediana_horas
+       FROM base b
+       LEFT JOIN first_contact fc ON fc.lead_id = b.id`,
+      params
+    );
+    const contacto = contactoResult.rows[0];
+
+    // Rendimiento por vendedor (leads asignados)
+    const vendedoresResult = await query(
+      `${cte}
+       SELECT u.id, u.full_name, u.email,
+         COUNT(b.id) AS asignados,
+         COUNT(fc.lead_id) AS contactados,
+         COUNT(*) FILTER (WHERE b.stage_kind = 'won') AS ganados,
+         COUNT(*) FILTER (WHERE b.stage_kind = 'lost') AS perdidos,
+         AVG(${FIRST_CONTACT_HOURS}) AS horas_primer_contacto
+       FROM base b
+       JOIN users u ON u.id = b.assigned_to
+       LEFT JOIN first_contact fc ON fc.lead_id = b.id
+       GROUP BY u.id, u.full_name, u.email
+       ORDER BY ganados DESC, asignados DESC, u.full_name ASC`,
+      params
+    );
+    const vendedores = vendedoresResult.rows.map((row) => {
+      const asignados = parseInt(row.asignados);
+      const ganados = parseInt(row.ganados);
+
+      return {
+        id: row.id,
+        full_name: row.full_name,
+        email: row.email,
+        asignados,
+        contactados: parseInt(row.contactados),
+        ganados,
+        perdidos: parseInt(row.perdidos),
+        tasa_cierre: percent(ganados, asignados),
+        horas_primer_contacto: round1(row.horas_primer_contacto),
+      };
+    });
+
+    // Cohortes por mes de alta
+    const cohortesResult = await query(
+      `${cte}
+       SELECT TO_CHAR(b.fecha, 'YYYY-MM') AS mes,
+         COUNT(*) AS leads,
+         COUNT(fc.lead_id) AS contactados,
+         COUNT(*) FILTER (WHERE b.stage_kind = 'won') AS ganados,
+         COUNT(*) FILTER (WHERE b.stage_kind = 'lost') AS perdidos,
+         COUNT(*) FILTER (WHERE b.stage_kind = 'open') AS abiertos,
+         AVG(EXTRACT(EPOCH FROM b.stage_changed_at - b.fecha) / 86400)
+           FILTER (WHERE b.stage_kind = 'won') AS dias_hasta_ganado
+       FROM base b
+       LEFT JOIN first_contact fc ON fc.lead_id = b.id
+       GROUP BY mes
+       ORDER BY mes DESC`,
+      params
+    );
+    const cohortes = cohortesResult.rows.map((row) => {
+      const leads = parseInt(row.leads);
+      const contactados = parseInt(row.contactados);
+      const ganados = parseInt(row.ganados);
+
+      return {
+        mes: row.mes,
+        leads,
+        contactados,
+        ganados,
+        perdidos: parseInt(row.perdidos),
+        abiertos: parseInt(row.abiertos),
+        tasa_contacto: percent(contactados, leads),
+        tasa_conversion: percent(ganados, leads),
+        dias_hasta_ganado: round1(row.dias_hasta_ganado),
+      };
+    });
+
+    return {
+      filtros,
+      resumen,
+      embudo,
+      tiempo_en_etapa: tiempoEnEtapa,
+      primer_contacto: {
+        contactados: parseInt(contacto.contactados),
+        sin_contactar: parseInt(contacto.sin_contactar),
+        promedio_horas: round1(contacto.promedio_horas),
+        mediana_horas: round1(contacto.mediana_horas),
+      },
+      vendedores,
+      cohortes,
+    };
+  }
+
+  /**
+   * Obtiene los leads de un pipeline agrupados por etapa (vista Kanban)
+   *
+   * DÓNDE SE USA: En GET /api/leads/kanban
+   *
+   * @param {Object} options - Opciones
+   * @param {string} [options.pipeline_id] - Pipeline (default: el pipeline por defecto)
+   * @param {string} [options.assigned_to] - Solo leads de este usuario
+   * @param {number} [options.limit=50] - Máximo de leads por etapa
+   * @returns {Promise<Object>} { pipeline: {}, etapas: [{ ...etapa, total, leads: [] }] }
+   */
+  static async getKanban(options = {}) {
+    const { pipeline_id, assigned_to, limit = 50 } = options;
+
+    const pipeline = pipeline_id
+      ? await Pipeline.findById(pipeline_id)
+      : await Pipeline.getDefault();
+
+    if (!pipeline) {
+      throw new Error("Pipeline no encontrado");
+    }
+
+    let where = `WHERE l.pipeline_id = $1`;
+    const params = [pipeline.id];
+
+    if (assigned_to) {
+      where += ` AND l.assigned_to = $2`;
+      params.push(assigned_to);
+    }
+
+    // Los más recientes en la etapa primero, como mucho `limit` por etapa
+    const leadsSql = `
+      SELECT * FROM (
+        SELECT 
+          l.id, l.nombre, l.email, l.telefono, l.empresa,
+          l.servicio_interes, l.presupuesto, l.estado, l.stage_id,
+          l.lost_reason, l.stage_changed_at, l.fecha,
+          l.assigned_to, u.full_name as assigned_to_name,
+          ROW_NUMBER() OVER (
+            PARTITION BY l.stage_id
+            ORDER BY l.stage_changed_at DESC NULLS LAST, l.fecha DESC
+          ) as rn
+        FROM leads l
+        LEFT JOIN users u ON l.assigned_to = u.id
+        ${where}
+      ) ranked
+      WHERE rn <= $${params.length + 1}
+    `;
+    const leadsResult = await query(leadsSql, [...params, limit]);
+
+    const countSql = `
+      SELECT l.stage_id, COUNT(*) as total
+      FROM leads l
+      ${where}
+      GROUP BY l.stage_id
+    `;
+    const countResult = await query(countSql, params);
+
+    const { stages, ...pipelineData } = pipeline;
+
+    return {
+      pipeline: pipelineData,
+      etapas: stages.map((stage) => {
+        const count = countResult.rows.find((row) => row.stage_id === stage.id);
+
+        return {
+          ...stage,
+          total: count ? parseInt(count.total) : 0,
+          leads: leadsResult.rows
+            .filter((lead) => lead.stage_id === stage.id)
+            .map(({ rn, ...lead }) => lead),
+        };
+      }),
     };
   }
 
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Modelo de Actividades de leads para Boost Agency CRM
+ *
+ * Historial (timeline) de cada lead:
+ * - Actividades del equipo: notas, llamadas, emails y reuniones
+ * - Eventos del sistema: creación, cambios de estado, asignaciones...
+ *
+ * Los eventos del sistema los registra el modelo Lead automáticamente.
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const { query } = require("../config/database");
+const ScoringRule = require("./ScoringRule");
+
+// Tipos que puede registrar el equipo desde el CRM
+const TIPOS_MANUALES = ["nota", "llamada", "email", "reunion"];
+
+// Tipo de los eventos generados automáticamente
+const TIPO_SISTEMA = "sistema";
+
+// Columnas devueltas (con nombre del autor)
+const SELECT_FIELDS = `
+  a.id, a.lead_id, a.tipo, a.evento, a.descripcion, a.metadata,
+  a.author_id, u.full_name AS author_name,
+  a.fecha_actividad, a.created_at
+`;
+
+class LeadActivity {
+  /**
+   * Registra una actividad del equipo (nota, llamada, email, reunión)
+   *
+   * DÓNDE SE USA: En POST /api/leads/:id/actividades
+   *
+   * @param {Object} activityData - Datos de la actividad
+   * @param {string} activityData.lead_id - UUID del lead
+   * @param {string} activityData.tipo - 'nota', 'llamada', 'email', 'reunion'
+   * @param {string} activityData.descripcion - Detalle de la actividad
+   * @param {Object} [activityData.metadata] - Datos extra (duración, asunto...)
+   * @param {string} [activityData.fecha_actividad] - Cuándo ocurrió (default: ahora)
+   * @param {string} [activityData.author_id] - UUID del autor
+   * @returns {Promise<Object>} Actividad creada
+   */
+  static async create(activityData) {
+    const {
+      lead_id,
+      tipo,
+      descripcion,
+      metadata = {},
+      fecha_actividad = null,
+      author_id = null,
+    } = activityData;
+
+    if (!TIPOS_MANUALES.includes(tipo)) {
+      throw new Error(
+        `Tipo de actividad inválido. Debe ser uno de: ${TIPOS_MANUALES.join(
+          ", "
+        )}`
+      );
+    }
+
+    const sql = `
+      INSERT INTO lead_activities (lead_id, tipo, descripcion, metadata, author_id, fecha_actividad)
+      VALUES ($1, $2, $3, $4, $5, COALESCE($6, CURRENT_TIMESTAMP))
+      RETURNING id
+    `;
+
+    const result = await query(sql, [
+      lead_id,
+      tipo,
+      descripcion,
+      JSON.stringify(metadata),
+      author_id,
+      fecha_actividad,
+    ]);
+
+    // Las reglas de scoring por actividad (reuniones, llamadas...) suman puntos
+    await ScoringRule.recalculateLead(lead_id);
+
+    return await LeadActivity.findById(result.rows[0].id);
+  }
+
+  /**
+   * Registra un evento del sistema en el historial de un lead
+   *
+   * DÓNDE SE USA: Desde el modelo Lead (creación, cambio de estado, asignación...)
+   *
+   * @param {string} leadId - UUID del lead
+   * @param {string} evento - Código del evento ('estado_cambiado', 'asignado'...)
+   * @param {string} descripcion - Texto legible del evento
+   * @param {Object} [metadata] - Detalle (valores anterior y nuevo, etc.)
+   * @param {string} [authorId] - UUID del usuario que provocó el evento
+   * @param {Object} [client] - Cliente de transacción (opcional)
+   * @returns {Promise<Object>} Evento registrado
+   */
+  static async recordEvent(
+    leadId,
+    evento,
+    descripcion,
+    metadata = {},
+    authorId = null,
+    client = null
+  ) {
+    const run = client ? client.query.bind(client) : query;
+
+    const sql = `
+      INSERT INTO lead_activities (lead_id, tipo, evento, descripcion, metadata, author_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const result = await run(sql, [
+      leadId,
+      TIPO_SISTEMA,
+      evento,
+      descripcion,
+      JSON.stringify(metadata),
+      authorId,
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Busca una actividad por ID
+   *
+   * @param {string} id - UUID de la actividad
+   * @returns {Promise<Object|null>} Actividad o null
+   */
+  static async findById(id) {
+    const sql = `
+      SELECT ${SELECT_FIELDS}
+      FROM lead_activities a
+      LEFT JOIN users u ON a.author_id = u.id
+      WHERE a.id = $1
+    `;
+
+    const result = await query(sql, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Obtiene el historial de un lead con filtros y paginación
+   *
+   * @param {string} leadId - UUID del lead
+   * @param {Object} options - Opciones de búsqueda
+   * @param {string} [options.tipo] - Filtrar por tipo
+   * @param {number} [options.page=1] - Página actual
+   * @param {number} [options.limit=50] - Actividades por página
+   * @returns {Promise<Object>} { actividades: [], pagination: {} }
+   */
+  static async findByLead(leadId, options = {}) {
+    const { tipo, page = 1, limit = 50 } = options;
+    const offset = (page - 1) * limit;
+
+    let where = `WHERE a.lead_id = $1`;
+    const params = [leadId];
+
+    if (tipo) {
+      where += ` AND a.tipo = $2`;
+      params.push(tipo);
+    }
+
+    const sql = `
+      SELECT ${SELECT_FIELDS}
+      FROM lead_activities a
+      LEFT JOIN users u ON a.author_id = u.id
+      ${where}
+      ORDER BY a.fecha_actividad DESC, a.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+    const result = await query(sql, [...params, limit, offset]);
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM lead_activities a ${where}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      actividades: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Obtiene el historial completo de un lead (más recientes primero)
+   *
+   * DÓNDE SE USA: En GET /api/leads/:id
+   *
+   * @param {string} leadId - UUID del lead
+   * @returns {Promise<Array>} Actividades
+   */
+  static async findAllByLead(leadId) {
+    const sql = `
+      SELECT ${SELECT_FIELDS}
+      FROM lead_activities a
+      LEFT JOIN users u ON a.author_id = u.id
+      WHERE a.lead_id = $1
+      ORDER BY a.fecha_actividad DESC, a.created_at DESC
+    `;
+
+    const result = await query(sql, [leadId]);
+    return result.rows;
+  }
+
+  /**
+   * Devuelve los tipos que puede registrar el equipo
+   *
+   * @returns {Array<string>} Tipos manuales
+   */
+  static get tiposManuales() {
+    return TIPOS_MANUALES;
+  }
+}
+
+module.exports = LeadActivity;
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Modelo de Atribución de leads para Boost Agency CRM
+ *
+ * Guarda el primer y el último contacto (touch) de cada lead: parámetros
+ * UTM, referrer, página de entrada y gclid/fbclid (ver utils/attribution.js).
+ *
+ * - El primer contacto solo se reemplaza por uno más antiguo
+ * - El último contacto solo se reemplaza por uno más reciente
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const { query } = require("../config/database");
+const { TOUCH_FIELDS } = require("../utils/attribution");
+
+const COLUMNS = [...Object.keys(TOUCH_FIELDS), "touched_at"];
+
+// Condición para reemplazar el contacto guardado
+const REPLACE_IF = {
+  first: "EXCLUDED.touched_at < lead_attribution.touched_at",
+  last: "EXCLUDED.touched_at >= lead_attribution.touched_at",
+};
+
+const UPSERT_SET = COLUMNS.map((column) => `${column} = EXCLUDED.${column}`);
+
+class LeadAttribution {
+  /**
+   * Guarda los contactos de un lead
+   *
+   * DÓNDE SE USA: En Lead.create (el lead nuevo y, si es un duplicado,
+   * el lead original)
+   *
+   * @param {string} leadId - UUID del lead
+   * @param {Object} attribution - { first, last } de parseAttribution()
+   * @param {Object} [client] - Cliente de una transacción en curso (opcional)
+   * @returns {Promise<void>}
+   */
+  static async record(leadId, attribution, client = null) {
+    const run = client ? client.query.bind(client) : query;
+
+    for (const touch of ["first", "last"]) {
+      const data = attribution[touch];
+      if (!data) continue;
+
+      await run(
+        `INSERT INTO lead_attribution (lead_id, touch, ${COLUMNS.join(", ")})
+         VALUES ($1, $2, ${COLUMNS.map((_, i) => `$${i + 3}`).join(", ")})
+         ON CONFLICT (lead_id, touch) DO UPDATE
+         SET ${UPSERT_SET.join(", ")}
+         WHERE ${REPLACE_IF[touch]}`,
+        [leadId, touch, ...COLUMNS.map((column) => data[column])]
+      );
+    }
+  }
+
+  /**
+   * Contactos de un lead
+   *
+   * DÓNDE SE USA: En GET /api/leads/:id
+   *
+   * @param {string} leadId - UUID del lead
+   * @returns {Promise<Object>} { first_touch, last_touch } (null si no hay)
+   */
+  static async findByLead(leadId) {
+    const result = await query(
+      `SELECT touch, ${COLUMNS.join(", ")}
+       FROM lead_attribution
+       WHERE lead_id = $1`,
+      [leadId]
+    );
+
+    const byTouch = {};
+    result.rows.forEach(({ touch, ...data }) => {
+      byTouch[touch] = data;
+    });
+
+    return {
+      first_touch: byTouch.first || null,
+      last_touch: byTouch.last || null,
+    };
+  }
+
+  /**
+   * Combina los contactos de varios leads en el superviviente de una fusión
+   * (el primer contacto más antiguo y el último más reciente)
+   *
+   * DÓNDE SE USA: En Lead.merge (antes de eliminar los duplicados)
+   *
+   * @param {string} survivorId - UUID del lead superviviente
+   * @param {Array<string>} mergeIds - UUIDs de los duplicados
+   * @param {Object} client - Cliente de la transacción de la fusión
+   * @returns {Promise<void>}
+   */
+  static async mergeInto(survivorId, mergeIds, client) {
+    await client.query(
+      `INSERT INTO lead_attribution (lead_id, touch, ${COLUMNS.join(", ")})
+       SELECT DISTINCT ON (touch) $1::uuid, touch, ${COLUMNS.join(", ")}
+       FROM lead_attribution
+       WHERE lead_id = ANY($2::uuid[])
+       ORDER BY touch,
+         CASE WHEN touch = 'first' THEN touched_at END ASC,
+         touched_at DESC
+       ON CONFLICT (lead_id, touch) DO UPDATE
+       SET ${UPSERT_SET.join(", ")}
+       WHERE (lead_attribution.touch = 'first' AND ${REPLACE_IF.first})
+          OR (lead_attribution.touch = 'last' AND ${REPLACE_IF.last})`,
+      [survivorId, mergeIds]
+    );
+  }
+}
+
+module.exports = LeadAttribution;
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Modelo de Exportaciones de leads para Boost Agency CRM
+ *
+ * Registra cada exportación de leads (CSV / Excel): quién, cuándo,
+ * formato, filtros, columnas y filas exportadas. Se usa para auditar
+ * la salida de datos de clientes.
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const { query } = require("../config/database");
+
+class LeadExport {
+  /**
+   * Registra una exportación (exitosa o fallida)
+   *
+   * DÓNDE SE USA: En GET /api/leads/export al terminar el archivo
+   *
+   * @param {Object} exportData - Datos de la exportación
+   * @param {string} exportData.user_id - UUID del usuario que exporta
+   * @param {string} exportData.format - 'csv' o 'xlsx'
+   * @param {Object} exportData.filters - Filtros aplicados
+   * @param {Array<string>} exportData.columns - Columnas exportadas
+   * @param {number} exportData.row_count - Filas exportadas
+   * @param {boolean} exportData.success - Si terminó correctamente
+   * @param {string} [exportData.error] - Error si falló
+   * @param {string} [exportData.ip_address] - IP del cliente
+   * @param {string} [exportData.user_agent] - User agent del cliente
+   * @returns {Promise<Object>} Exportación registrada
+   */
+  static async record(exportData) {
+    const {
+      user_id,
+      format,
+      filters = {},
+      columns,
+      row_count = 0,
+      success,
+      error = null,
+      ip_address = null,
+      user_agent = null,
+    } = exportData;
+
+    const sql = `
+      INSERT INTO lead_exports (
+        user_id, format, filters, columns, row_count,
+        success, error, ip_address, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `;
+
+    const result = await query(sql, [
+      user_id,
+      format,
+      JSON.stringify(filters),
+      columns,
+      row_count,
+      success,
+      error,
+      ip_address,
+      user_agent,
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Lista el registro de exportaciones (más recientes primero)
+   *
+   * DÓNDE SE USA: En GET /api/leads/exports
+   *
+   * @param {Object} options - Opciones de búsqueda
+   * @param {string} [options.user_id] - Filtrar por usuario
+   * @param {number} [options.page=1] - Página actual
+   * @param {number} [options.limit=20] - Exportaciones por página
+   * @returns {Promise<Object>} { exports: [], pagination: {} }
+   */
+  static async findAll(options = {}) {
+    const { user_id, page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    let where = "";
+    const params = [];
+
+    if (user_id) {
+      where = "WHERE e.user_id = $1";
+      params.push(user_id);
+    }
+
+    const sql = `
+      SELECT e.*, u.full_name AS user_name, u.email AS user_email
+      FROM lead_exports e
+      LEFT JOIN users u ON e.user_id = u.id
+      ${where}
+      ORDER BY e.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+    const result = await query(sql, [...params, limit, offset]);
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM lead_exports e ${where}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      exports: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+module.exports = LeadExport;
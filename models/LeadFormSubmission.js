@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Modelo de Envíos del formulario público de leads
+ *
+ * Registra cada envío del formulario (aceptado o rechazado, con el motivo)
+ * con IP y email. Se usa para limitar los envíos por IP y por email
+ * (services/leadSpamGuard.js).
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const { query } = require("../config/database");
+
+// Rechazos de los propios límites: no cuentan para ellos, o una IP o un
+// email bloqueados renovarían su bloqueo con cada reintento
+const RATE_LIMIT_MOTIVOS = ["limite_ip", "limite_email"];
+
+class LeadFormSubmission {
+  /**
+   * Registra un envío del formulario
+   *
+   * @param {Object} submissionData - Datos del envío
+   * @param {string} [submissionData.ip_address] - IP del cliente
+   * @param {string} [submissionData.email] - Email del formulario
+   * @param {boolean} submissionData.accepted - Si pasó el antispam
+   * @param {string} [submissionData.motivo] - Motivo del rechazo
+   * @returns {Promise<Object>} Envío registrado
+   */
+  static async record({ ip_address, email, accepted, motivo = null }) {
+    const result = await query(
+      `INSERT INTO lead_form_submissions (ip_address, email, accepted, motivo)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [
+        ip_address,
+        email ? String(email).trim().toLowerCase() : null,
+        accepted,
+        motivo,
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Cuenta los envíos recientes desde una IP y con un email
+   * (sin los rechazados por los límites, ver RATE_LIMIT_MOTIVOS)
+   *
+   * @param {Object} params
+   * @param {string} params.ip_address - IP del cliente
+   * @param {string} [params.email] - Email del formulario
+   * @param {number} params.minutes - Ventana de tiempo en minutos
+   * @returns {Promise<Object>} { por_ip, por_email }
+   */
+  static async countRecent({ ip_address, email, minutes }) {
+    const result = await query(
+      `SELECT
+         COUNT(*) FILTER (WHERE ip_address = $1) AS por_ip,
+         COUNT(*) FILTER (WHERE email = $2) AS por_email
+       FROM lead_form_submissions
+       WHERE (ip_address = $1 OR email = $2)
+         AND (motivo IS NULL OR motivo <> ALL($4::text[]))
+         AND created_at > CURRENT_TIMESTAMP - $3 * INTERVAL '1 minute'`,
+      [
+        ip_address,
+        email ? String(email).trim().toLowerCase() : null,
+        minutes,
+        RATE_LIMIT_MOTIVOS,
+      ]
+    );
+
+    return {
+      por_ip: parseInt(result.rows[0].por_ip),
+      por_email: parseInt(result.rows[0].por_email),
+    };
+  }
+}
+
+module.exports = LeadFormSubmission;
@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Modelo de Tokens usados del formulario público de leads
+ *
+ * Guarda el nonce de cada token de formulario (utils/formToken.js) con el
+ * que se aceptó un envío, para que cada token valga para un solo envío
+ * (services/leadSpamGuard.js).
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const { query } = require("../config/database");
+
+class LeadFormToken {
+  /**
+   * Marca un token como usado
+   * (borra antes los usos más antiguos que el tiempo de vida del token)
+   *
+   * @param {string} nonce - Nonce del token
+   * @param {number} maxAgeMinutes - Tiempo de vida del token
+   * @returns {Promise<boolean>} true si no se había usado antes
+   */
+  static async markUsed(nonce, maxAgeMinutes) {
+    await query(
+      `DELETE FROM lead_form_token_uses
+       WHERE used_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 minute'`,
+      [maxAgeMinutes]
+    );
+
+    const result = await query(
+      `INSERT INTO lead_form_token_uses (nonce)
+       VALUES ($1)
+       ON CONFLICT (nonce) DO NOTHING
+       RETURNING nonce`,
+      [nonce]
+    );
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = LeadFormToken;
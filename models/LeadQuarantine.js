@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Modelo de Cuarentena de leads para Boost Agency CRM
+ *
+ * Guarda los envíos del formulario público rechazados por el antispam
+ * (services/leadSpamGuard.js) con los datos recibidos, para que un admin
+ * los revise:
+ * - Aprobar: se crea el lead con los datos del envío (falso positivo)
+ * - Descartar: queda marcado como spam
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const { query, transaction } = require("../config/database");
+const Lead = require("./Lead");
+const { validateLeadFields } = require("../utils/leadValidation");
+const { parseAttribution } = require("../utils/attribution");
+
+// Motivos de rechazo (en el orden en que se comprueban)
+const MOTIVOS = [
+  "honeypot",
+  "limite_ip",
+  "limite_email",
+  "token_invalido",
+  "demasiado_rapido",
+  "email_desechable",
+  "captcha",
+];
+
+// Estados de la revisión
+const ESTADOS = ["pendiente", "aprobado", "descartado"];
+
+const SELECT_FIELDS = `
+  q.*,
+  u.full_name AS reviewed_by_name
+`;
+
+class LeadQuarantine {
+  /**
+   * Pone en cuarentena un envío rechazado
+   *
+   * DÓNDE SE USA: En services/leadSpamGuard.js
+   *
+   * @param {Object} entryData - Datos del envío
+   * @param {string} entryData.motivo - Motivo del rechazo (ver MOTIVOS)
+   * @param {string} [entryData.detalle] - Detalle del rechazo
+   * @param {Object} entryData.payload - Datos recibidos del formulario
+   * @param {string} [entryData.ip_address] - IP del cliente
+   * @param {string} [entryData.user_agent] - User agent del cliente
+   * @returns {Promise<Object>} Envío en cuarentena
+   */
+  static async record(entryData) {
+    const {
+      motivo,
+      detalle = null,
+      payload,
+      ip_address,
+      user_agent,
+    } = entryData;
+
+    const result = await query(
+      `INSERT INTO lead_quarantine (motivo, detalle, payload, email, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        motivo,
+        detalle,
+        JSON.stringify(payload || {}),
+        payload && payload.email ? String(payload.email).slice(0, 255) : null,
+        ip_address,
+        user_agent,
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Busca un envío en cuarentena por ID
+   *
+   * @param {string} id - UUID del envío
+   * @returns {Promise<Object|null>} Envío o null
+   */
+  static async findById(id) {
+    const result = await query(
+      `SELECT ${SELECT_FIELDS}
+       FROM lead_quarantine q
+       LEFT JOIN users u ON q.reviewed_by = u.id
+       WHERE q.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Lista los envíos en cuarentena (más recientes primero)
+   *
+   * DÓNDE SE USA: En GET /api/lead-quarantine
+   *
+   * @param {Object} filters - Filtros
+   * @param {string} [filters.estado] - pendiente, aprobado o descartado
+   * @param {string} [filters.motivo] - Motivo del rechazo
+   * @param {number} [filters.page=1] - Página actual
+   * @param {number} [filters.limit=20] - Envíos por página
+   * @returns {Promise<Object>} { entries: [], pagination: {} }
+   */
+  static async findAll(filters = {}) {
+    const { estado, motivo, page = 1, limit = 20 } = filters;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    if (estado) {
+      params.push(estado);
+      conditions.push(`q.estado = $${params.length}`);
+    }
+
+    if (motivo) {
+      params.push(motivo);
+      conditions.push(`q.motivo = $${params.length}`);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const result = await query(
+      `SELECT ${SELECT_FIELDS}
+       FROM lead_quarantine q
+       LEFT JOIN users u ON q.reviewed_by = u.id
+       ${where}
+       ORDER BY q.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM lead_quarantine q ${where}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      entries: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Aprueba un envío: crea el lead con sus datos
+   *
+   * DÓNDE SE USA: En POST /api/lead-quarantine/:id/aprobar
+   *
+   * @param {string} id - UUID del envío
+   * @param {string} userId - UUID del admin que lo revisa
+   * @returns {Promise<Object>} { entry, lead }
+   * @throws {Error} Si no existe, ya fue revisado o sus datos no son un lead válido
+   */
+  static async approve(id, userId) {
+    const lead = await transaction(async (client) => {
+      const entry = await LeadQuarantine.lockPending(id, client);
+      const {
+        nombre,
+        email,
+        telefono,
+        empresa,
+        servicio_interes,
+        presupuesto,
+        mensaje,
+        origen,
+      } = entry.payload;
+
+      const { campos_faltantes, errores } = validateLeadFields(entry.payload);
+      if (campos_faltantes.length > 0 || errores.length > 0) {
+        throw new Error(
+          `Datos del lead inválidos: ${[
+            ...campos_faltantes.map((campo) => `falta ${campo}`),
+            ...errores,
+          ].join(", ")}`
+        );
+      }
+
+      const created = await Lead.create(
+        {
+          nombre,
+          email,
+          telefono,
+          empresa,
+          servicio_interes,
+          presupuesto,
+          mensaje,
+          origen: origen || "formulario-web",
+          atribucion: parseAttribution(entry.payload),
+        },
+        userId,
+        client
+      );
+
+      await client.query(
+        `UPDATE lead_quarantine
+         SET estado = 'aprobado', lead_id = $1, reviewed_by = $2,
+             reviewed_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [created.id, userId, id]
+      );
+
+      return created;
+    });
+
+    return { entry: await LeadQuarantine.findById(id), lead };
+  }
+
+  /**
+   * Descarta un envío (queda marcado como spam)
+   *
+   * DÓNDE SE USA: En POST /api/lead-quarantine/:id/descartar
+   *
+   * @param {string} id - UUID del envío
+   * @param {string} userId - UUID del admin que lo revisa
+   * @returns {Promise<Object>} Envío descartado
+   */
+  static async discard(id, userId) {
+    await transaction(async (client) => {
+      await LeadQuarantine.lockPending(id, client);
+
+      await client.query(
+        `UPDATE lead_quarantine
+         SET estado = 'descartado', reviewed_by = $1,
+             reviewed_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [userId, id]
+      );
+    });
+
+    return await LeadQuarantine.findById(id);
+  }
+
+  /**
+   * Bloquea un envío pendiente de revisión
+   *
+   * @param {string} id - UUID del envío
+   * @param {Object} client - Cliente de la transacción
+   * @returns {Promise<Object>} Envío
+   * @throws {Error} Si no existe o ya fue revisado
+   */
+  static async lockPending(id, client) {
+    const result = await client.query(
+      "SELECT * FROM lead_quarantine WHERE id = $1 FOR UPDATE",
+      [id]
+    );
+    const entry = result.rows[0];
+
+    if (!entry) {
+      throw new Error("Envío en cuarentena no encontrado");
+    }
+
+    if (entry.estado !== "pendiente") {
+      throw new Error(`El envío ya fue revisado (${entry.estado})`);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Motivos y estados válidos
+   */
+  static get opciones() {
+    return { motivos: MOTIVOS, estados: ESTADOS };
+  }
+}
+
+module.exports = LeadQuarantine;
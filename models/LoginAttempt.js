@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Modelo de Intentos de login para Boost Agency
+ *
+ * Registra cada intento de login (exitoso o fallido) con IP y user agent.
+ * Se usa para:
+ * - Limitar intentos fallidos por IP
+ * - Mostrar a los admins el historial de accesos de un usuario
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const { query } = require("../config/database");
+
+// Motivos de fallo que cuentan para el bloqueo por IP: credenciales erróneas.
+// Los rechazos (ip_blocked, account_locked, throttled, inactive) no cuentan,
+// o una IP bloqueada renovaría su propio bloqueo con cada intento
+const CREDENTIAL_FAILURE_REASONS = [
+  "unknown_email",
+  "invalid_password",
+  "invalid_2fa",
+];
+
+class LoginAttempt {
+  /**
+   * Registra un intento de login
+   *
+   * @param {Object} attemptData - Datos del intento
+   * @param {string} [attemptData.user_id] - UUID del usuario (null si el email no existe)
+   * @param {string} attemptData.email - Email usado en el intento
+   * @param {string} [attemptData.ip_address] - IP del cliente
+   * @param {string} [attemptData.user_agent] - User agent del cliente
+   * @param {boolean} attemptData.success - Si el intento fue exitoso
+   * @param {string} [attemptData.failure_reason] - Motivo del fallo
+   * @returns {Promise<Object>} Intento registrado
+   */
+  static async record(attemptData) {
+    const {
+      user_id = null,
+      email,
+      ip_address,
+      user_agent,
+      success,
+      failure_reason = null,
+    } = attemptData;
+
+    const sql = `
+      INSERT INTO login_attempts (user_id, email, ip_address, user_agent, success, failure_reason)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const result = await query(sql, [
+      user_id,
+      String(email || "").toLowerCase(),
+      ip_address,
+      user_agent,
+      success,
+      failure_reason,
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Cuenta los intentos fallidos desde una IP en los últimos N minutos
+   * (solo credenciales erróneas, ver CREDENTIAL_FAILURE_REASONS)
+   *
+   * @param {string} ipAddress - IP del cliente
+   * @param {number} minutes - Ventana de tiempo en minutos
+   * @returns {Promise<number>} Cantidad de intentos fallidos
+   */
+  static async countRecentFailuresByIp(ipAddress, minutes) {
+    const sql = `
+      SELECT COUNT(*) FROM login_attempts
+      WHERE ip_address = $1
+        AND success = FALSE
+        AND failure_reason = ANY($3::text[])
+        AND created_at > CURRENT_TIMESTAMP - $2 * INTERVAL '1 minute'
+    `;
+
+    const result = await query(sql, [
+      ipAddress,
+      minutes,
+      CREDENTIAL_FAILURE_REASONS,
+    ]);
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Obtiene el historial de intentos de login de un usuario
+   *
+   * @param {string} userId - UUID del usuario
+   * @param {Object} options - Opciones de búsqueda
+   * @param {number} [options.page=1] - Página actual
+   * @param {number} [options.limit=20] - Intentos por página
+   * @param {boolean} [options.success] - Filtrar por exitosos/fallidos
+   * @returns {Promise<Object>} { attempts: [], pagination: {} }
+   */
+  static async findByUser(userId, options = {}) {
+    const { page = 1, limit = 20, success } = options;
+    const offset = (page - 1) * limit;
+
+    let where = `WHERE user_id = $1`;
+    const params = [userId];
+
+    if (success !== undefined) {
+      where += ` AND success = $2`;
+      params.push(success);
+    }
+
+    const sql = `
+      SELECT id, email, ip_address, user_agent, success, failure_reason, created_at
+      FROM login_attempts
+      ${where}
+      ORDER BY created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+    const result = await query(sql, [...params, limit, offset]);
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM login_attempts ${where}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      attempts: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+module.exports = LoginAttempt;
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Modelo de Tokens de recuperación de contraseña
+ *
+ * Gestiona los tokens de un solo uso enviados por email para que un usuario
+ * restablezca su contraseña sin intervención de un administrador:
+ * - Solo se guarda el hash del token
+ * - Expiran a los PASSWORD_RESET_EXPIRES_MINUTES minutos
+ * - Al emitir uno nuevo se invalidan los anteriores del mismo usuario
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const { query, transaction } = require("../config/database");
+const { generateToken, hashToken } = require("../utils/tokens");
+
+// Validez del token en minutos
+const PASSWORD_RESET_EXPIRES_MINUTES =
+  parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+class PasswordResetToken {
+  /**
+   * Emite un token de recuperación para un usuario
+   *
+   * DÓNDE SE USA: En POST /api/auth/forgot-password
+   *
+   * @param {string} userId - UUID del usuario
+   * @param {string} [requestedIp] - IP desde la que se solicitó
+   * @returns {Promise<Object>} { token, expires_at }
+   */
+  static async create(userId, requestedIp = null) {
+    const token = generateToken(32);
+
+    return await transaction(async (client) => {
+      // Invalidar tokens anteriores aún no usados
+      await client.query(
+        `UPDATE password_reset_tokens
+         SET used_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND used_at IS NULL`,
+        [userId]
+      );
+
+      const sql = `
+        INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+        VALUES ($1, $2, CURRENT_TIMESTAMP + $3 * INTERVAL '1 minute', $4)
+        RETURNING expires_at
+      `;
+
+      const result = await client.query(sql, [
+        userId,
+        hashToken(token),
+        PASSWORD_RESET_EXPIRES_MINUTES,
+        requestedIp,
+      ]);
+
+      return { token, expires_at: result.rows[0].expires_at };
+    });
+  }
+
+  /**
+   * Consume un token de recuperación (lo marca como usado)
+   *
+   * @param {string} token - Token en texto plano recibido por email
+   * @returns {Promise<string>} UUID del usuario dueño del token
+   */
+  static async consume(token) {
+    const sql = `
+      UPDATE password_reset_tokens
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE token_hash = $1
+        AND used_at IS NULL
+        AND expires_at > CURRENT_TIMESTAMP
+      RETURNING user_id
+    `;
+
+    const result = await query(sql, [hashToken(token)]);
+
+    if (result.rows.length === 0) {
+      throw new Error("Token de recuperación inválido o expirado");
+    }
+
+    return result.rows[0].user_id;
+  }
+
+  /**
+   * Devuelve la validez configurada de los tokens en minutos
+   *
+   * @returns {number} Minutos de validez
+   */
+  static get expiresInMinutes() {
+    return PASSWORD_RESET_EXPIRES_MINUTES;
+  }
+}
+
+module.exports = PasswordResetToken;
@@ -0,0 +1,525 @@
+/**
+ * @fileoverview Modelo de Pipelines de ventas para Boost Agency CRM
+ *
+ * Reemplaza los cuatro estados fijos del lead por pipelines configurables:
+ * - Cada pipeline tiene etapas ordenadas (position)
+ * - Cada etapa tiene una probabilidad de cierre (0-100) y un tipo:
+ *   'open' (en curso), 'won' (ganada) o 'lost' (perdida, exige motivo)
+ * - La clave de la etapa (key) es la que se guarda en leads.estado
+ * - Un único pipeline es el pipeline por defecto (leads nuevos)
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const { query, transaction } = require("../config/database");
+
+// Tipos de etapa
+const STAGE_KINDS = ["open", "won", "lost"];
+
+// Formato de la clave de una etapa ('nuevo', 'propuesta_enviada'...)
+const STAGE_KEY_REGEX = /^[a-z0-9_]{1,50}$/;
+
+// Columnas de una etapa
+const STAGE_FIELDS = `
+  s.id, s.pipeline_id, s.key, s.name, s.position, s.probability, s.kind
+`;
+
+/**
+ * Helper: Valida los datos de una etapa
+ * Con partial = true solo se validan los campos presentes
+ * Devuelve un mensaje de error o null si son válidos
+ */
+function validateStage(stage, partial = false) {
+  if (!partial || stage.key !== undefined) {
+    if (!stage.key || !STAGE_KEY_REGEX.test(stage.key)) {
+      return "Clave de etapa inválida (solo minúsculas, números y _)";
+    }
+  }
+
+  if (!partial || stage.name !== undefined) {
+    if (!stage.name || !String(stage.name).trim()) {
+      return "El nombre de la etapa es requerido";
+    }
+  }
+
+  if (stage.probability !== undefined) {
+    if (
+      !Number.isInteger(stage.probability) ||
+      stage.probability < 0 ||
+      stage.probability > 100
+    ) {
+      return "Probabilidad inválida (entero entre 0 y 100)";
+    }
+  }
+
+  if (stage.kind !== undefined && !STAGE_KINDS.includes(stage.kind)) {
+    return `Tipo de etapa inválido. Debe ser uno de: ${STAGE_KINDS.join(", ")}`;
+  }
+
+  return null;
+}
+
+class Pipeline {
+  /**
+   * Lista los pipelines con sus etapas y el número de leads de cada una
+   *
+   * DÓNDE SE USA: En GET /api/pipelines
+   *
+   * @returns {Promise<Array>} Pipelines
+   */
+  static async findAll() {
+    const pipelines = await query(`
+      SELECT p.*, COUNT(l.id)::int AS lead_count
+      FROM pipelines p
+      LEFT JOIN leads l ON l.pipeline_id = p.id
+      GROUP BY p.id
+      ORDER BY p.is_default DESC, p.name ASC
+    `);
+
+    const stages = await query(`
+      SELECT ${STAGE_FIELDS}, COUNT(l.id)::int AS lead_count
+      FROM pipeline_stages s
+      LEFT JOIN leads l ON l.stage_id = s.id
+      GROUP BY s.id
+      ORDER BY s.position ASC
+    `);
+
+    return pipelines.rows.map((pipeline) => ({
+      ...pipeline,
+      stages: stages.rows.filter((stage) => stage.pipeline_id === pipeline.id),
+    }));
+  }
+
+  /**
+   * Busca un pipeline por ID (con sus etapas ordenadas)
+   *
+   * @param {string} id - UUID del pipeline
+   * @param {Object} [client] - Cliente de transacción (opcional)
+   * @returns {Promise<Object|null>} Pipeline o null
+   */
+  static async findById(id, client = null) {
+    const run = client ? client.query.bind(client) : query;
+
+    const result = await run("SELECT * FROM pipelines WHERE id = $1", [id]);
+    if (result.rows.length === 0) return null;
+
+    return {
+      ...result.rows[0],
+      stages: await Pipeline.getStages(id, client),
+    };
+  }
+
+  /**
+   * Obtiene el pipeline por defecto (con sus etapas)
+   *
+   * DÓNDE SE USA: Al crear leads y en el Kanban si no se indica pipeline
+   *
+   * @param {Object} [client] - Cliente de transacción (opcional)
+   * @returns {Promise<Object|null>} Pipeline por defecto o null
+   */
+  static async getDefault(client = null) {
+    const run = client ? client.query.bind(client) : query;
+
+    const result = await run("SELECT id FROM pipelines WHERE is_default");
+    if (result.rows.length === 0) return null;
+
+    return await Pipeline.findById(result.rows[0].id, client);
+  }
+
+  /**
+   * Obtiene las etapas de un pipeline ordenadas por posición
+   *
+   * @param {string} pipelineId - UUID del pipeline
+   * @param {Object} [client] - Cliente de transacción (opcional)
+   * @returns {Promise<Array>} Etapas
+   */
+  static async getStages(pipelineId, client = null) {
+    const run = client ? client.query.bind(client) : query;
+
+    const result = await run(
+      `SELECT ${STAGE_FIELDS}
+       FROM pipeline_stages s
+       WHERE s.pipeline_id = $1
+       ORDER BY s.position ASC`,
+      [pipelineId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Busca una etapa por ID
+   *
+   * @param {string} stageId - UUID de la etapa
+   * @param {Object} [client] - Cliente de transacción (opcional)
+   * @returns {Promise<Object|null>} Etapa o null
+   */
+  static async findStage(stageId, client = null) {
+    const run = client ? client.query.bind(client) : query;
+
+    const result = await run(
+      `SELECT ${STAGE_FIELDS} FROM pipeline_stages s WHERE s.id = $1`,
+      [stageId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Busca una etapa de un pipeline por su clave (valor de leads.estado)
+   *
+   * DÓNDE SE USA: En Lead.updateEstado y Lead.update
+   *
+   * @param {string} pipelineId - UUID del pipeline
+   * @param {string} key - Clave de la etapa ('contactado')
+   * @param {Object} [client] - Cliente de transacción (opcional)
+   * @returns {Promise<Object|null>} Etapa o null
+   */
+  static async findStageByKey(pipelineId, key, client = null) {
+    const run = client ? client.query.bind(client) : query;
+
+    const result = await run(
+      `SELECT ${STAGE_FIELDS}
+       FROM pipeline_stages s
+       WHERE s.pipeline_id = $1 AND s.key = $2`,
+      [pipelineId, key]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Crea un pipeline con sus etapas
+   *
+   * DÓNDE SE USA: En POST /api/pipelines
+   *
+   * @param {Object} pipelineData - Datos del pipeline
+   * @param {string} pipelineData.name - Nombre ('Ventas B2B')
+   * @param {string} [pipelineData.description] - Descripción
+   * @param {boolean} [pipelineData.is_default=false] - Pasa a ser el pipeline por defecto
+   * @param {Array<Object>} pipelineData.stages - Etapas en orden: { key, name, probability, kind }
+   * @param {string} createdBy - UUID del admin que lo crea
+   * @returns {Promise<Object>} Pipeline creado con sus etapas
+   */
+  static async create(pipelineData, createdBy) {
+    const {
+      name,
+      description = null,
+      is_default = false,
+      stages = [],
+    } = pipelineData;
+
+    if (!Array.isArray(stages) || stages.length === 0) {
+      throw new Error("El pipeline debe tener al menos una etapa");
+    }
+
+    for (const stage of stages) {
+      const error = validateStage(stage);
+      if (error) throw new Error(error);
+    }
+
+    const keys = stages.map((stage) => stage.key);
+    if (new Set(keys).size !== keys.length) {
+      throw new Error("Clave de etapa inválida: hay claves repetidas");
+    }
+
+    if (!stages.some((stage) => (stage.kind || "open") === "open")) {
+      throw new Error("El pipeline debe tener al menos una etapa abierta");
+    }
+
+    return await transaction(async (client) => {
+      if (is_default) {
+        await client.query(
+          "UPDATE pipelines SET is_default = false WHERE is_default"
+        );
+      }
+
+      const result = await client.query(
+        `INSERT INTO pipelines (name, description, is_default, created_by)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [name, description, is_default, createdBy]
+      );
+      const pipelineId = result.rows[0].id;
+
+      for (const [index, stage] of stages.entries()) {
+        await client.query(
+          `INSERT INTO pipeline_stages (pipeline_id, key, name, position, probability, kind)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [
+            pipelineId,
+            stage.key,
+            String(stage.name).trim(),
+            index + 1,
+            stage.probability || 0,
+            stage.kind || "open",
+          ]
+        );
+      }
+
+      return await Pipeline.findById(pipelineId, client);
+    });
+  }
+
+  /**
+   * Actualiza nombre, descripción o si es el pipeline por defecto
+   * (el pipeline por defecto no se puede desmarcar: hay que marcar otro)
+   *
+   * @param {string} id - UUID del pipeline
+   * @param {Object} updates - { name, description, is_default }
+   * @returns {Promise<Object>} Pipeline actualizado
+   */
+  static async update(id, updates) {
+    const { name, description, is_default } = updates;
+
+    if (
+      name === undefined &&
+      description === undefined &&
+      is_default === undefined
+    ) {
+      throw new Error("No hay campos válidos para actualizar");
+    }
+
+    return await transaction(async (client) => {
+      const current = await Pipeline.findById(id, client);
+
+      if (!current) {
+        throw new Error("Pipeline no encontrado");
+      }
+
+      if (is_default === false && current.is_default) {
+        throw new Error(
+          "No se puede quitar el pipeline por defecto: marca otro como predeterminado"
+        );
+      }
+
+      if (is_default === true && !current.is_default) {
+        await client.query(
+          "UPDATE pipelines SET is_default = false WHERE is_default"
+        );
+      }
+
+      await client.query(
+        `UPDATE pipelines
+         SET name = COALESCE($1, name),
+             description = COALESCE($2, description),
+             is_default = COALESCE($3, is_default),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4`,
+        [name, description, is_default, id]
+      );
+
+      return await Pipeline.findById(id, client);
+    });
+  }
+
+  /**
+   * Elimina un pipeline (no puede ser el de por defecto ni tener leads)
+   *
+   * @param {string} id - UUID del pipeline
+   * @returns {Promise<boolean>} true si se eliminó
+   */
+  static async delete(id) {
+    const pipeline = await Pipeline.findById(id);
+
+    if (!pipeline) {
+      throw new Error("Pipeline no encontrado");
+    }
+
+    if (pipeline.is_default) {
+      throw new Error("No se puede eliminar el pipeline por defecto");
+    }
+
+    const leads = await query(
+      "SELECT COUNT(*) FROM leads WHERE pipeline_id = $1",
+      [id]
+    );
+    if (parseInt(leads.rows[0].count) > 0) {
+      throw new Error(
+        "El pipeline tiene leads: muévelos a otro pipeline antes de eliminarlo"
+      );
+    }
+
+    await query("DELETE FROM pipelines WHERE id = $1", [id]);
+    return true;
+  }
+
+  /**
+   * Añade una etapa al final de un pipeline
+   *
+   * DÓNDE SE USA: En POST /api/pipelines/:id/stages
+   *
+   * @param {string} pipelineId - UUID del pipeline
+   * @param {Object} stageData - { key, name, probability, kind }
+   * @returns {Promise<Object>} Etapa creada
+   */
+  static async addStage(pipelineId, stageData) {
+    const error = validateStage(stageData);
+    if (error) throw new Error(error);
+
+    const { key, name, probability = 0, kind = "open" } = stageData;
+
+    if (!(await Pipeline.findById(pipelineId))) {
+      throw new Error("Pipeline no encontrado");
+    }
+
+    if (await Pipeline.findStageByKey(pipelineId, key)) {
+      throw new Error(`Ya existe una etapa con la clave "${key}"`);
+    }
+
+    const result = await query(
+      `INSERT INTO pipeline_stages (pipeline_id, key, name, position, probability, kind)
+       VALUES (
+         $1, $2, $3,
+         (SELECT COALESCE(MAX(position), 0) + 1 FROM pipeline_stages WHERE pipeline_id = $1),
+         $4, $5
+       )
+       RETURNING id`,
+      [pipelineId, key, String(name).trim(), probability, kind]
+    );
+
+    return await Pipeline.findStage(result.rows[0].id);
+  }
+
+  /**
+   * Actualiza nombre, probabilidad o tipo de una etapa
+   * (la clave no cambia: es el valor guardado en leads.estado)
+   *
+   * @param {string} pipelineId - UUID del pipeline
+   * @param {string} stageId - UUID de la etapa
+   * @param {Object} updates - { name, probability, kind }
+   * @returns {Promise<Object>} Etapa actualizada
+   */
+  static async updateStage(pipelineId, stageId, updates) {
+    const { name, probability, kind } = updates;
+
+    if (name === undefined && probability === undefined && kind === undefined) {
+      throw new Error("No hay campos válidos para actualizar");
+    }
+
+    const error = validateStage({ name, probability, kind }, true);
+    if (error) throw new Error(error);
+
+    const stages = await Pipeline.getStages(pipelineId);
+    const stage = stages.find((s) => s.id === stageId);
+
+    if (!stage) {
+      throw new Error("Etapa no encontrada");
+    }
+
+    if (
+      kind !== undefined &&
+      kind !== "open" &&
+      !stages.some((s) => s.id !== stageId && s.kind === "open")
+    ) {
+      throw new Error("El pipeline debe tener al menos una etapa abierta");
+    }
+
+    await query(
+      `UPDATE pipeline_stages
+       SET name = COALESCE($1, name),
+           probability = COALESCE($2, probability),
+           kind = COALESCE($3, kind),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4`,
+      [
+        name !== undefined ? String(name).trim() : null,
+        probability,
+        kind,
+        stageId,
+      ]
+    );
+
+    return await Pipeline.findStage(stageId);
+  }
+
+  /**
+   * Elimina una etapa (no puede tener leads ni ser la única abierta)
+   *
+   * @param {string} pipelineId - UUID del pipeline
+   * @param {string} stageId - UUID de la etapa
+   * @returns {Promise<boolean>} true si se eliminó
+   */
+  static async deleteStage(pipelineId, stageId) {
+    const stages = await Pipeline.getStages(pipelineId);
+    const stage = stages.find((s) => s.id === stageId);
+
+    if (!stage) {
+      throw new Error("Etapa no encontrada");
+    }
+
+    if (
+      stage.kind === "open" &&
+      !stages.some((s) => s.id !== stageId && s.kind === "open")
+    ) {
+      throw new Error("El pipeline debe tener al menos una etapa abierta");
+    }
+
+    const leads = await query(
+      "SELECT COUNT(*) FROM leads WHERE stage_id = $1",
+      [stageId]
+    );
+    if (parseInt(leads.rows[0].count) > 0) {
+      throw new Error(
+        "La etapa tiene leads: muévelos a otra etapa antes de eliminarla"
+      );
+    }
+
+    await query("DELETE FROM pipeline_stages WHERE id = $1", [stageId]);
+    return true;
+  }
+
+  /**
+   * Reordena las etapas de un pipeline
+   *
+   * DÓNDE SE USA: En PUT /api/pipelines/:id/stages/order (drag & drop del Kanban)
+   *
+   * @param {string} pipelineId - UUID del pipeline
+   * @param {Array<string>} stageIds - Todos los UUID de etapas en el nuevo orden
+   * @returns {Promise<Array>} Etapas reordenadas
+   */
+  static async reorderStages(pipelineId, stageIds) {
+    const stages = await Pipeline.getStages(pipelineId);
+
+    if (stages.length === 0 && !(await Pipeline.findById(pipelineId))) {
+      throw new Error("Pipeline no encontrado");
+    }
+
+    const current = stages.map((s) => s.id).sort();
+    const requested = [...stageIds].sort();
+
+    if (
+      current.length !== requested.length ||
+      current.some((id, index) => id !== requested[index])
+    ) {
+      throw new Error(
+        "Orden inválido: stage_ids debe incluir todas las etapas del pipeline una vez"
+      );
+    }
+
+    await transaction(async (client) => {
+      for (const [index, stageId] of stageIds.entries()) {
+        await client.query(
+          `UPDATE pipeline_stages
+           SET position = $1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $2`,
+          [index + 1, stageId]
+        );
+      }
+    });
+
+    return await Pipeline.getStages(pipelineId);
+  }
+
+  /**
+   * Devuelve los tipos de etapa válidos
+   *
+   * @returns {Array<string>} 'open', 'won', 'lost'
+   */
+  static get stageKinds() {
+    return STAGE_KINDS;
+  }
+}
+
+module.exports = Pipeline;
@@ -12,7 +12,25 @@
  * @version 2.0.0
  */
 
-const { query } = require("../config/database");
+const { query, transaction } = require("../config/database");
+const Webhook = require("./Webhook");
+
+/**
+ * Helper: Actualiza un producto y emite el webhook product.updated
+ */
+async function updateAndEmit(sql, params) {
+  return await transaction(async (client) => {
+    const result = await client.query(sql, params);
+
+    if (result.rows.length === 0) {
+      throw new Error("Producto no encontrado");
+    }
+
+    const updated = Product._parseProduct(result.rows[0]);
+    await Webhook.emit("product.updated", updated, client);
+    return updated;
+  });
+}
 
 class Product {
   /**
@@ -281,7 +299,7 @@ class Product {
    *
    * @param {string} productId - product_id del producto
    * @param {Object} updates - Campos a actualizar
-   * @returns {Promise<Object>} Producto actualizado
+   * @returns {Promise<Object>} Producto actualizado (emite product.updated)
    */
   static async update(productId, updates) {
     const allowedFields = [
@@ -307,10 +325,10 @@ class Product {
       if (allowedFields.includes(key) && value !== undefined) {
         // Convertir arrays a JSON
         if (key === "features" || key === "includes") {
-          updateFields.push(`${key} = ${paramIndex}::jsonb`);
+          updateFields.push(`${key} = $${paramIndex}::jsonb`);
           values.push(JSON.stringify(value));
         } else {
-          updateFields.push(`${key} = ${paramIndex}`);
+          updateFields.push(`${key} = $${paramIndex}`);
           values.push(value);
         }
         paramIndex++;
@@ -327,17 +345,11 @@ class Product {
     const sql = `
       UPDATE products
       SET ${updateFields.join(", ")}
-      WHERE product_id = ${paramIndex}
+      WHERE product_id = $${paramIndex}
       RETURNING *
     `;
 
-    const result = await query(sql, values);
-
-    if (result.rows.length === 0) {
-      throw new Error("Producto no encontrado");
-    }
-
-    return this._parseProduct(result.rows[0]);
+    return await updateAndEmit(sql, values);
   }
 
   /**
@@ -345,7 +357,7 @@ class Product {
    *
    * @param {string} productId - product_id del producto
    * @param {boolean} featured - true para destacar, false para quitar
-   * @returns {Promise<Object>} Producto actualizado
+   * @returns {Promise<Object>} Producto actualizado (emite product.updated)
    */
   static async setFeatured(productId, featured) {
     const sql = `
@@ -355,13 +367,7 @@ class Product {
       RETURNING *
     `;
 
-    const result = await query(sql, [featured, productId]);
-
-    if (result.rows.length === 0) {
-      throw new Error("Producto no encontrado");
-    }
-
-    return this._parseProduct(result.rows[0]);
+    return await updateAndEmit(sql, [featured, productId]);
   }
 
   /**
@@ -369,7 +375,7 @@ class Product {
    *
    * @param {string} productId - product_id del producto
    * @param {string} newStatus - Nuevo estado ('active', 'inactive')
-   * @returns {Promise<Object>} Producto actualizado
+   * @returns {Promise<Object>} Producto actualizado (emite product.updated)
    */
   static async changeStatus(productId, newStatus) {
     const validStatuses = ["active", "inactive"];
@@ -385,13 +391,7 @@ class Product {
       RETURNING *
     `;
 
-    const result = await query(sql, [newStatus, productId]);
-
-    if (result.rows.length === 0) {
-      throw new Error("Producto no encontrado");
-    }
-
-    return this._parseProduct(result.rows[0]);
+    return await updateAndEmit(sql, [newStatus, productId]);
   }
 
   /**
@@ -462,8 +462,6 @@ class Product {
    * @returns {Promise<boolean>} true si se reordenó correctamente
    */
   static async reorder(orderArray) {
-    const { transaction } = require("../config/database");
-
     await transaction(async (client) => {
       for (const item of orderArray) {
         await client.query(
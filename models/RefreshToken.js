@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Modelo de Refresh Tokens para Boost Agency
+ *
+ * Gestiona los refresh tokens opacos que acompañan a los access tokens JWT:
+ * - Emisión de tokens (solo se guarda el hash SHA-256, nunca el token)
+ * - Rotación en cada renovación
+ * - Revocación al cerrar sesión
+ * - Detección de reutilización (revoca toda la familia de tokens)
+ *
+ * Cada login inicia una "familia" (family_id) que corresponde a una sesión
+ * de la tabla user_sessions (ver modelo Session).
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const { query, transaction } = require("../config/database");
+const { generateToken, hashToken } = require("../utils/tokens");
+
+// Duración del refresh token en días
+const REFRESH_TOKEN_EXPIRES_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+class RefreshToken {
+  /**
+   * Emite un nuevo refresh token
+   *
+   * DÓNDE SE USA: En el login (primer token de la sesión) y en cada rotación
+   *
+   * @param {string} userId - UUID del usuario
+   * @param {string} familyId - UUID de la sesión a la que pertenece el token
+   * @param {Object} [client] - Cliente de transacción (opcional)
+   * @returns {Promise<Object>} { id, token, family_id, expires_at }
+   */
+  static async issue(userId, familyId, client = null) {
+    const token = generateToken();
+    const run = client ? client.query.bind(client) : query;
+
+    const sql = `
+      INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP + $4 * INTERVAL '1 day')
+      RETURNING id, family_id, expires_at
+    `;
+
+    const result = await run(sql, [
+      userId,
+      familyId,
+      hashToken(token),
+      REFRESH_TOKEN_EXPIRES_DAYS,
+    ]);
+
+    return { ...result.rows[0], token };
+  }
+
+  /**
+   * Rota un refresh token: revoca el actual y emite uno nuevo en la misma familia
+   *
+   * Si el token ya había sido rotado se considera una reutilización
+   * (posible robo) y se revoca la familia completa.
+   *
+   * @param {string} token - Refresh token en texto plano
+   * @returns {Promise<Object>} { user_id, family_id, token, expires_at }
+   */
+  static async rotate(token) {
+    const outcome = await transaction(async (client) => {
+      const selectSql = `
+        SELECT * FROM refresh_tokens
+        WHERE token_hash = $1
+        FOR UPDATE
+      `;
+      const result = await client.query(selectSql, [hashToken(token)]);
+      const current = result.rows[0];
+
+      if (!current) {
+        return { error: "Refresh token inválido" };
+      }
+
+      if (current.revoked_at && current.revoked_reason !== "rotated") {
+        return { error: "Refresh token revocado" };
+      }
+
+      if (current.revoked_at) {
+        // Reutilización detectada: revocar toda la familia.
+        // No se lanza el error aquí para que la revocación no haga ROLLBACK
+        await client.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'reuse_detected'
+           WHERE family_id = $1 AND revoked_at IS NULL`,
+          [current.family_id]
+        );
+        return {
+          error: "Refresh token reutilizado, sesión revocada",
+          familyId: current.family_id,
+          userId: current.user_id,
+        };
+      }
+
+      if (new Date(current.expires_at) <= new Date()) {
+        return { error: "Refresh token expirado" };
+      }
+
+      const next = await RefreshToken.issue(
+        current.user_id,
+        current.family_id,
+        client
+      );
+
+      await client.query(
+        `UPDATE refresh_tokens
+         SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'rotated', replaced_by = $1
+         WHERE id = $2`,
+        [next.id, current.id]
+      );
+
+      return { token: { ...next, user_id: current.user_id } };
+    });
+
+    if (outcome.error) {
+      const error = new Error(outcome.error);
+      error.familyId = outcome.familyId;
+      error.userId = outcome.userId;
+      error.reuseDetected = Boolean(outcome.familyId);
+      throw error;
+    }
+
+    return outcome.token;
+  }
+
+  /**
+   * Revoca todos los tokens activos de una familia (una sesión)
+   *
+   * @param {string} familyId - UUID de la familia
+   * @param {string} [reason='logout'] - Motivo de la revocación
+   * @returns {Promise<number>} Cantidad de tokens revocados
+   */
+  static async revokeFamily(familyId, reason = "logout") {
+    const sql = `
+      UPDATE refresh_tokens
+      SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+      WHERE family_id = $1 AND revoked_at IS NULL
+    `;
+
+    const result = await query(sql, [familyId, reason]);
+    return result.rowCount;
+  }
+
+  /**
+   * Revoca todos los tokens activos de un usuario (todas sus sesiones)
+   *
+   * @param {string} userId - UUID del usuario
+   * @param {string} [reason='logout_all'] - Motivo de la revocación
+   * @returns {Promise<number>} Cantidad de tokens revocados
+   */
+  static async revokeAllForUser(userId, reason = "logout_all") {
+    const sql = `
+      UPDATE refresh_tokens
+      SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+      WHERE user_id = $1 AND revoked_at IS NULL
+    `;
+
+    const result = await query(sql, [userId, reason]);
+    return result.rowCount;
+  }
+}
+
+module.exports = RefreshToken;
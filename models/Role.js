@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Modelo de Roles para Boost Agency
+ *
+ * Cada rol agrupa un conjunto de permisos (ver config/permissions.js).
+ * Además de los roles del sistema (admin, editor, user) los admins pueden
+ * crear roles propios, p. ej. "sales": trabaja leads pero no edita el sitio.
+ *
+ * Los permisos de cada rol se cachean en memoria durante unos segundos
+ * porque se consultan en cada request autenticado.
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const { query, transaction } = require("../config/database");
+
+// Tiempo que se reutilizan los permisos cacheados de un rol
+const PERMISSIONS_CACHE_TTL_MS = 30 * 1000;
+
+// Rol con acceso total: no se puede modificar ni eliminar
+const SUPERUSER_ROLE = "admin";
+
+// Cache en memoria: nombre de rol -> { permissions, expiresAt }
+const permissionsCache = new Map();
+
+class Role {
+  /**
+   * Obtiene todos los roles con la cantidad de usuarios asignados
+   *
+   * @returns {Promise<Array>} Roles
+   */
+  static async findAll() {
+    const sql = `
+      SELECT
+        r.name, r.description, r.permissions, r.is_system,
+        r.created_at, r.updated_at,
+        COUNT(u.id)::INTEGER AS user_count
+      FROM roles r
+      LEFT JOIN users u ON u.role = r.name
+      GROUP BY r.name
+      ORDER BY r.is_system DESC, r.name
+    `;
+
+    const result = await query(sql);
+    return result.rows;
+  }
+
+  /**
+   * Busca un rol por nombre
+   *
+   * @param {string} name - Nombre del rol
+   * @returns {Promise<Object|null>} Rol encontrado o null
+   */
+  static async findByName(name) {
+    const sql = `
+      SELECT
+        r.name, r.description, r.permissions, r.is_system,
+        r.created_at, r.updated_at,
+        (SELECT COUNT(*) FROM users u WHERE u.role = r.name)::INTEGER AS user_count
+      FROM roles r
+      WHERE r.name = $1
+    `;
+
+    const result = await query(sql, [name]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Verifica si existe un rol
+   *
+   * @param {string} name - Nombre del rol
+   * @returns {Promise<boolean>} true si existe
+   */
+  static async exists(name) {
+    const result = await query(`SELECT 1 FROM roles WHERE name = $1`, [name]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Obtiene los permisos de un rol (con cache en memoria)
+   *
+   * DÓNDE SE USA: En authenticateToken para cargar req.user.permissions
+   *
+   * @param {string} name - Nombre del rol
+   * @returns {Promise<Array<string>>} Permisos (vacío si el rol no existe)
+   */
+  static async getPermissions(name) {
+    const cached = permissionsCache.get(name);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.permissions;
+    }
+
+    const result = await query(
+      `SELECT permissions FROM roles WHERE name = $1`,
+      [name]
+    );
+    const permissions = result.rows[0] ? result.rows[0].permissions : [];
+
+    permissionsCache.set(name, {
+      permissions,
+      expiresAt: Date.now() + PERMISSIONS_CACHE_TTL_MS,
+    });
+
+    return permissions;
+  }
+
+  /**
+   * Crea un rol personalizado
+   *
+   * @param {Object} roleData - Datos del rol
+   * @param {string} roleData.name - Nombre ('sales', 'soporte')
+   * @param {string} [roleData.description] - Descripción
+   * @param {Array<string>} roleData.permissions - Permisos del rol
+   * @param {string} createdBy - UUID del admin que lo crea
+   * @returns {Promise<Object>} Rol creado
+   */
+  static async create(roleData, createdBy) {
+    const { name, description = null, permissions = [] } = roleData;
+
+    if (await Role.exists(name)) {
+      throw new Error("El rol ya existe");
+    }
+
+    const sql = `
+      INSERT INTO roles (name, description, permissions, created_by)
+      VALUES ($1, $2, $3, $4)
+      RETURNING name, description, permissions, is_system, created_at, updated_at
+    `;
+
+    const result = await query(sql, [
+      name,
+      description,
+      permissions,
+      createdBy,
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Actualiza la descripción y/o los permisos de un rol
+   *
+   * @param {string} name - Nombre del rol
+   * @param {Object} updates - Campos a actualizar (description, permissions)
+   * @returns {Promise<Object>} Rol actualizado
+   */
+  static async update(name, updates) {
+    if (name === SUPERUSER_ROLE) {
+      throw new Error("El rol admin no se puede modificar");
+    }
+
+    const allowedFields = ["description", "permissions"];
+    const updateFields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (allowedFields.includes(key) && value !== undefined) {
+        updateFields.push(`${key} = $${paramIndex}`);
+        values.push(value);
+        paramIndex++;
+      }
+    }
+
+    if (updateFields.length === 0) {
+      throw new Error("No hay campos válidos para actualizar");
+    }
+
+    values.push(name);
+
+    const sql = `
+      UPDATE roles
+      SET ${updateFields.join(", ")}, updated_at = CURRENT_TIMESTAMP
+      WHERE name = $${paramIndex}
+      RETURNING name, description, permissions, is_system, created_at, updated_at
+    `;
+
+    const result = await query(sql, values);
+
+    if (result.rows.length === 0) {
+      throw new Error("Rol no encontrado");
+    }
+
+    permissionsCache.delete(name);
+    return result.rows[0];
+  }
+
+  /**
+   * Elimina un rol personalizado
+   * No se pueden eliminar roles del sistema ni roles con usuarios asignados
+   *
+   * @param {string} name - Nombre del rol
+   * @returns {Promise<boolean>} true si se eliminó
+   */
+  static async delete(name) {
+    const role = await Role.findByName(name);
+
+    if (!role) {
+      throw new Error("Rol no encontrado");
+    }
+
+    if (role.is_system) {
+      throw new Error("Los roles del sistema no se pueden eliminar");
+    }
+
+    if (role.user_count > 0) {
+      throw new Error("El rol tiene usuarios asignados");
+    }
+
+    await transaction(async (client) => {
+      await client.query(`DELETE FROM two_factor_policies WHERE role = $1`, [
+        name,
+      ]);
+      await client.query(`DELETE FROM roles WHERE name = $1`, [name]);
+    });
+
+    permissionsCache.delete(name);
+    return true;
+  }
+}
+
+module.exports = Role;
@@ -0,0 +1,471 @@
+/**
+ * @fileoverview Modelo de Reglas de puntuación (scoring) de leads para Boost Agency CRM
+ *
+ * Cada lead tiene un score = suma de los puntos de las reglas activas que cumple:
+ * - presupuesto: el presupuesto del lead es ese rango de rangos_presupuesto
+ * - servicio_interes / origen: el lead tiene ese valor
+ * - empresa: el lead indica empresa
+ * - mensaje_longitud: el mensaje tiene al menos N caracteres
+ * - actividad: puntos por cada actividad/evento de ese tipo en el historial
+ *   (reunion, llamada, duplicado_recibido...), hasta max_puntos
+ *
+ * El score se recalcula al crear o editar el lead, al registrar actividades
+ * y (para todos los leads) al cambiar las reglas.
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const { query, transaction } = require("../config/database");
+const { parsePresupuesto } = require("../utils/presupuesto");
+const leadsForm = require("../content/formularios/leads.json");
+
+// Criterios disponibles
+const CRITERIOS = [
+  "presupuesto",
+  "servicio_interes",
+  "empresa",
+  "mensaje_longitud",
+  "origen",
+  "actividad",
+];
+
+// Rangos de presupuesto del formulario público
+const RANGOS_PRESUPUESTO = leadsForm.configuracion.rangos_presupuesto;
+
+// Leads por lote al recalcular todos
+const RECALCULATE_BATCH_SIZE = 500;
+
+// Campos del lead que usan los criterios
+const SCORING_FIELDS =
+  "id, presupuesto, servicio_interes, empresa, mensaje, origen";
+
+/**
+ * Helper: Normaliza un texto para comparar
+ */
+function normalize(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Helper: Indica si dos textos de presupuesto son el mismo rango
+ * ("5000-10000" equivale a "$5,000 - $10,000")
+ */
+function sameRange(a, b) {
+  const rangoA = parsePresupuesto(a);
+  const rangoB = parsePresupuesto(b);
+
+  return (
+    Boolean(rangoA && rangoB) &&
+    rangoA.min === rangoB.min &&
+    rangoA.max === rangoB.max
+  );
+}
+
+/**
+ * Helper: Puntos que aporta una regla a un lead (0 si no la cumple)
+ */
+function pointsFor(rule, lead, activityCounts) {
+  switch (rule.criterio) {
+    case "presupuesto":
+      return sameRange(lead.presupuesto, rule.valor) ? rule.puntos : 0;
+    case "servicio_interes":
+      return normalize(lead.servicio_interes) === normalize(rule.valor)
+        ? rule.puntos
+        : 0;
+    case "origen":
+      return normalize(lead.origen) === normalize(rule.valor) ? rule.puntos : 0;
+    case "empresa":
+      return normalize(lead.empresa) ? rule.puntos : 0;
+    case "mensaje_longitud":
+      return String(lead.mensaje || "").trim().length >= parseInt(rule.valor)
+        ? rule.puntos
+        : 0;
+    case "actividad": {
+      const total = (activityCounts[rule.valor] || 0) * rule.puntos;
+      // El tope limita el valor absoluto (también en reglas que restan)
+      return rule.max_puntos !== null
+        ? Math.sign(total) *
+            Math.min(Math.abs(total), Math.abs(rule.max_puntos))
+        : total;
+    }
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Helper: Valida los datos de una regla (con partial = true solo los presentes)
+ * Devuelve un mensaje de error o null si son válidos
+ */
+function validateRule(data, partial = false) {
+  const present = (field) => !partial || data[field] !== undefined;
+
+  if (present("name") && (!data.name || !String(data.name).trim())) {
+    return "El nombre es requerido";
+  }
+
+  if (present("criterio") && !CRITERIOS.includes(data.criterio)) {
+    return `Criterio inválido. Debe ser uno de: ${CRITERIOS.join(", ")}`;
+  }
+
+  if (present("puntos") && !Number.isInteger(data.puntos)) {
+    return "Puntos inválidos (debe ser un entero)";
+  }
+
+  if (
+    data.max_puntos !== undefined &&
+    data.max_puntos !== null &&
+    !Number.isInteger(data.max_puntos)
+  ) {
+    return "max_puntos inválido (debe ser un entero o null)";
+  }
+
+  return null;
+}
+
+/**
+ * Helper: Valida el valor según el criterio de la regla
+ */
+function validateValor(criterio, valor) {
+  if (criterio === "empresa") return null;
+
+  if (!valor || !String(valor).trim()) {
+    return `El valor es requerido para el criterio ${criterio}`;
+  }
+
+  if (criterio === "presupuesto" && !parsePresupuesto(valor)) {
+    return `Valor inválido: debe ser un rango de presupuesto (${RANGOS_PRESUPUESTO.join(
+      ", "
+    )})`;
+  }
+
+  if (
+    criterio === "mensaje_longitud" &&
+    !(parseInt(valor) > 0 && String(parseInt(valor)) === String(valor).trim())
+  ) {
+    return "Valor inválido: debe ser un número de caracteres";
+  }
+
+  return null;
+}
+
+class ScoringRule {
+  /**
+   * Lista las reglas de puntuación
+   *
+   * DÓNDE SE USA: En GET /api/scoring-rules
+   *
+   * @returns {Promise<Array>} Reglas
+   */
+  static async findAll() {
+    const result = await query(`
+      SELECT * FROM scoring_rules
+      ORDER BY criterio ASC, created_at ASC
+    `);
+    return result.rows;
+  }
+
+  /**
+   * Busca una regla por ID
+   *
+   * @param {string} id - UUID de la regla
+   * @returns {Promise<Object|null>} Regla o null
+   */
+  static async findById(id) {
+    const result = await query("SELECT * FROM scoring_rules WHERE id = $1", [
+      id,
+    ]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Crea una regla de puntuación
+   *
+   * DÓNDE SE USA: En POST /api/scoring-rules
+   *
+   * @param {Object} ruleData - Datos de la regla
+   * @param {string} ruleData.name - Nombre ('Presupuesto alto')
+   * @param {string} ruleData.criterio - Criterio (ver CRITERIOS)
+   * @param {string} [ruleData.valor] - Valor del criterio (no aplica a 'empresa')
+   * @param {number} ruleData.puntos - Puntos (pueden ser negativos)
+   * @param {number} [ruleData.max_puntos] - Tope de puntos (criterio 'actividad')
+   * @param {boolean} [ruleData.is_active=true] - Regla activa
+   * @param {string} createdBy - UUID del admin que la crea
+   * @returns {Promise<Object>} Regla creada
+   */
+  static async create(ruleData, createdBy) {
+    const error =
+      validateRule(ruleData) ||
+      validateValor(ruleData.criterio, ruleData.valor);
+    if (error) throw new Error(error);
+
+    const {
+      name,
+      criterio,
+      valor = null,
+      puntos,
+      max_puntos = null,
+      is_active = true,
+    } = ruleData;
+
+    const result = await query(
+      `INSERT INTO scoring_rules (name, criterio, valor, puntos, max_puntos, is_active, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        String(name).trim(),
+        criterio,
+        criterio === "empresa" ? null : String(valor).trim(),
+        puntos,
+        max_puntos,
+        is_active,
+        createdBy,
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Actualiza una regla de puntuación
+   *
+   * @param {string} id - UUID de la regla
+   * @param {Object} updates - Campos a actualizar
+   * @returns {Promise<Object>} Regla actualizada
+   */
+  static async update(id, updates) {
+    const error = validateRule(updates, true);
+    if (error) throw new Error(error);
+
+    const current = await ScoringRule.findById(id);
+    if (!current) {
+      throw new Error("Regla no encontrada");
+    }
+
+    // El valor se valida contra el criterio final de la regla
+    const criterio = updates.criterio || current.criterio;
+    const valor = updates.valor !== undefined ? updates.valor : current.valor;
+    const valorError = validateValor(criterio, valor);
+    if (valorError) throw new Error(valorError);
+
+    const allowedFields = [
+      "name",
+      "criterio",
+      "valor",
+      "puntos",
+      "max_puntos",
+      "is_active",
+    ];
+    const updateFields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (allowedFields.includes(key) && value !== undefined) {
+        updateFields.push(`${key} = $${paramIndex}`);
+        values.push(
+          key === "name" || (key === "valor" && value !== null)
+            ? String(value).trim()
+            : value
+        );
+        paramIndex++;
+      }
+    }
+
+    if (updateFields.length === 0) {
+      throw new Error("No hay campos válidos para actualizar");
+    }
+
+    values.push(id);
+
+    const result = await query(
+      `UPDATE scoring_rules
+       SET ${updateFields.join(", ")}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${paramIndex}
+       RETURNING *`,
+      values
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Elimina una regla de puntuación
+   *
+   * @param {string} id - UUID de la regla
+   * @returns {Promise<boolean>} true si se eliminó
+   */
+  static async delete(id) {
+    const result = await query(
+      "DELETE FROM scoring_rules WHERE id = $1 RETURNING id",
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error("Regla no encontrada");
+    }
+
+    return true;
+  }
+
+  /**
+   * Calcula el score de un lead con las reglas indicadas
+   *
+   * @param {Object} lead - Lead (presupuesto, servicio_interes, empresa, mensaje, origen)
+   * @param {Object} activityCounts - { tipo_o_evento: cantidad } del historial
+   * @param {Array<Object>} rules - Reglas activas
+   * @returns {Object} { score, score_detalle: [{ rule_id, name, criterio, puntos }] }
+   */
+  static calculate(lead, activityCounts, rules) {
+    const detalle = [];
+
+    for (const rule of rules) {
+      const puntos = pointsFor(rule, lead, activityCounts);
+      if (puntos !== 0) {
+        detalle.push({
+          rule_id: rule.id,
+          name: rule.name,
+          criterio: rule.criterio,
+          puntos,
+        });
+      }
+    }
+
+    return {
+      score: detalle.reduce((total, item) => total + item.puntos, 0),
+      score_detalle: detalle,
+    };
+  }
+
+  /**
+   * Cuenta las actividades del historial de varios leads por tipo/evento
+   *
+   * @param {Array<string>} leadIds - UUIDs de los leads
+   * @param {Function} run - query o client.query
+   * @returns {Promise<Object>} { leadId: { tipo_o_evento: cantidad } }
+   */
+  static async getActivityCounts(leadIds, run = query) {
+    const result = await run(
+      `SELECT lead_id, COALESCE(evento, tipo) AS clave, COUNT(*)::int AS cantidad
+       FROM lead_activities
+       WHERE lead_id = ANY($1::uuid[])
+       GROUP BY lead_id, clave`,
+      [leadIds]
+    );
+
+    const counts = {};
+    for (const row of result.rows) {
+      counts[row.lead_id] = counts[row.lead_id] || {};
+      counts[row.lead_id][row.clave] = row.cantidad;
+    }
+    return counts;
+  }
+
+  /**
+   * Recalcula y guarda el score de un lead
+   *
+   * DÓNDE SE USA: En Lead.create, Lead.update, Lead.merge y LeadActivity.create
+   *
+   * @param {string} leadId - UUID del lead
+   * @param {Object} [client] - Cliente de transacción (opcional)
+   * @returns {Promise<Object|null>} { score, score_detalle } o null si el lead no existe
+   */
+  static async recalculateLead(leadId, client = null) {
+    const run = client ? client.query.bind(client) : query;
+
+    const leadResult = await run(
+      `SELECT ${SCORING_FIELDS} FROM leads WHERE id = $1`,
+      [leadId]
+    );
+    const lead = leadResult.rows[0];
+    if (!lead) return null;
+
+    const rules = await run("SELECT * FROM scoring_rules WHERE is_active");
+    const counts = await ScoringRule.getActivityCounts([leadId], run);
+    const result = ScoringRule.calculate(
+      lead,
+      counts[leadId] || {},
+      rules.rows
+    );
+
+    await run(
+      `UPDATE leads
+       SET score = $1, score_detalle = $2, score_updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [result.score, JSON.stringify(result.score_detalle), leadId]
+    );
+
+    return result;
+  }
+
+  /**
+   * Recalcula el score de todos los leads (por lotes)
+   *
+   * DÓNDE SE USA: Al crear, editar o eliminar reglas y en
+   * POST /api/scoring-rules/recalculate
+   *
+   * @returns {Promise<number>} Cantidad de leads recalculados
+   */
+  static async recalculateAll() {
+    const rules = (await query("SELECT * FROM scoring_rules WHERE is_active"))
+      .rows;
+    let lastId = null;
+    let total = 0;
+
+    for (;;) {
+      const batch = await query(
+        `SELECT ${SCORING_FIELDS}
+         FROM leads
+         WHERE $1::uuid IS NULL OR id > $1
+         ORDER BY id ASC
+         LIMIT $2`,
+        [lastId, RECALCULATE_BATCH_SIZE]
+      );
+      if (batch.rows.length === 0) break;
+
+      const ids = batch.rows.map((lead) => lead.id);
+      const counts = await ScoringRule.getActivityCounts(ids);
+      const results = batch.rows.map((lead) =>
+        ScoringRule.calculate(lead, counts[lead.id] || {}, rules)
+      );
+
+      await transaction(async (client) => {
+        await client.query(
+          `UPDATE leads l
+           SET score = v.score,
+               score_detalle = v.detalle,
+               score_updated_at = CURRENT_TIMESTAMP
+           FROM UNNEST($1::uuid[], $2::int[], $3::jsonb[]) AS v(id, score, detalle)
+           WHERE l.id = v.id`,
+          [
+            ids,
+            results.map((r) => r.score),
+            results.map((r) => JSON.stringify(r.score_detalle)),
+          ]
+        );
+      });
+
+      total += batch.rows.length;
+      lastId = ids[ids.length - 1];
+    }
+
+    return total;
+  }
+
+  /**
+   * Devuelve los criterios disponibles y los rangos de presupuesto del formulario
+   *
+   * @returns {Object} { criterios, rangos_presupuesto }
+   */
+  static get opciones() {
+    return {
+      criterios: CRITERIOS,
+      rangos_presupuesto: RANGOS_PRESUPUESTO,
+    };
+  }
+}
+
+module.exports = ScoringRule;
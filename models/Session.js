@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Modelo de Sesiones de usuario para Boost Agency
+ *
+ * Cada login crea una sesión que registra:
+ * - Dispositivo, IP y user agent
+ * - Fecha de creación y última actividad
+ * - Revocación (logout, cierre remoto, suspensión del usuario)
+ *
+ * La sesión es la "familia" de sus refresh tokens (refresh_tokens.family_id),
+ * por lo que revocar una sesión revoca también todos sus refresh tokens.
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const { query } = require("../config/database");
+const RefreshToken = require("./RefreshToken");
+
+// Intervalo mínimo entre actualizaciones de last_seen_at (evita un UPDATE por request)
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+/**
+ * Helper: Obtiene una descripción legible del dispositivo a partir del user agent
+ */
+function describeDevice(userAgent = "") {
+  const browsers = [
+    ["Edg/", "Edge"],
+    ["OPR/", "Opera"],
+    ["Chrome/", "Chrome"],
+    ["Firefox/", "Firefox"],
+    ["Safari/", "Safari"],
+  ];
+  const systems = [
+    ["Windows", "Windows"],
+    ["Android", "Android"],
+    ["iPhone", "iOS"],
+    ["iPad", "iOS"],
+    ["Mac OS X", "macOS"],
+    ["Linux", "Linux"],
+  ];
+
+  const browser = browsers.find(([token]) => userAgent.includes(token));
+  const system = systems.find(([token]) => userAgent.includes(token));
+
+  if (!browser && !system) return "Desconocido";
+  return [browser && browser[1], system && system[1]]
+    .filter(Boolean)
+    .join(" en ");
+}
+
+class Session {
+  /**
+   * Crea una nueva sesión
+   *
+   * DÓNDE SE USA: En POST /api/auth/login
+   *
+   * @param {Object} sessionData - Datos de la sesión
+   * @param {string} sessionData.user_id - UUID del usuario
+   * @param {string} [sessionData.ip_address] - IP del cliente
+   * @param {string} [sessionData.user_agent] - User agent del cliente
+   * @param {string} [sessionData.device] - Nombre del dispositivo (se deduce del user agent si no se indica)
+   * @returns {Promise<Object>} Sesión creada
+   */
+  static async create(sessionData) {
+    const { user_id, ip_address, user_agent = "", device } = sessionData;
+
+    const sql = `
+      INSERT INTO user_sessions (user_id, device, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+
+    const result = await query(sql, [
+      user_id,
+      device || describeDevice(user_agent),
+      ip_address,
+      user_agent,
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Busca una sesión por ID
+   *
+   * @param {string} sessionId - UUID de la sesión
+   * @returns {Promise<Object|null>} Sesión encontrada o null
+   */
+  static async findById(sessionId) {
+    const sql = `SELECT * FROM user_sessions WHERE id = $1`;
+    const result = await query(sql, [sessionId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Lista las sesiones activas de un usuario
+   *
+   * @param {string} userId - UUID del usuario
+   * @returns {Promise<Array>} Sesiones activas (más recientes primero)
+   */
+  static async findActiveByUser(userId) {
+    const sql = `
+      SELECT id, device, ip_address, user_agent, created_at, last_seen_at
+      FROM user_sessions
+      WHERE user_id = $1 AND revoked_at IS NULL
+      ORDER BY last_seen_at DESC
+    `;
+
+    const result = await query(sql, [userId]);
+    return result.rows;
+  }
+
+  /**
+   * Verifica que una sesión esté activa y actualiza su última actividad
+   *
+   * DÓNDE SE USA: En authenticateToken en cada request autenticado
+   *
+   * @param {string} sessionId - UUID de la sesión
+   * @returns {Promise<boolean>} true si la sesión sigue activa
+   */
+  static async touch(sessionId) {
+    const sql = `
+      SELECT id, last_seen_at FROM user_sessions
+      WHERE id = $1 AND revoked_at IS NULL
+    `;
+    const result = await query(sql, [sessionId]);
+    const session = result.rows[0];
+
+    if (!session) return false;
+
+    const lastSeen = new Date(session.last_seen_at).getTime();
+    if (Date.now() - lastSeen > LAST_SEEN_THROTTLE_MS) {
+      await query(
+        `UPDATE user_sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE id = $1`,
+        [sessionId]
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Revoca una sesión y todos sus refresh tokens
+   *
+   * @param {string} sessionId - UUID de la sesión
+   * @param {string} [reason='logout'] - Motivo de la revocación
+   * @returns {Promise<Object|null>} Sesión revocada o null si no estaba activa
+   */
+  static async revoke(sessionId, reason = "logout") {
+    const sql = `
+      UPDATE user_sessions
+      SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING *
+    `;
+
+    const result = await query(sql, [sessionId, reason]);
+    await RefreshToken.revokeFamily(sessionId, reason);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Revoca todas las sesiones activas de un usuario ("cerrar sesión en todas partes")
+   *
+   * DÓNDE SE USA: Cierre remoto por un admin y al suspender/desactivar un usuario
+   *
+   * @param {string} userId - UUID del usuario
+   * @param {string} [reason='logout_all'] - Motivo de la revocación
+   * @returns {Promise<number>} Cantidad de sesiones revocadas
+   */
+  static async revokeAllForUser(userId, reason = "logout_all") {
+    const sql = `
+      UPDATE user_sessions
+      SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+      WHERE user_id = $1 AND revoked_at IS NULL
+    `;
+
+    const result = await query(sql, [userId, reason]);
+    await RefreshToken.revokeAllForUser(userId, reason);
+
+    return result.rowCount;
+  }
+}
+
+module.exports = Session;
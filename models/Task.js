@@ -0,0 +1,476 @@
+/**
+ * @fileoverview Modelo de Tareas de seguimiento de leads para Boost Agency CRM
+ *
+ * Cada tarea pertenece a un lead ("Llamar de nuevo", "Enviar propuesta"...)
+ * y tiene fecha límite, responsable y estado (hecha o no).
+ *
+ * - Al completarla queda registrada en el historial del lead
+ *   (evento 'tarea_completada')
+ * - El job de tareas (services/taskScheduler.js) envía los recordatorios
+ *   y marca las tareas vencidas
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const { query, transaction } = require("../config/database");
+const LeadActivity = require("./LeadActivity");
+
+// Datos de la tarea con su lead y responsable (requiere TASK_JOINS)
+const TASK_FIELDS = `
+  t.*,
+  (t.done = false AND t.due_at < CURRENT_TIMESTAMP) AS vencida,
+  l.nombre AS lead_nombre,
+  l.email AS lead_email,
+  l.telefono AS lead_telefono,
+  u.full_name AS assigned_to_name,
+  u.email AS assigned_to_email
+`;
+
+const TASK_JOINS = `
+  JOIN leads l ON t.lead_id = l.id
+  LEFT JOIN users u ON t.assigned_to = u.id
+`;
+
+/**
+ * Helper: Valida una fecha opcional (ISO string)
+ */
+function isValidDate(value) {
+  return !Number.isNaN(new Date(value).getTime());
+}
+
+/**
+ * Helper: Comprueba que el usuario exista y esté activo
+ */
+async function assertAssignee(userId, run = query) {
+  const result = await run(
+    "SELECT id FROM users WHERE id = $1 AND status = 'active'",
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error("Usuario no encontrado");
+  }
+}
+
+class Task {
+  /**
+   * Crea una tarea en un lead
+   * Sin responsable, se asigna al vendedor del lead (o a quien la crea)
+   *
+   * DÓNDE SE USA: En POST /api/tasks
+   *
+   * @param {Object} taskData - Datos de la tarea
+   * @param {string} taskData.lead_id - UUID del lead
+   * @param {string} taskData.title - Título ('Llamar para confirmar reunión')
+   * @param {string} taskData.due_at - Fecha límite (ISO string)
+   * @param {string} [taskData.description] - Detalle
+   * @param {string} [taskData.remind_at] - Fecha del recordatorio (ISO string)
+   * @param {string} [taskData.assigned_to] - UUID del responsable
+   * @param {string} [createdBy] - UUID del usuario que la crea
+   * @returns {Promise<Object>} Tarea creada
+   */
+  static async create(taskData, createdBy = null) {
+    const {
+      lead_id,
+      title,
+      description = null,
+      due_at,
+      remind_at = null,
+      assigned_to,
+    } = taskData;
+
+    if (!title || !String(title).trim()) {
+      throw new Error("El título es requerido");
+    }
+
+    if (!due_at || !isValidDate(due_at)) {
+      throw new Error("Fecha límite (due_at) inválida");
+    }
+
+    if (remind_at && !isValidDate(remind_at)) {
+      throw new Error("Fecha de recordatorio (remind_at) inválida");
+    }
+
+    const lead = await query(
+      "SELECT id, assigned_to FROM leads WHERE id = $1",
+      [lead_id]
+    );
+
+    if (lead.rows.length === 0) {
+      throw new Error("Lead no encontrado");
+    }
+
+    const assignee = assigned_to || lead.rows[0].assigned_to || createdBy;
+    if (assigned_to) {
+      await assertAssignee(assigned_to);
+    }
+
+    const result = await query(
+      `INSERT INTO tasks (lead_id, title, description, due_at, remind_at, assigned_to, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [
+        lead_id,
+        String(title).trim(),
+        description,
+        due_at,
+        remind_at,
+        assignee,
+        createdBy,
+      ]
+    );
+
+    return await Task.findById(result.rows[0].id);
+  }
+
+  /**
+   * Busca una tarea por ID
+   *
+   * @param {string} id - UUID de la tarea
+   * @returns {Promise<Object|null>} Tarea o null
+   */
+  static async findById(id) {
+    const result = await query(
+      `SELECT ${TASK_FIELDS} FROM tasks t ${TASK_JOINS} WHERE t.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Lista tareas con filtros y paginación (las más urgentes primero)
+   *
+   * DÓNDE SE USA: En GET /api/tasks
+   *
+   * @param {Object} filters - Filtros
+   * @param {string} [filters.assigned_to] - Responsable
+   * @param {string} [filters.lead_id] - Lead
+   * @param {boolean} [filters.done] - Hechas / pendientes
+   * @param {boolean} [filters.overdue] - Solo pendientes con la fecha límite pasada
+   * @param {number} [filters.page=1] - Página actual
+   * @param {number} [filters.limit=20] - Tareas por página
+   * @returns {Promise<Object>} { tasks: [], pagination: {} }
+   */
+  static async findAll(filters = {}) {
+    const {
+      assigned_to,
+      lead_id,
+      done,
+      overdue,
+      page = 1,
+      limit = 20,
+    } = filters;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    if (assigned_to) {
+      params.push(assigned_to);
+      conditions.push(`t.assigned_to = $${params.length}`);
+    }
+
+    if (lead_id) {
+      params.push(lead_id);
+      conditions.push(`t.lead_id = $${params.length}`);
+    }
+
+    if (done !== undefined) {
+      params.push(done);
+      conditions.push(`t.done = $${params.length}`);
+    }
+
+    if (overdue) {
+      conditions.push("t.done = false AND t.due_at < CURRENT_TIMESTAMP");
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const result = await query(
+      `SELECT ${TASK_FIELDS}
+       FROM tasks t
+       ${TASK_JOINS}
+       ${where}
+       ORDER BY t.done ASC, t.due_at ASC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM tasks t ${where}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      tasks: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Tareas de un lead (pendientes primero)
+   *
+   * DÓNDE SE USA: En GET /api/leads/:id
+   *
+   * @param {string} leadId - UUID del lead
+   * @returns {Promise<Array>} Tareas
+   */
+  static async findAllByLead(leadId) {
+    const result = await query(
+      `SELECT ${TASK_FIELDS}
+       FROM tasks t
+       ${TASK_JOINS}
+       WHERE t.lead_id = $1
+       ORDER BY t.done ASC, t.due_at ASC`,
+      [leadId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Actualiza una tarea
+   * Cambiar las fechas reprograma el recordatorio y el aviso de vencida.
+   * done = true la completa (ver complete) y done = false la reabre
+   *
+   * @param {string} id - UUID de la tarea
+   * @param {Object} updates - title, description, due_at, remind_at, assigned_to, done
+   * @param {string} [userId] - UUID del usuario que la actualiza
+   * @returns {Promise<Object>} Tarea actualizada
+   */
+  static async update(id, updates, userId = null) {
+    const { title, due_at, remind_at, assigned_to, done } = updates;
+
+    if (title !== undefined && (!title || !String(title).trim())) {
+      throw new Error("El título es requerido");
+    }
+
+    if (due_at !== undefined && (!due_at || !isValidDate(due_at))) {
+      throw new Error("Fecha límite (due_at) inválida");
+    }
+
+    if (remind_at && !isValidDate(remind_at)) {
+      throw new Error("Fecha de recordatorio (remind_at) inválida");
+    }
+
+    if (assigned_to) {
+      await assertAssignee(assigned_to);
+    }
+
+    const allowedFields = [
+      "title",
+      "description",
+      "due_at",
+      "remind_at",
+      "assigned_to",
+    ];
+    const updateFields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (allowedFields.includes(key) && value !== undefined) {
+        updateFields.push(`${key} = $${paramIndex}`);
+        values.push(key === "title" ? String(value).trim() : value);
+        paramIndex++;
+      }
+    }
+
+    if (updateFields.length === 0 && done === undefined) {
+      throw new Error("No hay campos válidos para actualizar");
+    }
+
+    if (updateFields.length > 0) {
+      // Nuevas fechas: se vuelve a avisar
+      if (due_at !== undefined || remind_at !== undefined) {
+        updateFields.push("reminder_sent_at = NULL", "overdue_at = NULL");
+      }
+
+      values.push(id);
+      const result = await query(
+        `UPDATE tasks
+         SET ${updateFields.join(", ")}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $${paramIndex}
+         RETURNING id`,
+        values
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error("Tarea no encontrada");
+      }
+    }
+
+    if (done === true) {
+      return await Task.complete(id, userId);
+    }
+
+    if (done === false) {
+      return await Task.reopen(id);
+    }
+
+    return await Task.findById(id);
+  }
+
+  /**
+   * Marca una tarea como hecha y lo registra en el historial del lead
+   *
+   * @param {string} id - UUID de la tarea
+   * @param {string} [userId] - UUID del usuario que la completa
+   * @returns {Promise<Object>} Tarea completada
+   */
+  static async complete(id, userId = null) {
+    await transaction(async (client) => {
+      const result = await client.query(
+        "SELECT * FROM tasks WHERE id = $1 FOR UPDATE",
+        [id]
+      );
+      const task = result.rows[0];
+
+      if (!task) {
+        throw new Error("Tarea no encontrada");
+      }
+
+      if (task.done) return;
+
+      const updated = await client.query(
+        `UPDATE tasks
+         SET done = true, completed_at = CURRENT_TIMESTAMP, completed_by = $1,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING completed_at`,
+        [userId, id]
+      );
+
+      await LeadActivity.recordEvent(
+        task.lead_id,
+        "tarea_completada",
+        `Tarea completada: ${task.title}`,
+        {
+          task_id: task.id,
+          title: task.title,
+          due_at: task.due_at,
+          a_tiempo: updated.rows[0].completed_at <= task.due_at,
+        },
+        userId,
+        client
+      );
+    });
+
+    return await Task.findById(id);
+  }
+
+  /**
+   * Reabre una tarea hecha
+   *
+   * @param {string} id - UUID de la tarea
+   * @returns {Promise<Object>} Tarea pendiente
+   */
+  static async reopen(id) {
+    const result = await query(
+      `UPDATE tasks
+       SET done = false, completed_at = NULL, completed_by = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error("Tarea no encontrada");
+    }
+
+    return await Task.findById(id);
+  }
+
+  /**
+   * Elimina una tarea
+   *
+   * @param {string} id - UUID de la tarea
+   * @returns {Promise<boolean>} true si se eliminó
+   */
+  static async delete(id) {
+    const result = await query("DELETE FROM tasks WHERE id = $1 RETURNING id", [
+      id,
+    ]);
+
+    if (result.rows.length === 0) {
+      throw new Error("Tarea no encontrada");
+    }
+
+    return true;
+  }
+
+  /**
+   * Marca como enviados los recordatorios que tocan y los devuelve
+   * (remind_at o, sin él, reminderMinutes antes de due_at).
+   * Las tareas ya vencidas no reciben recordatorio: reciben el aviso de vencida
+   *
+   * DÓNDE SE USA: En el job de tareas (services/taskScheduler.js)
+   *
+   * @param {number} reminderMinutes - Minutos antes de due_at por defecto
+   * @param {number} limit - Máximo de tareas por ejecución
+   * @returns {Promise<Array>} Tareas con datos del lead y del responsable
+   */
+  static async claimDueReminders(reminderMinutes, limit) {
+    const result = await query(
+      `WITH due AS (
+         SELECT id FROM tasks
+         WHERE done = false
+           AND reminder_sent_at IS NULL
+           AND due_at > CURRENT_TIMESTAMP
+           AND COALESCE(remind_at, due_at - $1 * INTERVAL '1 minute') <= CURRENT_TIMESTAMP
+         ORDER BY due_at ASC
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       ), claimed AS (
+         UPDATE tasks SET reminder_sent_at = CURRENT_TIMESTAMP
+         FROM due WHERE tasks.id = due.id
+         RETURNING tasks.*
+       )
+       SELECT ${TASK_FIELDS}
+       FROM claimed t
+       ${TASK_JOINS}`,
+      [reminderMinutes, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Marca las tareas pendientes que vencieron (overdue_at) y las devuelve
+   *
+   * DÓNDE SE USA: En el job de tareas (services/taskScheduler.js)
+   *
+   * @param {number} limit - Máximo de tareas por ejecución
+   * @returns {Promise<Array>} Tareas con datos del lead y del responsable
+   */
+  static async markOverdue(limit) {
+    const result = await query(
+      `WITH due AS (
+         SELECT id FROM tasks
+         WHERE done = false
+           AND overdue_at IS NULL
+           AND due_at <= CURRENT_TIMESTAMP
+         ORDER BY due_at ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       ), marked AS (
+         UPDATE tasks SET overdue_at = CURRENT_TIMESTAMP
+         FROM due WHERE tasks.id = due.id
+         RETURNING tasks.*
+       )
+       SELECT ${TASK_FIELDS}
+       FROM marked t
+       ${TASK_JOINS}`,
+      [limit]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = Task;
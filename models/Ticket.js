@@ -0,0 +1,731 @@
+/**
+ * @fileoverview Modelo de Tickets de soporte para Boost Agency
+ *
+ * Consultas de clientes (información, soporte técnico, facturación...).
+ * Tipos de consulta, prioridades y estados salen de la configuración de
+ * content/formularios/soporte.json.
+ *
+ * - Al crearlo se vincula al lead con el mismo email (si existe) y queda
+ *   registrado en el historial del lead (evento 'ticket_creado')
+ * - Los cambios de estado siguen TRANSICIONES; resolved_at y closed_at
+ *   guardan cuándo se resolvió y cerró
+ * - SLA: los plazos de primera respuesta y resolución se calculan con la
+ *   política de su prioridad (models/TicketSlaPolicy.js) al crearlo o
+ *   cambiar la prioridad. Cada ticket indica si incumplió algún plazo o
+ *   está en riesgo (le queda menos del SUPPORT_SLA_AT_RISK_PERCENT % del
+ *   plazo, 25 por defecto)
+ * - El cliente lo consulta y responde con un enlace firmado
+ *   (utils/ticketToken.js); la conversación está en models/TicketMessage.js
+ *
+ * Reemplaza: soporte.json (tickets_soporte)
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const { query, transaction } = require("../config/database");
+const LeadActivity = require("./LeadActivity");
+const {
+  createTicketToken,
+  verifyTicketToken,
+} = require("../utils/ticketToken");
+const soporteForm = require("../content/formularios/soporte.json");
+
+// Valores de la configuración del formulario de soporte
+const TIPOS_CONSULTA = soporteForm.configuracion.tipos_consulta;
+const PRIORIDADES = soporteForm.configuracion.prioridades;
+const ESTADOS = soporteForm.configuracion.estados;
+
+// Prioridad de los tickets creados desde el formulario público
+const DEFAULT_PRIORIDAD = "media";
+
+// Estados a los que se puede pasar desde cada estado (cerrado es final)
+const TRANSICIONES = {
+  abierto: ["en_proceso", "pendiente_cliente", "resuelto", "cerrado"],
+  en_proceso: ["pendiente_cliente", "resuelto", "cerrado"],
+  pendiente_cliente: ["en_proceso", "resuelto", "cerrado"],
+  resuelto: ["en_proceso", "cerrado"],
+  cerrado: [],
+};
+
+// Estados en los que el ticket ya no requiere atención
+const ESTADOS_FINALIZADOS = ["resuelto", "cerrado"];
+
+// Formato de email aceptado
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Fracción del plazo que queda por debajo de la cual el ticket está en riesgo
+const AT_RISK_FRACTION =
+  (parseInt(process.env.SUPPORT_SLA_AT_RISK_PERCENT) || 25) / 100;
+
+// Condiciones SQL del SLA (sobre el alias t)
+const SQL_PENDIENTE = `t.estado NOT IN (${ESTADOS_FINALIZADOS.map(
+  (estado) => `'${estado}'`
+).join(", ")})`;
+
+// Resolver sin responder cuenta como respuesta
+const SQL_PRIMERA_RESPUESTA_INCUMPLIDA = `COALESCE(
+  COALESCE(t.first_response_at, t.resolved_at, CURRENT_TIMESTAMP) > t.first_response_due_at,
+  FALSE
+)`;
+
+// Si se reabre, el plazo de resolución sigue siendo el original
+const SQL_RESOLUCION_INCUMPLIDA = `COALESCE(
+  COALESCE(t.resolved_at, CURRENT_TIMESTAMP) > t.resolution_due_at,
+  FALSE
+)`;
+
+const SQL_EN_RIESGO = `COALESCE(${SQL_PENDIENTE} AND (
+  (t.first_response_at IS NULL AND CURRENT_TIMESTAMP BETWEEN
+    t.first_response_due_at - (t.first_response_due_at - t.created_at) * ${AT_RISK_FRACTION}
+    AND t.first_response_due_at)
+  OR CURRENT_TIMESTAMP BETWEEN
+    t.resolution_due_at - (t.resolution_due_at - t.created_at) * ${AT_RISK_FRACTION}
+    AND t.resolution_due_at
+), FALSE)`;
+
+// Próximo plazo pendiente (null si está resuelto o cerrado)
+const SQL_SLA_VENCE_AT = `CASE
+  WHEN NOT ${SQL_PENDIENTE} THEN NULL
+  WHEN t.first_response_at IS NULL
+    THEN LEAST(t.first_response_due_at, t.resolution_due_at)
+  ELSE t.resolution_due_at
+END`;
+
+// Datos del ticket con su responsable, su lead y su SLA (requiere TICKET_JOINS)
+const TICKET_FIELDS = `
+  t.*,
+  u.full_name AS asignado_a_name,
+  u.email AS asignado_a_email,
+  l.nombre AS lead_nombre,
+  l.estado AS lead_estado,
+  ${SQL_PRIMERA_RESPUESTA_INCUMPLIDA} AS sla_primera_respuesta_incumplida,
+  ${SQL_RESOLUCION_INCUMPLIDA} AS sla_resolucion_incumplida,
+  ${SQL_EN_RIESGO} AS sla_en_riesgo,
+  ${SQL_SLA_VENCE_AT} AS sla_vence_at
+`;
+
+// Filtros de SLA del listado
+const SLA_FILTERS = {
+  en_riesgo: SQL_EN_RIESGO,
+  incumplido: `(${SQL_PRIMERA_RESPUESTA_INCUMPLIDA} OR ${SQL_RESOLUCION_INCUMPLIDA})`,
+};
+
+const TICKET_JOINS = `
+  LEFT JOIN users u ON t.asignado_a = u.id
+  LEFT JOIN leads l ON t.lead_id = l.id
+`;
+
+/**
+ * Helper: Texto recortado o null si está vacío
+ */
+function clean(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text || null;
+}
+
+/**
+ * Helper: Comprueba que el usuario exista y esté activo
+ */
+async function assertAssignee(userId, run = query) {
+  const result = await run(
+    "SELECT id, full_name FROM users WHERE id = $1 AND status = 'active'",
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error("Usuario no encontrado");
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Helper: Comprueba que el lead exista
+ */
+async function assertLead(leadId, run = query) {
+  const result = await run("SELECT id FROM leads WHERE id = $1", [leadId]);
+
+  if (result.rows.length === 0) {
+    throw new Error("Lead no encontrado");
+  }
+}
+
+/**
+ * Helper: Lead con el email del cliente (el original si hay duplicados,
+ * y si no el más reciente)
+ */
+async function findLeadByEmail(email, run = query) {
+  const result = await run(
+    `SELECT id FROM leads
+     WHERE LOWER(email) = LOWER($1)
+     ORDER BY (duplicate_of IS NULL) DESC, fecha DESC
+     LIMIT 1`,
+    [email]
+  );
+  return result.rows[0] ? result.rows[0].id : null;
+}
+
+/**
+ * Helper: Calcula los plazos del ticket con la política de su prioridad
+ * (desde que se creó; sin política los plazos quedan vacíos)
+ */
+async function applySlaDeadlines(ticketId, run = query) {
+  await run(
+    `UPDATE tickets t
+     SET first_response_due_at = t.created_at + (
+           SELECT p.primera_respuesta_minutos FROM ticket_sla_policies p
+           WHERE p.prioridad = t.prioridad
+         ) * INTERVAL '1 minute',
+         resolution_due_at = t.created_at + (
+           SELECT p.resolucion_minutos FROM ticket_sla_policies p
+           WHERE p.prioridad = t.prioridad
+         ) * INTERVAL '1 minute'
+     WHERE t.id = $1`,
+    [ticketId]
+  );
+}
+
+class Ticket {
+  /**
+   * Crea un ticket de soporte
+   *
+   * DÓNDE SE USA: En POST /api/soporte (formulario público o el equipo)
+   *
+   * @param {Object} ticketData - Datos del ticket
+   * @param {string} ticketData.nombre - Nombre del cliente
+   * @param {string} ticketData.email - Email del cliente
+   * @param {string} [ticketData.telefono] - Teléfono del cliente
+   * @param {string} ticketData.tipo_consulta - Tipo (ver soporte.json)
+   * @param {string} ticketData.asunto - Asunto
+   * @param {string} ticketData.mensaje - Mensaje
+   * @param {string} [ticketData.prioridad='media'] - Prioridad (ver soporte.json)
+   * @param {string} [ticketData.lead_id] - Lead (default: el lead con el mismo email)
+   * @param {string} [ticketData.asignado_a] - UUID del responsable
+   * @param {string} [createdBy] - UUID del usuario que lo crea (null si es público)
+   * @returns {Promise<Object>} Ticket creado
+   * @throws {Error} Si faltan datos o no son válidos
+   */
+  static async create(ticketData, createdBy = null) {
+    const nombre = clean(ticketData.nombre);
+    const email = clean(ticketData.email);
+    const asunto = clean(ticketData.asunto);
+    const mensaje = clean(ticketData.mensaje);
+    const {
+      tipo_consulta,
+      prioridad = DEFAULT_PRIORIDAD,
+      lead_id,
+      asignado_a,
+    } = ticketData;
+
+    const faltantes = Object.entries({ nombre, email, asunto, mensaje })
+      .filter(([, value]) => !value)
+      .map(([campo]) => campo);
+    if (!tipo_consulta) faltantes.push("tipo_consulta");
+
+    if (faltantes.length > 0) {
+      throw new Error(`Campos requeridos: ${faltantes.join(", ")}`);
+    }
+
+    if (!EMAIL_REGEX.test(email)) {
+      throw new Error("Formato de email inválido");
+    }
+
+    if (!TIPOS_CONSULTA.includes(tipo_consulta)) {
+      throw new Error(
+        `Tipo de consulta inválido. Debe ser: ${TIPOS_CONSULTA.join(", ")}`
+      );
+    }
+
+    if (!PRIORIDADES.includes(prioridad)) {
+      throw new Error(
+        `Prioridad inválida. Debe ser: ${PRIORIDADES.join(", ")}`
+      );
+    }
+
+    const id = await transaction(async (client) => {
+      const run = client.query.bind(client);
+
+      if (lead_id) {
+        await assertLead(lead_id, run);
+      }
+
+      if (asignado_a) {
+        await assertAssignee(asignado_a, run);
+      }
+
+      const leadId = lead_id || (await findLeadByEmail(email, run));
+
+      const result = await client.query(
+        `INSERT INTO tickets (
+           lead_id, nombre, email, telefono, tipo_consulta, prioridad,
+           asunto, mensaje, asignado_a, created_by
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING id, numero`,
+        [
+          leadId,
+          nombre.slice(0, 255),
+          email.slice(0, 255),
+          clean(ticketData.telefono),
+          tipo_consulta,
+          prioridad,
+          asunto.slice(0, 255),
+          mensaje,
+          asignado_a || null,
+          createdBy,
+        ]
+      );
+      const ticket = result.rows[0];
+
+      await applySlaDeadlines(ticket.id, run);
+
+      if (leadId) {
+        await LeadActivity.recordEvent(
+          leadId,
+          "ticket_creado",
+          `Ticket de soporte #${ticket.numero}: ${asunto}`,
+          { ticket_id: ticket.id, numero: ticket.numero, tipo_consulta },
+          createdBy,
+          client
+        );
+      }
+
+      return ticket.id;
+    });
+
+    return await Ticket.findById(id);
+  }
+
+  /**
+   * Busca un ticket por ID
+   *
+   * @param {string} id - UUID del ticket
+   * @param {Object} [client] - Cliente de una transacción en curso (opcional)
+   * @returns {Promise<Object|null>} Ticket o null
+   */
+  static async findById(id, client = null) {
+    const run = client ? client.query.bind(client) : query;
+
+    const result = await run(
+      `SELECT ${TICKET_FIELDS} FROM tickets t ${TICKET_JOINS} WHERE t.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Lista tickets con filtros y paginación
+   * (primero los pendientes de atender, por prioridad y antigüedad)
+   *
+   * DÓNDE SE USA: En GET /api/soporte
+   *
+   * @param {Object} filters - Filtros
+   * @param {string} [filters.estado] - Estado
+   * @param {string} [filters.prioridad] - Prioridad
+   * @param {string} [filters.tipo_consulta] - Tipo de consulta
+   * @param {string} [filters.asignado_a] - Responsable
+   * @param {boolean} [filters.sin_asignar] - Solo tickets sin responsable
+   * @param {string} [filters.lead_id] - Lead
+   * @param {string} [filters.sla] - 'en_riesgo' o 'incumplido'
+   * @param {string} [filters.q] - Busca en asunto, nombre y email (o el número)
+   * @param {number} [filters.page=1] - Página actual
+   * @param {number} [filters.limit=20] - Tickets por página
+   * @returns {Promise<Object>} { tickets: [], pagination: {} }
+   */
+  static async findAll(filters = {}) {
+    const {
+      estado,
+      prioridad,
+      tipo_consulta,
+      asignado_a,
+      sin_asignar,
+      lead_id,
+      sla,
+      q,
+      page = 1,
+      limit = 20,
+    } = filters;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    if (estado) {
+      params.push(estado);
+      conditions.push(`t.estado = $${params.length}`);
+    }
+
+    if (prioridad) {
+      params.push(prioridad);
+      conditions.push(`t.prioridad = $${params.length}`);
+    }
+
+    if (tipo_consulta) {
+      params.push(tipo_consulta);
+      conditions.push(`t.tipo_consulta = $${params.length}`);
+    }
+
+    if (asignado_a) {
+      params.push(asignado_a);
+      conditions.push(`t.asignado_a = $${params.length}`);
+    }
+
+    if (sin_asignar) {
+      conditions.push("t.asignado_a IS NULL");
+    }
+
+    if (lead_id) {
+      params.push(lead_id);
+      conditions.push(`t.lead_id = $${params.length}`);
+    }
+
+    if (sla) {
+      if (!SLA_FILTERS[sla]) {
+        throw new Error(
+          `Filtro de SLA inválido. Debe ser: ${Object.keys(SLA_FILTERS).join(
+            ", "
+          )}`
+        );
+      }
+      conditions.push(SLA_FILTERS[sla]);
+    }
+
+    if (q) {
+      const numero = String(q).replace(/^#/, "");
+
+      if (/^\d+$/.test(numero)) {
+        params.push(parseInt(numero));
+        conditions.push(`t.numero = $${params.length}`);
+      } else {
+        params.push(`%${q}%`);
+        conditions.push(
+          `(t.asunto ILIKE $${params.length} OR t.nombre ILIKE $${params.length} OR t.email ILIKE $${params.length})`
+        );
+      }
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const result = await query(
+      `SELECT ${TICKET_FIELDS}
+       FROM tickets t
+       ${TICKET_JOINS}
+       ${where}
+       ORDER BY
+         (t.estado = ANY($${params.length + 1}::text[])) ASC,
+         array_position($${
+           params.length + 2
+         }::text[], t.prioridad) DESC NULLS LAST,
+         t.created_at ASC
+       LIMIT $${params.length + 3} OFFSET $${params.length + 4}`,
+      [...params, ESTADOS_FINALIZADOS, PRIORIDADES, limit, offset]
+    );
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM tickets t ${where}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      tickets: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Tickets de un lead (más recientes primero)
+   *
+   * DÓNDE SE USA: En GET /api/leads/:id
+   *
+   * @param {string} leadId - UUID del lead
+   * @returns {Promise<Array>} Tickets
+   */
+  static async findAllByLead(leadId) {
+    const result = await query(
+      `SELECT ${TICKET_FIELDS}
+       FROM tickets t
+       ${TICKET_JOINS}
+       WHERE t.lead_id = $1
+       ORDER BY t.created_at DESC`,
+      [leadId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Tickets pendientes en riesgo de incumplir su SLA o que ya lo incumplieron
+   * (primero los que vencen antes)
+   *
+   * DÓNDE SE USA: En GET /api/soporte/en-riesgo
+   *
+   * @param {Object} filters - Filtros
+   * @param {string} [filters.asignado_a] - Responsable
+   * @param {boolean} [filters.incluir_incumplidos=true] - Incluir los que ya incumplieron
+   * @param {number} [filters.limit=50] - Máximo de tickets
+   * @returns {Promise<Array>} Tickets
+   */
+  static async findAtRisk(filters = {}) {
+    const { asignado_a, incluir_incumplidos = true, limit = 50 } = filters;
+
+    const conditions = [
+      SQL_PENDIENTE,
+      incluir_incumplidos
+        ? `(${SQL_EN_RIESGO} OR ${SLA_FILTERS.incumplido})`
+        : SQL_EN_RIESGO,
+    ];
+    const params = [];
+
+    if (asignado_a) {
+      params.push(asignado_a);
+      conditions.push(`t.asignado_a = $${params.length}`);
+    }
+
+    params.push(limit);
+    const result = await query(
+      `SELECT ${TICKET_FIELDS}
+       FROM tickets t
+       ${TICKET_JOINS}
+       WHERE ${conditions.join(" AND ")}
+       ORDER BY sla_vence_at ASC NULLS LAST, t.created_at ASC
+       LIMIT $${params.length}`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * Actualiza la clasificación de un ticket (prioridad, tipo o lead)
+   * Al cambiar la prioridad se recalculan sus plazos de SLA
+   *
+   * DÓNDE SE USA: En PATCH /api/soporte/:id
+   *
+   * @param {string} id - UUID del ticket
+   * @param {Object} updates - prioridad, tipo_consulta, lead_id (null desvincula)
+   * @returns {Promise<Object>} Ticket actualizado
+   */
+  static async update(id, updates) {
+    const { prioridad, tipo_consulta, lead_id } = updates;
+
+    if (prioridad !== undefined && !PRIORIDADES.includes(prioridad)) {
+      throw new Error(
+        `Prioridad inválida. Debe ser: ${PRIORIDADES.join(", ")}`
+      );
+    }
+
+    if (
+      tipo_consulta !== undefined &&
+      !TIPOS_CONSULTA.includes(tipo_consulta)
+    ) {
+      throw new Error(
+        `Tipo de consulta inválido. Debe ser: ${TIPOS_CONSULTA.join(", ")}`
+      );
+    }
+
+    if (lead_id) {
+      await assertLead(lead_id);
+    }
+
+    const allowedFields = ["prioridad", "tipo_consulta", "lead_id"];
+    const updateFields = [];
+    const values = [];
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (allowedFields.includes(key) && value !== undefined) {
+        values.push(value);
+        updateFields.push(`${key} = $${values.length}`);
+      }
+    }
+
+    if (updateFields.length === 0) {
+      throw new Error("No hay campos válidos para actualizar");
+    }
+
+    values.push(id);
+    await transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE tickets
+         SET ${updateFields.join(", ")}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $${values.length}
+         RETURNING id`,
+        values
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error("Ticket no encontrado");
+      }
+
+      if (prioridad !== undefined) {
+        await applySlaDeadlines(id, client.query.bind(client));
+      }
+    });
+
+    return await Ticket.findById(id);
+  }
+
+  /**
+   * Asigna un ticket a un usuario del equipo (null lo deja sin asignar)
+   *
+   * DÓNDE SE USA: En PUT /api/soporte/:id/asignar
+   *
+   * @param {string} id - UUID del ticket
+   * @param {string|null} userId - UUID del responsable
+   * @returns {Promise<Object>} Ticket actualizado
+   */
+  static async assign(id, userId) {
+    if (userId) {
+      await assertAssignee(userId);
+    }
+
+    const result = await query(
+      `UPDATE tickets
+       SET asignado_a = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING id`,
+      [userId || null, id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error("Ticket no encontrado");
+    }
+
+    return await Ticket.findById(id);
+  }
+
+  /**
+   * Cambia el estado de un ticket según TRANSICIONES
+   * resuelto guarda resolved_at (se borra si se reabre) y cerrado, closed_at
+   *
+   * DÓNDE SE USA: En PUT /api/soporte/:id/estado
+   *
+   * @param {string} id - UUID del ticket
+   * @param {string} estado - Nuevo estado
+   * @param {Object} [client] - Cliente de una transacción en curso (opcional)
+   * @returns {Promise<Object>} { ticket, from } (from: estado anterior)
+   * @throws {Error} Si el estado no es válido o la transición no está permitida
+   */
+  static async changeEstado(id, estado, client = null) {
+    if (!ESTADOS.includes(estado)) {
+      throw new Error(`Estado inválido. Debe ser: ${ESTADOS.join(", ")}`);
+    }
+
+    const change = async (client) => {
+      const current = await client.query(
+        "SELECT id, estado FROM tickets WHERE id = $1 FOR UPDATE",
+        [id]
+      );
+
+      if (current.rows.length === 0) {
+        throw new Error("Ticket no encontrado");
+      }
+
+      const from = current.rows[0].estado;
+      if (from === estado) return from;
+
+      if (!(TRANSICIONES[from] || []).includes(estado)) {
+        throw new Error(
+          `Transición no permitida: de ${from} a ${estado}` +
+            (TRANSICIONES[from] && TRANSICIONES[from].length
+              ? ` (permitidas: ${TRANSICIONES[from].join(", ")})`
+              : "")
+        );
+      }
+
+      await client.query(
+        `UPDATE tickets
+         SET estado = $1::text,
+             resolved_at = CASE
+               WHEN $1::text = 'resuelto' THEN CURRENT_TIMESTAMP
+               WHEN $1::text = 'cerrado' THEN COALESCE(resolved_at, CURRENT_TIMESTAMP)
+               ELSE NULL
+             END,
+             closed_at = CASE WHEN $1::text = 'cerrado' THEN CURRENT_TIMESTAMP END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [estado, id]
+      );
+
+      return from;
+    };
+
+    const from = client ? await change(client) : await transaction(change);
+
+    return { ticket: await Ticket.findById(id, client), from };
+  }
+
+  /**
+   * Token del enlace del cliente de un ticket
+   *
+   * @param {Object} ticket - Ticket (con id y access_version)
+   * @returns {string} Token firmado
+   */
+  static accessToken(ticket) {
+    return createTicketToken(ticket.id, ticket.access_version);
+  }
+
+  /**
+   * Busca el ticket de un enlace del cliente
+   *
+   * DÓNDE SE USA: En /api/soporte/cliente (consulta y respuesta sin cuenta)
+   *
+   * @param {string} token - Token del enlace
+   * @returns {Promise<Object|null>} Ticket o null si el token no es válido
+   *   o el enlace se regeneró
+   */
+  static async findByAccessToken(token) {
+    const payload = verifyTicketToken(token);
+    if (!payload) return null;
+
+    const ticket = await Ticket.findById(payload.ticket_id);
+    if (!ticket || ticket.access_version !== payload.version) return null;
+
+    return ticket;
+  }
+
+  /**
+   * Regenera el enlace del cliente (el anterior deja de valer)
+   *
+   * DÓNDE SE USA: En POST /api/soporte/:id/enlace
+   *
+   * @param {string} id - UUID del ticket
+   * @returns {Promise<Object>} { ticket, token }
+   */
+  static async rotateAccessToken(id) {
+    const result = await query(
+      `UPDATE tickets
+       SET access_version = access_version + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error("Ticket no encontrado");
+    }
+
+    const ticket = await Ticket.findById(id);
+    return { ticket, token: Ticket.accessToken(ticket) };
+  }
+
+  /**
+   * Tipos de consulta, prioridades, estados y transiciones válidos
+   */
+  static get opciones() {
+    return {
+      tipos_consulta: TIPOS_CONSULTA,
+      prioridades: PRIORIDADES,
+      estados: ESTADOS,
+      transiciones: TRANSICIONES,
+      sla: Object.keys(SLA_FILTERS),
+    };
+  }
+}
+
+module.exports = Ticket;
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Modelo de Mensajes de tickets de soporte para Boost Agency
+ *
+ * Conversación de cada ticket (después del mensaje con el que se abrió):
+ * - Respuestas del equipo: la primera marca la primera respuesta del SLA
+ *   y un ticket abierto pasa a en_proceso (o al estado que se indique)
+ * - Notas internas del equipo: el cliente no las ve y no cambian nada
+ * - Respuestas del cliente (desde su enlace): un ticket pendiente_cliente
+ *   o resuelto vuelve a en_proceso. En un ticket cerrado no se puede responder
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const { query, transaction } = require("../config/database");
+const Ticket = require("./Ticket");
+
+// Quién escribe el mensaje
+const AUTOR_TIPOS = ["equipo", "cliente"];
+
+// Estados en los que una respuesta del cliente reabre el ticket
+const ESTADOS_REABRIR = ["pendiente_cliente", "resuelto"];
+
+// Longitud máxima de un mensaje
+const MAX_MENSAJE = 10000;
+
+// Columnas devueltas (con el nombre del autor: el usuario o el cliente)
+const SELECT_FIELDS = `
+  m.id, m.ticket_id, m.autor_tipo, m.user_id, m.mensaje, m.interno, m.created_at,
+  CASE WHEN m.autor_tipo = 'equipo' THEN u.full_name ELSE t.nombre END AS autor_nombre
+`;
+
+class TicketMessage {
+  /**
+   * Añade un mensaje a la conversación de un ticket
+   *
+   * DÓNDE SE USA: En POST /api/soporte/:id/mensajes (equipo) y
+   * POST /api/soporte/cliente/mensajes (cliente)
+   *
+   * @param {Object} messageData - Datos del mensaje
+   * @param {string} messageData.ticket_id - UUID del ticket
+   * @param {string} messageData.autor_tipo - 'equipo' o 'cliente'
+   * @param {string} messageData.mensaje - Texto
+   * @param {string} [messageData.user_id] - UUID del autor (equipo)
+   * @param {boolean} [messageData.interno=false] - Nota interna (solo equipo)
+   * @param {string} [messageData.estado] - Estado al que pasa el ticket
+   *   (solo respuestas del equipo, p. ej. 'pendiente_cliente')
+   * @returns {Promise<Object>} { mensaje, ticket }
+   * @throws {Error} Si el ticket no existe, está cerrado o el estado no es válido
+   */
+  static async create(messageData) {
+    const {
+      ticket_id,
+      autor_tipo,
+      user_id = null,
+      interno = false,
+      estado,
+    } = messageData;
+    const mensaje = messageData.mensaje
+      ? String(messageData.mensaje).trim()
+      : "";
+
+    if (!AUTOR_TIPOS.includes(autor_tipo)) {
+      throw new Error(`Autor inválido. Debe ser: ${AUTOR_TIPOS.join(", ")}`);
+    }
+
+    if (!mensaje) {
+      throw new Error("El mensaje es requerido");
+    }
+
+    if (mensaje.length > MAX_MENSAJE) {
+      throw new Error(
+        `Mensaje inválido: como máximo ${MAX_MENSAJE} caracteres`
+      );
+    }
+
+    if (interno && autor_tipo !== "equipo") {
+      throw new Error("Nota interna inválida: solo la escribe el equipo");
+    }
+
+    return await transaction(async (client) => {
+      const current = await client.query(
+        "SELECT id, estado FROM tickets WHERE id = $1 FOR UPDATE",
+        [ticket_id]
+      );
+
+      if (current.rows.length === 0) {
+        throw new Error("Ticket no encontrado");
+      }
+
+      const { estado: estadoActual } = current.rows[0];
+
+      // Las notas internas se pueden añadir siempre
+      if (estadoActual === "cerrado" && !interno) {
+        throw new Error("El ticket está cerrado y no admite respuestas");
+      }
+
+      const result = await client.query(
+        `INSERT INTO ticket_messages (ticket_id, autor_tipo, user_id, mensaje, interno)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id`,
+        [ticket_id, autor_tipo, user_id, mensaje, Boolean(interno)]
+      );
+
+      let nuevoEstado = null;
+
+      if (autor_tipo === "equipo" && !interno) {
+        await client.query(
+          `UPDATE tickets
+           SET first_response_at = COALESCE(first_response_at, CURRENT_TIMESTAMP),
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1`,
+          [ticket_id]
+        );
+        nuevoEstado =
+          estado || (estadoActual === "abierto" ? "en_proceso" : null);
+      } else if (autor_tipo === "cliente") {
+        await client.query(
+          "UPDATE tickets SET updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+          [ticket_id]
+        );
+        nuevoEstado = ESTADOS_REABRIR.includes(estadoActual)
+          ? "en_proceso"
+          : null;
+      }
+
+      if (nuevoEstado) {
+        await Ticket.changeEstado(ticket_id, nuevoEstado, client);
+      }
+
+      const saved = await TicketMessage.findById(result.rows[0].id, client);
+      const ticket = await Ticket.findById(ticket_id, client);
+
+      return { mensaje: saved, ticket };
+    });
+  }
+
+  /**
+   * Busca un mensaje por ID
+   *
+   * @param {string} id - UUID del mensaje
+   * @param {Object} [client] - Cliente de una transacción en curso (opcional)
+   * @returns {Promise<Object|null>} Mensaje o null
+   */
+  static async findById(id, client = null) {
+    const run = client ? client.query.bind(client) : query;
+
+    const result = await run(
+      `SELECT ${SELECT_FIELDS}
+       FROM ticket_messages m
+       JOIN tickets t ON m.ticket_id = t.id
+       LEFT JOIN users u ON m.user_id = u.id
+       WHERE m.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Conversación de un ticket (más antiguos primero)
+   *
+   * DÓNDE SE USA: En GET /api/soporte/:id (con notas internas) y
+   * GET /api/soporte/cliente (sin ellas)
+   *
+   * @param {string} ticketId - UUID del ticket
+   * @param {Object} [options] - Opciones
+   * @param {boolean} [options.incluir_internos=false] - Incluir notas internas
+   * @returns {Promise<Array>} Mensajes
+   */
+  static async findAllByTicket(ticketId, options = {}) {
+    const { incluir_internos = false } = options;
+
+    const result = await query(
+      `SELECT ${SELECT_FIELDS}
+       FROM ticket_messages m
+       JOIN tickets t ON m.ticket_id = t.id
+       LEFT JOIN users u ON m.user_id = u.id
+       WHERE m.ticket_id = $1 ${incluir_internos ? "" : "AND NOT m.interno"}
+       ORDER BY m.created_at ASC`,
+      [ticketId]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = TicketMessage;
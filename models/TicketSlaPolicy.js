@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Modelo de Políticas de SLA de soporte para Boost Agency
+ *
+ * Plazo de primera respuesta y de resolución (en minutos) para cada
+ * prioridad de ticket (baja, media, alta, urgente de soporte.json).
+ *
+ * Los plazos de cada ticket se calculan al crearlo o al cambiar su
+ * prioridad (ver models/Ticket.js): cambiar una política no modifica
+ * los tickets ya abiertos.
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const { query } = require("../config/database");
+const soporteForm = require("../content/formularios/soporte.json");
+
+// Prioridades de la configuración del formulario de soporte
+const PRIORIDADES = soporteForm.configuracion.prioridades;
+
+// Plazo máximo configurable (30 días)
+const MAX_MINUTOS = 30 * 24 * 60;
+
+/**
+ * Helper: Comprueba que un plazo sea un número entero de minutos válido
+ */
+function assertMinutos(campo, value) {
+  if (!Number.isInteger(value) || value < 1 || value > MAX_MINUTOS) {
+    throw new Error(
+      `${campo} inválido: debe ser un número entero de minutos entre 1 y ${MAX_MINUTOS}`
+    );
+  }
+}
+
+class TicketSlaPolicy {
+  /**
+   * Lista las políticas (de la prioridad más baja a la más alta)
+   *
+   * DÓNDE SE USA: En GET /api/soporte/sla
+   *
+   * @returns {Promise<Array>} Políticas
+   */
+  static async findAll() {
+    const result = await query(
+      `SELECT p.*, u.full_name AS updated_by_name
+       FROM ticket_sla_policies p
+       LEFT JOIN users u ON p.updated_by = u.id
+       ORDER BY array_position($1::text[], p.prioridad) NULLS LAST`,
+      [PRIORIDADES]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Crea o actualiza la política de una prioridad
+   *
+   * DÓNDE SE USA: En PUT /api/soporte/sla/:prioridad
+   *
+   * @param {string} prioridad - Prioridad (ver soporte.json)
+   * @param {Object} plazos - Plazos en minutos
+   * @param {number} plazos.primera_respuesta_minutos - Hasta la primera respuesta
+   * @param {number} plazos.resolucion_minutos - Hasta la resolución
+   * @param {string} [updatedBy] - UUID del usuario que la cambia
+   * @returns {Promise<Object>} Política guardada
+   * @throws {Error} Si la prioridad o los plazos no son válidos
+   */
+  static async upsert(prioridad, plazos, updatedBy = null) {
+    const { primera_respuesta_minutos, resolucion_minutos } = plazos;
+
+    if (!PRIORIDADES.includes(prioridad)) {
+      throw new Error(
+        `Prioridad inválida. Debe ser: ${PRIORIDADES.join(", ")}`
+      );
+    }
+
+    assertMinutos("primera_respuesta_minutos", primera_respuesta_minutos);
+    assertMinutos("resolucion_minutos", resolucion_minutos);
+
+    if (resolucion_minutos < primera_respuesta_minutos) {
+      throw new Error(
+        "Plazo inválido: la resolución no puede vencer antes que la primera respuesta"
+      );
+    }
+
+    const result = await query(
+      `INSERT INTO ticket_sla_policies (
+         prioridad, primera_respuesta_minutos, resolucion_minutos, updated_by
+       )
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (prioridad) DO UPDATE SET
+         primera_respuesta_minutos = EXCLUDED.primera_respuesta_minutos,
+         resolucion_minutos = EXCLUDED.resolucion_minutos,
+         updated_by = EXCLUDED.updated_by,
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [prioridad, primera_respuesta_minutos, resolucion_minutos, updatedBy]
+    );
+
+    return result.rows[0];
+  }
+}
+
+module.exports = TicketSlaPolicy;
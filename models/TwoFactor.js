@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Modelo de Autenticación en dos pasos (TOTP) para Boost Agency
+ *
+ * Gestiona:
+ * - Enrolamiento (secreto + URI otpauth para la app autenticadora)
+ * - Verificación de códigos TOTP (sin permitir reusar un código)
+ * - Códigos de recuperación de un solo uso
+ * - Políticas por rol (2FA obligatorio para admin, editor, etc.)
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const crypto = require("crypto");
+const { query, transaction } = require("../config/database");
+const { hashToken } = require("../utils/tokens");
+const totp = require("../utils/totp");
+
+// Cantidad de códigos de recuperación generados por usuario
+const RECOVERY_CODES_COUNT = 10;
+
+/**
+ * Helper: Genera un código de recuperación legible (XXXXX-XXXXX)
+ */
+function generateRecoveryCode() {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  let code = "";
+  for (let i = 0; i < 10; i++) {
+    code += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+/**
+ * Helper: Normaliza un código de recuperación antes de hashearlo
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+}
+
+class TwoFactor {
+  /**
+   * Obtiene el estado del 2FA de un usuario
+   *
+   * @param {string} userId - UUID del usuario
+   * @returns {Promise<Object|null>} { enabled, enabled_at, required, recovery_codes_remaining }
+   */
+  static async getStatus(userId) {
+    const sql = `
+      SELECT
+        u.totp_enabled AS enabled,
+        u.totp_enabled_at AS enabled_at,
+        COALESCE(p.required, FALSE) AS required,
+        (
+          SELECT COUNT(*) FROM user_recovery_codes c
+          WHERE c.user_id = u.id AND c.used_at IS NULL
+        )::INTEGER AS recovery_codes_remaining
+      FROM users u
+      LEFT JOIN two_factor_policies p ON p.role = u.role
+      WHERE u.id = $1
+    `;
+
+    const result = await query(sql, [userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Inicia el enrolamiento: genera un secreto nuevo (aún no activo)
+   *
+   * DÓNDE SE USA: En POST /api/auth/2fa/setup
+   *
+   * @param {string} userId - UUID del usuario
+   * @param {string} email - Email del usuario (nombre de la cuenta en la app)
+   * @returns {Promise<Object>} { secret, otpauth_uri }
+   */
+  static async startEnrollment(userId, email) {
+    const secret = totp.generateSecret();
+
+    const sql = `
+      UPDATE users
+      SET totp_secret = $1, totp_last_step = NULL
+      WHERE id = $2 AND totp_enabled = FALSE
+      RETURNING id
+    `;
+
+    const result = await query(sql, [totp.encryptSecret(secret), userId]);
+
+    if (result.rows.length === 0) {
+      throw new Error("La autenticación en dos pasos ya está activada");
+    }
+
+    return {
+      secret,
+      otpauth_uri: totp.buildOtpauthUri(secret, email),
+    };
+  }
+
+  /**
+   * Confirma el enrolamiento con un primer código válido y activa el 2FA
+   *
+   * @param {string} userId - UUID del usuario
+   * @param {string} code - Código TOTP de la app autenticadora
+   * @returns {Promise<Array<string>>} Códigos de recuperación (se muestran una sola vez)
+   */
+  static async confirmEnrollment(userId, code) {
+    const result = await query(
+      `SELECT totp_secret, totp_enabled FROM users WHERE id = $1`,
+      [userId]
+    );
+    const user = result.rows[0];
+
+    if (!user || !user.totp_secret) {
+      throw new Error("Primero debes iniciar la configuración del 2FA");
+    }
+
+    if (user.totp_enabled) {
+      throw new Error("La autenticación en dos pasos ya está activada");
+    }
+
+    const step = totp.verifyCode(totp.decryptSecret(user.totp_secret), code);
+    if (step === null) {
+      throw new Error("Código de verificación inválido");
+    }
+
+    return await transaction(async (client) => {
+      await client.query(
+        `UPDATE users
+         SET totp_enabled = TRUE, totp_enabled_at = CURRENT_TIMESTAMP, totp_last_step = $1
+         WHERE id = $2`,
+        [step, userId]
+      );
+      return await TwoFactor.replaceRecoveryCodes(userId, client);
+    });
+  }
+
+  /**
+   * Verifica un segundo factor: código TOTP o código de recuperación
+   *
+   * DÓNDE SE USA: En el segundo paso del login y para acciones sensibles
+   *
+   * @param {string} userId - UUID del usuario
+   * @param {Object} factor - Factor a verificar
+   * @param {string} [factor.code] - Código TOTP
+   * @param {string} [factor.recovery_code] - Código de recuperación
+   * @returns {Promise<boolean>} true si el factor es válido
+   */
+  static async verify(userId, { code, recovery_code } = {}) {
+    if (recovery_code) {
+      const sql = `
+        UPDATE user_recovery_codes
+        SET used_at = CURRENT_TIMESTAMP
+        WHERE id = (
+          SELECT id FROM user_recovery_codes
+          WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+          LIMIT 1
+        )
+        RETURNING id
+      `;
+      const result = await query(sql, [
+        userId,
+        hashToken(normalizeRecoveryCode(recovery_code)),
+      ]);
+      return result.rows.length > 0;
+    }
+
+    const result = await query(
+      `SELECT totp_secret, totp_enabled, totp_last_step FROM users WHERE id = $1`,
+      [userId]
+    );
+    const user = result.rows[0];
+
+    if (!user || !user.totp_enabled) return false;
+
+    const step = totp.verifyCode(totp.decryptSecret(user.totp_secret), code);
+    if (step === null) return false;
+
+    // Guardar el paso usado solo si es posterior al último (impide reusar el código)
+    const update = await query(
+      `UPDATE users SET totp_last_step = $1
+       WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+       RETURNING id`,
+      [step, userId]
+    );
+
+    return update.rows.length > 0;
+  }
+
+  /**
+   * Genera un nuevo juego de códigos de recuperación (invalida los anteriores)
+   *
+   * @param {string} userId - UUID del usuario
+   * @param {Object} [client] - Cliente de transacción (opcional)
+   * @returns {Promise<Array<string>>} Códigos de recuperación en texto plano
+   */
+  static async replaceRecoveryCodes(userId, client = null) {
+    const run = async (db) => {
+      await db.query(`DELETE FROM user_recovery_codes WHERE user_id = $1`, [
+        userId,
+      ]);
+
+      const codes = Array.from(
+        { length: RECOVERY_CODES_COUNT },
+        generateRecoveryCode
+      );
+
+      for (const code of codes) {
+        await db.query(
+          `INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)`,
+          [userId, hashToken(normalizeRecoveryCode(code))]
+        );
+      }
+
+      return codes;
+    };
+
+    return client ? await run(client) : await transaction(run);
+  }
+
+  /**
+   * Desactiva el 2FA de un usuario y elimina sus códigos de recuperación
+   *
+   * @param {string} userId - UUID del usuario
+   * @returns {Promise<boolean>} true si se desactivó
+   */
+  static async disable(userId) {
+    return await transaction(async (client) => {
+      await client.query(
+        `UPDATE users
+         SET totp_secret = NULL, totp_enabled = FALSE, totp_enabled_at = NULL, totp_last_step = NULL
+         WHERE id = $1`,
+        [userId]
+      );
+      await client.query(`DELETE FROM user_recovery_codes WHERE user_id = $1`, [
+        userId,
+      ]);
+      return true;
+    });
+  }
+
+  /**
+   * Indica si el 2FA es obligatorio para un rol
+   *
+   * @param {string} role - Rol del usuario
+   * @returns {Promise<boolean>} true si es obligatorio
+   */
+  static async isRequiredForRole(role) {
+    const result = await query(
+      `SELECT required FROM two_factor_policies WHERE role = $1`,
+      [role]
+    );
+    return Boolean(result.rows[0] && result.rows[0].required);
+  }
+
+  /**
+   * Lista las políticas de 2FA por rol
+   *
+   * @returns {Promise<Array>} Políticas
+   */
+  static async getPolicies() {
+    const sql = `
+      SELECT p.role, p.required, p.updated_at, u.full_name AS updated_by_name
+      FROM two_factor_policies p
+      LEFT JOIN users u ON p.updated_by = u.id
+      ORDER BY p.role
+    `;
+
+    const result = await query(sql);
+    return result.rows;
+  }
+
+  /**
+   * Define si el 2FA es obligatorio para un rol
+   *
+   * @param {string} role - Rol
+   * @param {boolean} required - Si es obligatorio
+   * @param {string} updatedBy - UUID del admin que hace el cambio
+   * @returns {Promise<Object>} Política actualizada
+   */
+  static async setPolicy(role, required, updatedBy) {
+    const sql = `
+      INSERT INTO two_factor_policies (role, required, updated_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (role)
+      DO UPDATE SET
+        required = EXCLUDED.required,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+
+    const result = await query(sql, [role, Boolean(required), updatedBy]);
+    return result.rows[0];
+  }
+}
+
+module.exports = TwoFactor;
@@ -13,6 +13,7 @@
 
 const { query } = require("../config/database");
 const bcrypt = require("bcryptjs");
+const Session = require("./Session");
 
 class User {
   /**
@@ -24,10 +25,12 @@ class User {
    * @param {string} userData.full_name - Nombre completo
    * @param {string} [userData.role='user'] - Rol del usuario (admin, editor, user)
    * @param {string} [userData.phone] - Teléfono (opcional)
+   * @param {Object} [client] - Cliente de transacción (opcional)
    * @returns {Promise<Object>} Usuario creado (sin password_hash)
    */
-  static async create(userData) {
+  static async create(userData, client = null) {
     const { email, password, full_name, role = "user", phone } = userData;
+    const run = client ? client.query.bind(client) : query;
 
     // Hashear la contraseña con bcrypt (10 rounds)
     const password_hash = await bcrypt.hash(password, 10);
@@ -38,7 +41,7 @@ class User {
       RETURNING id, email, full_name, role, status, phone, created_at
     `;
 
-    const result = await query(sql, [
+    const result = await run(sql, [
       email,
       password_hash,
       full_name,
@@ -57,8 +60,8 @@ class User {
    */
   static async findByEmail(email, includePassword = false) {
     const fields = includePassword
-      ? "id, email, password_hash, full_name, role, status, phone, avatar_url, created_at, last_login"
-      : "id, email, full_name, role, status, phone, avatar_url, created_at, last_login";
+      ? "id, email, password_hash, full_name, role, status, phone, avatar_url, totp_enabled, failed_login_count, last_failed_login_at, locked_until, created_at, last_login"
+      : "id, email, full_name, role, status, phone, avatar_url, totp_enabled, created_at, last_login";
 
     const sql = `SELECT ${fields} FROM users WHERE email = $1`;
     const result = await query(sql, [email]);
@@ -74,7 +77,7 @@ class User {
    */
   static async findById(userId) {
     const sql = `
-      SELECT id, email, full_name, role, status, phone, avatar_url, created_at, last_login
+      SELECT id, email, full_name, role, status, phone, avatar_url, totp_enabled, created_at, last_login
       FROM users
       WHERE id = $1
     `;
@@ -110,6 +113,119 @@ class User {
     await query(sql, [userId]);
   }
 
+  /**
+   * Reserva un intento de login: lo cuenta como fallido (y bloquea la cuenta
+   * si se llega al máximo) solo si la cuenta no está bloqueada y ya pasó la
+   * espera progresiva. Todo en un UPDATE, así las peticiones en paralelo no
+   * pueden saltarse la espera ni el bloqueo
+   *
+   * DÓNDE SE USA: En services/loginGuard.js antes de comprobar la contraseña
+   * o el código 2FA (un login exitoso reinicia el contador)
+   *
+   * @param {string} userId - UUID del usuario
+   * @param {number} maxAttempts - Fallos consecutivos permitidos antes del bloqueo
+   * @param {number} lockoutMinutes - Duración del bloqueo en minutos
+   * @param {number} maxDelaySeconds - Espera progresiva máxima
+   * @returns {Promise<Object|null>} { failed_login_count, last_failed_login_at, locked_until } o null si no se permite el intento
+   */
+  static async claimLoginAttempt(
+    userId,
+    maxAttempts,
+    lockoutMinutes,
+    maxDelaySeconds
+  ) {
+    // Espera tras N fallos: 2^(N-2) segundos hasta maxDelaySeconds
+    const sql = `
+      UPDATE users
+      SET
+        failed_login_count = failed_login_count + 1,
+        last_failed_login_at = CURRENT_TIMESTAMP,
+        locked_until = CASE
+          WHEN failed_login_count + 1 >= $2
+          THEN CURRENT_TIMESTAMP + $3 * INTERVAL '1 minute'
+          ELSE locked_until
+        END
+      WHERE id = $1
+        AND (locked_until IS NULL OR locked_until <= CURRENT_TIMESTAMP)
+        AND (
+          failed_login_count < 2
+          OR last_failed_login_at IS NULL
+          OR last_failed_login_at
+            + LEAST(POWER(2, LEAST(failed_login_count - 2, 10)), $4)
+            * INTERVAL '1 second' <= CURRENT_TIMESTAMP
+        )
+      RETURNING failed_login_count, last_failed_login_at, locked_until
+    `;
+
+    const result = await query(sql, [
+      userId,
+      maxAttempts,
+      lockoutMinutes,
+      maxDelaySeconds,
+    ]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Devuelve un intento reservado con claimLoginAttempt que resultó correcto
+   * sin completar el login (contraseña válida a falta del código 2FA)
+   *
+   * @param {string} userId - UUID del usuario
+   * @param {number} maxAttempts - Fallos consecutivos permitidos antes del bloqueo
+   * @returns {Promise<void>}
+   */
+  static async releaseLoginAttempt(userId, maxAttempts) {
+    const sql = `
+      UPDATE users
+      SET
+        failed_login_count = GREATEST(failed_login_count - 1, 0),
+        locked_until = CASE
+          WHEN failed_login_count - 1 < $2 THEN NULL
+          ELSE locked_until
+        END
+      WHERE id = $1
+    `;
+
+    await query(sql, [userId, maxAttempts]);
+  }
+
+  /**
+   * Obtiene el contador de fallos y el bloqueo de la cuenta
+   *
+   * @param {string} userId - UUID del usuario
+   * @returns {Promise<Object|null>} { failed_login_count, last_failed_login_at, locked_until }
+   */
+  static async getLoginState(userId) {
+    const sql = `
+      SELECT failed_login_count, last_failed_login_at, locked_until
+      FROM users
+      WHERE id = $1
+    `;
+
+    const result = await query(sql, [userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Reinicia el contador de intentos fallidos y elimina el bloqueo
+   *
+   * DÓNDE SE USA: Tras un login exitoso y cuando un admin desbloquea la cuenta
+   *
+   * @param {string} userId - UUID del usuario
+   * @returns {Promise<Object>} Usuario actualizado
+   */
+  static async resetFailedLogins(userId) {
+    const sql = `
+      UPDATE users
+      SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+      WHERE id = $1
+      RETURNING id, email, full_name, role, status, failed_login_count, locked_until
+    `;
+
+    const result = await query(sql, [userId]);
+    return result.rows[0];
+  }
+
   /**
    * Obtiene todos los usuarios con paginación y filtros
    *
@@ -118,47 +234,53 @@ class User {
    * @param {number} [options.limit=20] - Usuarios por página
    * @param {string} [options.role] - Filtrar por rol
    * @param {string} [options.status] - Filtrar por estado
+   * @param {string} [options.search] - Buscar por nombre o email
    * @returns {Promise<Object>} { users: [], pagination: {} }
    */
   static async findAll(options = {}) {
-    const { page = 1, limit = 20, role, status } = options;
+    const { page = 1, limit = 20, role, status, search } = options;
     const offset = (page - 1) * limit;
 
-    let sql = `
-      SELECT id, email, full_name, role, status, phone, created_at, last_login
-      FROM users
-      WHERE 1=1
-    `;
+    let where = `WHERE 1=1`;
     const params = [];
     let paramIndex = 1;
 
     // Aplicar filtros opcionales
     if (role) {
-      sql += ` AND role = $${paramIndex}`;
+      where += ` AND role = $${paramIndex}`;
       params.push(role);
       paramIndex++;
     }
 
     if (status) {
-      sql += ` AND status = $${paramIndex}`;
+      where += ` AND status = $${paramIndex}`;
       params.push(status);
       paramIndex++;
     }
 
+    if (search) {
+      where += ` AND (full_name ILIKE $${paramIndex} OR email ILIKE $${paramIndex})`;
+      params.push(`%${search}%`);
+      paramIndex++;
+    }
+
     // Ordenar y paginar
-    sql += ` ORDER BY created_at DESC LIMIT $${paramIndex} OFFSET $${
-      paramIndex + 1
-    }`;
-    params.push(limit, offset);
+    const sql = `
+      SELECT id, email, full_name, role, status, phone, avatar_url, totp_enabled,
+             locked_until, created_at, last_login
+      FROM users
+      ${where}
+      ORDER BY created_at DESC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `;
 
-    const result = await query(sql, params);
+    const result = await query(sql, [...params, limit, offset]);
 
     // Contar total para paginación
-    const countSql =
-      `SELECT COUNT(*) FROM users WHERE 1=1` +
-      (role ? ` AND role = '${role}'` : "") +
-      (status ? ` AND status = '${status}'` : "");
-    const countResult = await query(countSql);
+    const countResult = await query(
+      `SELECT COUNT(*) FROM users ${where}`,
+      params
+    );
     const total = parseInt(countResult.rows[0].count);
 
     return {
@@ -172,6 +294,40 @@ class User {
     };
   }
 
+  /**
+   * Cuenta los administradores activos, opcionalmente excluyendo uno
+   *
+   * DÓNDE SE USA: En isLastActiveAdmin (para no quedarse sin admins activos)
+   *
+   * @param {string} [excludeUserId] - UUID del usuario a excluir del conteo
+   * @returns {Promise<number>} Cantidad de admins activos
+   */
+  static async countActiveAdmins(excludeUserId = null) {
+    const sql = `
+      SELECT COUNT(*) FROM users
+      WHERE role = 'admin' AND status = 'active'
+        AND ($1::UUID IS NULL OR id <> $1::UUID)
+    `;
+
+    const result = await query(sql, [excludeUserId]);
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Indica si un cambio dejaría al sistema sin admins activos
+   * (el usuario es admin activo y no queda ningún otro)
+   *
+   * DÓNDE SE USA: En routes/users.js antes de degradar, suspender o
+   * eliminar a un usuario
+   *
+   * @param {Object} user - Usuario (con role y status)
+   * @returns {Promise<boolean>} true si es el último admin activo
+   */
+  static async isLastActiveAdmin(user) {
+    if (user.role !== "admin" || user.status !== "active") return false;
+    return (await User.countActiveAdmins(user.id)) === 0;
+  }
+
   /**
    * Actualiza un usuario existente
    *
@@ -214,6 +370,12 @@ class User {
     `;
 
     const result = await query(sql, values);
+
+    // Si el usuario deja de estar activo, cerrar todas sus sesiones
+    if (result.rows[0] && updates.status && updates.status !== "active") {
+      await Session.revokeAllForUser(userId, `user_${updates.status}`);
+    }
+
     return result.rows[0];
   }
 
@@ -239,6 +401,7 @@ class User {
 
   /**
    * Cambia el estado de un usuario (activar/desactivar/suspender)
+   * Si el usuario deja de estar activo, se revocan todas sus sesiones
    *
    * @param {string} userId - UUID del usuario
    * @param {string} newStatus - Nuevo estado ('active', 'inactive', 'suspended')
@@ -261,6 +424,11 @@ class User {
     `;
 
     const result = await query(sql, [newStatus, userId]);
+
+    if (result.rows[0] && newStatus !== "active") {
+      await Session.revokeAllForUser(userId, `user_${newStatus}`);
+    }
+
     return result.rows[0];
   }
 
@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Modelo de Webhooks salientes para Boost Agency
+ *
+ * Endpoints externos (automatizaciones, Zapier, Make...) que reciben un
+ * POST cuando ocurre un evento del CRM o del sitio:
+ * - Cada webhook se suscribe a uno o varios eventos (ver EVENTS)
+ * - El secreto firma los envíos (HMAC-SHA256). Se muestra al crearlo y al
+ *   rotarlo, nunca en los listados
+ *
+ * Los modelos llaman a Webhook.emit() al producirse el evento; emit() solo
+ * encola los envíos (webhook_deliveries) y services/webhookDispatcher.js
+ * los entrega con reintentos.
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const { query } = require("../config/database");
+const { generateToken } = require("../utils/tokens");
+
+// Eventos a los que se puede suscribir un webhook
+const EVENTS = [
+  "lead.created",
+  "lead.estado_changed",
+  "content.published",
+  "blog.published",
+  "product.updated",
+];
+
+// Prefijo de los secretos (permite reconocerlos en la configuración del receptor)
+const SECRET_PREFIX = "whsec_";
+
+// Columnas públicas (nunca se devuelve secret)
+const SELECT_FIELDS = `
+  w.id, w.name, w.url, w.events, w.active, w.created_at, w.updated_at,
+  w.created_by, u.full_name AS created_by_name
+`;
+
+/**
+ * Helper: Genera un secreto de firma
+ */
+function generateSecret() {
+  return `${SECRET_PREFIX}${generateToken(32)}`;
+}
+
+class Webhook {
+  /**
+   * Registra un webhook
+   *
+   * DÓNDE SE USA: En POST /api/webhooks
+   *
+   * @param {Object} webhookData - Datos del webhook
+   * @param {string} webhookData.name - Nombre descriptivo ('Zapier CRM')
+   * @param {string} webhookData.url - URL que recibe los eventos
+   * @param {Array<string>} webhookData.events - Eventos suscritos (ver EVENTS)
+   * @param {boolean} [webhookData.active=true] - Si recibe eventos
+   * @param {string} createdBy - UUID del admin que lo crea
+   * @returns {Promise<Object>} { webhook, secret } (secret se muestra una vez)
+   */
+  static async create(webhookData, createdBy) {
+    const { name, url, events, active = true } = webhookData;
+    const secret = generateSecret();
+
+    const result = await query(
+      `INSERT INTO webhooks (name, url, events, secret, active, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [name, url, events, secret, active, createdBy]
+    );
+
+    return { webhook: await Webhook.findById(result.rows[0].id), secret };
+  }
+
+  /**
+   * Lista los webhooks con el resumen de sus envíos
+   *
+   * DÓNDE SE USA: En GET /api/webhooks
+   *
+   * @returns {Promise<Array>} Webhooks (sin secreto)
+   */
+  static async findAll() {
+    const result = await query(
+      `SELECT ${SELECT_FIELDS},
+         COUNT(d.id) FILTER (WHERE d.estado = 'pendiente') AS pendientes,
+         COUNT(d.id) FILTER (WHERE d.estado = 'fallido') AS fallidos,
+         MAX(d.delivered_at) AS last_delivered_at
+       FROM webhooks w
+       LEFT JOIN users u ON w.created_by = u.id
+       LEFT JOIN webhook_deliveries d ON d.webhook_id = w.id
+       GROUP BY w.id, u.full_name
+       ORDER BY w.created_at DESC`
+    );
+
+    return result.rows.map((row) => ({
+      ...row,
+      pendientes: parseInt(row.pendientes),
+      fallidos: parseInt(row.fallidos),
+    }));
+  }
+
+  /**
+   * Busca un webhook por ID
+   *
+   * @param {string} id - UUID del webhook
+   * @returns {Promise<Object|null>} Webhook (sin secreto) o null
+   */
+  static async findById(id) {
+    const result = await query(
+      `SELECT ${SELECT_FIELDS}
+       FROM webhooks w
+       LEFT JOIN users u ON w.created_by = u.id
+       WHERE w.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Actualiza un webhook (nombre, URL, eventos o activo)
+   *
+   * DÓNDE SE USA: En PUT /api/webhooks/:id
+   *
+   * @param {string} id - UUID del webhook
+   * @param {Object} updates - Campos a actualizar
+   * @returns {Promise<Object>} Webhook actualizado
+   */
+  static async update(id, updates) {
+    const allowedFields = ["name", "url", "events", "active"];
+    const fields = [];
+    const values = [];
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (allowedFields.includes(key) && value !== undefined) {
+        values.push(value);
+        fields.push(`${key} = $${values.length}`);
+      }
+    }
+
+    if (fields.length === 0) {
+      throw new Error("No hay campos válidos para actualizar");
+    }
+
+    values.push(id);
+    const result = await query(
+      `UPDATE webhooks
+       SET ${fields.join(", ")}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${values.length}
+       RETURNING id`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error("Webhook no encontrado");
+    }
+
+    return await Webhook.findById(id);
+  }
+
+  /**
+   * Genera un secreto nuevo (el anterior deja de ser válido al instante)
+   *
+   * DÓNDE SE USA: En POST /api/webhooks/:id/rotar-secreto
+   *
+   * @param {string} id - UUID del webhook
+   * @returns {Promise<Object>} { webhook, secret }
+   */
+  static async rotateSecret(id) {
+    const secret = generateSecret();
+
+    const result = await query(
+      `UPDATE webhooks
+       SET secret = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING id`,
+      [secret, id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error("Webhook no encontrado");
+    }
+
+    return { webhook: await Webhook.findById(id), secret };
+  }
+
+  /**
+   * Elimina un webhook y su historial de envíos
+   *
+   * @param {string} id - UUID del webhook
+   * @returns {Promise<boolean>} true si se eliminó
+   */
+  static async delete(id) {
+    const result = await query("DELETE FROM webhooks WHERE id = $1", [id]);
+
+    if (result.rowCount === 0) {
+      throw new Error("Webhook no encontrado");
+    }
+
+    return true;
+  }
+
+  /**
+   * Encola un evento para los webhooks activos suscritos
+   *
+   * Se llama dentro de la transacción del cambio que lo origina: si la
+   * transacción falla no se envía nada.
+   *
+   * DÓNDE SE USA: En Lead.create, el cambio de etapa de un lead,
+   * Content.upsert/restore, BlogPost (al publicar) y Product.update
+   *
+   * @param {string} event - Evento (ver EVENTS)
+   * @param {Object} data - Datos del evento (el recurso afectado)
+   * @param {Object} [client] - Cliente de una transacción en curso (opcional)
+   * @returns {Promise<number>} Envíos encolados
+   */
+  static async emit(event, data, client = null) {
+    const run = client ? client.query.bind(client) : query;
+
+    const result = await run(
+      `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+       SELECT id, $1::text, $2::jsonb
+       FROM webhooks
+       WHERE active AND $1::text = ANY(events)`,
+      [event, JSON.stringify(data)]
+    );
+
+    return result.rowCount;
+  }
+
+  /**
+   * Eventos disponibles
+   */
+  static get eventos() {
+    return EVENTS;
+  }
+}
+
+module.exports = Webhook;
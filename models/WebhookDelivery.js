@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Modelo de Envíos de webhooks para Boost Agency
+ *
+ * Cola persistente de los eventos a entregar (webhook_deliveries) y
+ * registro de cada intento (webhook_delivery_attempts):
+ * - pendiente: se intentará en next_attempt_at
+ * - entregado: el receptor respondió 2xx
+ * - fallido: se agotaron los reintentos (se puede reenviar a mano)
+ *
+ * services/webhookDispatcher.js reclama los envíos pendientes y registra
+ * el resultado de cada intento.
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const { query } = require("../config/database");
+
+// Estados de un envío
+const ESTADOS = ["pendiente", "entregado", "fallido"];
+
+// Longitud máxima guardada de la respuesta del receptor
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+
+const SELECT_FIELDS = `
+  d.id, d.webhook_id, d.event, d.estado, d.attempts, d.next_attempt_at,
+  d.last_attempt_at, d.response_status, d.error, d.delivered_at,
+  d.redelivery_of, d.created_at
+`;
+
+class WebhookDelivery {
+  /**
+   * Lista los envíos de un webhook (más recientes primero)
+   *
+   * DÓNDE SE USA: En GET /api/webhooks/:id/entregas
+   *
+   * @param {string} webhookId - UUID del webhook
+   * @param {Object} filters - Filtros
+   * @param {string} [filters.estado] - pendiente, entregado o fallido
+   * @param {string} [filters.event] - Evento
+   * @param {number} [filters.page=1] - Página actual
+   * @param {number} [filters.limit=20] - Envíos por página
+   * @returns {Promise<Object>} { deliveries: [], pagination: {} }
+   */
+  static async findAllByWebhook(webhookId, filters = {}) {
+    const { estado, event, page = 1, limit = 20 } = filters;
+    const offset = (page - 1) * limit;
+
+    const conditions = ["d.webhook_id = $1"];
+    const params = [webhookId];
+
+    if (estado) {
+      params.push(estado);
+      conditions.push(`d.estado = $${params.length}`);
+    }
+
+    if (event) {
+      params.push(event);
+      conditions.push(`d.event = $${params.length}`);
+    }
+
+    const where = `WHERE ${conditions.join(" AND ")}`;
+
+    const result = await query(
+      `SELECT ${SELECT_FIELDS}
+       FROM webhook_deliveries d
+       ${where}
+       ORDER BY d.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM webhook_deliveries d ${where}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      deliveries: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Obtiene un envío de un webhook con su payload y sus intentos
+   *
+   * DÓNDE SE USA: En GET /api/webhooks/:id/entregas/:deliveryId
+   *
+   * @param {string} webhookId - UUID del webhook
+   * @param {string} id - UUID del envío
+   * @returns {Promise<Object|null>} Envío con payload e intentos, o null
+   */
+  static async findById(webhookId, id) {
+    const result = await query(
+      `SELECT ${SELECT_FIELDS}, d.payload
+       FROM webhook_deliveries d
+       WHERE d.id = $1 AND d.webhook_id = $2`,
+      [id, webhookId]
+    );
+    const delivery = result.rows[0];
+    if (!delivery) return null;
+
+    const attempts = await query(
+      `SELECT attempt, response_status, response_body, error, duration_ms, created_at
+       FROM webhook_delivery_attempts
+       WHERE delivery_id = $1
+       ORDER BY attempt ASC`,
+      [id]
+    );
+
+    return { ...delivery, intentos: attempts.rows };
+  }
+
+  /**
+   * Vuelve a encolar un envío (como un envío nuevo con el mismo payload)
+   *
+   * DÓNDE SE USA: En POST /api/webhooks/:id/entregas/:deliveryId/reenviar
+   *
+   * @param {string} webhookId - UUID del webhook
+   * @param {string} id - UUID del envío original
+   * @returns {Promise<Object>} Envío nuevo
+   * @throws {Error} Si el envío no existe
+   */
+  static async redeliver(webhookId, id) {
+    const result = await query(
+      `INSERT INTO webhook_deliveries (webhook_id, event, payload, redelivery_of)
+       SELECT webhook_id, event, payload, id
+       FROM webhook_deliveries
+       WHERE id = $1 AND webhook_id = $2
+       RETURNING id`,
+      [id, webhookId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error("Envío no encontrado");
+    }
+
+    return await WebhookDelivery.findById(webhookId, result.rows[0].id);
+  }
+
+  /**
+   * Reclama los envíos pendientes que toca intentar
+   *
+   * Cada envío se marca como intentado y se aplaza leaseSeconds antes de
+   * enviarlo (FOR UPDATE SKIP LOCKED), así que varias instancias de la API
+   * no lo envían a la vez; si el proceso cae a mitad, se reintenta al
+   * vencer el plazo. Los envíos de webhooks desactivados esperan.
+   *
+   * DÓNDE SE USA: En services/webhookDispatcher.js
+   *
+   * @param {number} leaseSeconds - Plazo antes de que otro proceso lo reintente
+   * @param {number} limit - Máximo de envíos
+   * @returns {Promise<Array>} Envíos con payload, url y secret del webhook
+   */
+  static async claimDue(leaseSeconds, limit) {
+    const result = await query(
+      `WITH due AS (
+         SELECT d.id
+         FROM webhook_deliveries d
+         JOIN webhooks w ON w.id = d.webhook_id
+         WHERE d.estado = 'pendiente'
+           AND d.next_attempt_at <= CURRENT_TIMESTAMP
+           AND w.active
+         ORDER BY d.next_attempt_at ASC
+         LIMIT $2
+         FOR UPDATE OF d SKIP LOCKED
+       )
+       UPDATE webhook_deliveries d
+       SET attempts = d.attempts + 1,
+           last_attempt_at = CURRENT_TIMESTAMP,
+           next_attempt_at = CURRENT_TIMESTAMP + $1 * INTERVAL '1 second'
+       FROM due, webhooks w
+       WHERE d.id = due.id AND w.id = d.webhook_id
+       RETURNING d.*, w.url, w.secret`,
+      [leaseSeconds, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Registra el resultado de un intento
+   *
+   * DÓNDE SE USA: En services/webhookDispatcher.js
+   *
+   * @param {Object} delivery - Envío reclamado (claimDue)
+   * @param {Object} outcome - Resultado del intento
+   * @param {boolean} outcome.ok - Si el receptor respondió 2xx
+   * @param {number} [outcome.response_status] - Código HTTP recibido
+   * @param {string} [outcome.response_body] - Respuesta del receptor
+   * @param {string} [outcome.error] - Error de red o timeout
+   * @param {number} outcome.duration_ms - Duración del intento
+   * @param {number|null} retryInSeconds - Espera hasta el siguiente intento
+   *   (null: no se reintenta y el envío queda fallido)
+   * @returns {Promise<void>}
+   */
+  static async recordAttempt(delivery, outcome, retryInSeconds) {
+    const {
+      ok,
+      response_status = null,
+      response_body = null,
+      error = null,
+      duration_ms,
+    } = outcome;
+    const estado = ok
+      ? "entregado"
+      : retryInSeconds === null
+      ? "fallido"
+      : "pendiente";
+
+    await query(
+      `INSERT INTO webhook_delivery_attempts
+         (delivery_id, attempt, response_status, response_body, error, duration_ms)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        delivery.id,
+        delivery.attempts,
+        response_status,
+        response_body
+          ? String(response_body).slice(0, MAX_RESPONSE_BODY_LENGTH)
+          : null,
+        error,
+        duration_ms,
+      ]
+    );
+
+    await query(
+      `UPDATE webhook_deliveries
+       SET estado = $1::text,
+           response_status = $2,
+           error = $3,
+           delivered_at = CASE WHEN $1::text = 'entregado' THEN CURRENT_TIMESTAMP END,
+           next_attempt_at = CASE
+             WHEN $1::text = 'pendiente' THEN CURRENT_TIMESTAMP + $4 * INTERVAL '1 second'
+             ELSE next_attempt_at
+           END
+       WHERE id = $5`,
+      [estado, response_status, error, retryInSeconds || 0, delivery.id]
+    );
+  }
+
+  /**
+   * Estados válidos
+   */
+  static get estados() {
+    return ESTADOS;
+  }
+}
+
+module.exports = WebhookDelivery;
@@ -12,18 +12,62 @@
 
 const User = require("./User");
 const Lead = require("./Lead");
+const LeadActivity = require("./LeadActivity");
+const LeadExport = require("./LeadExport");
+const LeadAttribution = require("./LeadAttribution");
+const LeadFormSubmission = require("./LeadFormSubmission");
+const LeadQuarantine = require("./LeadQuarantine");
+const Pipeline = require("./Pipeline");
+const AssignmentRule = require("./AssignmentRule");
+const ScoringRule = require("./ScoringRule");
+const Task = require("./Task");
 const Content = require("./Content");
 const Service = require("./Service");
 const BlogPost = require("./BlogPost");
 const Plan = require("./Plan");
 const Product = require("./Product");
+const RefreshToken = require("./RefreshToken");
+const Session = require("./Session");
+const PasswordResetToken = require("./PasswordResetToken");
+const TwoFactor = require("./TwoFactor");
+const LoginAttempt = require("./LoginAttempt");
+const Role = require("./Role");
+const Invitation = require("./Invitation");
+const ApiKey = require("./ApiKey");
+const Webhook = require("./Webhook");
+const WebhookDelivery = require("./WebhookDelivery");
+const Ticket = require("./Ticket");
+const TicketMessage = require("./TicketMessage");
+const TicketSlaPolicy = require("./TicketSlaPolicy");
 
 module.exports = {
   User,
   Lead,
+  LeadActivity,
+  LeadExport,
+  LeadAttribution,
+  LeadFormSubmission,
+  LeadQuarantine,
+  Pipeline,
+  AssignmentRule,
+  ScoringRule,
+  Task,
   Content,
   Service,
   BlogPost,
   Plan,
   Product,
+  RefreshToken,
+  Session,
+  PasswordResetToken,
+  TwoFactor,
+  LoginAttempt,
+  Role,
+  Invitation,
+  ApiKey,
+  Webhook,
+  WebhookDelivery,
+  Ticket,
+  TicketMessage,
+  TicketSlaPolicy,
 };
@@ -0,0 +1,318 @@
+/**
+ * @fileoverview Rutas de API keys para Boost Agency API
+ *
+ * 🆕 ARCHIVO NUEVO - Integraciones máquina a máquina sin JWT
+ *
+ * Maneja (requiere el permiso api_keys:manage):
+ * - Creación de claves con scopes, expiración y límite por minuto
+ * - Listado y consulta (solo prefijo, nunca la clave completa)
+ * - Edición y revocación
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const express = require("express");
+const { authenticateUser, requirePermission } = require("../middleware/auth");
+const ApiKey = require("../models/ApiKey");
+const {
+  hasPermission,
+  findUnknownPermissions,
+} = require("../config/permissions");
+const router = express.Router();
+
+// Límite por minuto máximo configurable para una clave
+const MAX_RATE_LIMIT_PER_MINUTE = 1000;
+
+// Todas las rutas requieren el permiso api_keys:manage (y un usuario, no otra clave)
+router.use(authenticateUser, requirePermission("api_keys:manage"));
+
+/**
+ * Helper: Valida los scopes de una clave
+ * - Deben existir en el catálogo de permisos
+ * - Los permisos de administración (*:manage) no se pueden delegar
+ * - Nadie puede dar a una clave permisos que no tiene
+ * Devuelve un mensaje de error o null si son válidos
+ */
+function validateScopes(scopes, user) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return "El campo scopes debe ser un array con al menos un permiso";
+  }
+
+  const unknown = findUnknownPermissions(scopes);
+  if (unknown.length > 0) {
+    return `Scopes desconocidos: ${unknown.join(", ")}`;
+  }
+
+  const adminScopes = scopes.filter((scope) => scope.endsWith(":manage"));
+  if (adminScopes.length > 0) {
+    return `Scopes no permitidos para una API key: ${adminScopes.join(", ")}`;
+  }
+
+  const notGranted = scopes.filter(
+    (scope) => !hasPermission(user.permissions, scope)
+  );
+  if (notGranted.length > 0) {
+    return `No tienes estos permisos: ${notGranted.join(", ")}`;
+  }
+
+  return null;
+}
+
+/**
+ * Helper: Valida el límite por minuto
+ */
+function isValidRateLimit(value) {
+  return (
+    Number.isInteger(value) && value > 0 && value <= MAX_RATE_LIMIT_PER_MINUTE
+  );
+}
+
+/**
+ * GET /api/api-keys
+ * Lista las API keys (query: include_revoked=true para incluir revocadas)
+ */
+router.get("/", async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.findAll({
+      includeRevoked: req.query.include_revoked === "true",
+    });
+
+    res.json({
+      success: true,
+      data: apiKeys,
+    });
+  } catch (error) {
+    console.error("Error obteniendo API keys:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al cargar las API keys",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/api-keys/:id
+ * Obtiene una API key
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: "API key no encontrada",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: apiKey,
+    });
+  } catch (error) {
+    console.error("Error obteniendo API key:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al cargar la API key",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/api-keys
+ * Crea una API key. La clave completa solo se devuelve en esta respuesta
+ *
+ * Body:
+ * {
+ *   "name": "Landing campaña verano",
+ *   "scopes": ["leads:write"],
+ *   "rate_limit_per_minute": 60,
+ *   "expires_at": "2025-12-31T23:59:59Z" (opcional)
+ * }
+ */
+router.post("/", async (req, res) => {
+  try {
+    const { name, scopes, rate_limit_per_minute, expires_at } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "El nombre es requerido",
+      });
+    }
+
+    const scopesError = validateScopes(scopes, req.user);
+    if (scopesError) {
+      return res.status(400).json({
+        success: false,
+        error: scopesError,
+      });
+    }
+
+    if (
+      rate_limit_per_minute !== undefined &&
+      !isValidRateLimit(rate_limit_per_minute)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `rate_limit_per_minute debe ser un entero entre 1 y ${MAX_RATE_LIMIT_PER_MINUTE}`,
+      });
+    }
+
+    if (
+      expires_at &&
+      (isNaN(Date.parse(expires_at)) || new Date(expires_at) <= new Date())
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "expires_at debe ser una fecha futura",
+      });
+    }
+
+    const { apiKey, key } = await ApiKey.create(
+      {
+        name: String(name).trim(),
+        scopes,
+        rate_limit_per_minute,
+        expires_at: expires_at || null,
+      },
+      req.user.id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "API key creada. Guárdala ahora: no se volverá a mostrar",
+      data: {
+        ...apiKey,
+        key,
+      },
+    });
+  } catch (error) {
+    console.error("Error creando API key:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al crear la API key",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * PATCH /api/api-keys/:id
+ * Actualiza nombre, scopes, límite por minuto o expiración
+ *
+ * Body (todos opcionales):
+ * {
+ *   "name": "Zapier",
+ *   "scopes": ["leads:read", "leads:write"],
+ *   "rate_limit_per_minute": 120,
+ *   "expires_at": "2025-12-31T23:59:59Z"
+ * }
+ */
+router.patch("/:id", async (req, res) => {
+  try {
+    const { name, scopes, rate_limit_per_minute, expires_at } = req.body;
+
+    if (scopes !== undefined) {
+      const scopesError = validateScopes(scopes, req.user);
+      if (scopesError) {
+        return res.status(400).json({
+          success: false,
+          error: scopesError,
+        });
+      }
+    }
+
+    if (
+      rate_limit_per_minute !== undefined &&
+      !isValidRateLimit(rate_limit_per_minute)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `rate_limit_per_minute debe ser un entero entre 1 y ${MAX_RATE_LIMIT_PER_MINUTE}`,
+      });
+    }
+
+    if (expires_at && isNaN(Date.parse(expires_at))) {
+      return res.status(400).json({
+        success: false,
+        error: "expires_at debe ser una fecha válida",
+      });
+    }
+
+    const apiKey = await ApiKey.update(req.params.id, {
+      name,
+      scopes,
+      rate_limit_per_minute,
+      expires_at,
+    });
+
+    res.json({
+      success: true,
+      message: "API key actualizada exitosamente",
+      data: apiKey,
+    });
+  } catch (error) {
+    console.error("Error actualizando API key:", error);
+
+    if (error.message.includes("no encontrada")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("No hay campos válidos")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Error al actualizar la API key",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * DELETE /api/api-keys/:id
+ * Revoca una API key (deja de funcionar inmediatamente)
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    await ApiKey.revoke(req.params.id);
+
+    res.json({
+      success: true,
+      message: "API key revocada exitosamente",
+    });
+  } catch (error) {
+    console.error("Error revocando API key:", error);
+
+    if (error.message.includes("no encontrada")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Error al revocar la API key",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+module.exports = router;
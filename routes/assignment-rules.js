@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Rutas de reglas de asignación de leads para Boost Agency API
+ *
+ * 🆕 ARCHIVO NUEVO - Los leads del formulario se asignan solos
+ *
+ * Maneja (requiere el permiso assignment_rules:manage):
+ * - CRUD de reglas (servicio, origen, rango de presupuesto, usuarios, estrategia)
+ * - Simulación (dry-run) de las reglas contra un lead de ejemplo
+ *
+ * Las reglas se aplican en Lead.create (ver models/AssignmentRule.js)
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const express = require("express");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const AssignmentRule = require("../models/AssignmentRule");
+const router = express.Router();
+
+// Todas las rutas requieren el permiso assignment_rules:manage
+router.use(authenticateToken, requirePermission("assignment_rules:manage"));
+
+/**
+ * Helper: Respuesta de error común de reglas
+ */
+function sendRuleError(res, error, fallbackMessage) {
+  if (error.message.includes("no encontrada")) {
+    return res.status(404).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  if (
+    error.message.includes("inválid") ||
+    error.message.includes("requerido") ||
+    error.message.includes("No hay campos válidos")
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    details: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+}
+
+/**
+ * GET /api/assignment-rules
+ * Lista las reglas por prioridad con sus usuarios
+ */
+router.get("/", async (req, res) => {
+  try {
+    const rules = await AssignmentRule.findAll();
+
+    res.json({
+      success: true,
+      data: rules,
+    });
+  } catch (error) {
+    console.error("Error obteniendo reglas de asignación:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al cargar las reglas de asignación",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/assignment-rules/dry-run
+ * Simula la asignación de un lead de ejemplo sin modificar nada
+ *
+ * ⚠️ IMPORTANTE: Esta ruta debe ir ANTES de /:id
+ *
+ * Body:
+ * {
+ *   "lead": {
+ *     "servicio_interes": "SEO",
+ *     "origen": "formulario-web",
+ *     "presupuesto": "$5,000 - $10,000"
+ *   },
+ *   "include_inactive": false (opcional: evaluar también reglas inactivas)
+ * }
+ */
+router.post("/dry-run", async (req, res) => {
+  try {
+    const { lead, include_inactive } = req.body;
+
+    if (!lead || typeof lead !== "object") {
+      return res.status(400).json({
+        success: false,
+        error: "El campo lead es requerido",
+      });
+    }
+
+    const { rule, user, evaluacion } = await AssignmentRule.evaluate(lead, {
+      dryRun: true,
+      includeInactive: include_inactive === true,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        asignado: Boolean(user),
+        rule: rule
+          ? { id: rule.id, name: rule.name, strategy: rule.strategy }
+          : null,
+        user,
+        evaluacion,
+      },
+    });
+  } catch (error) {
+    console.error("Error simulando asignación:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al simular la asignación",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/assignment-rules/:id
+ * Obtiene una regla con sus usuarios
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const rule = await AssignmentRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: "Regla no encontrada",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    console.error("Error obteniendo regla de asignación:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al cargar la regla de asignación",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/assignment-rules
+ * Crea una regla de asignación
+ *
+ * Body:
+ * {
+ *   "name": "SEO presupuesto alto",
+ *   "priority": 10,
+ *   "servicios": ["SEO"],
+ *   "origenes": [],
+ *   "presupuesto_min": 10000,
+ *   "presupuesto_max": null,
+ *   "strategy": "least_loaded",
+ *   "user_ids": ["uuid-1", "uuid-2"]
+ * }
+ */
+router.post("/", async (req, res) => {
+  try {
+    const rule = await AssignmentRule.create(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: "Regla de asignación creada exitosamente",
+      data: rule,
+    });
+  } catch (error) {
+    console.error("Error creando regla de asignación:", error);
+    sendRuleError(res, error, "Error al crear la regla de asignación");
+  }
+});
+
+/**
+ * PUT /api/assignment-rules/:id
+ * Actualiza una regla (user_ids reemplaza la lista de usuarios)
+ */
+router.put("/:id", async (req, res) => {
+  try {
+    const rule = await AssignmentRule.update(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: "Regla de asignación actualizada exitosamente",
+      data: rule,
+    });
+  } catch (error) {
+    console.error("Error actualizando regla de asignación:", error);
+    sendRuleError(res, error, "Error al actualizar la regla de asignación");
+  }
+});
+
+/**
+ * DELETE /api/assignment-rules/:id
+ * Elimina una regla
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    await AssignmentRule.delete(req.params.id);
+
+    res.json({
+      success: true,
+      message: "Regla de asignación eliminada exitosamente",
+    });
+  } catch (error) {
+    console.error("Error eliminando regla de asignación:", error);
+    sendRuleError(res, error, "Error al eliminar la regla de asignación");
+  }
+});
+
+module.exports = router;
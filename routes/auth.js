@@ -4,34 +4,199 @@
  * 🆕 ARCHIVO NUEVO - No existía en la versión JSON
  *
  * Maneja:
- * - Login (generación de JWT)
+ * - Login (generación de JWT + refresh token)
+ * - Autenticación en dos pasos (TOTP + códigos de recuperación)
+ * - Protección contra fuerza bruta (bloqueo temporal de cuentas)
+ * - Renovación con rotación de refresh tokens
+ * - Logout con revocación de la sesión
+ * - Gestión de sesiones activas (propias y, para admins, de cualquier usuario)
  * - Registro de usuarios
- * - Verificación de token
+ * - Verificación de token y edición del propio perfil (incluido el avatar)
  * - Cambio de contraseña
- * - Reset de contraseña
+ * - Reset de contraseña (por admin o autoservicio con token enviado por email)
  *
  * @author Boost Agency Development Team
  * @version 2.0.0
  */
 
 const express = require("express");
+const fs = require("fs");
 const jwt = require("jsonwebtoken");
-const { authenticateToken } = require("../middleware/auth");
+const rateLimit = require("express-rate-limit");
+const {
+  authenticateUser,
+  requirePermission,
+  requireAdminForAdminTarget,
+} = require("../middleware/auth");
+const {
+  upload,
+  getFileCategory,
+  getImageDimensions,
+} = require("../middleware/upload");
+const { query } = require("../config/database");
 const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const Session = require("../models/Session");
+const PasswordResetToken = require("../models/PasswordResetToken");
+const TwoFactor = require("../models/TwoFactor");
+const Role = require("../models/Role");
+const LoginAttempt = require("../models/LoginAttempt");
+const loginGuard = require("../services/loginGuard");
+const mailer = require("../services/mailer");
 const router = express.Router();
 
-// Configuración JWT
+// Configuración JWT (access tokens de corta duración)
 const JWT_SECRET = process.env.JWT_SECRET || "boost-agency-secret-key";
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "7d";
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
+
+// Validez del token de desafío entre el primer y el segundo paso del login
+const CHALLENGE_EXPIRES_IN = "10m";
+
+// Campos de perfil que cada usuario puede editar por sí mismo
+const SELF_EDITABLE_FIELDS = ["full_name", "phone", "avatar_url"];
+
+// URL del frontend para construir enlaces enviados por email
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:4200";
+
+// Rate limiting para el segundo paso del login (evita fuerza bruta de códigos)
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 10, // máximo 10 intentos por IP
+  message: {
+    success: false,
+    error: "Demasiados intentos, intenta de nuevo más tarde",
+  },
+});
+
+// Rate limiting específico para solicitudes de recuperación de contraseña
+const forgotPasswordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 5, // máximo 5 solicitudes por IP
+  message: {
+    success: false,
+    error: "Demasiadas solicitudes, intenta de nuevo más tarde",
+  },
+});
+
+/**
+ * Helper: Genera un access token JWT ligado a una sesión (familia de refresh tokens)
+ */
+function generateAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      sid: sessionId,
+    },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+}
+
+/**
+ * Helper: Genera un token de desafío para completar el login con 2FA
+ * purpose: "2fa_verify" (ingresar código) o "2fa_setup" (configurar 2FA obligatorio)
+ */
+function generateChallengeToken(user, purpose) {
+  return jwt.sign({ id: user.id, purpose }, JWT_SECRET, {
+    expiresIn: CHALLENGE_EXPIRES_IN,
+  });
+}
+
+/**
+ * Helper: Verifica un token de desafío y devuelve el usuario si sigue activo
+ */
+async function resolveChallenge(challengeToken, purpose) {
+  try {
+    const decoded = jwt.verify(challengeToken, JWT_SECRET);
+    if (decoded.purpose !== purpose) return null;
+
+    const user = await User.findById(decoded.id);
+    return user && user.status === "active" ? user : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Helper: Crea la sesión y devuelve los tokens y datos del usuario
+ * Es el último paso de cualquier login exitoso (con o sin 2FA)
+ */
+async function startSession(req, user) {
+  // Registrar el acceso y reiniciar el contador de intentos fallidos
+  await loginGuard.registerSuccess({ user, req });
+
+  // Actualizar último login
+  await User.updateLastLogin(user.id);
+
+  // Iniciar una nueva sesión (familia de refresh tokens)
+  const session = await Session.create({
+    user_id: user.id,
+    ip_address: req.ip,
+    user_agent: req.headers["user-agent"],
+    device: req.body.device,
+  });
+  const refreshToken = await RefreshToken.issue(user.id, session.id);
+  const token = generateAccessToken(user, session.id);
+
+  // Devolver tokens y datos del usuario (sin password_hash)
+  return {
+    token,
+    expires_in: JWT_EXPIRES_IN,
+    refresh_token: refreshToken.token,
+    refresh_token_expires_at: refreshToken.expires_at,
+    user: {
+      id: user.id,
+      email: user.email,
+      full_name: user.full_name,
+      role: user.role,
+      avatar_url: user.avatar_url,
+    },
+  };
+}
+
+/**
+ * Middleware: Autentica con Bearer token o, durante el login, con el
+ * challenge_token de configuración de 2FA obligatorio
+ */
+async function authenticateOrSetupChallenge(req, res, next) {
+  if (!req.body.challenge_token) {
+    return authenticateUser(req, res, next);
+  }
+
+  const user = await resolveChallenge(req.body.challenge_token, "2fa_setup");
+
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: "Token de verificación inválido o expirado",
+    });
+  }
+
+  req.user = {
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    full_name: user.full_name,
+  };
+  req.loginChallenge = user;
+  next();
+}
 
 /**
  * POST /api/auth/login
- * Inicia sesión y devuelve un token JWT
+ * Inicia sesión y devuelve un access token JWT y un refresh token
+ *
+ * Si el usuario tiene 2FA activo (o es obligatorio para su rol) devuelve
+ * un challenge_token en lugar de los tokens; el login se completa en
+ * POST /api/auth/login/2fa o POST /api/auth/2fa/enable respectivamente.
  *
  * Body:
  * {
  *   "email": "admin@boostagency.com",
- *   "password": "Admin123!"
+ *   "password": "Admin123!",
+ *   "device": "Laptop oficina" (opcional, se deduce del user agent)
  * }
  */
 router.post("/login", async (req, res) => {
@@ -49,7 +214,25 @@ router.post("/login", async (req, res) => {
     // Buscar usuario con contraseña incluida
     const user = await User.findByEmail(email, true);
 
+    // Verificar bloqueos por IP, cuenta bloqueada y espera progresiva
+    const check = await loginGuard.checkAllowed({ user, ip: req.ip });
+    if (!check.allowed) {
+      await loginGuard.recordRejection({
+        user,
+        email,
+        req,
+        reason: check.reason,
+      });
+      return loginGuard.sendRejection(res, check);
+    }
+
     if (!user) {
+      await loginGuard.registerFailure({
+        user,
+        email,
+        req,
+        reason: "unknown_email",
+      });
       return res.status(401).json({
         success: false,
         error: "Credenciales inválidas",
@@ -58,6 +241,12 @@ router.post("/login", async (req, res) => {
 
     // Verificar que el usuario esté activo
     if (user.status !== "active") {
+      await loginGuard.recordRejection({
+        user,
+        email,
+        req,
+        reason: "inactive",
+      });
       return res.status(403).json({
         success: false,
         error: "Usuario inactivo o suspendido",
@@ -71,40 +260,54 @@ router.post("/login", async (req, res) => {
     );
 
     if (!isPasswordValid) {
+      await loginGuard.registerFailure({
+        user,
+        email,
+        req,
+        reason: "invalid_password",
+      });
       return res.status(401).json({
         success: false,
         error: "Credenciales inválidas",
       });
     }
 
-    // Actualizar último login
-    await User.updateLastLogin(user.id);
+    const requires2faSetup =
+      !user.totp_enabled && (await TwoFactor.isRequiredForRole(user.role));
 
-    // Generar token JWT
-    const token = jwt.sign(
-      {
-        id: user.id,
-        email: user.email,
-        role: user.role,
-      },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+    // Contraseña correcta: el 2FA cuenta sus propios intentos
+    if (user.totp_enabled || requires2faSetup) {
+      await loginGuard.releaseAttempt(user);
+    }
+
+    // Segundo factor: el usuario tiene 2FA activo
+    if (user.totp_enabled) {
+      return res.json({
+        success: true,
+        message: "Se requiere el código de verificación",
+        data: {
+          requires_2fa: true,
+          challenge_token: generateChallengeToken(user, "2fa_verify"),
+        },
+      });
+    }
+
+    // Segundo factor obligatorio para su rol pero aún no configurado
+    if (requires2faSetup) {
+      return res.json({
+        success: true,
+        message: "Debes configurar la autenticación en dos pasos",
+        data: {
+          requires_2fa_setup: true,
+          challenge_token: generateChallengeToken(user, "2fa_setup"),
+        },
+      });
+    }
 
-    // Devolver token y datos del usuario (sin password_hash)
     res.json({
       success: true,
       message: "Login exitoso",
-      data: {
-        token,
-        user: {
-          id: user.id,
-          email: user.email,
-          full_name: user.full_name,
-          role: user.role,
-          avatar_url: user.avatar_url,
-        },
-      },
+      data: await startSession(req, user),
     });
   } catch (error) {
     console.error("Error en login:", error);
@@ -118,95 +321,514 @@ router.post("/login", async (req, res) => {
 });
 
 /**
- * POST /api/auth/register
- * Registra un nuevo usuario (solo admins pueden crear usuarios)
+ * POST /api/auth/login/2fa
+ * Segundo paso del login: verifica el código TOTP o un código de recuperación
  *
  * Body:
  * {
- *   "email": "nuevo@boostagency.com",
- *   "password": "Password123!",
- *   "full_name": "Nombre Completo",
- *   "role": "user",
- *   "phone": "+1234567890"
+ *   "challenge_token": "token_del_paso_1",
+ *   "code": "123456"            (o "recovery_code": "ABCDE-FGHIJ")
  * }
  */
-router.post("/register", authenticateToken, async (req, res) => {
+router.post("/login/2fa", twoFactorLimiter, async (req, res) => {
   try {
-    // Solo admins pueden crear usuarios
-    if (req.user.role !== "admin") {
-      return res.status(403).json({
+    const { challenge_token, code, recovery_code } = req.body;
+
+    if (!challenge_token || (!code && !recovery_code)) {
+      return res.status(400).json({
         success: false,
-        error: "Solo administradores pueden crear usuarios",
+        error: "Token de verificación y código son requeridos",
       });
     }
 
-    const { email, password, full_name, role, phone } = req.body;
+    const challengeUser = await resolveChallenge(challenge_token, "2fa_verify");
 
-    // Validar campos requeridos
-    if (!email || !password || !full_name) {
-      return res.status(400).json({
+    if (!challengeUser) {
+      return res.status(401).json({
         success: false,
-        error: "Email, contraseña y nombre completo son requeridos",
+        error: "Token de verificación inválido o expirado",
+      });
+    }
+
+    // Los fallos del segundo factor también cuentan para el bloqueo de la cuenta
+    const user = await User.findByEmail(challengeUser.email, true);
+    const check = await loginGuard.checkAllowed({ user, ip: req.ip });
+    if (!check.allowed) {
+      await loginGuard.recordRejection({
+        user,
+        email: user.email,
+        req,
+        reason: check.reason,
       });
+      return loginGuard.sendRejection(res, check);
     }
 
-    // Validar formato de email
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
+    const isValid = await TwoFactor.verify(user.id, { code, recovery_code });
+
+    if (!isValid) {
+      await loginGuard.registerFailure({
+        user,
+        email: user.email,
+        req,
+        reason: "invalid_2fa",
+      });
+      return res.status(401).json({
+        success: false,
+        error: "Código de verificación inválido",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Login exitoso",
+      data: await startSession(req, user),
+    });
+  } catch (error) {
+    console.error("Error en verificación 2FA:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error en el proceso de autenticación",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/auth/2fa
+ * Estado de la autenticación en dos pasos del usuario autenticado
+ */
+router.get("/2fa", authenticateUser, async (req, res) => {
+  try {
+    const status = await TwoFactor.getStatus(req.user.id);
+
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    console.error("Error obteniendo estado 2FA:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al obtener el estado del 2FA",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Genera un secreto TOTP y la URI otpauth:// para la app autenticadora
+ * Acepta Bearer token o el challenge_token del login (2FA obligatorio)
+ */
+router.post("/2fa/setup", authenticateOrSetupChallenge, async (req, res) => {
+  try {
+    const enrollment = await TwoFactor.startEnrollment(
+      req.user.id,
+      req.user.email
+    );
+
+    res.json({
+      success: true,
+      message: "Escanea el código QR y confirma con un código de la app",
+      data: enrollment,
+    });
+  } catch (error) {
+    if (error.message.includes("ya está activada")) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error("Error iniciando configuración 2FA:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al configurar el 2FA",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirma la configuración con un código y activa el 2FA
+ * Devuelve los códigos de recuperación (solo se muestran esta vez).
+ * Si se usó el challenge_token del login, además completa el login.
+ *
+ * Body:
+ * {
+ *   "code": "123456",
+ *   "challenge_token": "token_del_login" (opcional)
+ * }
+ */
+router.post("/2fa/enable", authenticateOrSetupChallenge, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
       return res.status(400).json({
         success: false,
-        error: "Formato de email inválido",
+        error: "El código de verificación es requerido",
       });
     }
 
-    // Validar contraseña (mínimo 8 caracteres, una mayúscula, un número)
-    if (password.length < 8) {
+    const recoveryCodes = await TwoFactor.confirmEnrollment(req.user.id, code);
+
+    const data = { recovery_codes: recoveryCodes };
+    if (req.loginChallenge) {
+      Object.assign(data, await startSession(req, req.loginChallenge));
+    }
+
+    res.json({
+      success: true,
+      message: "Autenticación en dos pasos activada exitosamente",
+      data,
+    });
+  } catch (error) {
+    if (
+      error.message.includes("Código de verificación") ||
+      error.message.includes("configuración del 2FA")
+    ) {
       return res.status(400).json({
         success: false,
-        error: "La contraseña debe tener al menos 8 caracteres",
+        error: error.message,
       });
     }
 
-    // Verificar si el email ya existe
-    const existingUser = await User.findByEmail(email);
-    if (existingUser) {
+    if (error.message.includes("ya está activada")) {
       return res.status(409).json({
         success: false,
-        error: "El email ya está registrado",
+        error: error.message,
       });
     }
 
-    // Crear usuario
-    const newUser = await User.create({
-      email,
-      password,
-      full_name,
-      role: role || "user",
-      phone,
+    console.error("Error activando 2FA:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al activar el 2FA",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Genera nuevos códigos de recuperación (invalida los anteriores)
+ *
+ * Body:
+ * {
+ *   "code": "123456"
+ * }
+ */
+router.post("/2fa/recovery-codes", authenticateUser, async (req, res) => {
+  try {
+    const isValid = await TwoFactor.verify(req.user.id, {
+      code: req.body.code,
     });
 
-    res.status(201).json({
+    if (!isValid) {
+      return res.status(401).json({
+        success: false,
+        error: "Código de verificación inválido",
+      });
+    }
+
+    const recoveryCodes = await TwoFactor.replaceRecoveryCodes(req.user.id);
+
+    res.json({
       success: true,
-      message: "Usuario creado exitosamente",
-      data: newUser,
+      message: "Códigos de recuperación regenerados",
+      data: { recovery_codes: recoveryCodes },
     });
   } catch (error) {
-    console.error("Error en registro:", error);
+    console.error("Error regenerando códigos de recuperación:", error);
     res.status(500).json({
       success: false,
-      error: "Error al crear el usuario",
+      error: "Error al regenerar los códigos de recuperación",
       details:
         process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
 });
 
+/**
+ * POST /api/auth/2fa/disable
+ * Desactiva el 2FA (no permitido si es obligatorio para el rol del usuario)
+ *
+ * Body:
+ * {
+ *   "password": "Password123!",
+ *   "code": "123456"
+ * }
+ */
+router.post("/2fa/disable", authenticateUser, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        error: "Contraseña y código son requeridos",
+      });
+    }
+
+    if (await TwoFactor.isRequiredForRole(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: "La autenticación en dos pasos es obligatoria para tu rol",
+      });
+    }
+
+    const user = await User.findByEmail(req.user.email, true);
+    const isPasswordValid = await User.verifyPassword(
+      password,
+      user.password_hash
+    );
+    const isCodeValid =
+      isPasswordValid && (await TwoFactor.verify(req.user.id, { code }));
+
+    if (!isCodeValid) {
+      return res.status(401).json({
+        success: false,
+        error: "Contraseña o código incorrectos",
+      });
+    }
+
+    await TwoFactor.disable(req.user.id);
+
+    res.json({
+      success: true,
+      message: "Autenticación en dos pasos desactivada",
+    });
+  } catch (error) {
+    console.error("Error desactivando 2FA:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al desactivar el 2FA",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/auth/2fa/policies
+ * Lista los roles con 2FA obligatorio (solo admins)
+ */
+router.get(
+  "/2fa/policies",
+  authenticateUser,
+  requirePermission("users:manage"),
+  async (req, res) => {
+    try {
+      const policies = await TwoFactor.getPolicies();
+
+      res.json({
+        success: true,
+        data: policies,
+      });
+    } catch (error) {
+      console.error("Error obteniendo políticas 2FA:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error al obtener las políticas de 2FA",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/auth/2fa/policies/:role
+ * Hace obligatorio (o no) el 2FA para un rol (solo admins)
+ *
+ * Body:
+ * {
+ *   "required": true
+ * }
+ */
+router.put(
+  "/2fa/policies/:role",
+  authenticateUser,
+  requirePermission("users:manage"),
+  async (req, res) => {
+    try {
+      const { role } = req.params;
+      const { required } = req.body;
+
+      if (!(await Role.exists(role))) {
+        return res.status(400).json({
+          success: false,
+          error: "Rol inválido",
+        });
+      }
+
+      if (typeof required !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          error: "El campo required debe ser true o false",
+        });
+      }
+
+      const policy = await TwoFactor.setPolicy(role, required, req.user.id);
+
+      res.json({
+        success: true,
+        message: "Política de 2FA actualizada exitosamente",
+        data: policy,
+      });
+    } catch (error) {
+      console.error("Error actualizando política 2FA:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error al actualizar la política de 2FA",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/auth/users/:userId/2fa
+ * Restablece el 2FA de un usuario que perdió su dispositivo (solo admins)
+ * El usuario deberá configurarlo de nuevo; se cierran todas sus sesiones
+ */
+router.delete(
+  "/users/:userId/2fa",
+  authenticateUser,
+  requirePermission("users:manage"),
+  requireAdminForAdminTarget("userId"),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      await TwoFactor.disable(userId);
+      await Session.revokeAllForUser(userId, "2fa_reset");
+
+      res.json({
+        success: true,
+        message: "2FA del usuario restablecido exitosamente",
+      });
+    } catch (error) {
+      console.error("Error restableciendo 2FA:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error al restablecer el 2FA",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/register
+ * Registra un nuevo usuario (solo admins pueden crear usuarios)
+ *
+ * Body:
+ * {
+ *   "email": "nuevo@boostagency.com",
+ *   "password": "Password123!",
+ *   "full_name": "Nombre Completo",
+ *   "role": "user",
+ *   "phone": "+1234567890"
+ * }
+ */
+router.post(
+  "/register",
+  authenticateUser,
+  requirePermission("users:manage"),
+  async (req, res) => {
+    try {
+      const { email, password, full_name, role, phone } = req.body;
+
+      // Validar campos requeridos
+      if (!email || !password || !full_name) {
+        return res.status(400).json({
+          success: false,
+          error: "Email, contraseña y nombre completo son requeridos",
+        });
+      }
+
+      // Validar formato de email
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(email)) {
+        return res.status(400).json({
+          success: false,
+          error: "Formato de email inválido",
+        });
+      }
+
+      // Validar contraseña (mínimo 8 caracteres, una mayúscula, un número)
+      if (password.length < 8) {
+        return res.status(400).json({
+          success: false,
+          error: "La contraseña debe tener al menos 8 caracteres",
+        });
+      }
+
+      // Validar rol (los roles se definen en la tabla roles)
+      if (role && !(await Role.exists(role))) {
+        return res.status(400).json({
+          success: false,
+          error: "Rol inválido",
+        });
+      }
+
+      if (role === "admin" && req.user.role !== "admin") {
+        return res.status(403).json({
+          success: false,
+          error: "Solo un administrador puede asignar el rol admin",
+        });
+      }
+
+      // Verificar si el email ya existe
+      const existingUser = await User.findByEmail(email);
+      if (existingUser) {
+        return res.status(409).json({
+          success: false,
+          error: "El email ya está registrado",
+        });
+      }
+
+      // Crear usuario
+      const newUser = await User.create({
+        email,
+        password,
+        full_name,
+        role: role || "user",
+        phone,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Usuario creado exitosamente",
+        data: newUser,
+      });
+    } catch (error) {
+      console.error("Error en registro:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error al crear el usuario",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
 /**
  * GET /api/auth/me
- * Obtiene información del usuario autenticado
+ * Obtiene información del usuario autenticado (incluye sus permisos)
  * Útil para verificar si el token sigue válido
  */
-router.get("/me", authenticateToken, async (req, res) => {
+router.get("/me", authenticateUser, async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
 
@@ -219,7 +841,10 @@ router.get("/me", authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      data: user,
+      data: {
+        ...user,
+        permissions: req.user.permissions,
+      },
     });
   } catch (error) {
     console.error("Error obteniendo usuario:", error);
@@ -232,6 +857,138 @@ router.get("/me", authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/auth/me
+ * Actualiza el perfil del usuario autenticado
+ * Solo campos de perfil: el rol y el estado los gestiona un admin
+ *
+ * Body:
+ * {
+ *   "full_name": "Nombre Completo",
+ *   "phone": "+1234567890",
+ *   "avatar_url": "/uploads/imagenes/avatar.jpg"
+ * }
+ */
+router.put("/me", authenticateUser, async (req, res) => {
+  try {
+    const updates = {};
+    for (const field of SELF_EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
+
+    if (updates.full_name !== undefined && !String(updates.full_name).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "El nombre no puede estar vacío",
+      });
+    }
+
+    const userUpdated = await User.update(req.user.id, updates);
+
+    res.json({
+      success: true,
+      message: "Perfil actualizado exitosamente",
+      data: userUpdated,
+    });
+  } catch (error) {
+    console.error("Error actualizando perfil:", error);
+
+    if (error.message.includes("No hay campos válidos")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Error al actualizar el perfil",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/me/avatar
+ * Sube una imagen de avatar y la asigna al usuario autenticado
+ * Usa el mismo pipeline de multer que /api/upload (campo "avatar")
+ */
+router.post(
+  "/me/avatar",
+  authenticateUser,
+  upload.single("avatar"),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: "No se subió ningún archivo",
+        });
+      }
+
+      const fileType = getFileCategory(req.file.mimetype);
+      if (fileType !== "imagenes") {
+        fs.unlinkSync(req.file.path);
+        return res.status(400).json({
+          success: false,
+          error: "El avatar debe ser una imagen",
+        });
+      }
+
+      const relativePath = `/uploads/${fileType}/${req.file.filename}`;
+      const dimensions = await getImageDimensions(req.file.path);
+
+      // Registrar en la biblioteca de archivos (tabla images)
+      await query(
+        `INSERT INTO images (
+          filename, original_filename, file_path, file_url,
+          mime_type, file_size, width, height, folder, uploaded_by
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          req.file.filename,
+          req.file.originalname,
+          req.file.path,
+          relativePath,
+          req.file.mimetype,
+          req.file.size,
+          dimensions.width,
+          dimensions.height,
+          "avatars",
+          req.user.id,
+        ]
+      );
+
+      const userUpdated = await User.update(req.user.id, {
+        avatar_url: relativePath,
+      });
+
+      res.json({
+        success: true,
+        message: "Avatar actualizado exitosamente",
+        data: userUpdated,
+      });
+    } catch (error) {
+      console.error("Error subiendo avatar:", error);
+
+      // Si hay error, eliminar el archivo físico
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Error al subir el avatar",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
 /**
  * PUT /api/auth/change-password
  * Cambia la contraseña del usuario autenticado
@@ -242,7 +999,7 @@ router.get("/me", authenticateToken, async (req, res) => {
  *   "new_password": "NewPassword456!"
  * }
  */
-router.put("/change-password", authenticateToken, async (req, res) => {
+router.put("/change-password", authenticateUser, async (req, res) => {
   try {
     const { current_password, new_password } = req.body;
 
@@ -298,61 +1055,164 @@ router.put("/change-password", authenticateToken, async (req, res) => {
 
 /**
  * POST /api/auth/reset-password/:userId
- * Resetea la contraseña de un usuario (solo admins)
+ * Resetea la contraseña de un usuario (solo admins) y cierra sus sesiones
  *
  * Body:
  * {
  *   "new_password": "TempPassword123!"
  * }
  */
-router.post("/reset-password/:userId", authenticateToken, async (req, res) => {
-  try {
-    // Solo admins pueden resetear contraseñas
-    if (req.user.role !== "admin") {
-      return res.status(403).json({
+router.post(
+  "/reset-password/:userId",
+  authenticateUser,
+  requirePermission("users:manage"),
+  requireAdminForAdminTarget("userId"),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { new_password } = req.body;
+
+      if (!new_password) {
+        return res.status(400).json({
+          success: false,
+          error: "Nueva contraseña es requerida",
+        });
+      }
+
+      if (new_password.length < 8) {
+        return res.status(400).json({
+          success: false,
+          error: "La contraseña debe tener al menos 8 caracteres",
+        });
+      }
+
+      // Cambiar contraseña y cerrar todas sus sesiones (como el reset por email)
+      await User.changePassword(userId, new_password);
+      await Session.revokeAllForUser(userId, "password_reset");
+
+      res.json({
+        success: true,
+        message: "Contraseña reseteada exitosamente",
+      });
+    } catch (error) {
+      console.error("Error reseteando contraseña:", error);
+      res.status(500).json({
         success: false,
-        error: "Solo administradores pueden resetear contraseñas",
+        error: "Error al resetear la contraseña",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
       });
     }
+  }
+);
 
-    const { userId } = req.params;
-    const { new_password } = req.body;
+/**
+ * POST /api/auth/forgot-password
+ * Solicita un enlace de recuperación de contraseña por email
+ *
+ * Siempre responde igual exista o no el email, para no revelar
+ * qué cuentas están registradas.
+ *
+ * Body:
+ * {
+ *   "email": "usuario@boostagency.com"
+ * }
+ */
+router.post("/forgot-password", forgotPasswordLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
 
-    if (!new_password) {
+    if (!email) {
       return res.status(400).json({
         success: false,
-        error: "Nueva contraseña es requerida",
+        error: "El email es requerido",
       });
     }
 
-    if (new_password.length < 8) {
+    const user = await User.findByEmail(email);
+
+    if (user && user.status === "active") {
+      const { token } = await PasswordResetToken.create(user.id, req.ip);
+      const resetUrl = `${FRONTEND_URL}/reset-password?token=${token}`;
+
+      await mailer.sendMail({
+        to: user.email,
+        subject: "Recupera tu contraseña - Boost Agency",
+        text:
+          `Hola ${user.full_name},\n\n` +
+          `Recibimos una solicitud para restablecer tu contraseña.\n` +
+          `Usa el siguiente enlace (válido por ${PasswordResetToken.expiresInMinutes} minutos):\n\n` +
+          `${resetUrl}\n\n` +
+          `Si no solicitaste este cambio, ignora este mensaje.`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message:
+        "Si el email está registrado, recibirás un enlace para restablecer tu contraseña",
+    });
+  } catch (error) {
+    console.error("Error solicitando recuperación de contraseña:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al procesar la solicitud",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Restablece la contraseña usando el token recibido por email
+ * Cierra todas las sesiones abiertas del usuario
+ *
+ * Body:
+ * {
+ *   "token": "token_del_email",
+ *   "new_password": "NewPassword456!"
+ * }
+ */
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, new_password } = req.body;
+
+    if (!token || !new_password) {
       return res.status(400).json({
         success: false,
-        error: "La contraseña debe tener al menos 8 caracteres",
+        error: "Token y nueva contraseña son requeridos",
       });
     }
 
-    // Verificar que el usuario existe
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({
+    if (new_password.length < 8) {
+      return res.status(400).json({
         success: false,
-        error: "Usuario no encontrado",
+        error: "La contraseña debe tener al menos 8 caracteres",
       });
     }
 
-    // Cambiar contraseña
+    const userId = await PasswordResetToken.consume(token);
+
     await User.changePassword(userId, new_password);
+    await Session.revokeAllForUser(userId, "password_reset");
 
     res.json({
       success: true,
-      message: "Contraseña reseteada exitosamente",
+      message: "Contraseña restablecida exitosamente",
     });
   } catch (error) {
-    console.error("Error reseteando contraseña:", error);
+    if (error.message.includes("Token de recuperación")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error("Error restableciendo contraseña:", error);
     res.status(500).json({
       success: false,
-      error: "Error al resetear la contraseña",
+      error: "Error al restablecer la contraseña",
       details:
         process.env.NODE_ENV === "development" ? error.message : undefined,
     });
@@ -361,39 +1221,68 @@ router.post("/reset-password/:userId", authenticateToken, async (req, res) => {
 
 /**
  * POST /api/auth/refresh
- * Renueva el token JWT (útil antes de que expire)
+ * Renueva el access token usando un refresh token
+ *
+ * El refresh token se rota en cada uso: el enviado queda revocado y se
+ * devuelve uno nuevo. Si se reutiliza un refresh token ya rotado, se
+ * revoca la sesión completa.
+ *
+ * Body:
+ * {
+ *   "refresh_token": "token_opaco"
+ * }
  */
-router.post("/refresh", authenticateToken, async (req, res) => {
+router.post("/refresh", async (req, res) => {
   try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({
+        success: false,
+        error: "Refresh token es requerido",
+      });
+    }
+
+    const rotated = await RefreshToken.rotate(refresh_token);
+
     // Verificar que el usuario siga activo
-    const user = await User.findById(req.user.id);
+    const user = await User.findById(rotated.user_id);
 
     if (!user || user.status !== "active") {
+      await Session.revoke(rotated.family_id, "user_inactive");
       return res.status(403).json({
         success: false,
         error: "Usuario no válido para renovar token",
       });
     }
 
-    // Generar nuevo token
-    const token = jwt.sign(
-      {
-        id: user.id,
-        email: user.email,
-        role: user.role,
-      },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+    // Generar nuevo access token para la misma sesión
+    const token = generateAccessToken(user, rotated.family_id);
 
     res.json({
       success: true,
       message: "Token renovado exitosamente",
       data: {
         token,
+        expires_in: JWT_EXPIRES_IN,
+        refresh_token: rotated.token,
+        refresh_token_expires_at: rotated.expires_at,
       },
     });
   } catch (error) {
+    if (error.message.includes("Refresh token")) {
+      if (error.reuseDetected) {
+        console.warn(
+          `Reutilización de refresh token detectada (usuario ${error.userId}, sesión ${error.familyId})`
+        );
+        await Session.revoke(error.familyId, "reuse_detected");
+      }
+      return res.status(401).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     console.error("Error renovando token:", error);
     res.status(500).json({
       success: false,
@@ -406,13 +1295,12 @@ router.post("/refresh", authenticateToken, async (req, res) => {
 
 /**
  * POST /api/auth/logout
- * Cierra sesión (del lado del cliente debe eliminar el token)
- * Esta ruta existe principalmente para logging/auditoría
+ * Cierra sesión revocando la sesión actual (todos sus refresh tokens)
+ * Los access tokens emitidos para la sesión dejan de ser aceptados
  */
-router.post("/logout", authenticateToken, async (req, res) => {
+router.post("/logout", authenticateUser, async (req, res) => {
   try {
-    // Aquí podrías agregar lógica para invalidar tokens
-    // o registrar el logout en una tabla de auditoría
+    await Session.revoke(req.user.session_id, "logout");
 
     res.json({
       success: true,
@@ -429,4 +1317,214 @@ router.post("/logout", authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/auth/sessions
+ * Lista las sesiones activas del usuario autenticado
+ * La sesión desde la que se hace la petición se marca con current: true
+ */
+router.get("/sessions", authenticateUser, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.user.session_id,
+      })),
+    });
+  } catch (error) {
+    console.error("Error obteniendo sesiones:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al obtener las sesiones",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Cierra una sesión propia (por ejemplo, un dispositivo perdido)
+ */
+router.delete("/sessions/:id", authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const session = await Session.findById(id);
+
+    if (!session || session.user_id !== req.user.id || session.revoked_at) {
+      return res.status(404).json({
+        success: false,
+        error: "Sesión no encontrada",
+      });
+    }
+
+    await Session.revoke(id, "logout_remote");
+
+    res.json({
+      success: true,
+      message: "Sesión cerrada exitosamente",
+    });
+  } catch (error) {
+    console.error("Error cerrando sesión:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al cerrar la sesión",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/auth/users/:userId/sessions
+ * Lista las sesiones activas de cualquier usuario (solo admins)
+ */
+router.get(
+  "/users/:userId/sessions",
+  authenticateUser,
+  requirePermission("users:manage"),
+  requireAdminForAdminTarget("userId"),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      const sessions = await Session.findActiveByUser(userId);
+
+      res.json({
+        success: true,
+        data: sessions,
+      });
+    } catch (error) {
+      console.error("Error obteniendo sesiones del usuario:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error al obtener las sesiones",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/auth/users/:userId/sessions
+ * Cierra todas las sesiones de un usuario en todos sus dispositivos (solo admins)
+ */
+router.delete(
+  "/users/:userId/sessions",
+  authenticateUser,
+  requirePermission("users:manage"),
+  requireAdminForAdminTarget("userId"),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      const revoked = await Session.revokeAllForUser(
+        userId,
+        "admin_logout_all"
+      );
+
+      res.json({
+        success: true,
+        message: "Sesiones cerradas exitosamente",
+        data: { sesiones_cerradas: revoked },
+      });
+    } catch (error) {
+      console.error("Error cerrando sesiones del usuario:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error al cerrar las sesiones",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/auth/users/:userId/login-attempts
+ * Historial de intentos de login de un usuario y estado de bloqueo (solo admins)
+ *
+ * Query params: page, limit, success (true|false)
+ */
+router.get(
+  "/users/:userId/login-attempts",
+  authenticateUser,
+  requirePermission("users:manage"),
+  requireAdminForAdminTarget("userId"),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { page, limit, success } = req.query;
+
+      const user = req.targetUser;
+      const lockState = await User.findByEmail(user.email, true);
+      const result = await LoginAttempt.findByUser(userId, {
+        page: page ? parseInt(page) : 1,
+        limit: limit ? parseInt(limit) : 20,
+        success: success === undefined ? undefined : success === "true",
+      });
+
+      res.json({
+        success: true,
+        data: {
+          failed_login_count: lockState.failed_login_count,
+          locked_until: lockState.locked_until,
+          attempts: result.attempts,
+        },
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      console.error("Error obteniendo intentos de login:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error al obtener los intentos de login",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/users/:userId/unlock
+ * Desbloquea una cuenta bloqueada por intentos fallidos (solo admins)
+ */
+router.post(
+  "/users/:userId/unlock",
+  authenticateUser,
+  requirePermission("users:manage"),
+  requireAdminForAdminTarget("userId"),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      const user = await User.resetFailedLogins(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: "Usuario no encontrado",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Cuenta desbloqueada exitosamente",
+        data: user,
+      });
+    } catch (error) {
+      console.error("Error desbloqueando cuenta:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error al desbloquear la cuenta",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -16,12 +16,34 @@
 const express = require("express");
 const {
   authenticateToken,
-  requireEditor,
   optionalAuth,
+  requirePermission,
 } = require("../middleware/auth");
+const { hasPermission } = require("../config/permissions");
 const BlogPost = require("../models/BlogPost");
 const router = express.Router();
 
+/**
+ * Helper: Sin el permiso blog:publish solo se pueden editar borradores.
+ * Si el episodio queda (o ya está) publicado y el usuario no puede publicar,
+ * responde 403 y devuelve true.
+ */
+function denyIfCannotPublish(req, res, status) {
+  if (
+    status !== "published" ||
+    hasPermission(req.user.permissions, "blog:publish")
+  ) {
+    return false;
+  }
+
+  res.status(403).json({
+    success: false,
+    error: "Permisos insuficientes para publicar episodios",
+    required_permissions: ["blog:publish"],
+  });
+  return true;
+}
+
 /**
  * GET /api/blog
  * Obtiene todos los episodios con paginación y filtros
@@ -116,24 +138,29 @@ router.get("/featured", async (req, res) => {
  * GET /api/blog/stats
  * Obtiene estadísticas del podcast
  */
-router.get("/stats", authenticateToken, requireEditor, async (req, res) => {
-  try {
-    const stats = await BlogPost.getStats();
+router.get(
+  "/stats",
+  authenticateToken,
+  requirePermission("blog:write"),
+  async (req, res) => {
+    try {
+      const stats = await BlogPost.getStats();
 
-    res.json({
-      success: true,
-      data: stats,
-    });
-  } catch (error) {
-    console.error("Error obteniendo estadísticas:", error);
-    res.status(500).json({
-      success: false,
-      error: "Error al cargar las estadísticas",
-      details:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
+      res.json({
+        success: true,
+        data: stats,
+      });
+    } catch (error) {
+      console.error("Error obteniendo estadísticas:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error al cargar las estadísticas",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
   }
-});
+);
 
 /**
  * GET /api/blog/topics/:topic
@@ -218,90 +245,97 @@ router.get("/:episodeId", async (req, res) => {
  *   "status": "draft"
  * }
  */
-router.post("/", authenticateToken, requireEditor, async (req, res) => {
-  try {
-    const {
-      episode_id,
-      episode_number,
-      title,
-      description,
-      publish_date,
-      duration,
-      guest_name,
-      guest_title,
-      cover_image_url,
-      audio_url,
-      topics,
-      is_featured,
-      status,
-    } = req.body;
-
-    // Validar campos requeridos
-    if (
-      !episode_id ||
-      !episode_number ||
-      !title ||
-      !description ||
-      !publish_date
-    ) {
-      return res.status(400).json({
-        success: false,
-        error:
-          "episode_id, episode_number, title, description y publish_date son requeridos",
-      });
-    }
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("blog:write"),
+  async (req, res) => {
+    try {
+      const {
+        episode_id,
+        episode_number,
+        title,
+        description,
+        publish_date,
+        duration,
+        guest_name,
+        guest_title,
+        cover_image_url,
+        audio_url,
+        topics,
+        is_featured,
+        status,
+      } = req.body;
+
+      // Validar campos requeridos
+      if (
+        !episode_id ||
+        !episode_number ||
+        !title ||
+        !description ||
+        !publish_date
+      ) {
+        return res.status(400).json({
+          success: false,
+          error:
+            "episode_id, episode_number, title, description y publish_date son requeridos",
+        });
+      }
 
-    // Validar formato de episode_id
-    if (!/^ep-\d+$/.test(episode_id)) {
-      return res.status(400).json({
-        success: false,
-        error: 'episode_id debe tener el formato "ep-XXX" (ej: ep-001)',
+      // Validar formato de episode_id
+      if (!/^ep-\d+$/.test(episode_id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'episode_id debe tener el formato "ep-XXX" (ej: ep-001)',
+        });
+      }
+
+      if (denyIfCannotPublish(req, res, status || "draft")) return;
+
+      const newEpisode = await BlogPost.create({
+        episode_id,
+        episode_number,
+        title,
+        description,
+        publish_date,
+        duration,
+        guest_name,
+        guest_title,
+        cover_image_url,
+        audio_url,
+        topics: topics || [],
+        is_featured: is_featured || false,
+        status: status || "draft",
+        author_id: req.user.id,
       });
-    }
 
-    const newEpisode = await BlogPost.create({
-      episode_id,
-      episode_number,
-      title,
-      description,
-      publish_date,
-      duration,
-      guest_name,
-      guest_title,
-      cover_image_url,
-      audio_url,
-      topics: topics || [],
-      is_featured: is_featured || false,
-      status: status || "draft",
-      author_id: req.user.id,
-    });
+      res.status(201).json({
+        success: true,
+        message: "Episodio creado exitosamente",
+        data: newEpisode,
+      });
+    } catch (error) {
+      console.error("Error creando episodio:", error);
 
-    res.status(201).json({
-      success: true,
-      message: "Episodio creado exitosamente",
-      data: newEpisode,
-    });
-  } catch (error) {
-    console.error("Error creando episodio:", error);
+      if (
+        error.message.includes("duplicate") ||
+        error.message.includes("already exists")
+      ) {
+        return res.status(409).json({
+          success: false,
+          error: "Ya existe un episodio con ese episode_id",
+        });
+      }
 
-    if (
-      error.message.includes("duplicate") ||
-      error.message.includes("already exists")
-    ) {
-      return res.status(409).json({
+      res.status(500).json({
         success: false,
-        error: "Ya existe un episodio con ese episode_id",
+        error: "Error al crear el episodio",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
       });
     }
-
-    res.status(500).json({
-      success: false,
-      error: "Error al crear el episodio",
-      details:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
   }
-});
+);
 
 /**
  * PUT /api/blog/:episodeId
@@ -310,7 +344,7 @@ router.post("/", authenticateToken, requireEditor, async (req, res) => {
 router.put(
   "/:episodeId",
   authenticateToken,
-  requireEditor,
+  requirePermission("blog:write"),
   async (req, res) => {
     try {
       const { episodeId } = req.params;
@@ -322,6 +356,15 @@ router.put(
       delete updates.created_at;
       delete updates.author_id;
 
+      const existing = await BlogPost.getByEpisodeId(episodeId);
+      if (
+        existing &&
+        (denyIfCannotPublish(req, res, existing.status) ||
+          denyIfCannotPublish(req, res, updates.status))
+      ) {
+        return;
+      }
+
       const episodeUpdated = await BlogPost.update(episodeId, updates);
 
       res.json({
@@ -368,7 +411,7 @@ router.put(
 router.patch(
   "/:episodeId/status",
   authenticateToken,
-  requireEditor,
+  requirePermission("blog:write", "blog:publish"),
   async (req, res) => {
     try {
       const { episodeId } = req.params;
@@ -429,7 +472,7 @@ router.patch(
 router.patch(
   "/:episodeId/featured",
   authenticateToken,
-  requireEditor,
+  requirePermission("blog:write"),
   async (req, res) => {
     try {
       const { episodeId } = req.params;
@@ -513,7 +556,7 @@ router.post("/:episodeId/view", async (req, res) => {
 router.delete(
   "/:episodeId",
   authenticateToken,
-  requireEditor,
+  requirePermission("blog:write"),
   async (req, res) => {
     try {
       const { episodeId } = req.params;
@@ -17,12 +17,34 @@
 const express = require("express");
 const {
   authenticateToken,
-  requireEditor,
   optionalAuth,
+  requirePermission,
 } = require("../middleware/auth");
+const { hasPermission } = require("../config/permissions");
 const Content = require("../models/Content");
 const router = express.Router();
 
+/**
+ * Helper: Sin el permiso content:publish solo se pueden editar borradores.
+ * Si la sección queda (o ya está) publicada y el usuario no puede publicar,
+ * responde 403 y devuelve true.
+ */
+function denyIfCannotPublish(req, res, status) {
+  if (
+    status !== "published" ||
+    hasPermission(req.user.permissions, "content:publish")
+  ) {
+    return false;
+  }
+
+  res.status(403).json({
+    success: false,
+    error: "Permisos insuficientes para publicar contenido",
+    required_permissions: ["content:publish"],
+  });
+  return true;
+}
+
 /**
  * GET /api/content
  * Obtiene todas las secciones de contenido
@@ -111,49 +133,56 @@ router.get("/:sectionKey", async (req, res) => {
  *   "status": "published"
  * }
  */
-router.post("/", authenticateToken, requireEditor, async (req, res) => {
-  try {
-    const { section_key, section_name, content_data, status } = req.body;
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("content:write"),
+  async (req, res) => {
+    try {
+      const { section_key, section_name, content_data, status } = req.body;
 
-    // Validar campos requeridos
-    if (!section_key || !section_name || !content_data) {
-      return res.status(400).json({
-        success: false,
-        error: "section_key, section_name y content_data son requeridos",
+      // Validar campos requeridos
+      if (!section_key || !section_name || !content_data) {
+        return res.status(400).json({
+          success: false,
+          error: "section_key, section_name y content_data son requeridos",
+        });
+      }
+
+      // Validar que content_data sea un objeto
+      if (typeof content_data !== "object") {
+        return res.status(400).json({
+          success: false,
+          error: "content_data debe ser un objeto JSON",
+        });
+      }
+
+      if (denyIfCannotPublish(req, res, status || "published")) return;
+
+      const contentSaved = await Content.upsert({
+        section_key,
+        section_name,
+        content_data,
+        status: status || "published",
+        updated_by: req.user.id,
       });
-    }
 
-    // Validar que content_data sea un objeto
-    if (typeof content_data !== "object") {
-      return res.status(400).json({
+      res.status(201).json({
+        success: true,
+        message: "Contenido guardado exitosamente",
+        data: contentSaved,
+      });
+    } catch (error) {
+      console.error("Error guardando contenido:", error);
+      res.status(500).json({
         success: false,
-        error: "content_data debe ser un objeto JSON",
+        error: "Error al guardar el contenido",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
       });
     }
-
-    const contentSaved = await Content.upsert({
-      section_key,
-      section_name,
-      content_data,
-      status: status || "published",
-      updated_by: req.user.id,
-    });
-
-    res.status(201).json({
-      success: true,
-      message: "Contenido guardado exitosamente",
-      data: contentSaved,
-    });
-  } catch (error) {
-    console.error("Error guardando contenido:", error);
-    res.status(500).json({
-      success: false,
-      error: "Error al guardar el contenido",
-      details:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
   }
-});
+);
 
 /**
  * PUT /api/content/:sectionKey
@@ -169,7 +198,7 @@ router.post("/", authenticateToken, requireEditor, async (req, res) => {
 router.put(
   "/:sectionKey",
   authenticateToken,
-  requireEditor,
+  requirePermission("content:write"),
   async (req, res) => {
     try {
       const { sectionKey } = req.params;
@@ -184,6 +213,13 @@ router.put(
         });
       }
 
+      if (
+        denyIfCannotPublish(req, res, existing.status) ||
+        denyIfCannotPublish(req, res, status || existing.status)
+      ) {
+        return;
+      }
+
       const contentUpdated = await Content.upsert({
         section_key: sectionKey,
         section_name: section_name || existing.section_name,
@@ -227,7 +263,7 @@ router.put(
 router.patch(
   "/:sectionKey/partial",
   authenticateToken,
-  requireEditor,
+  requirePermission("content:write"),
   async (req, res) => {
     try {
       const { sectionKey } = req.params;
@@ -240,6 +276,9 @@ router.patch(
         });
       }
 
+      const existing = await Content.getBySectionKey(sectionKey);
+      if (existing && denyIfCannotPublish(req, res, existing.status)) return;
+
       const contentUpdated = await Content.updatePartial(
         sectionKey,
         path,
@@ -279,7 +318,7 @@ router.patch(
 router.delete(
   "/:sectionKey",
   authenticateToken,
-  requireEditor,
+  requirePermission("content:write", "content:publish"),
   async (req, res) => {
     try {
       const { sectionKey } = req.params;
@@ -309,7 +348,7 @@ router.delete(
 router.post(
   "/:sectionKey/restore",
   authenticateToken,
-  requireEditor,
+  requirePermission("content:write", "content:publish"),
   async (req, res) => {
     try {
       const { sectionKey } = req.params;
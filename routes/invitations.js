@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Rutas de invitaciones para Boost Agency API
+ *
+ * 🆕 ARCHIVO NUEVO - Alta del equipo sin que el admin elija la contraseña
+ *
+ * Maneja:
+ * - Envío de invitaciones (email + rol) con enlace que expira
+ * - Listado, reenvío y revocación de invitaciones (permiso users:manage)
+ * - Consulta y aceptación pública de la invitación desde el enlace
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const { authenticateUser, requirePermission } = require("../middleware/auth");
+const User = require("../models/User");
+const Role = require("../models/Role");
+const Invitation = require("../models/Invitation");
+const mailer = require("../services/mailer");
+const router = express.Router();
+
+// URL del frontend para construir el enlace de la invitación
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:4200";
+
+// Estados por los que se puede filtrar el listado
+const VALID_STATUSES = ["pending", "accepted", "revoked", "expired"];
+
+// Rate limiting para las rutas públicas del enlace (evita probar tokens)
+const acceptLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 20, // máximo 20 intentos por IP
+  message: {
+    success: false,
+    error: "Demasiados intentos, intenta de nuevo más tarde",
+  },
+});
+
+/**
+ * Helper: Envía el email con el enlace de la invitación
+ */
+async function sendInvitationEmail(invitation, token, inviterName) {
+  const acceptUrl = `${FRONTEND_URL}/accept-invitation?token=${token}`;
+
+  await mailer.sendMail({
+    to: invitation.email,
+    subject: "Te invitaron a Boost Agency",
+    text:
+      `Hola,\n\n` +
+      `${inviterName} te invitó a unirte al panel de Boost Agency ` +
+      `con el rol "${invitation.role}".\n` +
+      `Crea tu cuenta con el siguiente enlace (válido por ${Invitation.expiresInDays} días):\n\n` +
+      `${acceptUrl}\n\n` +
+      `Si no esperabas esta invitación, ignora este mensaje.`,
+  });
+}
+
+/**
+ * Helper: Respuesta de error común para reenvío/revocación
+ */
+function sendInvitationError(res, error, fallbackMessage) {
+  if (error.message.includes("no encontrada")) {
+    return res.status(404).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  if (error.message.includes("ya no está pendiente")) {
+    return res.status(409).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    details: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+}
+
+/**
+ * GET /api/invitations/accept?token=...
+ * Consulta pública de una invitación (para mostrar email y rol en el formulario)
+ */
+router.get("/accept", acceptLimiter, async (req, res) => {
+  try {
+    const { token } = req.query;
+    const invitation = token ? await Invitation.findValidByToken(token) : null;
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        error: "Invitación inválida o expirada",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        invited_by_name: invitation.invited_by_name,
+        expires_at: invitation.expires_at,
+      },
+    });
+  } catch (error) {
+    console.error("Error consultando invitación:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al consultar la invitación",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/invitations/accept
+ * Acepta una invitación: crea la cuenta con la contraseña y el perfil elegidos
+ * Después el usuario inicia sesión normalmente en POST /api/auth/login
+ *
+ * Body:
+ * {
+ *   "token": "token_del_email",
+ *   "password": "Password123!",
+ *   "full_name": "Nombre Completo",
+ *   "phone": "+1234567890"
+ * }
+ */
+router.post("/accept", acceptLimiter, async (req, res) => {
+  try {
+    const { token, password, full_name, phone } = req.body;
+
+    if (!token || !password || !full_name) {
+      return res.status(400).json({
+        success: false,
+        error: "Token, contraseña y nombre completo son requeridos",
+      });
+    }
+
+    if (typeof password !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "La contraseña debe ser un texto",
+      });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        error: "La contraseña debe tener al menos 8 caracteres",
+      });
+    }
+
+    const user = await Invitation.accept(token, { password, full_name, phone });
+
+    res.status(201).json({
+      success: true,
+      message: "Cuenta creada exitosamente, ya puedes iniciar sesión",
+      data: user,
+    });
+  } catch (error) {
+    console.error("Error aceptando invitación:", error);
+
+    if (error.message.includes("inválida o expirada")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    // Violación de unicidad: el email ya tiene una cuenta
+    if (error.code === "23505") {
+      return res.status(409).json({
+        success: false,
+        error: "El email ya está registrado",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Error al aceptar la invitación",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// El resto de rutas requiere el permiso users:manage
+router.use(authenticateUser, requirePermission("users:manage"));
+
+/**
+ * GET /api/invitations
+ * Lista invitaciones con filtros y paginación
+ *
+ * Query params: status (pending, accepted, revoked, expired), page, limit
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { status, page, limit } = req.query;
+
+    if (status && !VALID_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Estado inválido. Debe ser uno de: ${VALID_STATUSES.join(", ")}`,
+      });
+    }
+
+    const result = await Invitation.findAll({
+      status,
+      page: page ? parseInt(page) : 1,
+      limit: limit ? parseInt(limit) : 20,
+    });
+
+    res.json({
+      success: true,
+      data: result.invitations,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error("Error obteniendo invitaciones:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al cargar las invitaciones",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/invitations
+ * Invita a un nuevo miembro del equipo
+ *
+ * Body:
+ * {
+ *   "email": "nuevo@boostagency.com",
+ *   "role": "editor"
+ * }
+ */
+router.post("/", async (req, res) => {
+  try {
+    const { email, role = "user" } = req.body;
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!email || !emailRegex.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: "Formato de email inválido",
+      });
+    }
+
+    if (!(await Role.exists(role))) {
+      return res.status(400).json({
+        success: false,
+        error: "Rol inválido",
+      });
+    }
+
+    if (role === "admin" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Solo un administrador puede asignar el rol admin",
+      });
+    }
+
+    if (await User.emailExists(email.trim().toLowerCase())) {
+      return res.status(409).json({
+        success: false,
+        error: "El email ya está registrado",
+      });
+    }
+
+    const { invitation, token } = await Invitation.create(
+      { email, role },
+      req.user.id
+    );
+    await sendInvitationEmail(invitation, token, req.user.full_name);
+
+    res.status(201).json({
+      success: true,
+      message: "Invitación enviada exitosamente",
+      data: invitation,
+    });
+  } catch (error) {
+    console.error("Error creando invitación:", error);
+
+    if (error.message.includes("invitación pendiente")) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Error al enviar la invitación",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/invitations/:id/resend
+ * Reenvía la invitación con un enlace nuevo (el anterior deja de funcionar)
+ */
+router.post("/:id/resend", async (req, res) => {
+  try {
+    const { invitation, token } = await Invitation.resend(req.params.id);
+    await sendInvitationEmail(invitation, token, req.user.full_name);
+
+    res.json({
+      success: true,
+      message: "Invitación reenviada exitosamente",
+      data: invitation,
+    });
+  } catch (error) {
+    console.error("Error reenviando invitación:", error);
+    sendInvitationError(res, error, "Error al reenviar la invitación");
+  }
+});
+
+/**
+ * DELETE /api/invitations/:id
+ * Revoca una invitación pendiente
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    const invitation = await Invitation.revoke(req.params.id);
+
+    res.json({
+      success: true,
+      message: "Invitación revocada exitosamente",
+      data: invitation,
+    });
+  } catch (error) {
+    console.error("Error revocando invitación:", error);
+    sendInvitationError(res, error, "Error al revocar la invitación");
+  }
+});
+
+module.exports = router;
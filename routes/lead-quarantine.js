@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Rutas de cuarentena de leads para Boost Agency API
+ *
+ * 🆕 ARCHIVO NUEVO - Revisión de envíos rechazados por el antispam
+ *
+ * Maneja (requiere el permiso leads:quarantine, solo usuarios):
+ * - Listado de envíos del formulario público rechazados (honeypot, límites,
+ *   token, email desechable, CAPTCHA)
+ * - Aprobar un envío (crea el lead) o descartarlo
+ *
+ * Ver services/leadSpamGuard.js
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const express = require("express");
+const { authenticateUser, requirePermission } = require("../middleware/auth");
+const LeadQuarantine = require("../models/LeadQuarantine");
+const router = express.Router();
+
+// Todas las rutas requieren el permiso leads:quarantine
+router.use(authenticateUser, requirePermission("leads:quarantine"));
+
+/**
+ * Helper: Respuesta de error común de cuarentena
+ */
+function sendQuarantineError(res, error, fallbackMessage) {
+  if (error.message.includes("no encontrado")) {
+    return res.status(404).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  if (error.message.includes("ya fue revisado")) {
+    return res.status(409).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  if (error.message.includes("inválid")) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    details: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+}
+
+/**
+ * GET /api/lead-quarantine
+ * Lista los envíos en cuarentena (más recientes primero)
+ *
+ * Query params:
+ * - estado: pendiente, aprobado o descartado
+ * - motivo: honeypot, limite_ip, limite_email, token_invalido,
+ *   demasiado_rapido, email_desechable o captcha
+ * - page, limit: paginación
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { estado, motivo, page, limit } = req.query;
+    const { motivos, estados } = LeadQuarantine.opciones;
+
+    if (estado !== undefined && !estados.includes(estado)) {
+      return res.status(400).json({
+        success: false,
+        error: `estado debe ser uno de: ${estados.join(", ")}`,
+      });
+    }
+
+    if (motivo !== undefined && !motivos.includes(motivo)) {
+      return res.status(400).json({
+        success: false,
+        error: `motivo debe ser uno de: ${motivos.join(", ")}`,
+      });
+    }
+
+    const result = await LeadQuarantine.findAll({
+      estado,
+      motivo,
+      page: page ? parseInt(page) : 1,
+      limit: limit ? parseInt(limit) : 20,
+    });
+
+    res.json({
+      success: true,
+      data: result.entries,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error("Error obteniendo la cuarentena de leads:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al cargar la cuarentena",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/lead-quarantine/:id
+ * Obtiene un envío en cuarentena con los datos recibidos
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const entry = await LeadQuarantine.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: "Envío en cuarentena no encontrado",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry,
+    });
+  } catch (error) {
+    console.error("Error obteniendo envío en cuarentena:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al cargar el envío",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/lead-quarantine/:id/aprobar
+ * Aprueba un envío (falso positivo): crea el lead con sus datos
+ */
+router.post("/:id/aprobar", async (req, res) => {
+  try {
+    const { entry, lead } = await LeadQuarantine.approve(
+      req.params.id,
+      req.user.id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Envío aprobado: lead creado exitosamente",
+      data: { ...entry, lead },
+    });
+  } catch (error) {
+    console.error("Error aprobando envío en cuarentena:", error);
+    sendQuarantineError(res, error, "Error al aprobar el envío");
+  }
+});
+
+/**
+ * POST /api/lead-quarantine/:id/descartar
+ * Descarta un envío (queda marcado como spam)
+ */
+router.post("/:id/descartar", async (req, res) => {
+  try {
+    const entry = await LeadQuarantine.discard(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: "Envío descartado",
+      data: entry,
+    });
+  } catch (error) {
+    console.error("Error descartando envío en cuarentena:", error);
+    sendQuarantineError(res, error, "Error al descartar el envío");
+  }
+});
+
+module.exports = router;
@@ -17,88 +17,975 @@
 const express = require("express");
 const {
   authenticateToken,
-  requireRole,
-  requireEditor,
-  requireAdmin,
+  authenticateUser,
+  requirePermission,
 } = require("../middleware/auth");
 const Lead = require("../models/Lead");
+const LeadActivity = require("../models/LeadActivity");
+const LeadExport = require("../models/LeadExport");
+const LeadAttribution = require("../models/LeadAttribution");
+const Task = require("../models/Task");
+const Ticket = require("../models/Ticket");
+const {
+  FORMATS,
+  createSpreadsheetWriter,
+  parseCsv,
+} = require("../utils/spreadsheet");
+const { validateLeadFields } = require("../utils/leadValidation");
+const { parseAttribution } = require("../utils/attribution");
+const { hasPermission } = require("../config/permissions");
+const { csvUpload } = require("../middleware/upload");
+const leadSpamGuard = require("../services/leadSpamGuard");
 const router = express.Router();
 
+// Campos del lead que se pueden mapear al importar un CSV
+const IMPORT_FIELDS = [
+  "nombre",
+  "email",
+  "telefono",
+  "empresa",
+  "servicio_interes",
+  "presupuesto",
+  "mensaje",
+  "origen",
+];
+
+// Máximo de filas por importación
+const MAX_IMPORT_ROWS = 5000;
+
 /**
- * GET /api/leads
- * Obtiene todos los leads con filtros opcionales
+ * Helper: Recibe el CSV de la importación (errores de multer → 400)
+ */
+function receiveCsv(req, res, next) {
+  csvUpload.single("file")(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    next();
+  });
+}
+
+/**
+ * Helper: Lee y valida los filtros de listado de leads del query string
+ * (los mismos en GET /api/leads, GET /api/leads/export y POST /api/leads/bulk)
  *
- * CAMBIOS:
- * - ANTES: Leía archivo JSON, filtraba en memoria, paginaba manualmente
- * - AHORA: El modelo Lead.findAll() hace todo (filtros, paginación, ordenamiento)
+ * @returns {Object} { filters } o { error } con el mensaje de validación
  */
-router.get("/", authenticateToken, requireEditor, async (req, res) => {
-  try {
-    const {
-      estado,
-      servicio,
-      fecha_desde,
-      fecha_hasta,
-      assigned_to,
-      page,
-      limit,
-    } = req.query;
+function parseLeadFilters(params) {
+  const {
+    estado,
+    pipeline_id,
+    stage_id,
+    servicio,
+    fecha_desde,
+    fecha_hasta,
+    assigned_to,
+    score_min,
+    score_max,
+    tag,
+    sort,
+    order,
+  } = params;
+
+  for (const [name, value] of Object.entries({ score_min, score_max })) {
+    if (value !== undefined && !/^-?\d+$/.test(String(value))) {
+      return { error: `${name} debe ser un número entero` };
+    }
+  }
+
+  if (sort !== undefined && !["fecha", "score"].includes(sort)) {
+    return { error: "sort debe ser 'fecha' o 'score'" };
+  }
 
-    // El modelo maneja todos los filtros y paginación
-    const result = await Lead.findAll({
+  if (order !== undefined && !["asc", "desc"].includes(order)) {
+    return { error: "order debe ser 'asc' o 'desc'" };
+  }
+
+  return {
+    filters: {
       estado,
+      pipeline_id,
+      stage_id,
       servicio,
       fecha_desde,
       fecha_hasta,
       assigned_to,
-      page: page ? parseInt(page) : 1,
-      limit: limit ? parseInt(limit) : 20,
+      score_min: score_min !== undefined ? parseInt(score_min) : undefined,
+      score_max: score_max !== undefined ? parseInt(score_max) : undefined,
+      tag,
+      sort,
+      order,
+    },
+  };
+}
+
+/**
+ * GET /api/leads
+ * Obtiene todos los leads con filtros opcionales
+ *
+ * CAMBIOS:
+ * - ANTES: Leía archivo JSON, filtraba en memoria, paginaba manualmente
+ * - AHORA: El modelo Lead.findAll() hace todo (filtros, paginación, ordenamiento)
+ *
+ * Query params de scoring:
+ * - score_min / score_max: rango de score
+ * - sort: 'fecha' (por defecto) o 'score'; order: 'desc' (por defecto) o 'asc'
+ * - tag: leads con esa etiqueta
+ */
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission("leads:read"),
+  async (req, res) => {
+    try {
+      const { filters, error } = parseLeadFilters(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error,
+        });
+      }
+
+      const { page, limit } = req.query;
+
+      // El modelo maneja todos los filtros y paginación
+      const result = await Lead.findAll({
+        ...filters,
+        page: page ? parseInt(page) : 1,
+        limit: limit ? parseInt(limit) : 20,
+      });
+
+      res.json({
+        success: true,
+        data: result.leads,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      console.error("Error obteniendo leads:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error al cargar los leads",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/leads/estadisticas
+ * Obtiene estadísticas de leads
+ *
+ * ⚠️ IMPORTANTE: Esta ruta debe ir ANTES de /api/leads/:id
+ * para evitar que Express interprete "estadisticas" como un ID
+ *
+ * CAMBIOS:
+ * - ANTES: Calculaba estadísticas en JavaScript iterando el array
+ * - AHORA: PostgreSQL hace los cálculos (mucho más rápido con COUNT, GROUP BY)
+ * - NUEVO: Desgloses por fuente, medio y campaña
+ *   (?atribucion=first|last, default: first)
+ */
+router.get(
+  "/estadisticas",
+  authenticateToken,
+  requirePermission("leads:read"),
+  async (req, res) => {
+    try {
+      const stats = await Lead.getEstadisticas({
+        atribucion: req.query.atribucion,
+      });
+
+      res.json({
+        success: true,
+        data: stats,
+      });
+    } catch (error) {
+      console.error("Error obteniendo estadísticas:", error);
+
+      if (error.message.includes("inválido")) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Error al cargar las estadísticas",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/leads/estadisticas/avanzadas
+ * Embudo de conversión, tiempo en cada etapa, tiempo hasta el primer
+ * contacto, rendimiento por vendedor y cohortes por mes de alta
+ *
+ * ⚠️ IMPORTANTE: Esta ruta debe ir ANTES de /api/leads/:id
+ *
+ * Query params: fecha_desde (default: hace 12 meses), fecha_hasta, servicio,
+ * pipeline_id (default: pipeline por defecto), assigned_to
+ */
+router.get(
+  "/estadisticas/avanzadas",
+  authenticateToken,
+  requirePermission("leads:read"),
+  async (req, res) => {
+    try {
+      const { fecha_desde, fecha_hasta, servicio, pipeline_id, assigned_to } =
+        req.query;
+
+      for (const [campo, valor] of Object.entries({
+        fecha_desde,
+        fecha_hasta,
+      })) {
+        if (valor && isNaN(Date.parse(valor))) {
+          return res.status(400).json({
+            success: false,
+            error: `${campo} debe ser una fecha válida`,
+          });
+        }
+      }
+
+      const stats = await Lead.getEstadisticasAvanzadas({
+        fecha_desde,
+        fecha_hasta,
+        servicio,
+        pipeline_id,
+        assigned_to,
+      });
+
+      res.json({
+        success: true,
+        data: stats,
+      });
+    } catch (error) {
+      console.error("Error obteniendo estadísticas avanzadas:", error);
+
+      if (error.message.includes("no encontrado")) {
+        return res.status(404).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Error al cargar las estadísticas avanzadas",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/leads/kanban
+ * Leads de un pipeline agrupados por etapa (vista Kanban)
+ *
+ * ⚠️ IMPORTANTE: Esta ruta debe ir ANTES de /api/leads/:id
+ *
+ * Query params: pipeline_id (default: pipeline por defecto), assigned_to,
+ * limit (máximo de leads por etapa, default: 50)
+ */
+router.get(
+  "/kanban",
+  authenticateToken,
+  requirePermission("leads:read"),
+  async (req, res) => {
+    try {
+      const { pipeline_id, assigned_to, limit } = req.query;
+
+      const kanban = await Lead.getKanban({
+        pipeline_id,
+        assigned_to,
+        limit: limit ? Math.min(parseInt(limit), 200) : 50,
+      });
+
+      res.json({
+        success: true,
+        data: kanban,
+      });
+    } catch (error) {
+      console.error("Error obteniendo Kanban de leads:", error);
+
+      if (error.message.includes("no encontrado")) {
+        return res.status(404).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Error al cargar el Kanban",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/leads/export
+ * Exporta los leads a CSV o Excel (solo administradores)
+ *
+ * ⚠️ IMPORTANTE: Esta ruta debe ir ANTES de /api/leads/:id
+ *
+ * Query params:
+ * - format: 'csv' (por defecto) o 'xlsx'
+ * - columns: columnas separadas por coma (ver GET /api/leads/export/columns)
+ * - Los mismos filtros y orden que GET /api/leads (sin paginación)
+ *
+ * El archivo se genera en streaming por lotes y cada exportación
+ * queda registrada en lead_exports
+ */
+router.get(
+  "/export",
+  authenticateUser,
+  requirePermission("leads:export"),
+  async (req, res) => {
+    const format = req.query.format || "csv";
+    const { disponibles, por_defecto } = Lead.exportColumns;
+    const columns = req.query.columns
+      ? String(req.query.columns)
+          .split(",")
+          .map((column) => column.trim())
+          .filter(Boolean)
+      : por_defecto;
+
+    if (!FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        error: "format debe ser 'csv' o 'xlsx'",
+      });
+    }
+
+    const invalid = columns.filter((column) => !disponibles.includes(column));
+    if (columns.length === 0 || invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Columnas inválidas: ${invalid.join(", ") || "(ninguna)"}`,
+        columnas_disponibles: disponibles,
+      });
+    }
+
+    const { filters, error } = parseLeadFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    const exportLog = {
+      user_id: req.user.id,
+      format,
+      filters,
+      columns,
+      ip_address: req.ip,
+      user_agent: req.get("user-agent"),
+    };
+
+    // El archivo empieza con el primer lote: un error antes devuelve JSON
+    let writer = null;
+    const startFile = () => {
+      const fecha = new Date().toISOString().slice(0, 10);
+      res.setHeader("Content-Type", FORMATS[format]);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="leads-${fecha}.${format}"`
+      );
+      writer = createSpreadsheetWriter(format, res, columns);
+    };
+
+    try {
+      const total = await Lead.exportAll(filters, columns, (rows) => {
+        if (!writer) startFile();
+        return writer.writeRows(rows);
+      });
+
+      if (!writer) startFile();
+      await writer.end();
+
+      await LeadExport.record({
+        ...exportLog,
+        row_count: total,
+        success: true,
+      });
+    } catch (error) {
+      console.error("Error exportando leads:", error);
+
+      await LeadExport.record({
+        ...exportLog,
+        success: false,
+        error: error.message,
+      }).catch((logError) =>
+        console.error("Error registrando exportación:", logError)
+      );
+
+      // Si el archivo ya empezó a enviarse solo se puede cortar la conexión
+      if (writer) {
+        return res.destroy();
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Error al exportar los leads",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/leads/export/columns
+ * Columnas disponibles para exportar y las que se exportan por defecto
+ */
+router.get(
+  "/export/columns",
+  authenticateUser,
+  requirePermission("leads:export"),
+  (req, res) => {
+    res.json({
+      success: true,
+      data: Lead.exportColumns,
     });
+  }
+);
+
+/**
+ * GET /api/leads/exports
+ * Registro de exportaciones (quién exportó, cuándo, filtros y filas)
+ *
+ * Query params: user_id, page, limit
+ */
+router.get(
+  "/exports",
+  authenticateUser,
+  requirePermission("leads:export"),
+  async (req, res) => {
+    try {
+      const { user_id, page, limit } = req.query;
+
+      const result = await LeadExport.findAll({
+        user_id,
+        page: page ? parseInt(page) : 1,
+        limit: limit ? Math.min(parseInt(limit), 100) : 20,
+      });
+
+      res.json({
+        success: true,
+        data: result.exports,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      console.error("Error obteniendo exportaciones:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error al cargar el registro de exportaciones",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/leads/form-token
+ * Token firmado para enviar el formulario público (POST /api/leads)
+ * y configuración antispam que necesita el frontend
+ *
+ * 🔓 Público
+ */
+router.get("/form-token", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({
+    success: true,
+    data: leadSpamGuard.issueFormToken(),
+  });
+});
+
+/**
+ * GET /api/leads/search
+ * Busca leads por texto (nombre, email, empresa, mensaje)
+ *
+ * NUEVO ENDPOINT: No existía en la versión JSON
+ */
+router.get(
+  "/search",
+  authenticateToken,
+  requirePermission("leads:read"),
+  async (req, res) => {
+    try {
+      const { q, limit } = req.query;
+
+      if (!q || q.trim().length < 2) {
+        return res.status(400).json({
+          success: false,
+          error: "El término de búsqueda debe tener al menos 2 caracteres",
+        });
+      }
+
+      const leads = await Lead.search(q, limit ? parseInt(limit) : 10);
+
+      res.json({
+        success: true,
+        data: leads,
+        count: leads.length,
+      });
+    } catch (error) {
+      console.error("Error buscando leads:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error en la búsqueda",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/leads/:id
+ * Obtiene un lead específico por ID
+ *
+ * CAMBIOS:
+ * - ANTES: Buscaba en array con .find()
+ * - AHORA: Consulta directa por UUID con índice (más rápido)
+ * - NUEVO: Incluye el historial completo de actividades (actividades)
+ * - NUEVO: Incluye las tareas de seguimiento (tareas)
+ * - NUEVO: Incluye el primer y el último contacto (atribucion)
+ * - NUEVO: Incluye los tickets de soporte del cliente (tickets)
+ */
+router.get(
+  "/:id",
+  authenticateToken,
+  requirePermission("leads:read"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const lead = await Lead.findById(id);
+
+      if (!lead) {
+        return res.status(404).json({
+          success: false,
+          error: "Lead no encontrado",
+        });
+      }
+
+      const actividades = await LeadActivity.findAllByLead(id);
+      const tareas = await Task.findAllByLead(id);
+      const atribucion = await LeadAttribution.findByLead(id);
+      const tickets = await Ticket.findAllByLead(id);
+
+      res.json({
+        success: true,
+        data: {
+          ...lead,
+          actividades,
+          tareas,
+          atribucion,
+          tickets,
+        },
+      });
+    } catch (error) {
+      console.error("Error obteniendo lead:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error al cargar el lead",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/leads/:id/actividades
+ * Historial de actividades de un lead (más recientes primero)
+ *
+ * Query params: tipo (nota, llamada, email, reunion, sistema), page, limit
+ */
+router.get(
+  "/:id/actividades",
+  authenticateToken,
+  requirePermission("leads:read"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { tipo, page, limit } = req.query;
+
+      const lead = await Lead.findById(id);
+
+      if (!lead) {
+        return res.status(404).json({
+          success: false,
+          error: "Lead no encontrado",
+        });
+      }
+
+      const result = await LeadActivity.findByLead(id, {
+        tipo,
+        page: page ? parseInt(page) : 1,
+        limit: limit ? parseInt(limit) : 50,
+      });
+
+      res.json({
+        success: true,
+        data: result.actividades,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      console.error("Error obteniendo actividades del lead:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error al cargar las actividades del lead",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/leads/:id/actividades
+ * Registra una nota, llamada, email o reunión en el historial del lead
+ *
+ * Body:
+ * {
+ *   "tipo": "llamada",
+ *   "descripcion": "Llamada de seguimiento, pide propuesta",
+ *   "fecha_actividad": "2025-01-15T10:30:00Z" (opcional, default: ahora),
+ *   "metadata": { "duracion_minutos": 15 } (opcional)
+ * }
+ */
+router.post(
+  "/:id/actividades",
+  authenticateToken,
+  requirePermission("leads:write"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { tipo, descripcion, fecha_actividad, metadata } = req.body;
+
+      if (!tipo || !descripcion || !String(descripcion).trim()) {
+        return res.status(400).json({
+          success: false,
+          error: "Los campos tipo y descripcion son requeridos",
+        });
+      }
+
+      if (fecha_actividad && isNaN(Date.parse(fecha_actividad))) {
+        return res.status(400).json({
+          success: false,
+          error: "fecha_actividad debe ser una fecha válida",
+        });
+      }
+
+      if (
+        metadata !== undefined &&
+        (typeof metadata !== "object" ||
+          metadata === null ||
+          Array.isArray(metadata))
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: "metadata debe ser un objeto",
+        });
+      }
+
+      const lead = await Lead.findById(id);
+
+      if (!lead) {
+        return res.status(404).json({
+          success: false,
+          error: "Lead no encontrado",
+        });
+      }
+
+      const actividad = await LeadActivity.create({
+        lead_id: id,
+        tipo,
+        descripcion: String(descripcion).trim(),
+        fecha_actividad,
+        metadata,
+        author_id: req.user.id,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Actividad registrada exitosamente",
+        data: actividad,
+      });
+    } catch (error) {
+      console.error("Error registrando actividad del lead:", error);
+
+      if (error.message.includes("inválido")) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Error al registrar la actividad",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/leads/:id/duplicados
+ * Posibles duplicados de un lead (mismo email, teléfono o empresa normalizados)
+ */
+router.get(
+  "/:id/duplicados",
+  authenticateToken,
+  requirePermission("leads:read"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const lead = await Lead.findById(id);
+
+      if (!lead) {
+        return res.status(404).json({
+          success: false,
+          error: "Lead no encontrado",
+        });
+      }
+
+      const duplicados = await Lead.findDuplicates(id);
+
+      res.json({
+        success: true,
+        data: duplicados,
+        count: duplicados.length,
+      });
+    } catch (error) {
+      console.error("Error buscando duplicados del lead:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error al buscar duplicados",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/leads/merge
+ * Fusiona leads duplicados en un lead superviviente
+ * (los duplicados se eliminan: requiere leads:write y leads:delete)
+ *
+ * Body:
+ * {
+ *   "lead_id": "uuid-del-superviviente",
+ *   "duplicados": ["uuid-1", "uuid-2"],
+ *   "campos": { "telefono": "uuid-1" } (opcional: de qué lead tomar cada campo)
+ * }
+ */
+router.post(
+  "/merge",
+  authenticateToken,
+  requirePermission("leads:write", "leads:delete"),
+  async (req, res) => {
+    try {
+      const { lead_id, duplicados, campos = {} } = req.body;
+
+      if (!lead_id || !Array.isArray(duplicados)) {
+        return res.status(400).json({
+          success: false,
+          error: "Los campos lead_id y duplicados (array) son requeridos",
+        });
+      }
+
+      if (typeof campos !== "object" || campos === null) {
+        return res.status(400).json({
+          success: false,
+          error: "campos debe ser un objeto",
+        });
+      }
+
+      const lead = await Lead.merge(lead_id, duplicados, req.user.id, campos);
+
+      res.json({
+        success: true,
+        message: "Leads fusionados exitosamente",
+        data: lead,
+      });
+    } catch (error) {
+      console.error("Error fusionando leads:", error);
+
+      if (error.message.includes("no encontrados")) {
+        return res.status(404).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      if (error.message.includes("inválid")) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Error al fusionar los leads",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/leads/bulk
+ * Aplica una acción a muchos leads en una sola transacción
+ *
+ * Body:
+ * {
+ *   "ids": ["uuid-1", "uuid-2"]   (o "filter": { mismos filtros que GET /api/leads }),
+ *   "action": "estado" | "assign" | "tag" | "delete",
+ *   "data": {
+ *     "estado": "cerrado", "lost_reason": "..."   (action estado)
+ *     "user_id": "uuid" | null                    (action assign)
+ *     "add": ["vip"], "remove": ["revisar"]       (action tag)
+ *   },
+ *   "omitir_errores": false (opcional: aplicar aunque algunos leads fallen)
+ * }
+ *
+ * 'delete' requiere además el permiso leads:delete.
+ * Si algún lead falla (y no se indica omitir_errores) no se aplica nada
+ */
+router.post(
+  "/bulk",
+  authenticateToken,
+  requirePermission("leads:write"),
+  async (req, res) => {
+    try {
+      const { ids, filter, action, data = {}, omitir_errores } = req.body;
+
+      if (
+        action === "delete" &&
+        !hasPermission(req.user.permissions, "leads:delete")
+      ) {
+        return res.status(403).json({
+          success: false,
+          error: "Permisos insuficientes",
+          required_permissions: ["leads:delete"],
+          user_role: req.user.role,
+        });
+      }
+
+      if ((ids === undefined) === (filter === undefined)) {
+        return res.status(400).json({
+          success: false,
+          error: "Indica ids o filter (uno de los dos)",
+        });
+      }
+
+      if (
+        ids !== undefined &&
+        (!Array.isArray(ids) ||
+          ids.length === 0 ||
+          ids.some((id) => typeof id !== "string"))
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: "ids debe ser un array de UUIDs",
+        });
+      }
+
+      let seleccion = { ids: ids && [...new Set(ids)] };
+
+      if (filter !== undefined) {
+        if (typeof filter !== "object" || filter === null) {
+          return res.status(400).json({
+            success: false,
+            error: "filter debe ser un objeto",
+          });
+        }
+
+        const { filters, error } = parseLeadFilters(filter);
+        const criterios = Object.keys(filters).filter(
+          (key) =>
+            !["sort", "order"].includes(key) && filters[key] !== undefined
+        );
+
+        if (error || criterios.length === 0) {
+          return res.status(400).json({
+            success: false,
+            error: error || "filter debe incluir al menos un criterio",
+          });
+        }
+
+        seleccion = { filters };
+      }
+
+      if (action === "estado" && !data.estado) {
+        return res.status(400).json({
+          success: false,
+          error: "data.estado es requerido",
+        });
+      }
+
+      if (action === "assign" && data.user_id === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: "data.user_id es requerido (null para desasignar)",
+        });
+      }
 
-    res.json({
-      success: true,
-      data: result.leads,
-      pagination: result.pagination,
-    });
-  } catch (error) {
-    console.error("Error obteniendo leads:", error);
-    res.status(500).json({
-      success: false,
-      error: "Error al cargar los leads",
-      details:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
-  }
-});
+      const result = await Lead.bulk(seleccion, action, data, {
+        userId: req.user.id,
+        omitirErrores: omitir_errores === true,
+      });
 
-/**
- * GET /api/leads/estadisticas
- * Obtiene estadísticas de leads
- *
- * ⚠️ IMPORTANTE: Esta ruta debe ir ANTES de /api/leads/:id
- * para evitar que Express interprete "estadisticas" como un ID
- *
- * CAMBIOS:
- * - ANTES: Calculaba estadísticas en JavaScript iterando el array
- * - AHORA: PostgreSQL hace los cálculos (mucho más rápido con COUNT, GROUP BY)
- */
-router.get(
-  "/estadisticas",
-  authenticateToken,
-  requireEditor,
-  async (req, res) => {
-    try {
-      const stats = await Lead.getEstadisticas();
+      if (!result.aplicado) {
+        return res.status(400).json({
+          success: false,
+          error: "Algunos leads fallaron: no se aplicó ningún cambio",
+          data: result,
+        });
+      }
 
       res.json({
         success: true,
-        data: stats,
+        message: "Operación masiva completada",
+        data: result,
       });
     } catch (error) {
-      console.error("Error obteniendo estadísticas:", error);
+      console.error("Error en operación masiva de leads:", error);
+
+      if (
+        error.message.includes("inválid") ||
+        error.message.includes("requerid")
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
       res.status(500).json({
         success: false,
-        error: "Error al cargar las estadísticas",
+        error: "Error en la operación masiva",
         details:
           process.env.NODE_ENV === "development" ? error.message : undefined,
       });
@@ -107,75 +994,148 @@ router.get(
 );
 
 /**
- * GET /api/leads/search
- * Busca leads por texto (nombre, email, empresa, mensaje)
+ * POST /api/leads/import
+ * Importa leads desde un CSV (multipart/form-data)
  *
- * NUEVO ENDPOINT: No existía en la versión JSON
+ * Campos del formulario:
+ * - file: archivo .csv (separador ',' o ';', primera fila = cabecera)
+ * - mapping: JSON { "columna del CSV": "campo del lead" } (opcional: por
+ *   defecto se usan las columnas que se llaman como un campo)
+ * - duplicados: 'vincular' (por defecto) u 'omitir'
+ * - origen: origen de los leads sin columna origen (por defecto 'importacion')
+ * - dry_run: 'true' para validar y ver el resultado sin guardar nada
+ * - omitir_errores: 'true' para importar las filas válidas aunque otras fallen
+ *
+ * Todo se importa en una transacción: si hay filas con errores (y no se
+ * indica omitir_errores) no se importa ninguna
  */
-router.get("/search", authenticateToken, requireEditor, async (req, res) => {
-  try {
-    const { q, limit } = req.query;
+router.post(
+  "/import",
+  authenticateToken,
+  requirePermission("leads:write"),
+  receiveCsv,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: "No se subió ningún archivo",
+        });
+      }
 
-    if (!q || q.trim().length < 2) {
-      return res.status(400).json({
-        success: false,
-        error: "El término de búsqueda debe tener al menos 2 caracteres",
+      let mapping;
+      try {
+        mapping = req.body.mapping ? JSON.parse(req.body.mapping) : null;
+      } catch (error) {
+        mapping = undefined;
+      }
+
+      if (
+        mapping === undefined ||
+        (mapping !== null &&
+          (typeof mapping !== "object" || Array.isArray(mapping)))
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: "mapping debe ser un objeto JSON { columna: campo }",
+        });
+      }
+
+      const { headers, rows } = parseCsv(req.file.buffer.toString("utf8"));
+
+      // Sin mapping: columnas que se llaman como un campo del lead
+      const columnMap =
+        mapping ||
+        Object.fromEntries(
+          headers
+            .filter((header) => IMPORT_FIELDS.includes(header.toLowerCase()))
+            .map((header) => [header, header.toLowerCase()])
+        );
+
+      const unknownColumns = Object.keys(columnMap).filter(
+        (column) => !headers.includes(column)
+      );
+      const invalidFields = Object.values(columnMap).filter(
+        (field) => !IMPORT_FIELDS.includes(field)
+      );
+
+      if (unknownColumns.length > 0 || invalidFields.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Mapping inválido",
+          columnas_desconocidas: unknownColumns,
+          campos_invalidos: invalidFields,
+          columnas_csv: headers,
+          campos_disponibles: IMPORT_FIELDS,
+        });
+      }
+
+      if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+          success: false,
+          error: `El CSV debe tener entre 1 y ${MAX_IMPORT_ROWS} filas de datos`,
+        });
+      }
+
+      const origen = String(req.body.origen || "importacion").trim();
+      const leads = rows.map((row) => {
+        const lead = { origen };
+        for (const [column, field] of Object.entries(columnMap)) {
+          const value = (row[headers.indexOf(column)] || "").trim();
+          if (value) lead[field] = value;
+        }
+        return lead;
       });
-    }
 
-    const leads = await Lead.search(q, limit ? parseInt(limit) : 10);
+      const dryRun = req.body.dry_run === "true";
+      const result = await Lead.importMany(leads, {
+        duplicados: req.body.duplicados || "vincular",
+        dryRun,
+        omitirErrores: req.body.omitir_errores === "true",
+        createdBy: req.user.id,
+      });
 
-    res.json({
-      success: true,
-      data: leads,
-      count: leads.length,
-    });
-  } catch (error) {
-    console.error("Error buscando leads:", error);
-    res.status(500).json({
-      success: false,
-      error: "Error en la búsqueda",
-      details:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
-  }
-});
+      if (dryRun) {
+        return res.json({
+          success: true,
+          message: "Simulación completada: no se guardó ningún lead",
+          dry_run: true,
+          data: result,
+        });
+      }
 
-/**
- * GET /api/leads/:id
- * Obtiene un lead específico por ID
- *
- * CAMBIOS:
- * - ANTES: Buscaba en array con .find()
- * - AHORA: Consulta directa por UUID con índice (más rápido)
- */
-router.get("/:id", authenticateToken, requireEditor, async (req, res) => {
-  try {
-    const { id } = req.params;
+      if (!result.importado) {
+        return res.status(400).json({
+          success: false,
+          error: "El CSV tiene filas con errores: no se importó ningún lead",
+          data: result,
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Leads importados exitosamente",
+        data: result,
+      });
+    } catch (error) {
+      console.error("Error importando leads:", error);
 
-    const lead = await Lead.findById(id);
+      if (error.message.includes("inválid")) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
 
-    if (!lead) {
-      return res.status(404).json({
+      res.status(500).json({
         success: false,
-        error: "Lead no encontrado",
+        error: "Error al importar los leads",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
       });
     }
-
-    res.json({
-      success: true,
-      data: lead,
-    });
-  } catch (error) {
-    console.error("Error obteniendo lead:", error);
-    res.status(500).json({
-      success: false,
-      error: "Error al cargar el lead",
-      details:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
   }
-});
+);
 
 /**
  * POST /api/leads
@@ -185,6 +1145,12 @@ router.get("/:id", authenticateToken, requireEditor, async (req, res) => {
  * - ANTES: Agregaba al array y escribía todo el archivo JSON
  * - AHORA: INSERT en PostgreSQL (mucho más rápido y seguro)
  * - NUEVO: Validaciones mejoradas con mensajes específicos
+ * - NUEVO: Antispam (honeypot, token de formulario, límites por IP y email,
+ *   emails desechables y CAPTCHA) salvo con una API key con leads:write.
+ *   Ver services/leadSpamGuard.js
+ * - NUEVO: Guarda la atribución (UTM, referrer, página de entrada,
+ *   gclid/fbclid y first_touch). Ver utils/attribution.js
+ * - NUEVO: Sin una API key con leads:read solo devuelve el id del lead
  */
 router.post("/", async (req, res) => {
   try {
@@ -199,34 +1165,33 @@ router.post("/", async (req, res) => {
       origen,
     } = req.body;
 
-    // Validar datos requeridos
-    const camposRequeridos = [
-      "nombre",
-      "email",
-      "telefono",
-      "servicio_interes",
-    ];
-    const camposFaltantes = camposRequeridos.filter(
-      (campo) => !req.body[campo]
-    );
-
-    if (camposFaltantes.length > 0) {
+    // Validar datos requeridos y formato (mismas reglas que la importación)
+    const { campos_faltantes, errores } = validateLeadFields(req.body);
+
+    if (campos_faltantes.length > 0) {
       return res.status(400).json({
         success: false,
         error: "Campos requeridos faltantes",
-        campos_faltantes: camposFaltantes,
+        campos_faltantes,
       });
     }
 
-    // Validar formato de email
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
+    if (errores.length > 0) {
       return res.status(400).json({
         success: false,
-        error: "Formato de email inválido",
+        error: errores[0],
       });
     }
 
+    // Las integraciones con API key con leads:write ya están identificadas y
+    // tienen su límite; cualquier otra clave pasa por el antispam
+    if (!req.apiKey || !hasPermission(req.apiKey.scopes, "leads:write")) {
+      const check = await leadSpamGuard.checkSubmission(req);
+      if (!check.allowed) {
+        return leadSpamGuard.sendRejection(res, check);
+      }
+    }
+
     // Crear lead en la base de datos
     const nuevoLead = await Lead.create({
       nombre,
@@ -237,12 +1202,18 @@ router.post("/", async (req, res) => {
       presupuesto,
       mensaje,
       origen: origen || "formulario-web",
+      atribucion: parseAttribution(req.body, { referer: req.get("referer") }),
     });
 
+    // El formulario público solo recibe el id: duplicados, asignación y
+    // scoring son datos internos (los ve una API key con leads:read)
+    const canReadLeads =
+      req.apiKey && hasPermission(req.apiKey.scopes, "leads:read");
+
     res.status(201).json({
       success: true,
       message: "Lead creado exitosamente",
-      data: nuevoLead,
+      data: canReadLeads ? nuevoLead : { id: nuevoLead.id },
     });
   } catch (error) {
     console.error("Error creando lead:", error);
@@ -266,11 +1237,11 @@ router.post("/", async (req, res) => {
 router.put(
   "/:id/estado",
   authenticateToken,
-  requireEditor,
+  requirePermission("leads:write"),
   async (req, res) => {
     try {
       const { id } = req.params;
-      const { estado } = req.body;
+      const { estado, lost_reason } = req.body;
 
       if (!estado) {
         return res.status(400).json({
@@ -280,7 +1251,9 @@ router.put(
       }
 
       // El modelo valida que el estado sea válido
-      const leadActualizado = await Lead.updateEstado(id, estado);
+      const leadActualizado = await Lead.updateEstado(id, estado, req.user.id, {
+        lost_reason,
+      });
 
       res.json({
         success: true,
@@ -290,7 +1263,10 @@ router.put(
     } catch (error) {
       console.error("Error actualizando estado del lead:", error);
 
-      if (error.message.includes("Estado inválido")) {
+      if (
+        error.message.includes("Estado inválido") ||
+        error.message.includes("es requerido")
+      ) {
         return res.status(400).json({
           success: false,
           error: error.message,
@@ -314,6 +1290,71 @@ router.put(
   }
 );
 
+/**
+ * PUT /api/leads/:id/etapa
+ * Mueve un lead a una etapa (también de otro pipeline), p. ej. desde el Kanban
+ *
+ * Body:
+ * {
+ *   "stage_id": "uuid-de-la-etapa",
+ *   "lost_reason": "Eligió a la competencia" (requerido si la etapa es perdida)
+ * }
+ */
+router.put(
+  "/:id/etapa",
+  authenticateToken,
+  requirePermission("leads:write"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { stage_id, lost_reason } = req.body;
+
+      if (!stage_id) {
+        return res.status(400).json({
+          success: false,
+          error: "El campo stage_id es requerido",
+        });
+      }
+
+      const leadActualizado = await Lead.moveToStage(
+        id,
+        stage_id,
+        req.user.id,
+        { lost_reason }
+      );
+
+      res.json({
+        success: true,
+        message: "Etapa del lead actualizada exitosamente",
+        data: leadActualizado,
+      });
+    } catch (error) {
+      console.error("Error moviendo lead de etapa:", error);
+
+      if (error.message.includes("no encontrad")) {
+        return res.status(404).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      if (error.message.includes("es requerido")) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Error al mover el lead de etapa",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
 /**
  * PUT /api/leads/:id/asignar
  * Asigna un lead a un usuario (vendedor)
@@ -323,7 +1364,7 @@ router.put(
 router.put(
   "/:id/asignar",
   authenticateToken,
-  requireEditor,
+  requirePermission("leads:write"),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -336,7 +1377,7 @@ router.put(
         });
       }
 
-      const leadActualizado = await Lead.assignTo(id, user_id);
+      const leadActualizado = await Lead.assignTo(id, user_id, req.user.id);
 
       res.json({
         success: true,
@@ -371,48 +1412,57 @@ router.put(
  * - ANTES: Modificaba objeto en array y guardaba todo
  * - AHORA: UPDATE solo de campos modificados (más eficiente)
  */
-router.put("/:id", authenticateToken, requireEditor, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const updates = req.body;
-
-    // Remover campos que no deben actualizarse
-    delete updates.id;
-    delete updates.created_at;
-    delete updates.fecha;
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission("leads:write"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const updates = req.body;
 
-    const leadActualizado = await Lead.update(id, updates);
+      // Remover campos que no deben actualizarse
+      delete updates.id;
+      delete updates.created_at;
+      delete updates.fecha;
 
-    res.json({
-      success: true,
-      message: "Lead actualizado exitosamente",
-      data: leadActualizado,
-    });
-  } catch (error) {
-    console.error("Error actualizando lead:", error);
+      const leadActualizado = await Lead.update(id, updates, req.user.id);
 
-    if (error.message.includes("no encontrado")) {
-      return res.status(404).json({
-        success: false,
-        error: error.message,
+      res.json({
+        success: true,
+        message: "Lead actualizado exitosamente",
+        data: leadActualizado,
       });
-    }
+    } catch (error) {
+      console.error("Error actualizando lead:", error);
 
-    if (error.message.includes("No hay campos válidos")) {
-      return res.status(400).json({
+      if (error.message.includes("no encontrado")) {
+        return res.status(404).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      if (
+        error.message.includes("No hay campos válidos") ||
+        error.message.includes("Estado inválido") ||
+        error.message.includes("es requerido")
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      res.status(500).json({
         success: false,
-        error: error.message,
+        error: "Error al actualizar el lead",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
       });
     }
-
-    res.status(500).json({
-      success: false,
-      error: "Error al actualizar el lead",
-      details:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
   }
-});
+);
 
 /**
  * DELETE /api/leads/:id
@@ -422,34 +1472,39 @@ router.put("/:id", authenticateToken, requireEditor, async (req, res) => {
  * - ANTES: Filtraba array y guardaba todo el archivo
  * - AHORA: DELETE en PostgreSQL (con RETURNING para confirmar)
  */
-router.delete("/:id", authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission("leads:delete"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
 
-    const leadEliminado = await Lead.delete(id);
+      const leadEliminado = await Lead.delete(id);
 
-    res.json({
-      success: true,
-      message: "Lead eliminado exitosamente",
-      data: leadEliminado,
-    });
-  } catch (error) {
-    console.error("Error eliminando lead:", error);
+      res.json({
+        success: true,
+        message: "Lead eliminado exitosamente",
+        data: leadEliminado,
+      });
+    } catch (error) {
+      console.error("Error eliminando lead:", error);
+
+      if (error.message.includes("no encontrado")) {
+        return res.status(404).json({
+          success: false,
+          error: error.message,
+        });
+      }
 
-    if (error.message.includes("no encontrado")) {
-      return res.status(404).json({
+      res.status(500).json({
         success: false,
-        error: error.message,
+        error: "Error al eliminar el lead",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
       });
     }
-
-    res.status(500).json({
-      success: false,
-      error: "Error al eliminar el lead",
-      details:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
   }
-});
+);
 
 module.exports = router;
@@ -0,0 +1,383 @@
+/**
+ * @fileoverview Rutas de pipelines de ventas para Boost Agency API
+ *
+ * 🆕 ARCHIVO NUEVO - Etapas configurables en lugar de los cuatro estados fijos
+ *
+ * Maneja:
+ * - Consulta de pipelines y etapas (permiso leads:read)
+ * - Creación, edición y eliminación de pipelines (permiso pipelines:manage)
+ * - Alta, edición, eliminación y orden de etapas (permiso pipelines:manage)
+ *
+ * Los leads agrupados por etapa están en GET /api/leads/kanban
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const express = require("express");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const Pipeline = require("../models/Pipeline");
+const router = express.Router();
+
+/**
+ * Helper: Respuesta de error común de pipelines y etapas
+ * - no encontrado/a → 404
+ * - datos inválidos → 400
+ * - conflictos (leads en uso, pipeline por defecto, clave repetida) → 409
+ */
+function sendPipelineError(res, error, fallbackMessage) {
+  if (error.message.includes("no encontrad")) {
+    return res.status(404).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  if (
+    error.message.includes("inválid") ||
+    error.message.includes("requerido") ||
+    error.message.includes("No hay campos válidos") ||
+    error.message.includes("al menos una etapa")
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  if (
+    error.message.includes("tiene leads") ||
+    error.message.includes("por defecto") ||
+    error.message.includes("Ya existe")
+  ) {
+    return res.status(409).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    details: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+}
+
+/**
+ * GET /api/pipelines
+ * Lista los pipelines con sus etapas y número de leads
+ */
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission("leads:read"),
+  async (req, res) => {
+    try {
+      const pipelines = await Pipeline.findAll();
+
+      res.json({
+        success: true,
+        data: pipelines,
+      });
+    } catch (error) {
+      console.error("Error obteniendo pipelines:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error al cargar los pipelines",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/pipelines/:id
+ * Obtiene un pipeline con sus etapas
+ */
+router.get(
+  "/:id",
+  authenticateToken,
+  requirePermission("leads:read"),
+  async (req, res) => {
+    try {
+      const pipeline = await Pipeline.findById(req.params.id);
+
+      if (!pipeline) {
+        return res.status(404).json({
+          success: false,
+          error: "Pipeline no encontrado",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: pipeline,
+      });
+    } catch (error) {
+      console.error("Error obteniendo pipeline:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error al cargar el pipeline",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/pipelines
+ * Crea un pipeline con sus etapas (en orden)
+ *
+ * Body:
+ * {
+ *   "name": "Ventas B2B",
+ *   "description": "Clientes empresa",
+ *   "is_default": false,
+ *   "stages": [
+ *     { "key": "nuevo", "name": "Nuevo", "probability": 10 },
+ *     { "key": "propuesta", "name": "Propuesta enviada", "probability": 60 },
+ *     { "key": "ganado", "name": "Ganado", "probability": 100, "kind": "won" },
+ *     { "key": "perdido", "name": "Perdido", "probability": 0, "kind": "lost" }
+ *   ]
+ * }
+ */
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("pipelines:manage"),
+  async (req, res) => {
+    try {
+      const { name, description, is_default, stages } = req.body;
+
+      if (!name || !String(name).trim()) {
+        return res.status(400).json({
+          success: false,
+          error: "El nombre es requerido",
+        });
+      }
+
+      const pipeline = await Pipeline.create(
+        {
+          name: String(name).trim(),
+          description,
+          is_default: is_default === true,
+          stages,
+        },
+        req.user.id
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Pipeline creado exitosamente",
+        data: pipeline,
+      });
+    } catch (error) {
+      console.error("Error creando pipeline:", error);
+      sendPipelineError(res, error, "Error al crear el pipeline");
+    }
+  }
+);
+
+/**
+ * PUT /api/pipelines/:id
+ * Actualiza nombre, descripción o lo marca como pipeline por defecto
+ *
+ * Body (todos opcionales): { "name", "description", "is_default": true }
+ */
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission("pipelines:manage"),
+  async (req, res) => {
+    try {
+      const { name, description, is_default } = req.body;
+
+      if (name !== undefined && !String(name).trim()) {
+        return res.status(400).json({
+          success: false,
+          error: "El nombre no puede estar vacío",
+        });
+      }
+
+      if (is_default !== undefined && typeof is_default !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          error: "is_default debe ser true o false",
+        });
+      }
+
+      const pipeline = await Pipeline.update(req.params.id, {
+        name: name !== undefined ? String(name).trim() : undefined,
+        description,
+        is_default,
+      });
+
+      res.json({
+        success: true,
+        message: "Pipeline actualizado exitosamente",
+        data: pipeline,
+      });
+    } catch (error) {
+      console.error("Error actualizando pipeline:", error);
+      sendPipelineError(res, error, "Error al actualizar el pipeline");
+    }
+  }
+);
+
+/**
+ * DELETE /api/pipelines/:id
+ * Elimina un pipeline sin leads (no puede ser el pipeline por defecto)
+ */
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission("pipelines:manage"),
+  async (req, res) => {
+    try {
+      await Pipeline.delete(req.params.id);
+
+      res.json({
+        success: true,
+        message: "Pipeline eliminado exitosamente",
+      });
+    } catch (error) {
+      console.error("Error eliminando pipeline:", error);
+      sendPipelineError(res, error, "Error al eliminar el pipeline");
+    }
+  }
+);
+
+/**
+ * POST /api/pipelines/:id/stages
+ * Añade una etapa al final del pipeline
+ *
+ * Body:
+ * {
+ *   "key": "negociacion",
+ *   "name": "Negociación",
+ *   "probability": 75,
+ *   "kind": "open" (open, won, lost)
+ * }
+ */
+router.post(
+  "/:id/stages",
+  authenticateToken,
+  requirePermission("pipelines:manage"),
+  async (req, res) => {
+    try {
+      const { key, name, probability, kind } = req.body;
+
+      const stage = await Pipeline.addStage(req.params.id, {
+        key,
+        name,
+        probability,
+        kind,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Etapa creada exitosamente",
+        data: stage,
+      });
+    } catch (error) {
+      console.error("Error creando etapa:", error);
+      sendPipelineError(res, error, "Error al crear la etapa");
+    }
+  }
+);
+
+/**
+ * PUT /api/pipelines/:id/stages/order
+ * Reordena las etapas del pipeline
+ *
+ * ⚠️ IMPORTANTE: Esta ruta debe ir ANTES de /:id/stages/:stageId
+ *
+ * Body: { "stage_ids": ["uuid-1", "uuid-2", ...] } (todas las etapas, en orden)
+ */
+router.put(
+  "/:id/stages/order",
+  authenticateToken,
+  requirePermission("pipelines:manage"),
+  async (req, res) => {
+    try {
+      const { stage_ids } = req.body;
+
+      if (!Array.isArray(stage_ids) || stage_ids.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "El campo stage_ids debe ser un array de UUIDs",
+        });
+      }
+
+      const stages = await Pipeline.reorderStages(req.params.id, stage_ids);
+
+      res.json({
+        success: true,
+        message: "Etapas reordenadas exitosamente",
+        data: stages,
+      });
+    } catch (error) {
+      console.error("Error reordenando etapas:", error);
+      sendPipelineError(res, error, "Error al reordenar las etapas");
+    }
+  }
+);
+
+/**
+ * PUT /api/pipelines/:id/stages/:stageId
+ * Actualiza nombre, probabilidad o tipo de una etapa (la clave no cambia)
+ *
+ * Body (todos opcionales): { "name", "probability", "kind" }
+ */
+router.put(
+  "/:id/stages/:stageId",
+  authenticateToken,
+  requirePermission("pipelines:manage"),
+  async (req, res) => {
+    try {
+      const { name, probability, kind } = req.body;
+
+      const stage = await Pipeline.updateStage(
+        req.params.id,
+        req.params.stageId,
+        { name, probability, kind }
+      );
+
+      res.json({
+        success: true,
+        message: "Etapa actualizada exitosamente",
+        data: stage,
+      });
+    } catch (error) {
+      console.error("Error actualizando etapa:", error);
+      sendPipelineError(res, error, "Error al actualizar la etapa");
+    }
+  }
+);
+
+/**
+ * DELETE /api/pipelines/:id/stages/:stageId
+ * Elimina una etapa sin leads
+ */
+router.delete(
+  "/:id/stages/:stageId",
+  authenticateToken,
+  requirePermission("pipelines:manage"),
+  async (req, res) => {
+    try {
+      await Pipeline.deleteStage(req.params.id, req.params.stageId);
+
+      res.json({
+        success: true,
+        message: "Etapa eliminada exitosamente",
+      });
+    } catch (error) {
+      console.error("Error eliminando etapa:", error);
+      sendPipelineError(res, error, "Error al eliminar la etapa");
+    }
+  }
+);
+
+module.exports = router;
@@ -13,7 +13,7 @@
  */
 
 const express = require("express");
-const { authenticateToken, requireEditor } = require("../middleware/auth");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
 const Plan = require("../models/Plan");
 const router = express.Router();
 
@@ -135,144 +135,154 @@ router.get("/:planId", async (req, res) => {
  *   "display_order": 3
  * }
  */
-router.post("/", authenticateToken, requireEditor, async (req, res) => {
-  try {
-    const {
-      plan_id,
-      name,
-      price,
-      price_currency,
-      billing_period,
-      description,
-      features,
-      is_featured,
-      cta_text,
-      notes,
-      display_order,
-      status,
-    } = req.body;
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("planes:write"),
+  async (req, res) => {
+    try {
+      const {
+        plan_id,
+        name,
+        price,
+        price_currency,
+        billing_period,
+        description,
+        features,
+        is_featured,
+        cta_text,
+        notes,
+        display_order,
+        status,
+      } = req.body;
+
+      // Validar campos requeridos
+      if (!plan_id || !name || !price || !description || !features) {
+        return res.status(400).json({
+          success: false,
+          error: "plan_id, name, price, description y features son requeridos",
+        });
+      }
 
-    // Validar campos requeridos
-    if (!plan_id || !name || !price || !description || !features) {
-      return res.status(400).json({
-        success: false,
-        error: "plan_id, name, price, description y features son requeridos",
-      });
-    }
+      // Validar que plan_id sea lowercase
+      if (!/^[a-z0-9-]+$/.test(plan_id)) {
+        return res.status(400).json({
+          success: false,
+          error:
+            "plan_id debe ser lowercase y solo contener letras, números y guiones",
+        });
+      }
 
-    // Validar que plan_id sea lowercase
-    if (!/^[a-z0-9-]+$/.test(plan_id)) {
-      return res.status(400).json({
-        success: false,
-        error:
-          "plan_id debe ser lowercase y solo contener letras, números y guiones",
-      });
-    }
+      // Validar que features sea un array
+      if (!Array.isArray(features)) {
+        return res.status(400).json({
+          success: false,
+          error: "features debe ser un array",
+        });
+      }
 
-    // Validar que features sea un array
-    if (!Array.isArray(features)) {
-      return res.status(400).json({
-        success: false,
-        error: "features debe ser un array",
-      });
-    }
+      // Validar precio
+      if (isNaN(price) || price < 0) {
+        return res.status(400).json({
+          success: false,
+          error: "price debe ser un número positivo",
+        });
+      }
 
-    // Validar precio
-    if (isNaN(price) || price < 0) {
-      return res.status(400).json({
-        success: false,
-        error: "price debe ser un número positivo",
+      const newPlan = await Plan.create({
+        plan_id,
+        name,
+        price: parseFloat(price),
+        price_currency: price_currency || "USD",
+        billing_period: billing_period || "mes",
+        description,
+        features,
+        is_featured: is_featured || false,
+        cta_text: cta_text || "Comenzar Ahora",
+        notes,
+        display_order: display_order || 0,
+        status: status || "active",
       });
-    }
 
-    const newPlan = await Plan.create({
-      plan_id,
-      name,
-      price: parseFloat(price),
-      price_currency: price_currency || "USD",
-      billing_period: billing_period || "mes",
-      description,
-      features,
-      is_featured: is_featured || false,
-      cta_text: cta_text || "Comenzar Ahora",
-      notes,
-      display_order: display_order || 0,
-      status: status || "active",
-    });
+      res.status(201).json({
+        success: true,
+        message: "Plan creado exitosamente",
+        data: newPlan,
+      });
+    } catch (error) {
+      console.error("Error creando plan:", error);
 
-    res.status(201).json({
-      success: true,
-      message: "Plan creado exitosamente",
-      data: newPlan,
-    });
-  } catch (error) {
-    console.error("Error creando plan:", error);
+      if (
+        error.message.includes("duplicate") ||
+        error.message.includes("already exists")
+      ) {
+        return res.status(409).json({
+          success: false,
+          error: "Ya existe un plan con ese plan_id",
+        });
+      }
 
-    if (
-      error.message.includes("duplicate") ||
-      error.message.includes("already exists")
-    ) {
-      return res.status(409).json({
+      res.status(500).json({
         success: false,
-        error: "Ya existe un plan con ese plan_id",
+        error: "Error al crear el plan",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
       });
     }
-
-    res.status(500).json({
-      success: false,
-      error: "Error al crear el plan",
-      details:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
   }
-});
+);
 
 /**
  * PUT /api/planes/:planId
  * Actualiza un plan existente
  */
-router.put("/:planId", authenticateToken, requireEditor, async (req, res) => {
-  try {
-    const { planId } = req.params;
-    const updates = req.body;
+router.put(
+  "/:planId",
+  authenticateToken,
+  requirePermission("planes:write"),
+  async (req, res) => {
+    try {
+      const { planId } = req.params;
+      const updates = req.body;
 
-    // Remover campos que no deben actualizarse
-    delete updates.plan_id;
-    delete updates.id;
-    delete updates.created_at;
+      // Remover campos que no deben actualizarse
+      delete updates.plan_id;
+      delete updates.id;
+      delete updates.created_at;
 
-    const planUpdated = await Plan.update(planId, updates);
+      const planUpdated = await Plan.update(planId, updates);
 
-    res.json({
-      success: true,
-      message: "Plan actualizado exitosamente",
-      data: planUpdated,
-    });
-  } catch (error) {
-    console.error("Error actualizando plan:", error);
-
-    if (error.message.includes("no encontrado")) {
-      return res.status(404).json({
-        success: false,
-        error: error.message,
+      res.json({
+        success: true,
+        message: "Plan actualizado exitosamente",
+        data: planUpdated,
       });
-    }
+    } catch (error) {
+      console.error("Error actualizando plan:", error);
+
+      if (error.message.includes("no encontrado")) {
+        return res.status(404).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      if (error.message.includes("No hay campos válidos")) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
 
-    if (error.message.includes("No hay campos válidos")) {
-      return res.status(400).json({
+      res.status(500).json({
         success: false,
-        error: error.message,
+        error: "Error al actualizar el plan",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
       });
     }
-
-    res.status(500).json({
-      success: false,
-      error: "Error al actualizar el plan",
-      details:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
   }
-});
+);
 
 /**
  * PATCH /api/planes/:planId/status
@@ -286,7 +296,7 @@ router.put("/:planId", authenticateToken, requireEditor, async (req, res) => {
 router.patch(
   "/:planId/status",
   authenticateToken,
-  requireEditor,
+  requirePermission("planes:write"),
   async (req, res) => {
     try {
       const { planId } = req.params;
@@ -348,7 +358,7 @@ router.patch(
 router.patch(
   "/:planId/featured",
   authenticateToken,
-  requireEditor,
+  requirePermission("planes:write"),
   async (req, res) => {
     try {
       const { planId } = req.params;
@@ -401,33 +411,38 @@ router.patch(
  *   ]
  * }
  */
-router.post("/reorder", authenticateToken, requireEditor, async (req, res) => {
-  try {
-    const { order } = req.body;
+router.post(
+  "/reorder",
+  authenticateToken,
+  requirePermission("planes:write"),
+  async (req, res) => {
+    try {
+      const { order } = req.body;
+
+      if (!Array.isArray(order)) {
+        return res.status(400).json({
+          success: false,
+          error: "El campo order debe ser un array",
+        });
+      }
 
-    if (!Array.isArray(order)) {
-      return res.status(400).json({
+      await Plan.reorder(order);
+
+      res.json({
+        success: true,
+        message: "Planes reordenados exitosamente",
+      });
+    } catch (error) {
+      console.error("Error reordenando planes:", error);
+      res.status(500).json({
         success: false,
-        error: "El campo order debe ser un array",
+        error: "Error al reordenar los planes",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
       });
     }
-
-    await Plan.reorder(order);
-
-    res.json({
-      success: true,
-      message: "Planes reordenados exitosamente",
-    });
-  } catch (error) {
-    console.error("Error reordenando planes:", error);
-    res.status(500).json({
-      success: false,
-      error: "Error al reordenar los planes",
-      details:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
   }
-});
+);
 
 /**
  * DELETE /api/planes/:planId
@@ -436,7 +451,7 @@ router.post("/reorder", authenticateToken, requireEditor, async (req, res) => {
 router.delete(
   "/:planId",
   authenticateToken,
-  requireEditor,
+  requirePermission("planes:write"),
   async (req, res) => {
     try {
       const { planId } = req.params;
@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Rutas de roles y permisos para Boost Agency API
+ *
+ * 🆕 ARCHIVO NUEVO - Reemplaza los roles fijos (admin/editor/user) en código
+ *
+ * Maneja (requiere el permiso roles:manage):
+ * - Catálogo de permisos disponibles
+ * - Listado y consulta de roles
+ * - Creación de roles personalizados (p. ej. "sales")
+ * - Edición de permisos y eliminación de roles personalizados
+ *
+ * El rol admin siempre tiene todos los permisos y no se puede modificar.
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const express = require("express");
+const { authenticateUser, requirePermission } = require("../middleware/auth");
+const Role = require("../models/Role");
+const {
+  PERMISSIONS,
+  findUnknownPermissions,
+} = require("../config/permissions");
+const router = express.Router();
+
+// Formato del nombre de un rol: minúsculas, números, guiones
+const ROLE_NAME_REGEX = /^[a-z][a-z0-9_-]{1,49}$/;
+
+// Todas las rutas requieren el permiso roles:manage
+router.use(authenticateUser, requirePermission("roles:manage"));
+
+/**
+ * Helper: Valida la lista de permisos recibida
+ * Devuelve un mensaje de error o null si es válida
+ */
+function validatePermissions(permissions) {
+  if (!Array.isArray(permissions)) {
+    return "El campo permissions debe ser un array";
+  }
+
+  const unknown = findUnknownPermissions(permissions);
+  if (unknown.length > 0) {
+    return `Permisos desconocidos: ${unknown.join(", ")}`;
+  }
+
+  return null;
+}
+
+/**
+ * GET /api/roles/permissions
+ * Lista el catálogo de permisos disponibles
+ */
+router.get("/permissions", (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([key, description]) => ({
+      key,
+      description,
+    })),
+  });
+});
+
+/**
+ * GET /api/roles
+ * Lista todos los roles con sus permisos y cantidad de usuarios
+ */
+router.get("/", async (req, res) => {
+  try {
+    const roles = await Role.findAll();
+
+    res.json({
+      success: true,
+      data: roles,
+    });
+  } catch (error) {
+    console.error("Error obteniendo roles:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al cargar los roles",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/roles/:name
+ * Obtiene un rol por nombre
+ */
+router.get("/:name", async (req, res) => {
+  try {
+    const role = await Role.findByName(req.params.name);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: "Rol no encontrado",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: role,
+    });
+  } catch (error) {
+    console.error("Error obteniendo rol:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al cargar el rol",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/roles
+ * Crea un rol personalizado
+ *
+ * Body:
+ * {
+ *   "name": "sales",
+ *   "description": "Equipo comercial",
+ *   "permissions": ["leads:read", "leads:write"]
+ * }
+ */
+router.post("/", async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    if (!name || !ROLE_NAME_REGEX.test(name)) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Nombre de rol inválido (minúsculas, números, - o _, de 2 a 50 caracteres)",
+      });
+    }
+
+    const permissionsError = validatePermissions(permissions);
+    if (permissionsError) {
+      return res.status(400).json({
+        success: false,
+        error: permissionsError,
+      });
+    }
+
+    const role = await Role.create(
+      { name, description, permissions },
+      req.user.id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Rol creado exitosamente",
+      data: role,
+    });
+  } catch (error) {
+    console.error("Error creando rol:", error);
+
+    if (error.message.includes("ya existe")) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Error al crear el rol",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * PUT /api/roles/:name
+ * Actualiza la descripción y/o los permisos de un rol
+ * Los cambios se aplican a todos los usuarios con ese rol
+ *
+ * Body:
+ * {
+ *   "description": "Equipo comercial",
+ *   "permissions": ["leads:read", "leads:write", "leads:delete"]
+ * }
+ */
+router.put("/:name", async (req, res) => {
+  try {
+    const { description, permissions } = req.body;
+
+    if (permissions !== undefined) {
+      const permissionsError = validatePermissions(permissions);
+      if (permissionsError) {
+        return res.status(400).json({
+          success: false,
+          error: permissionsError,
+        });
+      }
+    }
+
+    const role = await Role.update(req.params.name, {
+      description,
+      permissions,
+    });
+
+    res.json({
+      success: true,
+      message: "Rol actualizado exitosamente",
+      data: role,
+    });
+  } catch (error) {
+    console.error("Error actualizando rol:", error);
+
+    if (error.message.includes("no encontrado")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("no se puede modificar")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("No hay campos válidos")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Error al actualizar el rol",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * DELETE /api/roles/:name
+ * Elimina un rol personalizado sin usuarios asignados
+ */
+router.delete("/:name", async (req, res) => {
+  try {
+    await Role.delete(req.params.name);
+
+    res.json({
+      success: true,
+      message: "Rol eliminado exitosamente",
+    });
+  } catch (error) {
+    console.error("Error eliminando rol:", error);
+
+    if (error.message.includes("no encontrado")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (
+      error.message.includes("del sistema") ||
+      error.message.includes("usuarios asignados")
+    ) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Error al eliminar el rol",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Rutas de reglas de puntuación (scoring) de leads para Boost Agency API
+ *
+ * 🆕 ARCHIVO NUEVO - Los leads se ordenan por calidad
+ *
+ * Maneja (requiere el permiso scoring_rules:manage):
+ * - CRUD de reglas (presupuesto, servicio, empresa, mensaje, origen, actividad)
+ * - Recálculo del score de todos los leads
+ *
+ * Cada cambio en las reglas recalcula el score de todos los leads
+ * (ver models/ScoringRule.js)
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const express = require("express");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const ScoringRule = require("../models/ScoringRule");
+const router = express.Router();
+
+// Todas las rutas requieren el permiso scoring_rules:manage
+router.use(authenticateToken, requirePermission("scoring_rules:manage"));
+
+/**
+ * Helper: Respuesta de error común de reglas
+ */
+function sendRuleError(res, error, fallbackMessage) {
+  if (error.message.includes("no encontrada")) {
+    return res.status(404).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  if (
+    error.message.includes("inválid") ||
+    error.message.includes("requerido") ||
+    error.message.includes("No hay campos válidos")
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    details: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+}
+
+/**
+ * GET /api/scoring-rules
+ * Lista las reglas de puntuación
+ */
+router.get("/", async (req, res) => {
+  try {
+    const rules = await ScoringRule.findAll();
+
+    res.json({
+      success: true,
+      data: rules,
+    });
+  } catch (error) {
+    console.error("Error obteniendo reglas de scoring:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al cargar las reglas de scoring",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/scoring-rules/criterios
+ * Criterios disponibles y rangos de presupuesto del formulario
+ *
+ * ⚠️ IMPORTANTE: Esta ruta debe ir ANTES de /:id
+ */
+router.get("/criterios", (req, res) => {
+  res.json({
+    success: true,
+    data: ScoringRule.opciones,
+  });
+});
+
+/**
+ * POST /api/scoring-rules/recalculate
+ * Recalcula el score de todos los leads con las reglas activas
+ */
+router.post("/recalculate", async (req, res) => {
+  try {
+    const total = await ScoringRule.recalculateAll();
+
+    res.json({
+      success: true,
+      message: "Scores recalculados exitosamente",
+      data: { leads_recalculados: total },
+    });
+  } catch (error) {
+    console.error("Error recalculando scores:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al recalcular los scores",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/scoring-rules/:id
+ * Obtiene una regla
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const rule = await ScoringRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: "Regla no encontrada",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    console.error("Error obteniendo regla de scoring:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al cargar la regla de scoring",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/scoring-rules
+ * Crea una regla de puntuación y recalcula todos los leads
+ *
+ * Body:
+ * {
+ *   "name": "Presupuesto alto",
+ *   "criterio": "presupuesto",
+ *   "valor": "$10,000 - $25,000",
+ *   "puntos": 30,
+ *   "max_puntos": null (solo criterio actividad: tope de puntos)
+ * }
+ */
+router.post("/", async (req, res) => {
+  try {
+    const rule = await ScoringRule.create(req.body, req.user.id);
+    const total = await ScoringRule.recalculateAll();
+
+    res.status(201).json({
+      success: true,
+      message: "Regla de scoring creada exitosamente",
+      data: rule,
+      leads_recalculados: total,
+    });
+  } catch (error) {
+    console.error("Error creando regla de scoring:", error);
+    sendRuleError(res, error, "Error al crear la regla de scoring");
+  }
+});
+
+/**
+ * PUT /api/scoring-rules/:id
+ * Actualiza una regla y recalcula todos los leads
+ */
+router.put("/:id", async (req, res) => {
+  try {
+    const rule = await ScoringRule.update(req.params.id, req.body);
+    const total = await ScoringRule.recalculateAll();
+
+    res.json({
+      success: true,
+      message: "Regla de scoring actualizada exitosamente",
+      data: rule,
+      leads_recalculados: total,
+    });
+  } catch (error) {
+    console.error("Error actualizando regla de scoring:", error);
+    sendRuleError(res, error, "Error al actualizar la regla de scoring");
+  }
+});
+
+/**
+ * DELETE /api/scoring-rules/:id
+ * Elimina una regla y recalcula todos los leads
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    await ScoringRule.delete(req.params.id);
+    const total = await ScoringRule.recalculateAll();
+
+    res.json({
+      success: true,
+      message: "Regla de scoring eliminada exitosamente",
+      leads_recalculados: total,
+    });
+  } catch (error) {
+    console.error("Error eliminando regla de scoring:", error);
+    sendRuleError(res, error, "Error al eliminar la regla de scoring");
+  }
+});
+
+module.exports = router;
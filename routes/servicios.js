@@ -16,8 +16,8 @@
 const express = require("express");
 const {
   authenticateToken,
-  requireEditor,
   optionalAuth,
+  requirePermission,
 } = require("../middleware/auth");
 const Service = require("../models/Service");
 const router = express.Router();
@@ -104,74 +104,79 @@ router.get("/:serviceId", async (req, res) => {
  *   "display_order": 4
  * }
  */
-router.post("/", authenticateToken, requireEditor, async (req, res) => {
-  try {
-    const {
-      service_id,
-      title,
-      description,
-      image_url,
-      features,
-      benefits,
-      display_order,
-      status,
-    } = req.body;
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("servicios:write"),
+  async (req, res) => {
+    try {
+      const {
+        service_id,
+        title,
+        description,
+        image_url,
+        features,
+        benefits,
+        display_order,
+        status,
+      } = req.body;
+
+      // Validar campos requeridos
+      if (!service_id || !title || !description) {
+        return res.status(400).json({
+          success: false,
+          error: "service_id, title y description son requeridos",
+        });
+      }
 
-    // Validar campos requeridos
-    if (!service_id || !title || !description) {
-      return res.status(400).json({
-        success: false,
-        error: "service_id, title y description son requeridos",
-      });
-    }
+      // Validar que service_id sea lowercase con guiones
+      if (!/^[a-z0-9-]+$/.test(service_id)) {
+        return res.status(400).json({
+          success: false,
+          error:
+            "service_id debe ser lowercase y solo contener letras, números y guiones",
+        });
+      }
 
-    // Validar que service_id sea lowercase con guiones
-    if (!/^[a-z0-9-]+$/.test(service_id)) {
-      return res.status(400).json({
-        success: false,
-        error:
-          "service_id debe ser lowercase y solo contener letras, números y guiones",
+      const newService = await Service.create({
+        service_id,
+        title,
+        description,
+        image_url,
+        features: features || [],
+        benefits: benefits || [],
+        display_order: display_order || 0,
+        status: status || "active",
+        created_by: req.user.id,
       });
-    }
 
-    const newService = await Service.create({
-      service_id,
-      title,
-      description,
-      image_url,
-      features: features || [],
-      benefits: benefits || [],
-      display_order: display_order || 0,
-      status: status || "active",
-      created_by: req.user.id,
-    });
+      res.status(201).json({
+        success: true,
+        message: "Servicio creado exitosamente",
+        data: newService,
+      });
+    } catch (error) {
+      console.error("Error creando servicio:", error);
 
-    res.status(201).json({
-      success: true,
-      message: "Servicio creado exitosamente",
-      data: newService,
-    });
-  } catch (error) {
-    console.error("Error creando servicio:", error);
+      if (
+        error.message.includes("duplicate") ||
+        error.message.includes("already exists")
+      ) {
+        return res.status(409).json({
+          success: false,
+          error: "Ya existe un servicio con ese service_id",
+        });
+      }
 
-    if (
-      error.message.includes("duplicate") ||
-      error.message.includes("already exists")
-    ) {
-      return res.status(409).json({
+      res.status(500).json({
         success: false,
-        error: "Ya existe un servicio con ese service_id",
+        error: "Error al crear el servicio",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
       });
     }
-
-    res.status(500).json({
-      success: false,
-      error: "Error al crear el servicio",
-      details:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
   }
-});
+);
 
 /**
  * PUT /api/servicios/:serviceId
@@ -186,7 +191,7 @@ router.post("/", authenticateToken, requireEditor, async (req, res) => {
 router.put(
   "/:serviceId",
   authenticateToken,
-  requireEditor,
+  requirePermission("servicios:write"),
   async (req, res) => {
     try {
       const { serviceId } = req.params;
@@ -244,7 +249,7 @@ router.put(
 router.patch(
   "/:serviceId/status",
   authenticateToken,
-  requireEditor,
+  requirePermission("servicios:write"),
   async (req, res) => {
     try {
       const { serviceId } = req.params;
@@ -306,33 +311,38 @@ router.patch(
  *   ]
  * }
  */
-router.post("/reorder", authenticateToken, requireEditor, async (req, res) => {
-  try {
-    const { order } = req.body;
+router.post(
+  "/reorder",
+  authenticateToken,
+  requirePermission("servicios:write"),
+  async (req, res) => {
+    try {
+      const { order } = req.body;
 
-    if (!Array.isArray(order)) {
-      return res.status(400).json({
+      if (!Array.isArray(order)) {
+        return res.status(400).json({
+          success: false,
+          error: "El campo order debe ser un array",
+        });
+      }
+
+      await Service.reorder(order);
+
+      res.json({
+        success: true,
+        message: "Servicios reordenados exitosamente",
+      });
+    } catch (error) {
+      console.error("Error reordenando servicios:", error);
+      res.status(500).json({
         success: false,
-        error: "El campo order debe ser un array",
+        error: "Error al reordenar los servicios",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
       });
     }
-
-    await Service.reorder(order);
-
-    res.json({
-      success: true,
-      message: "Servicios reordenados exitosamente",
-    });
-  } catch (error) {
-    console.error("Error reordenando servicios:", error);
-    res.status(500).json({
-      success: false,
-      error: "Error al reordenar los servicios",
-      details:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
   }
-});
+);
 
 /**
  * DELETE /api/servicios/:serviceId
@@ -341,7 +351,7 @@ router.post("/reorder", authenticateToken, requireEditor, async (req, res) => {
 router.delete(
   "/:serviceId",
   authenticateToken,
-  requireEditor,
+  requirePermission("servicios:write"),
   async (req, res) => {
     try {
       const { serviceId } = req.params;
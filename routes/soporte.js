@@ -0,0 +1,788 @@
+/**
+ * @fileoverview Rutas de tickets de soporte para Boost Agency API
+ *
+ * 🆕 ARCHIVO NUEVO - Reemplaza content/formularios/soporte.json (tickets_soporte)
+ *
+ * Maneja:
+ * - Alta pública de tickets desde el formulario de soporte
+ * - Listado con filtros, asignación y clasificación (permisos soporte:*)
+ * - Cambios de estado según las transiciones de models/Ticket.js
+ * - Conversación: respuestas del equipo y del cliente y notas internas
+ * - SLA por prioridad: plazos, incumplimientos y tickets en riesgo
+ * - Enlace firmado para que el cliente consulte y responda sin cuenta
+ *
+ * Los tickets se vinculan al lead del cliente (lead_id) y aparecen en
+ * GET /api/leads/:id
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const {
+  authenticateToken,
+  optionalAuth,
+  requirePermission,
+} = require("../middleware/auth");
+const { hasPermission } = require("../config/permissions");
+const Ticket = require("../models/Ticket");
+const TicketMessage = require("../models/TicketMessage");
+const TicketSlaPolicy = require("../models/TicketSlaPolicy");
+const mailer = require("../services/mailer");
+const router = express.Router();
+
+// URL del frontend para construir el enlace del cliente
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:4200";
+
+// Rate limiting del formulario público (no aplica con el permiso soporte:write)
+const createLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 10, // máximo 10 tickets por IP
+  skip: (req) =>
+    Boolean(req.user && hasPermission(req.user.permissions, "soporte:write")),
+  message: {
+    success: false,
+    error: "Demasiados tickets enviados, intenta de nuevo más tarde",
+  },
+});
+
+// Rate limiting del enlace del cliente (evita probar tokens)
+const clienteLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 60, // máximo 60 peticiones por IP
+  message: {
+    success: false,
+    error: "Demasiados intentos, intenta de nuevo más tarde",
+  },
+});
+
+/**
+ * Helper: Enlace del cliente para consultar y responder su ticket
+ */
+function ticketUrl(ticket) {
+  return `${FRONTEND_URL}/soporte/ticket?token=${Ticket.accessToken(ticket)}`;
+}
+
+/**
+ * Helper: Envía un email al cliente del ticket con su enlace
+ * (un fallo del envío no deshace la operación: se registra y sigue)
+ */
+async function sendTicketEmail(ticket, subject, intro) {
+  try {
+    await mailer.sendMail({
+      to: ticket.email,
+      subject: `[#${ticket.numero}] ${subject}`,
+      text:
+        `Hola ${ticket.nombre},\n\n` +
+        `${intro}\n\n` +
+        `Consulta tu ticket y respóndenos desde este enlace:\n\n` +
+        `${ticketUrl(ticket)}\n\n` +
+        `No compartas este enlace: da acceso a tu consulta.`,
+    });
+  } catch (error) {
+    console.error(`Error enviando email del ticket #${ticket.numero}:`, error);
+  }
+}
+
+/**
+ * Helper: Datos del ticket que ve el cliente (sin notas internas ni
+ * datos del CRM)
+ */
+function toCustomerView(ticket, mensajes) {
+  return {
+    numero: ticket.numero,
+    nombre: ticket.nombre,
+    tipo_consulta: ticket.tipo_consulta,
+    asunto: ticket.asunto,
+    mensaje: ticket.mensaje,
+    estado: ticket.estado,
+    puede_responder: ticket.estado !== "cerrado",
+    created_at: ticket.created_at,
+    updated_at: ticket.updated_at,
+    mensajes: mensajes.map((mensaje) => ({
+      id: mensaje.id,
+      autor_tipo: mensaje.autor_tipo,
+      autor_nombre: mensaje.autor_nombre,
+      mensaje: mensaje.mensaje,
+      created_at: mensaje.created_at,
+    })),
+  };
+}
+
+/**
+ * Helper: Respuesta de error común de tickets
+ */
+function sendTicketError(res, error, fallbackMessage) {
+  if (error.message.includes("no encontrad")) {
+    return res.status(404).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  if (
+    error.message.includes("Transición no permitida") ||
+    error.message.includes("está cerrado")
+  ) {
+    return res.status(409).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  if (
+    error.message.includes("inválid") ||
+    error.message.includes("requerido") ||
+    error.message.includes("No hay campos válidos")
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    details: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+}
+
+/**
+ * Helper: Convierte un query param 'true'/'false' en booleano
+ */
+function parseBoolean(value) {
+  if (value === undefined) return undefined;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  return null;
+}
+
+/**
+ * GET /api/soporte/opciones
+ * Tipos de consulta, prioridades, estados y transiciones válidos
+ *
+ * 🔓 Público (el formulario necesita los tipos de consulta)
+ */
+router.get("/opciones", (req, res) => {
+  res.json({
+    success: true,
+    data: Ticket.opciones,
+  });
+});
+
+/**
+ * GET /api/soporte/cliente?token=...
+ * El cliente consulta su ticket y la conversación (sin notas internas)
+ *
+ * 🔓 Público (con el token del enlace enviado por email)
+ */
+router.get("/cliente", clienteLimiter, async (req, res) => {
+  try {
+    res.set("Cache-Control", "no-store");
+    const ticket = await Ticket.findByAccessToken(req.query.token);
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        error:
+          "Enlace inválido o regenerado: pide uno nuevo al equipo de soporte",
+      });
+    }
+
+    const mensajes = await TicketMessage.findAllByTicket(ticket.id);
+
+    res.json({
+      success: true,
+      data: toCustomerView(ticket, mensajes),
+    });
+  } catch (error) {
+    console.error("Error obteniendo ticket del cliente:", error);
+    sendTicketError(res, error, "Error al cargar el ticket");
+  }
+});
+
+/**
+ * POST /api/soporte/cliente/mensajes
+ * El cliente responde su ticket (si estaba pendiente_cliente o resuelto
+ * vuelve a en_proceso)
+ *
+ * 🔓 Público (con el token del enlace enviado por email)
+ *
+ * Body: { "token": "...", "mensaje": "Ya probé lo que me dijeron y..." }
+ */
+router.post("/cliente/mensajes", clienteLimiter, async (req, res) => {
+  try {
+    const { token, mensaje } = req.body;
+    const ticket = await Ticket.findByAccessToken(token);
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        error:
+          "Enlace inválido o regenerado: pide uno nuevo al equipo de soporte",
+      });
+    }
+
+    const result = await TicketMessage.create({
+      ticket_id: ticket.id,
+      autor_tipo: "cliente",
+      mensaje,
+    });
+    const mensajes = await TicketMessage.findAllByTicket(ticket.id);
+
+    res.status(201).json({
+      success: true,
+      message: "Respuesta enviada",
+      data: toCustomerView(result.ticket, mensajes),
+    });
+  } catch (error) {
+    sendTicketError(res, error, "Error al enviar la respuesta");
+
+    // Mensaje vacío o largo, ticket cerrado...: error del cliente, no se registra
+    if (res.statusCode >= 500) {
+      console.error("Error respondiendo ticket (cliente):", error);
+    }
+  }
+});
+
+/**
+ * GET /api/soporte/sla
+ * Plazos de primera respuesta y resolución por prioridad (en minutos)
+ */
+router.get(
+  "/sla",
+  authenticateToken,
+  requirePermission("soporte:read"),
+  async (req, res) => {
+    try {
+      const policies = await TicketSlaPolicy.findAll();
+
+      res.json({
+        success: true,
+        data: policies,
+      });
+    } catch (error) {
+      console.error("Error obteniendo políticas de SLA:", error);
+      sendTicketError(res, error, "Error al cargar las políticas de SLA");
+    }
+  }
+);
+
+/**
+ * PUT /api/soporte/sla/:prioridad
+ * Cambia los plazos de una prioridad (se aplican a los tickets nuevos y a
+ * los que cambien a esa prioridad; los abiertos conservan los suyos)
+ *
+ * Body: { "primera_respuesta_minutos": 60, "resolucion_minutos": 480 }
+ */
+router.put(
+  "/sla/:prioridad",
+  authenticateToken,
+  requirePermission("soporte:manage"),
+  async (req, res) => {
+    try {
+      const { primera_respuesta_minutos, resolucion_minutos } = req.body;
+
+      const policy = await TicketSlaPolicy.upsert(
+        req.params.prioridad,
+        { primera_respuesta_minutos, resolucion_minutos },
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        message: `SLA de prioridad ${policy.prioridad} actualizado`,
+        data: policy,
+      });
+    } catch (error) {
+      console.error("Error actualizando política de SLA:", error);
+      sendTicketError(res, error, "Error al actualizar la política de SLA");
+    }
+  }
+);
+
+/**
+ * GET /api/soporte/en-riesgo
+ * Tickets pendientes a punto de incumplir su SLA (o que ya lo incumplieron),
+ * primero los que vencen antes
+ *
+ * Query params:
+ * - asignado_a: UUID del responsable; mine=true: los del usuario autenticado
+ * - incluir_incumplidos: false para ver solo los que aún están a tiempo (default: true)
+ * - limit: máximo de tickets (default: 50, máximo 200)
+ */
+router.get(
+  "/en-riesgo",
+  authenticateToken,
+  requirePermission("soporte:read"),
+  async (req, res) => {
+    try {
+      const { asignado_a, limit } = req.query;
+      const mine = parseBoolean(req.query.mine);
+      const incluir_incumplidos = parseBoolean(req.query.incluir_incumplidos);
+
+      if (mine === null || incluir_incumplidos === null) {
+        return res.status(400).json({
+          success: false,
+          error: "mine e incluir_incumplidos deben ser 'true' o 'false'",
+        });
+      }
+
+      if (mine && !req.user.id) {
+        return res.status(400).json({
+          success: false,
+          error: "mine=true requiere un usuario (no disponible con API key)",
+        });
+      }
+
+      const tickets = await Ticket.findAtRisk({
+        asignado_a: mine ? req.user.id : asignado_a,
+        incluir_incumplidos: incluir_incumplidos !== false,
+        limit: limit ? Math.min(parseInt(limit), 200) : 50,
+      });
+
+      res.json({
+        success: true,
+        data: tickets,
+      });
+    } catch (error) {
+      console.error("Error obteniendo tickets en riesgo:", error);
+      sendTicketError(res, error, "Error al cargar los tickets en riesgo");
+    }
+  }
+);
+
+/**
+ * GET /api/soporte
+ * Lista tickets (primero los pendientes, por prioridad y antigüedad)
+ *
+ * Query params:
+ * - estado, prioridad, tipo_consulta: valores de GET /api/soporte/opciones
+ * - asignado_a: UUID del responsable; mine=true: los del usuario autenticado
+ * - sin_asignar=true: solo tickets sin responsable
+ * - lead_id: tickets de un lead
+ * - sla: 'en_riesgo' o 'incumplido' (algún plazo vencido)
+ * - q: busca en asunto, nombre y email ('#12' o '12' busca por número)
+ * - page, limit: paginación
+ */
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission("soporte:read"),
+  async (req, res) => {
+    try {
+      const { estado, prioridad, tipo_consulta, asignado_a, lead_id, sla, q } =
+        req.query;
+      const { page, limit } = req.query;
+      const mine = parseBoolean(req.query.mine);
+      const sin_asignar = parseBoolean(req.query.sin_asignar);
+      const opciones = Ticket.opciones;
+
+      if (mine === null || sin_asignar === null) {
+        return res.status(400).json({
+          success: false,
+          error: "mine y sin_asignar deben ser 'true' o 'false'",
+        });
+      }
+
+      for (const [campo, valor, validos] of [
+        ["estado", estado, opciones.estados],
+        ["prioridad", prioridad, opciones.prioridades],
+        ["tipo_consulta", tipo_consulta, opciones.tipos_consulta],
+        ["sla", sla, opciones.sla],
+      ]) {
+        if (valor !== undefined && !validos.includes(valor)) {
+          return res.status(400).json({
+            success: false,
+            error: `${campo} debe ser uno de: ${validos.join(", ")}`,
+          });
+        }
+      }
+
+      if (mine && !req.user.id) {
+        return res.status(400).json({
+          success: false,
+          error: "mine=true requiere un usuario (no disponible con API key)",
+        });
+      }
+
+      const result = await Ticket.findAll({
+        estado,
+        prioridad,
+        tipo_consulta,
+        asignado_a: mine ? req.user.id : asignado_a,
+        sin_asignar,
+        lead_id,
+        sla,
+        q,
+        page: page ? parseInt(page) : 1,
+        limit: limit ? Math.min(parseInt(limit), 100) : 20,
+      });
+
+      res.json({
+        success: true,
+        data: result.tickets,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      console.error("Error obteniendo tickets:", error);
+      sendTicketError(res, error, "Error al cargar los tickets");
+    }
+  }
+);
+
+/**
+ * GET /api/soporte/:id
+ * Obtiene un ticket con su responsable, su lead, su SLA y la conversación
+ * completa (mensajes, incluidas las notas internas)
+ */
+router.get(
+  "/:id",
+  authenticateToken,
+  requirePermission("soporte:read"),
+  async (req, res) => {
+    try {
+      const ticket = await Ticket.findById(req.params.id);
+
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          error: "Ticket no encontrado",
+        });
+      }
+
+      const mensajes = await TicketMessage.findAllByTicket(ticket.id, {
+        incluir_internos: true,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...ticket,
+          mensajes,
+        },
+      });
+    } catch (error) {
+      console.error("Error obteniendo ticket:", error);
+      sendTicketError(res, error, "Error al cargar el ticket");
+    }
+  }
+);
+
+/**
+ * POST /api/soporte
+ * Crea un ticket de soporte
+ *
+ * 🔓 Público (formulario de soporte, con límite por IP). Se vincula al lead
+ * con el mismo email y el cliente recibe por email el enlace de su ticket.
+ * Con el permiso soporte:write también se pueden indicar prioridad, lead_id
+ * y asignado_a (p. ej. un ticket abierto por teléfono) y no aplica el
+ * límite; desde el formulario público la prioridad es 'media'.
+ *
+ * Body:
+ * {
+ *   "nombre": "Juan Pérez",
+ *   "email": "juan.perez@email.com",
+ *   "telefono": "+34 600 000 000" (opcional),
+ *   "tipo_consulta": "Soporte técnico",
+ *   "asunto": "No puedo acceder al panel",
+ *   "mensaje": "Desde ayer me da error al iniciar sesión..."
+ * }
+ */
+router.post("/", optionalAuth, createLimiter, async (req, res) => {
+  try {
+    const { nombre, email, telefono, tipo_consulta, asunto, mensaje } =
+      req.body;
+    const isStaff = Boolean(
+      req.user && hasPermission(req.user.permissions, "soporte:write")
+    );
+
+    const ticket = await Ticket.create(
+      {
+        nombre,
+        email,
+        telefono,
+        tipo_consulta,
+        asunto,
+        mensaje,
+        ...(isStaff && {
+          prioridad: req.body.prioridad,
+          lead_id: req.body.lead_id,
+          asignado_a: req.body.asignado_a,
+        }),
+      },
+      isStaff ? req.user.id : null
+    );
+
+    await sendTicketEmail(
+      ticket,
+      `Recibimos tu consulta: ${ticket.asunto}`,
+      `Recibimos tu consulta "${ticket.asunto}" (ticket #${ticket.numero}). ` +
+        `Te responderemos lo antes posible.`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Ticket #${ticket.numero} creado. Te responderemos lo antes posible`,
+      // El formulario público solo recibe los datos de su propio ticket
+      data: isStaff
+        ? ticket
+        : {
+            id: ticket.id,
+            numero: ticket.numero,
+            asunto: ticket.asunto,
+            tipo_consulta: ticket.tipo_consulta,
+            estado: ticket.estado,
+            created_at: ticket.created_at,
+          },
+    });
+  } catch (error) {
+    console.error("Error creando ticket:", error);
+    sendTicketError(res, error, "Error al crear el ticket");
+  }
+});
+
+/**
+ * PATCH /api/soporte/:id
+ * Reclasifica un ticket (prioridad, tipo de consulta) o cambia su lead
+ *
+ * Body: { "prioridad": "alta", "tipo_consulta": "Facturación", "lead_id": "uuid" | null }
+ */
+router.patch(
+  "/:id",
+  authenticateToken,
+  requirePermission("soporte:write"),
+  async (req, res) => {
+    try {
+      const { prioridad, tipo_consulta, lead_id } = req.body;
+
+      const ticket = await Ticket.update(req.params.id, {
+        prioridad,
+        tipo_consulta,
+        lead_id,
+      });
+
+      res.json({
+        success: true,
+        message: "Ticket actualizado exitosamente",
+        data: ticket,
+      });
+    } catch (error) {
+      console.error("Error actualizando ticket:", error);
+      sendTicketError(res, error, "Error al actualizar el ticket");
+    }
+  }
+);
+
+/**
+ * PUT /api/soporte/:id/asignar
+ * Asigna el ticket a un usuario del equipo
+ *
+ * Body: { "asignado_a": "uuid-del-usuario" | null (lo deja sin asignar) }
+ */
+router.put(
+  "/:id/asignar",
+  authenticateToken,
+  requirePermission("soporte:write"),
+  async (req, res) => {
+    try {
+      const { asignado_a } = req.body;
+
+      if (asignado_a === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: "El campo asignado_a es requerido (null lo deja sin asignar)",
+        });
+      }
+
+      const ticket = await Ticket.assign(req.params.id, asignado_a);
+
+      res.json({
+        success: true,
+        message: ticket.asignado_a
+          ? `Ticket asignado a ${ticket.asignado_a_name}`
+          : "Ticket sin asignar",
+        data: ticket,
+      });
+    } catch (error) {
+      console.error("Error asignando ticket:", error);
+      sendTicketError(res, error, "Error al asignar el ticket");
+    }
+  }
+);
+
+/**
+ * PUT /api/soporte/:id/estado
+ * Cambia el estado del ticket (transiciones en GET /api/soporte/opciones;
+ * una transición no permitida devuelve 409)
+ *
+ * Body: { "estado": "en_proceso" }
+ */
+router.put(
+  "/:id/estado",
+  authenticateToken,
+  requirePermission("soporte:write"),
+  async (req, res) => {
+    try {
+      const { estado } = req.body;
+
+      if (!estado) {
+        return res.status(400).json({
+          success: false,
+          error: "El campo estado es requerido",
+        });
+      }
+
+      const { ticket, from } = await Ticket.changeEstado(req.params.id, estado);
+
+      res.json({
+        success: true,
+        message:
+          from === estado
+            ? `El ticket ya estaba en ${estado}`
+            : `Estado cambiado de ${from} a ${estado}`,
+        data: ticket,
+      });
+    } catch (error) {
+      console.error("Error cambiando estado del ticket:", error);
+      sendTicketError(res, error, "Error al cambiar el estado del ticket");
+    }
+  }
+);
+
+/**
+ * POST /api/soporte/:id/mensajes
+ * Responde al cliente o añade una nota interna
+ *
+ * - Respuesta (interno: false): se envía por email al cliente con su
+ *   enlace; la primera cuenta como primera respuesta del SLA. Un ticket
+ *   abierto pasa a en_proceso, o al estado indicado (p. ej. pendiente_cliente)
+ * - Nota interna (interno: true): solo la ve el equipo y no cambia el estado
+ *
+ * Body:
+ * {
+ *   "mensaje": "Hemos restablecido tu acceso, ¿puedes probar de nuevo?",
+ *   "interno": false (opcional),
+ *   "estado": "pendiente_cliente" (opcional, solo respuestas)
+ * }
+ */
+router.post(
+  "/:id/mensajes",
+  authenticateToken,
+  requirePermission("soporte:write"),
+  async (req, res) => {
+    try {
+      const { mensaje, interno = false, estado } = req.body;
+
+      if (typeof interno !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          error: "El campo interno debe ser booleano",
+        });
+      }
+
+      if (interno && estado !== undefined) {
+        return res.status(400).json({
+          success: false,
+          error: "Una nota interna no cambia el estado del ticket",
+        });
+      }
+
+      const result = await TicketMessage.create({
+        ticket_id: req.params.id,
+        autor_tipo: "equipo",
+        user_id: req.user.id,
+        mensaje,
+        interno,
+        estado,
+      });
+
+      if (!interno) {
+        await sendTicketEmail(
+          result.ticket,
+          `Respuesta a tu consulta: ${result.ticket.asunto}`,
+          `${
+            result.mensaje.autor_nombre || "El equipo de soporte"
+          } respondió:\n\n` + result.mensaje.mensaje
+        );
+      }
+
+      res.status(201).json({
+        success: true,
+        message: interno
+          ? "Nota interna añadida"
+          : "Respuesta enviada al cliente",
+        data: result,
+      });
+    } catch (error) {
+      console.error("Error añadiendo mensaje al ticket:", error);
+      sendTicketError(res, error, "Error al añadir el mensaje");
+    }
+  }
+);
+
+/**
+ * GET /api/soporte/:id/enlace
+ * Enlace del cliente del ticket (para enviárselo por otro canal)
+ */
+router.get(
+  "/:id/enlace",
+  authenticateToken,
+  requirePermission("soporte:write"),
+  async (req, res) => {
+    try {
+      const ticket = await Ticket.findById(req.params.id);
+
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          error: "Ticket no encontrado",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { url: ticketUrl(ticket) },
+      });
+    } catch (error) {
+      console.error("Error obteniendo enlace del ticket:", error);
+      sendTicketError(res, error, "Error al obtener el enlace");
+    }
+  }
+);
+
+/**
+ * POST /api/soporte/:id/enlace
+ * Regenera el enlace del cliente (el anterior deja de valer) y se lo
+ * envía por email
+ */
+router.post(
+  "/:id/enlace",
+  authenticateToken,
+  requirePermission("soporte:write"),
+  async (req, res) => {
+    try {
+      const { ticket } = await Ticket.rotateAccessToken(req.params.id);
+
+      await sendTicketEmail(
+        ticket,
+        `Nuevo enlace de tu consulta: ${ticket.asunto}`,
+        `Te enviamos un nuevo enlace para tu consulta "${ticket.asunto}". ` +
+          `El anterior ya no funciona.`
+      );
+
+      res.json({
+        success: true,
+        message: "Enlace regenerado y enviado al cliente",
+        data: { url: ticketUrl(ticket) },
+      });
+    } catch (error) {
+      console.error("Error regenerando enlace del ticket:", error);
+      sendTicketError(res, error, "Error al regenerar el enlace");
+    }
+  }
+);
+
+module.exports = router;
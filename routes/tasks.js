@@ -0,0 +1,269 @@
+/**
+ * @fileoverview Rutas de tareas de seguimiento de leads para Boost Agency API
+ *
+ * 🆕 ARCHIVO NUEVO - Seguimiento de leads ("llamar el martes", "enviar propuesta")
+ *
+ * Maneja:
+ * - Listado con filtros (mis tareas, vencidas, por lead, hechas/pendientes)
+ * - CRUD de tareas y marcarlas como hechas
+ *
+ * Los recordatorios y avisos de vencimiento los envía el job de tareas
+ * (services/taskScheduler.js)
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const express = require("express");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const Task = require("../models/Task");
+const router = express.Router();
+
+/**
+ * Helper: Respuesta de error común de tareas
+ */
+function sendTaskError(res, error, fallbackMessage) {
+  if (error.message.includes("no encontrad")) {
+    return res.status(404).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  if (
+    error.message.includes("inválid") ||
+    error.message.includes("requerido") ||
+    error.message.includes("No hay campos válidos")
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    details: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+}
+
+/**
+ * Helper: Convierte un query param 'true'/'false' en booleano
+ */
+function parseBoolean(value) {
+  if (value === undefined) return undefined;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  return null;
+}
+
+/**
+ * GET /api/tasks
+ * Lista tareas (pendientes primero, por fecha límite)
+ *
+ * Query params:
+ * - mine=true: solo las asignadas al usuario autenticado
+ * - overdue=true: solo pendientes con la fecha límite pasada
+ * - lead_id, assigned_to: filtros por lead y responsable
+ * - done: true (hechas) o false (pendientes)
+ * - page, limit: paginación
+ */
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission("leads:read"),
+  async (req, res) => {
+    try {
+      const { lead_id, assigned_to, page, limit } = req.query;
+      const mine = parseBoolean(req.query.mine);
+      const overdue = parseBoolean(req.query.overdue);
+      const done = parseBoolean(req.query.done);
+
+      if (mine === null || overdue === null || done === null) {
+        return res.status(400).json({
+          success: false,
+          error: "mine, overdue y done deben ser 'true' o 'false'",
+        });
+      }
+
+      if (mine && !req.user.id) {
+        return res.status(400).json({
+          success: false,
+          error: "mine=true requiere un usuario (no disponible con API key)",
+        });
+      }
+
+      const result = await Task.findAll({
+        assigned_to: mine ? req.user.id : assigned_to,
+        lead_id,
+        done,
+        overdue,
+        page: page ? parseInt(page) : 1,
+        limit: limit ? parseInt(limit) : 20,
+      });
+
+      res.json({
+        success: true,
+        data: result.tasks,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      console.error("Error obteniendo tareas:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error al cargar las tareas",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/tasks/:id
+ * Obtiene una tarea
+ */
+router.get(
+  "/:id",
+  authenticateToken,
+  requirePermission("leads:read"),
+  async (req, res) => {
+    try {
+      const task = await Task.findById(req.params.id);
+
+      if (!task) {
+        return res.status(404).json({
+          success: false,
+          error: "Tarea no encontrada",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: task,
+      });
+    } catch (error) {
+      console.error("Error obteniendo tarea:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error al cargar la tarea",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/tasks
+ * Crea una tarea en un lead
+ *
+ * Body:
+ * {
+ *   "lead_id": "uuid-del-lead",
+ *   "title": "Llamar para confirmar la reunión",
+ *   "due_at": "2024-06-10T10:00:00Z",
+ *   "description": "..." (opcional),
+ *   "remind_at": "2024-06-10T09:00:00Z" (opcional, por defecto TASK_REMINDER_MINUTES antes),
+ *   "assigned_to": "uuid-del-usuario" (opcional, por defecto el vendedor del lead)
+ * }
+ */
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("leads:write"),
+  async (req, res) => {
+    try {
+      const { lead_id, title, description, due_at, remind_at, assigned_to } =
+        req.body;
+
+      if (!lead_id || !title || !due_at) {
+        return res.status(400).json({
+          success: false,
+          error: "lead_id, title y due_at son requeridos",
+        });
+      }
+
+      const task = await Task.create(
+        { lead_id, title, description, due_at, remind_at, assigned_to },
+        req.user.id
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Tarea creada exitosamente",
+        data: task,
+      });
+    } catch (error) {
+      console.error("Error creando tarea:", error);
+      sendTaskError(res, error, "Error al crear la tarea");
+    }
+  }
+);
+
+/**
+ * PUT /api/tasks/:id
+ * Actualiza una tarea. "done": true la marca como hecha (queda en el
+ * historial del lead) y "done": false la reabre
+ *
+ * Body: { title, description, due_at, remind_at, assigned_to, done }
+ */
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission("leads:write"),
+  async (req, res) => {
+    try {
+      const { title, description, due_at, remind_at, assigned_to, done } =
+        req.body;
+
+      if (done !== undefined && typeof done !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          error: "done debe ser true o false",
+        });
+      }
+
+      const task = await Task.update(
+        req.params.id,
+        { title, description, due_at, remind_at, assigned_to, done },
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        message: "Tarea actualizada exitosamente",
+        data: task,
+      });
+    } catch (error) {
+      console.error("Error actualizando tarea:", error);
+      sendTaskError(res, error, "Error al actualizar la tarea");
+    }
+  }
+);
+
+/**
+ * DELETE /api/tasks/:id
+ * Elimina una tarea
+ */
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission("leads:write"),
+  async (req, res) => {
+    try {
+      await Task.delete(req.params.id);
+
+      res.json({
+        success: true,
+        message: "Tarea eliminada exitosamente",
+      });
+    } catch (error) {
+      console.error("Error eliminando tarea:", error);
+      sendTaskError(res, error, "Error al eliminar la tarea");
+    }
+  }
+);
+
+module.exports = router;
@@ -13,7 +13,7 @@
  */
 
 const express = require("express");
-const { authenticateToken, requireEditor } = require("../middleware/auth");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
 const Product = require("../models/Product");
 const router = express.Router();
 
@@ -203,102 +203,107 @@ router.get("/:productId", async (req, res) => {
  *   "display_order": 1
  * }
  */
-router.post("/", authenticateToken, requireEditor, async (req, res) => {
-  try {
-    const {
-      product_id,
-      name,
-      description,
-      price,
-      discount_price,
-      price_currency,
-      image_url,
-      is_featured,
-      features,
-      includes,
-      category_id,
-      display_order,
-      status,
-    } = req.body;
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("tienda:write"),
+  async (req, res) => {
+    try {
+      const {
+        product_id,
+        name,
+        description,
+        price,
+        discount_price,
+        price_currency,
+        image_url,
+        is_featured,
+        features,
+        includes,
+        category_id,
+        display_order,
+        status,
+      } = req.body;
+
+      // Validar campos requeridos
+      if (!product_id || !name || !description || !price) {
+        return res.status(400).json({
+          success: false,
+          error: "product_id, name, description y price son requeridos",
+        });
+      }
 
-    // Validar campos requeridos
-    if (!product_id || !name || !description || !price) {
-      return res.status(400).json({
-        success: false,
-        error: "product_id, name, description y price son requeridos",
-      });
-    }
+      // Validar que product_id sea lowercase con guiones
+      if (!/^[a-z0-9-]+$/.test(product_id)) {
+        return res.status(400).json({
+          success: false,
+          error:
+            "product_id debe ser lowercase y solo contener letras, números y guiones",
+        });
+      }
 
-    // Validar que product_id sea lowercase con guiones
-    if (!/^[a-z0-9-]+$/.test(product_id)) {
-      return res.status(400).json({
-        success: false,
-        error:
-          "product_id debe ser lowercase y solo contener letras, números y guiones",
-      });
-    }
+      // Validar precio
+      if (isNaN(price) || price < 0) {
+        return res.status(400).json({
+          success: false,
+          error: "price debe ser un número positivo",
+        });
+      }
 
-    // Validar precio
-    if (isNaN(price) || price < 0) {
-      return res.status(400).json({
-        success: false,
-        error: "price debe ser un número positivo",
-      });
-    }
+      // Validar precio de descuento si existe
+      if (
+        discount_price !== undefined &&
+        (isNaN(discount_price) || discount_price < 0)
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: "discount_price debe ser un número positivo",
+        });
+      }
 
-    // Validar precio de descuento si existe
-    if (
-      discount_price !== undefined &&
-      (isNaN(discount_price) || discount_price < 0)
-    ) {
-      return res.status(400).json({
-        success: false,
-        error: "discount_price debe ser un número positivo",
+      const newProduct = await Product.create({
+        product_id,
+        name,
+        description,
+        price: parseFloat(price),
+        discount_price: discount_price ? parseFloat(discount_price) : null,
+        price_currency: price_currency || "USD",
+        image_url,
+        is_featured: is_featured || false,
+        features: features || [],
+        includes: includes || [],
+        category_id,
+        display_order: display_order || 0,
+        status: status || "active",
       });
-    }
 
-    const newProduct = await Product.create({
-      product_id,
-      name,
-      description,
-      price: parseFloat(price),
-      discount_price: discount_price ? parseFloat(discount_price) : null,
-      price_currency: price_currency || "USD",
-      image_url,
-      is_featured: is_featured || false,
-      features: features || [],
-      includes: includes || [],
-      category_id,
-      display_order: display_order || 0,
-      status: status || "active",
-    });
+      res.status(201).json({
+        success: true,
+        message: "Producto creado exitosamente",
+        data: newProduct,
+      });
+    } catch (error) {
+      console.error("Error creando producto:", error);
 
-    res.status(201).json({
-      success: true,
-      message: "Producto creado exitosamente",
-      data: newProduct,
-    });
-  } catch (error) {
-    console.error("Error creando producto:", error);
+      if (
+        error.message.includes("duplicate") ||
+        error.message.includes("already exists")
+      ) {
+        return res.status(409).json({
+          success: false,
+          error: "Ya existe un producto con ese product_id",
+        });
+      }
 
-    if (
-      error.message.includes("duplicate") ||
-      error.message.includes("already exists")
-    ) {
-      return res.status(409).json({
+      res.status(500).json({
         success: false,
-        error: "Ya existe un producto con ese product_id",
+        error: "Error al crear el producto",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
       });
     }
-
-    res.status(500).json({
-      success: false,
-      error: "Error al crear el producto",
-      details:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
   }
-});
+);
 
 /**
  * PUT /api/tienda/:productId
@@ -307,7 +312,7 @@ router.post("/", authenticateToken, requireEditor, async (req, res) => {
 router.put(
   "/:productId",
   authenticateToken,
-  requireEditor,
+  requirePermission("tienda:write"),
   async (req, res) => {
     try {
       const { productId } = req.params;
@@ -364,7 +369,7 @@ router.put(
 router.patch(
   "/:productId/status",
   authenticateToken,
-  requireEditor,
+  requirePermission("tienda:write"),
   async (req, res) => {
     try {
       const { productId } = req.params;
@@ -425,7 +430,7 @@ router.patch(
 router.patch(
   "/:productId/featured",
   authenticateToken,
-  requireEditor,
+  requirePermission("tienda:write"),
   async (req, res) => {
     try {
       const { productId } = req.params;
@@ -479,33 +484,38 @@ router.patch(
  *   ]
  * }
  */
-router.post("/reorder", authenticateToken, requireEditor, async (req, res) => {
-  try {
-    const { order } = req.body;
+router.post(
+  "/reorder",
+  authenticateToken,
+  requirePermission("tienda:write"),
+  async (req, res) => {
+    try {
+      const { order } = req.body;
 
-    if (!Array.isArray(order)) {
-      return res.status(400).json({
+      if (!Array.isArray(order)) {
+        return res.status(400).json({
+          success: false,
+          error: "El campo order debe ser un array",
+        });
+      }
+
+      await Product.reorder(order);
+
+      res.json({
+        success: true,
+        message: "Productos reordenados exitosamente",
+      });
+    } catch (error) {
+      console.error("Error reordenando productos:", error);
+      res.status(500).json({
         success: false,
-        error: "El campo order debe ser un array",
+        error: "Error al reordenar los productos",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
       });
     }
-
-    await Product.reorder(order);
-
-    res.json({
-      success: true,
-      message: "Productos reordenados exitosamente",
-    });
-  } catch (error) {
-    console.error("Error reordenando productos:", error);
-    res.status(500).json({
-      success: false,
-      error: "Error al reordenar los productos",
-      details:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
   }
-});
+);
 
 /**
  * DELETE /api/tienda/:productId
@@ -514,7 +524,7 @@ router.post("/reorder", authenticateToken, requireEditor, async (req, res) => {
 router.delete(
   "/:productId",
   authenticateToken,
-  requireEditor,
+  requirePermission("tienda:write"),
   async (req, res) => {
     try {
       const { productId } = req.params;
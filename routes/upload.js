@@ -17,99 +17,16 @@
  */
 
 const express = require("express");
-const multer = require("multer");
 const fs = require("fs");
-const path = require("path");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
 const {
-  authenticateToken,
-  requireRole,
-  requireEditor,
-  requireAdmin,
-} = require("../middleware/auth");
+  upload,
+  getFileCategory,
+  getImageDimensions,
+} = require("../middleware/upload");
 const { query } = require("../config/database");
 const router = express.Router();
 
-// Configuración de multer para upload de archivos
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    // Organizar archivos por tipo en subcarpetas
-    const fileType = getFileCategory(file.mimetype);
-    const uploadDir = path.join(__dirname, "../uploads/", fileType);
-
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    // Nombre único: timestamp-random-nombre-original
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname);
-    const baseName = path
-      .basename(file.originalname, ext)
-      .replace(/[^a-z0-9]/gi, "-")
-      .toLowerCase();
-    cb(null, `${uniqueSuffix}-${baseName}${ext}`);
-  },
-});
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB límite
-  },
-  fileFilter: (req, file, cb) => {
-    // Tipos de archivo permitidos
-    const allowedTypes =
-      /jpeg|jpg|png|gif|webp|svg|pdf|doc|docx|mp3|mp4|webm|wav/;
-    const extname = allowedTypes.test(
-      path.extname(file.originalname).toLowerCase()
-    );
-    const mimetype = allowedTypes.test(file.mimetype);
-
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(
-        new Error(
-          "Tipo de archivo no permitido. Permitidos: imágenes, documentos, audio, video"
-        )
-      );
-    }
-  },
-});
-
-/**
- * Helper: Determina la categoría del archivo según su MIME type
- */
-function getFileCategory(mimetype) {
-  if (mimetype.startsWith("image/")) return "imagenes";
-  if (mimetype.startsWith("audio/")) return "audio";
-  if (mimetype.startsWith("video/")) return "video";
-  if (mimetype.includes("pdf") || mimetype.includes("document"))
-    return "documentos";
-  return "otros";
-}
-
-/**
- * Helper: Obtiene dimensiones de imagen (requiere sharp - opcional)
- * Si no tienes sharp instalado, esta función retorna null
- */
-async function getImageDimensions(filePath) {
-  try {
-    // Intenta usar sharp si está instalado
-    const sharp = require("sharp");
-    const metadata = await sharp(filePath).metadata();
-    return {
-      width: metadata.width,
-      height: metadata.height,
-    };
-  } catch (error) {
-    // Si sharp no está instalado o hay error, retorna null
-    return { width: null, height: null };
-  }
-}
-
 /**
  * POST /api/upload
  * Sube un archivo al servidor y lo registra en PostgreSQL
@@ -121,7 +38,7 @@ async function getImageDimensions(filePath) {
 router.post(
   "/",
   authenticateToken,
-  requireEditor,
+  requirePermission("uploads:write"),
   upload.single("file"),
   async (req, res) => {
     try {
@@ -200,7 +117,7 @@ router.post(
 router.post(
   "/multiple",
   authenticateToken,
-  requireEditor,
+  requirePermission("uploads:write"),
   upload.array("files", 10),
   async (req, res) => {
     try {
@@ -284,19 +201,23 @@ router.post(
  * - ANTES: Leía files.json y filtraba en JavaScript
  * - AHORA: SELECT con filtros en PostgreSQL (mucho más rápido)
  */
-router.get("/list", authenticateToken, requireEditor, async (req, res) => {
-  try {
-    const {
-      categoria,
-      folder,
-      search,
-      page = 1,
-      limit = 20,
-      sortBy = "created_at",
-      sortOrder = "DESC",
-    } = req.query;
-
-    let sql = `
+router.get(
+  "/list",
+  authenticateToken,
+  requirePermission("uploads:write"),
+  async (req, res) => {
+    try {
+      const {
+        categoria,
+        folder,
+        search,
+        page = 1,
+        limit = 20,
+        sortBy = "created_at",
+        sortOrder = "DESC",
+      } = req.query;
+
+      let sql = `
       SELECT 
         i.*,
         u.full_name as uploaded_by_name
@@ -305,93 +226,96 @@ router.get("/list", authenticateToken, requireEditor, async (req, res) => {
       WHERE 1=1
     `;
 
-    const params = [];
-    let paramIndex = 1;
+      const params = [];
+      let paramIndex = 1;
 
-    // Filtrar por categoría (tipo de archivo)
-    if (categoria) {
-      sql += ` AND i.folder = $${paramIndex}`;
-      params.push(categoria);
-      paramIndex++;
-    }
+      // Filtrar por categoría (tipo de archivo)
+      if (categoria) {
+        sql += ` AND i.folder = $${paramIndex}`;
+        params.push(categoria);
+        paramIndex++;
+      }
 
-    // Filtrar por carpeta específica
-    if (folder) {
-      sql += ` AND i.folder = $${paramIndex}`;
-      params.push(folder);
-      paramIndex++;
-    }
+      // Filtrar por carpeta específica
+      if (folder) {
+        sql += ` AND i.folder = $${paramIndex}`;
+        params.push(folder);
+        paramIndex++;
+      }
 
-    // Búsqueda por nombre de archivo
-    if (search) {
-      sql += ` AND (i.filename ILIKE $${paramIndex} OR i.original_filename ILIKE $${paramIndex})`;
-      params.push(`%${search}%`);
-      paramIndex++;
-    }
+      // Búsqueda por nombre de archivo
+      if (search) {
+        sql += ` AND (i.filename ILIKE $${paramIndex} OR i.original_filename ILIKE $${paramIndex})`;
+        params.push(`%${search}%`);
+        paramIndex++;
+      }
 
-    // Ordenamiento
-    const validSortFields = [
-      "created_at",
-      "file_size",
-      "filename",
-      "mime_type",
-    ];
-    const sortField = validSortFields.includes(sortBy) ? sortBy : "created_at";
-    const sortDirection = sortOrder.toUpperCase() === "ASC" ? "ASC" : "DESC";
-
-    sql += ` ORDER BY i.${sortField} ${sortDirection}`;
-
-    // Paginación
-    sql += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-    params.push(limit, (page - 1) * limit);
-
-    const result = await query(sql, params);
-
-    // Contar total
-    let countSql = `SELECT COUNT(*) FROM images WHERE 1=1`;
-    const countParams = [];
-    let countIndex = 1;
-
-    if (categoria) {
-      countSql += ` AND folder = $${countIndex}`;
-      countParams.push(categoria);
-      countIndex++;
-    }
+      // Ordenamiento
+      const validSortFields = [
+        "created_at",
+        "file_size",
+        "filename",
+        "mime_type",
+      ];
+      const sortField = validSortFields.includes(sortBy)
+        ? sortBy
+        : "created_at";
+      const sortDirection = sortOrder.toUpperCase() === "ASC" ? "ASC" : "DESC";
+
+      sql += ` ORDER BY i.${sortField} ${sortDirection}`;
+
+      // Paginación
+      sql += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+      params.push(limit, (page - 1) * limit);
+
+      const result = await query(sql, params);
+
+      // Contar total
+      let countSql = `SELECT COUNT(*) FROM images WHERE 1=1`;
+      const countParams = [];
+      let countIndex = 1;
+
+      if (categoria) {
+        countSql += ` AND folder = $${countIndex}`;
+        countParams.push(categoria);
+        countIndex++;
+      }
 
-    if (folder) {
-      countSql += ` AND folder = $${countIndex}`;
-      countParams.push(folder);
-      countIndex++;
-    }
+      if (folder) {
+        countSql += ` AND folder = $${countIndex}`;
+        countParams.push(folder);
+        countIndex++;
+      }
 
-    if (search) {
-      countSql += ` AND (filename ILIKE $${countIndex} OR original_filename ILIKE $${countIndex})`;
-      countParams.push(`%${search}%`);
-    }
+      if (search) {
+        countSql += ` AND (filename ILIKE $${countIndex} OR original_filename ILIKE $${countIndex})`;
+        countParams.push(`%${search}%`);
+      }
 
-    const countResult = await query(countSql, countParams);
-    const total = parseInt(countResult.rows[0].count);
-
-    res.json({
-      success: true,
-      data: result.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit),
-      },
-    });
-  } catch (error) {
-    console.error("Error listing files:", error);
-    res.status(500).json({
-      success: false,
-      error: "Error al listar los archivos",
-      details:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
+      const countResult = await query(countSql, countParams);
+      const total = parseInt(countResult.rows[0].count);
+
+      res.json({
+        success: true,
+        data: result.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      console.error("Error listing files:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error al listar los archivos",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
   }
-});
+);
 
 /**
  * GET /api/upload/:id
@@ -401,11 +325,15 @@ router.get("/list", authenticateToken, requireEditor, async (req, res) => {
  * - ANTES: Buscaba por filename en array JSON
  * - AHORA: SELECT por UUID en PostgreSQL
  */
-router.get("/:id", authenticateToken, requireEditor, async (req, res) => {
-  try {
-    const { id } = req.params;
+router.get(
+  "/:id",
+  authenticateToken,
+  requirePermission("uploads:write"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
 
-    const sql = `
+      const sql = `
       SELECT 
         i.*,
         u.full_name as uploaded_by_name,
@@ -415,29 +343,30 @@ router.get("/:id", authenticateToken, requireEditor, async (req, res) => {
       WHERE i.id = $1
     `;
 
-    const result = await query(sql, [id]);
+      const result = await query(sql, [id]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: "Archivo no encontrado",
+        });
+      }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
+      res.json({
+        success: true,
+        data: result.rows[0],
+      });
+    } catch (error) {
+      console.error("Error getting file info:", error);
+      res.status(500).json({
         success: false,
-        error: "Archivo no encontrado",
+        error: "Error al obtener información del archivo",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
       });
     }
-
-    res.json({
-      success: true,
-      data: result.rows[0],
-    });
-  } catch (error) {
-    console.error("Error getting file info:", error);
-    res.status(500).json({
-      success: false,
-      error: "Error al obtener información del archivo",
-      details:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
   }
-});
+);
 
 /**
  * PUT /api/upload/:id
@@ -445,73 +374,78 @@ router.get("/:id", authenticateToken, requireEditor, async (req, res) => {
  *
  * NUEVO ENDPOINT: No existía en la versión JSON
  */
-router.put("/:id", authenticateToken, requireEditor, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { alt_text, caption, folder } = req.body;
-
-    const updateFields = [];
-    const values = [];
-    let paramIndex = 1;
-
-    if (alt_text !== undefined) {
-      updateFields.push(`alt_text = $${paramIndex}`);
-      values.push(alt_text);
-      paramIndex++;
-    }
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission("uploads:write"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { alt_text, caption, folder } = req.body;
 
-    if (caption !== undefined) {
-      updateFields.push(`caption = $${paramIndex}`);
-      values.push(caption);
-      paramIndex++;
-    }
+      const updateFields = [];
+      const values = [];
+      let paramIndex = 1;
 
-    if (folder !== undefined) {
-      updateFields.push(`folder = $${paramIndex}`);
-      values.push(folder);
-      paramIndex++;
-    }
+      if (alt_text !== undefined) {
+        updateFields.push(`alt_text = $${paramIndex}`);
+        values.push(alt_text);
+        paramIndex++;
+      }
 
-    if (updateFields.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: "No hay campos para actualizar",
-      });
-    }
+      if (caption !== undefined) {
+        updateFields.push(`caption = $${paramIndex}`);
+        values.push(caption);
+        paramIndex++;
+      }
 
-    values.push(id);
+      if (folder !== undefined) {
+        updateFields.push(`folder = $${paramIndex}`);
+        values.push(folder);
+        paramIndex++;
+      }
 
-    const sql = `
+      if (updateFields.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "No hay campos para actualizar",
+        });
+      }
+
+      values.push(id);
+
+      const sql = `
       UPDATE images
       SET ${updateFields.join(", ")}
       WHERE id = $${paramIndex}
       RETURNING *
     `;
 
-    const result = await query(sql, values);
+      const result = await query(sql, values);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: "Archivo no encontrado",
+        });
+      }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
+      res.json({
+        success: true,
+        message: "Archivo actualizado exitosamente",
+        data: result.rows[0],
+      });
+    } catch (error) {
+      console.error("Error updating file:", error);
+      res.status(500).json({
         success: false,
-        error: "Archivo no encontrado",
+        error: "Error al actualizar el archivo",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
       });
     }
-
-    res.json({
-      success: true,
-      message: "Archivo actualizado exitosamente",
-      data: result.rows[0],
-    });
-  } catch (error) {
-    console.error("Error updating file:", error);
-    res.status(500).json({
-      success: false,
-      error: "Error al actualizar el archivo",
-      details:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
   }
-});
+);
 
 /**
  * DELETE /api/upload/:id
@@ -521,47 +455,52 @@ router.put("/:id", authenticateToken, requireEditor, async (req, res) => {
  * - ANTES: Eliminaba de files.json por filename
  * - AHORA: DELETE en PostgreSQL por UUID
  */
-router.delete("/:id", authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission("uploads:delete"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
 
-    // Obtener información del archivo antes de eliminarlo
-    const selectSql = `SELECT * FROM images WHERE id = $1`;
-    const selectResult = await query(selectSql, [id]);
+      // Obtener información del archivo antes de eliminarlo
+      const selectSql = `SELECT * FROM images WHERE id = $1`;
+      const selectResult = await query(selectSql, [id]);
 
-    if (selectResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: "Archivo no encontrado",
-      });
-    }
+      if (selectResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: "Archivo no encontrado",
+        });
+      }
 
-    const file = selectResult.rows[0];
+      const file = selectResult.rows[0];
 
-    // Eliminar archivo físico
-    if (fs.existsSync(file.file_path)) {
-      fs.unlinkSync(file.file_path);
-    }
+      // Eliminar archivo físico
+      if (fs.existsSync(file.file_path)) {
+        fs.unlinkSync(file.file_path);
+      }
+
+      // Eliminar de la base de datos
+      const deleteSql = `DELETE FROM images WHERE id = $1 RETURNING *`;
+      const deleteResult = await query(deleteSql, [id]);
 
-    // Eliminar de la base de datos
-    const deleteSql = `DELETE FROM images WHERE id = $1 RETURNING *`;
-    const deleteResult = await query(deleteSql, [id]);
-
-    res.json({
-      success: true,
-      message: "Archivo eliminado exitosamente",
-      data: deleteResult.rows[0],
-    });
-  } catch (error) {
-    console.error("Error deleting file:", error);
-    res.status(500).json({
-      success: false,
-      error: "Error al eliminar el archivo",
-      details:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
+      res.json({
+        success: true,
+        message: "Archivo eliminado exitosamente",
+        data: deleteResult.rows[0],
+      });
+    } catch (error) {
+      console.error("Error deleting file:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error al eliminar el archivo",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
   }
-});
+);
 
 /**
  * GET /api/upload/stats
@@ -571,10 +510,14 @@ router.delete("/:id", authenticateToken, requireAdmin, async (req, res) => {
  * - ANTES: Iteraba array JSON en JavaScript
  * - AHORA: PostgreSQL hace los cálculos con COUNT, SUM, GROUP BY
  */
-router.get("/stats", authenticateToken, requireEditor, async (req, res) => {
-  try {
-    // Estadísticas generales
-    const generalSql = `
+router.get(
+  "/stats",
+  authenticateToken,
+  requirePermission("uploads:write"),
+  async (req, res) => {
+    try {
+      // Estadísticas generales
+      const generalSql = `
       SELECT 
         COUNT(*) as total,
         SUM(file_size) as total_size,
@@ -582,10 +525,10 @@ router.get("/stats", authenticateToken, requireEditor, async (req, res) => {
         COUNT(*) FILTER (WHERE created_at >= CURRENT_DATE - INTERVAL '7 days') as recientes
       FROM images
     `;
-    const generalResult = await query(generalSql);
+      const generalResult = await query(generalSql);
 
-    // Estadísticas por tipo/folder
-    const byFolderSql = `
+      // Estadísticas por tipo/folder
+      const byFolderSql = `
       SELECT 
         folder,
         COUNT(*) as cantidad,
@@ -594,10 +537,10 @@ router.get("/stats", authenticateToken, requireEditor, async (req, res) => {
       GROUP BY folder
       ORDER BY cantidad DESC
     `;
-    const byFolderResult = await query(byFolderSql);
+      const byFolderResult = await query(byFolderSql);
 
-    // Estadísticas por extensión
-    const byExtSql = `
+      // Estadísticas por extensión
+      const byExtSql = `
       SELECT 
         SUBSTRING(filename FROM '\\.([^.]+)$') as extension,
         COUNT(*) as cantidad
@@ -606,34 +549,35 @@ router.get("/stats", authenticateToken, requireEditor, async (req, res) => {
       ORDER BY cantidad DESC
       LIMIT 10
     `;
-    const byExtResult = await query(byExtSql);
-
-    res.json({
-      success: true,
-      data: {
-        total: parseInt(generalResult.rows[0].total),
-        totalSize: parseInt(generalResult.rows[0].total_size) || 0,
-        avgSize: Math.round(parseFloat(generalResult.rows[0].avg_size)) || 0,
-        recientes: parseInt(generalResult.rows[0].recientes),
-        porFolder: byFolderResult.rows.reduce((acc, row) => {
-          acc[row.folder] = parseInt(row.cantidad);
-          return acc;
-        }, {}),
-        porExtension: byExtResult.rows.reduce((acc, row) => {
-          acc[row.extension] = parseInt(row.cantidad);
-          return acc;
-        }, {}),
-      },
-    });
-  } catch (error) {
-    console.error("Error getting file stats:", error);
-    res.status(500).json({
-      success: false,
-      error: "Error al obtener estadísticas de archivos",
-      details:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
+      const byExtResult = await query(byExtSql);
+
+      res.json({
+        success: true,
+        data: {
+          total: parseInt(generalResult.rows[0].total),
+          totalSize: parseInt(generalResult.rows[0].total_size) || 0,
+          avgSize: Math.round(parseFloat(generalResult.rows[0].avg_size)) || 0,
+          recientes: parseInt(generalResult.rows[0].recientes),
+          porFolder: byFolderResult.rows.reduce((acc, row) => {
+            acc[row.folder] = parseInt(row.cantidad);
+            return acc;
+          }, {}),
+          porExtension: byExtResult.rows.reduce((acc, row) => {
+            acc[row.extension] = parseInt(row.cantidad);
+            return acc;
+          }, {}),
+        },
+      });
+    } catch (error) {
+      console.error("Error getting file stats:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error al obtener estadísticas de archivos",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
   }
-});
+);
 
 module.exports = router;
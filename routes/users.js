@@ -0,0 +1,323 @@
+/**
+ * @fileoverview Rutas de administración de usuarios para Boost Agency API
+ *
+ * 🆕 ARCHIVO NUEVO - Reemplaza la gestión de usuarios con SQL manual
+ *
+ * Maneja (requiere el permiso users:manage):
+ * - Listado con filtros y paginación
+ * - Consulta y edición de perfil y rol
+ * - Suspensión y reactivación
+ * - Eliminación (soft delete y permanente)
+ *
+ * Nunca se permite dejar el sistema sin al menos un admin activo, y solo
+ * un admin puede modificar, suspender o eliminar a otro admin.
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const express = require("express");
+const {
+  authenticateUser,
+  requirePermission,
+  requireAdminForAdminTarget,
+} = require("../middleware/auth");
+const User = require("../models/User");
+const Role = require("../models/Role");
+const router = express.Router();
+
+// Estados válidos (los roles válidos están en la tabla roles)
+const VALID_STATUSES = ["active", "inactive", "suspended"];
+
+// Todas las rutas requieren el permiso users:manage
+router.use(authenticateUser, requirePermission("users:manage"));
+
+// Carga el usuario de :id y solo deja a un admin gestionar a otro admin
+const protectAdmins = requireAdminForAdminTarget("id");
+
+/**
+ * Helper: Respuesta estándar cuando se intenta quitar al último admin
+ */
+function lastAdminResponse(res) {
+  return res.status(409).json({
+    success: false,
+    error: "No se puede dejar el sistema sin administradores activos",
+  });
+}
+
+/**
+ * GET /api/users
+ * Lista usuarios con filtros y paginación
+ *
+ * Query params: role, status, search, page, limit
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { role, status, search, page, limit } = req.query;
+
+    const result = await User.findAll({
+      role,
+      status,
+      search,
+      page: page ? parseInt(page) : 1,
+      limit: limit ? parseInt(limit) : 20,
+    });
+
+    res.json({
+      success: true,
+      data: result.users,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error("Error obteniendo usuarios:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al cargar los usuarios",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/users/:id
+ * Obtiene un usuario por ID
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: "Usuario no encontrado",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    console.error("Error obteniendo usuario:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al cargar el usuario",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * PUT /api/users/:id
+ * Actualiza el perfil y/o el rol de un usuario
+ * El estado se cambia con PATCH /api/users/:id/status
+ *
+ * Body:
+ * {
+ *   "full_name": "Nombre Completo",
+ *   "phone": "+1234567890",
+ *   "avatar_url": "/uploads/imagenes/avatar.jpg",
+ *   "role": "editor"
+ * }
+ */
+router.put("/:id", protectAdmins, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { full_name, phone, avatar_url, role } = req.body;
+
+    if (role !== undefined && !(await Role.exists(role))) {
+      return res.status(400).json({
+        success: false,
+        error: "Rol inválido",
+      });
+    }
+
+    const user = req.targetUser;
+
+    // Solo un admin puede dar el rol admin (quitarlo lo impide
+    // requireAdminForAdminTarget)
+    if (
+      role === "admin" &&
+      user.role !== "admin" &&
+      req.user.role !== "admin"
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: "Solo un administrador puede asignar o quitar el rol admin",
+      });
+    }
+
+    // No permitir degradar al último admin activo
+    if (role && role !== "admin" && (await User.isLastActiveAdmin(user))) {
+      return lastAdminResponse(res);
+    }
+
+    const userUpdated = await User.update(id, {
+      full_name,
+      phone,
+      avatar_url,
+      role,
+    });
+
+    res.json({
+      success: true,
+      message: "Usuario actualizado exitosamente",
+      data: userUpdated,
+    });
+  } catch (error) {
+    console.error("Error actualizando usuario:", error);
+
+    if (error.message.includes("No hay campos válidos")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Error al actualizar el usuario",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * PATCH /api/users/:id/status
+ * Suspende, desactiva o reactiva un usuario
+ * Al dejar de estar activo se cierran todas sus sesiones
+ *
+ * Body:
+ * {
+ *   "status": "suspended"
+ * }
+ */
+router.patch("/:id/status", protectAdmins, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        error: "El campo status es requerido",
+      });
+    }
+
+    if (!VALID_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Estado inválido. Debe ser uno de: ${VALID_STATUSES.join(", ")}`,
+      });
+    }
+
+    const user = req.targetUser;
+
+    if (status !== "active" && (await User.isLastActiveAdmin(user))) {
+      return lastAdminResponse(res);
+    }
+
+    const userUpdated = await User.changeStatus(id, status);
+
+    res.json({
+      success: true,
+      message: `Usuario ${
+        status === "active" ? "reactivado" : "suspendido"
+      } exitosamente`,
+      data: userUpdated,
+    });
+  } catch (error) {
+    console.error("Error cambiando estado del usuario:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al cambiar el estado",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/:id
+ * Elimina un usuario (soft delete - lo marca como inactivo)
+ */
+router.delete("/:id", protectAdmins, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = req.targetUser;
+
+    if (await User.isLastActiveAdmin(user)) {
+      return lastAdminResponse(res);
+    }
+
+    await User.delete(id);
+
+    res.json({
+      success: true,
+      message: "Usuario eliminado exitosamente",
+    });
+  } catch (error) {
+    console.error("Error eliminando usuario:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error al eliminar el usuario",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/:id/permanent
+ * Elimina un usuario permanentemente
+ * ⚠️ PRECAUCIÓN: Esta acción no se puede deshacer
+ */
+router.delete("/:id/permanent", protectAdmins, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: "No puedes eliminar tu propia cuenta",
+      });
+    }
+
+    const user = req.targetUser;
+
+    if (await User.isLastActiveAdmin(user)) {
+      return lastAdminResponse(res);
+    }
+
+    await User.deleteHard(id);
+
+    res.json({
+      success: true,
+      message: "Usuario eliminado permanentemente",
+    });
+  } catch (error) {
+    console.error("Error eliminando usuario permanentemente:", error);
+
+    // Violación de clave foránea: el usuario tiene registros asociados
+    if (error.code === "23503") {
+      return res.status(409).json({
+        success: false,
+        error:
+          "El usuario tiene registros asociados, desactívalo en lugar de eliminarlo",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Error al eliminar el usuario",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+module.exports = router;
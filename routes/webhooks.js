@@ -0,0 +1,389 @@
+/**
+ * @fileoverview Rutas de webhooks salientes para Boost Agency API
+ *
+ * 🆕 ARCHIVO NUEVO - Avisos a automatizaciones externas
+ *
+ * Maneja (requiere el permiso webhooks:manage, solo usuarios):
+ * - Registro de endpoints y de los eventos a los que se suscriben
+ * - Edición, desactivación, rotación del secreto y eliminación
+ * - Registro de envíos con sus intentos y reenvío manual
+ *
+ * Ver models/Webhook.js y services/webhookDispatcher.js
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const express = require("express");
+const { authenticateUser, requirePermission } = require("../middleware/auth");
+const Webhook = require("../models/Webhook");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const router = express.Router();
+
+// Todas las rutas requieren el permiso webhooks:manage (y un usuario, no una API key)
+router.use(authenticateUser, requirePermission("webhooks:manage"));
+
+/**
+ * Helper: Valida la URL de un webhook (http o https)
+ * Devuelve un mensaje de error o null si es válida
+ */
+function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return "La URL del webhook no es válida";
+  }
+
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    return "La URL del webhook debe ser http o https";
+  }
+
+  if (process.env.NODE_ENV === "production" && parsed.protocol !== "https:") {
+    return "La URL del webhook debe ser https";
+  }
+
+  return null;
+}
+
+/**
+ * Helper: Valida la lista de eventos
+ * Devuelve un mensaje de error o null si es válida
+ */
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return "El campo events debe ser un array con al menos un evento";
+  }
+
+  const unknown = events.filter((event) => !Webhook.eventos.includes(event));
+  if (unknown.length > 0) {
+    return `Eventos desconocidos: ${unknown.join(
+      ", "
+    )}. Disponibles: ${Webhook.eventos.join(", ")}`;
+  }
+
+  return null;
+}
+
+/**
+ * Helper: Respuesta de error común de webhooks
+ */
+function sendWebhookError(res, error, fallbackMessage) {
+  if (error.message.includes("no encontrado")) {
+    return res.status(404).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  if (error.message.includes("No hay campos válidos")) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    details: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+}
+
+/**
+ * GET /api/webhooks
+ * Lista los webhooks con sus envíos pendientes y fallidos
+ */
+router.get("/", async (req, res) => {
+  try {
+    const webhooks = await Webhook.findAll();
+
+    res.json({
+      success: true,
+      data: webhooks,
+      eventos: Webhook.eventos,
+    });
+  } catch (error) {
+    console.error("Error obteniendo webhooks:", error);
+    sendWebhookError(res, error, "Error al cargar los webhooks");
+  }
+});
+
+/**
+ * GET /api/webhooks/:id
+ * Obtiene un webhook
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: "Webhook no encontrado",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: webhook,
+    });
+  } catch (error) {
+    console.error("Error obteniendo webhook:", error);
+    sendWebhookError(res, error, "Error al cargar el webhook");
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Registra un webhook. El secreto de firma solo se devuelve en esta respuesta
+ *
+ * Body:
+ * {
+ *   "name": "Zapier CRM",
+ *   "url": "https://hooks.zapier.com/hooks/catch/123/abc",
+ *   "events": ["lead.created", "lead.estado_changed"],
+ *   "active": true (opcional)
+ * }
+ */
+router.post("/", async (req, res) => {
+  try {
+    const { name, url, events, active } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "El nombre es requerido",
+      });
+    }
+
+    const validationError =
+      (url ? validateUrl(url) : "La URL es requerida") ||
+      validateEvents(events);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    if (active !== undefined && typeof active !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        error: "El campo active debe ser booleano",
+      });
+    }
+
+    const { webhook, secret } = await Webhook.create(
+      {
+        name: String(name).trim(),
+        url,
+        events: [...new Set(events)],
+        active,
+      },
+      req.user.id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Webhook creado. Guarda el secreto: no se volverá a mostrar",
+      data: {
+        ...webhook,
+        secret,
+      },
+    });
+  } catch (error) {
+    console.error("Error creando webhook:", error);
+    sendWebhookError(res, error, "Error al crear el webhook");
+  }
+});
+
+/**
+ * PATCH /api/webhooks/:id
+ * Actualiza nombre, URL, eventos o si está activo
+ * (un webhook desactivado no recibe eventos nuevos y sus envíos
+ * pendientes esperan a que se reactive)
+ */
+router.patch("/:id", async (req, res) => {
+  try {
+    const { name, url, events, active } = req.body;
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "El nombre no puede estar vacío",
+      });
+    }
+
+    const validationError =
+      (url !== undefined && validateUrl(url)) ||
+      (events !== undefined && validateEvents(events));
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    if (active !== undefined && typeof active !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        error: "El campo active debe ser booleano",
+      });
+    }
+
+    const webhook = await Webhook.update(req.params.id, {
+      name: name !== undefined ? String(name).trim() : undefined,
+      url,
+      events: events !== undefined ? [...new Set(events)] : undefined,
+      active,
+    });
+
+    res.json({
+      success: true,
+      message: "Webhook actualizado exitosamente",
+      data: webhook,
+    });
+  } catch (error) {
+    console.error("Error actualizando webhook:", error);
+    sendWebhookError(res, error, "Error al actualizar el webhook");
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/rotar-secreto
+ * Genera un secreto nuevo (el anterior deja de valer al instante)
+ */
+router.post("/:id/rotar-secreto", async (req, res) => {
+  try {
+    const { webhook, secret } = await Webhook.rotateSecret(req.params.id);
+
+    res.json({
+      success: true,
+      message: "Secreto rotado. Guárdalo: no se volverá a mostrar",
+      data: {
+        ...webhook,
+        secret,
+      },
+    });
+  } catch (error) {
+    console.error("Error rotando secreto del webhook:", error);
+    sendWebhookError(res, error, "Error al rotar el secreto");
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Elimina un webhook y su historial de envíos
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    await Webhook.delete(req.params.id);
+
+    res.json({
+      success: true,
+      message: "Webhook eliminado exitosamente",
+    });
+  } catch (error) {
+    console.error("Error eliminando webhook:", error);
+    sendWebhookError(res, error, "Error al eliminar el webhook");
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/entregas
+ * Registro de envíos del webhook (más recientes primero)
+ *
+ * Query params:
+ * - estado: pendiente, entregado o fallido
+ * - event: evento
+ * - page, limit: paginación
+ */
+router.get("/:id/entregas", async (req, res) => {
+  try {
+    const { estado, event, page, limit } = req.query;
+
+    if (estado !== undefined && !WebhookDelivery.estados.includes(estado)) {
+      return res.status(400).json({
+        success: false,
+        error: `estado debe ser uno de: ${WebhookDelivery.estados.join(", ")}`,
+      });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: "Webhook no encontrado",
+      });
+    }
+
+    const result = await WebhookDelivery.findAllByWebhook(webhook.id, {
+      estado,
+      event,
+      page: page ? parseInt(page) : 1,
+      limit: limit ? Math.min(parseInt(limit), 100) : 20,
+    });
+
+    res.json({
+      success: true,
+      data: result.deliveries,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error("Error obteniendo envíos del webhook:", error);
+    sendWebhookError(res, error, "Error al cargar los envíos");
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/entregas/:deliveryId
+ * Obtiene un envío con su payload y todos sus intentos
+ */
+router.get("/:id/entregas/:deliveryId", async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(
+      req.params.id,
+      req.params.deliveryId
+    );
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: "Envío no encontrado",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delivery,
+    });
+  } catch (error) {
+    console.error("Error obteniendo envío del webhook:", error);
+    sendWebhookError(res, error, "Error al cargar el envío");
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/entregas/:deliveryId/reenviar
+ * Vuelve a encolar un envío con el mismo payload (como un envío nuevo)
+ */
+router.post("/:id/entregas/:deliveryId/reenviar", async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.redeliver(
+      req.params.id,
+      req.params.deliveryId
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Envío encolado de nuevo",
+      data: delivery,
+    });
+  } catch (error) {
+    console.error("Error reenviando webhook:", error);
+    sendWebhookError(res, error, "Error al reenviar el envío");
+  }
+});
+
+module.exports = router;
@@ -9,6 +9,7 @@
  * - tienda.json → tabla products (con categorías)
  * - fundacion.json → tabla foundation
  * - leads.json → tabla leads
+ * - soporte.json → tabla tickets (vinculados a su lead por email)
  * - users.json → tabla users (si existe)
  *
  * USO:
@@ -44,6 +45,7 @@ const {
   BlogPost,
   Plan,
   Product,
+  Ticket,
 } = require("../models");
 
 // Colores para la consola
@@ -362,10 +364,61 @@ async function migrateLeads() {
 }
 
 /**
- * 8. Migrar Plataformas de Podcast
+ * 8. Migrar Tickets de soporte
+ * (asignado_a del JSON era un equipo, no un usuario: quedan sin asignar)
+ */
+async function migrateTickets() {
+  log("\n📝 Paso 8: Migrando tickets de soporte...", "blue");
+
+  try {
+    const data = readJSON("content/formularios/soporte.json");
+    if (!data || !data.tickets_soporte) {
+      log("⚠️  No hay tickets para migrar", "yellow");
+      return;
+    }
+
+    let migratedCount = 0;
+    for (const ticket of data.tickets_soporte) {
+      try {
+        // El lead_id del JSON no es un UUID: se vincula por email
+        const nuevoTicket = await Ticket.create({
+          nombre: ticket.nombre,
+          email: ticket.email,
+          telefono: ticket.telefono,
+          tipo_consulta: ticket.tipo_consulta,
+          prioridad: ticket.prioridad,
+          asunto: ticket.asunto,
+          mensaje: ticket.mensaje,
+        });
+
+        // Conservar estado y fecha originales (sin pasar por las transiciones)
+        await query(
+          `UPDATE tickets
+           SET estado = $1::text, created_at = COALESCE($2::timestamp, created_at),
+               resolved_at = CASE WHEN $1::text IN ('resuelto', 'cerrado') THEN COALESCE($2::timestamp, CURRENT_TIMESTAMP) END,
+               closed_at = CASE WHEN $1::text = 'cerrado' THEN COALESCE($2::timestamp, CURRENT_TIMESTAMP) END
+           WHERE id = $3`,
+          [ticket.estado || "abierto", ticket.fecha || null, nuevoTicket.id]
+        );
+
+        migratedCount++;
+      } catch (error) {
+        log(`  ⚠️  Error con ticket ${ticket.id}: ${error.message}`, "yellow");
+      }
+    }
+
+    log(`✅ ${migratedCount} tickets migrados`, "green");
+  } catch (error) {
+    log(`❌ Error migrando tickets: ${error.message}`, "red");
+    throw error;
+  }
+}
+
+/**
+ * 9. Migrar Plataformas de Podcast
  */
 async function migratePodcastPlatforms() {
-  log("\n📝 Paso 8: Migrando plataformas de podcast...", "blue");
+  log("\n📝 Paso 9: Migrando plataformas de podcast...", "blue");
 
   try {
     const data = readJSON("content/formularios/blog.json");
@@ -396,10 +449,10 @@ async function migratePodcastPlatforms() {
 }
 
 /**
- * 9. Verificar migración
+ * 10. Verificar migración
  */
 async function verifyMigration() {
-  log("\n📝 Paso 9: Verificando migración...", "blue");
+  log("\n📝 Paso 10: Verificando migración...", "blue");
 
   try {
     const checks = [
@@ -411,6 +464,7 @@ async function verifyMigration() {
       { table: "categories", name: "Categorías" },
       { table: "products", name: "Productos" },
       { table: "leads", name: "Leads" },
+      { table: "tickets", name: "Tickets" },
       { table: "podcast_platforms", name: "Plataformas" },
     ];
 
@@ -469,6 +523,7 @@ async function migrate() {
     await migratePlans();
     await migrateTienda();
     await migrateLeads();
+    await migrateTickets();
     await migratePodcastPlatforms();
     await verifyMigration();
 
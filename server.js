@@ -18,6 +18,10 @@ testConnection();
 
 const app = express();
 
+// Render (y la mayoría de hostings) coloca un proxy delante de la app:
+// confiar en el primer salto para obtener la IP real del cliente en req.ip
+app.set("trust proxy", 1);
+
 // Middleware
 app.use(helmet());
 app.use(cors());
@@ -31,12 +35,27 @@ const limiter = rateLimit({
 });
 app.use("/api/", limiter);
 
+// API keys: identificar la clave y aplicar su propio límite por minuto
+const { identifyApiKey, apiKeyLimiter } = require("./middleware/apiKey");
+app.use("/api/", identifyApiKey, apiKeyLimiter);
+
 // Test de conexión a PostgreSQL al iniciar
 testConnection();
 
 // ✅ RUTAS - REGISTRAR TODAS
 app.use("/api/auth", require("./routes/auth"));
+app.use("/api/users", require("./routes/users"));
+app.use("/api/roles", require("./routes/roles"));
+app.use("/api/invitations", require("./routes/invitations"));
+app.use("/api/api-keys", require("./routes/api-keys"));
+app.use("/api/webhooks", require("./routes/webhooks"));
 app.use("/api/leads", require("./routes/leads"));
+app.use("/api/lead-quarantine", require("./routes/lead-quarantine"));
+app.use("/api/pipelines", require("./routes/pipelines"));
+app.use("/api/assignment-rules", require("./routes/assignment-rules"));
+app.use("/api/scoring-rules", require("./routes/scoring-rules"));
+app.use("/api/tasks", require("./routes/tasks"));
+app.use("/api/soporte", require("./routes/soporte"));
 app.use("/api/content", require("./routes/content"));
 app.use("/api/servicios", require("./routes/servicios"));
 app.use("/api/blog", require("./routes/blog"));
@@ -72,6 +91,16 @@ app.listen(PORT, () => {
   console.log(`🚀 API corriendo en puerto ${PORT}`);
   console.log(`📊 Base de datos: PostgreSQL`);
   console.log(`🌍 Entorno: ${process.env.NODE_ENV}`);
+
+  // Recordatorios y avisos de tareas vencidas
+  if (process.env.TASK_SCHEDULER_ENABLED !== "false") {
+    require("./services/taskScheduler").start();
+  }
+
+  // Entrega de webhooks salientes
+  if (process.env.WEBHOOK_DISPATCHER_ENABLED !== "false") {
+    require("./services/webhookDispatcher").start();
+  }
 });
 
 // const express = require("express");
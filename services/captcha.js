@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Verificación de CAPTCHA del formulario público de leads
+ *
+ * La verificación se delega en un "verificador" intercambiable: cualquier
+ * objeto con un método async verify(token, context) que devuelve
+ * { success, error }.
+ *
+ * Verificadores incluidos (variable CAPTCHA_VERIFIER):
+ * - none: sin CAPTCHA (por defecto)
+ * - stub: verificador local para desarrollo y pruebas. Acepta cualquier
+ *   token salvo vacío o 'fail'
+ *
+ * Para producción se registra el proveedor real al iniciar la app, por ejemplo:
+ *
+ * const captcha = require('./services/captcha');
+ * captcha.setVerifier({
+ *   verify: async (token, { ip }) => {
+ *     const result = await recaptcha.siteverify(token, ip);
+ *     return { success: result.success, error: 'CAPTCHA no superado' };
+ *   },
+ * });
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+/**
+ * Verificadores incluidos
+ */
+const builtInVerifiers = {
+  none: null,
+  stub: {
+    async verify(token) {
+      if (!token || token === "fail") {
+        return { success: false, error: "CAPTCHA no superado" };
+      }
+      return { success: true };
+    },
+  },
+};
+
+let verifier = null;
+
+/**
+ * Obtiene el verificador activo (por defecto el indicado en CAPTCHA_VERIFIER)
+ * null = CAPTCHA desactivado
+ */
+function getVerifier() {
+  if (verifier) return verifier;
+
+  const name = process.env.CAPTCHA_VERIFIER || "none";
+  if (!Object.prototype.hasOwnProperty.call(builtInVerifiers, name)) {
+    throw new Error(
+      `Verificador de CAPTCHA desconocido: ${name}. Disponibles: ${Object.keys(
+        builtInVerifiers
+      ).join(", ")}`
+    );
+  }
+  return builtInVerifiers[name];
+}
+
+/**
+ * Registra un verificador personalizado
+ *
+ * @param {Object} customVerifier - Objeto con método async verify(token, context)
+ */
+function setVerifier(customVerifier) {
+  if (!customVerifier || typeof customVerifier.verify !== "function") {
+    throw new Error("El verificador debe implementar verify(token, context)");
+  }
+  verifier = customVerifier;
+}
+
+/**
+ * Indica si el formulario debe enviar un token de CAPTCHA
+ *
+ * @returns {boolean}
+ */
+function isEnabled() {
+  return getVerifier() !== null;
+}
+
+/**
+ * Verifica un token de CAPTCHA con el verificador activo
+ *
+ * @param {string} token - Token enviado por el formulario
+ * @param {Object} [context] - Datos de la petición ({ ip })
+ * @returns {Promise<Object>} { success, error }
+ */
+async function verify(token, context = {}) {
+  const active = getVerifier();
+  if (!active) return { success: true };
+
+  if (!token) {
+    return { success: false, error: "CAPTCHA requerido" };
+  }
+
+  const result = await active.verify(token, context);
+  return {
+    success: Boolean(result && result.success),
+    error:
+      result && result.success
+        ? undefined
+        : (result && result.error) || "CAPTCHA no superado",
+  };
+}
+
+module.exports = {
+  verify,
+  isEnabled,
+  setVerifier,
+};
@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Protección antispam del formulario público de leads
+ *
+ * Comprobaciones (en este orden, configurables por variables de entorno):
+ * - Honeypot: campo oculto LEAD_FORM_HONEYPOT_FIELD que una persona deja
+ *   vacío. Si llega relleno se responde como si se hubiera creado el lead,
+ *   para no dar pistas al bot
+ * - Límite por IP: LEAD_FORM_MAX_PER_IP envíos en LEAD_FORM_WINDOW_MINUTES
+ * - Límite por email: LEAD_FORM_MAX_PER_EMAIL envíos en la misma ventana
+ *   (los envíos rechazados por estos límites no cuentan)
+ * - Token de formulario (GET /api/leads/form-token): firmado, válido durante
+ *   LEAD_FORM_TOKEN_MAX_AGE_MINUTES y enviado al menos LEAD_FORM_MIN_SECONDS
+ *   después de pedirlo. Es obligatorio salvo con
+ *   LEAD_FORM_TOKEN_REQUIRED=false (entonces solo se comprueba si llega).
+ *   Cada token vale para un solo envío aceptado (models/LeadFormToken.js)
+ * - Email desechable: dominios de config/disposableEmailDomains.js y
+ *   LEAD_BLOCKED_EMAIL_DOMAINS
+ * - CAPTCHA: services/captcha.js (desactivado por defecto)
+ *
+ * Todos los envíos quedan registrados en lead_form_submissions y los
+ * rechazados, en cuarentena (lead_quarantine) para que un admin los revise.
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const LeadFormSubmission = require("../models/LeadFormSubmission");
+const LeadQuarantine = require("../models/LeadQuarantine");
+const LeadFormToken = require("../models/LeadFormToken");
+const captcha = require("./captcha");
+const { createFormToken, verifyFormToken } = require("../utils/formToken");
+const {
+  DISPOSABLE_EMAIL_DOMAINS,
+} = require("../config/disposableEmailDomains");
+
+const HONEYPOT_FIELD = process.env.LEAD_FORM_HONEYPOT_FIELD || "website";
+const MIN_SECONDS = parseInt(process.env.LEAD_FORM_MIN_SECONDS) || 3;
+const TOKEN_MAX_AGE_MINUTES =
+  parseInt(process.env.LEAD_FORM_TOKEN_MAX_AGE_MINUTES) || 120;
+const TOKEN_REQUIRED = process.env.LEAD_FORM_TOKEN_REQUIRED !== "false";
+const MAX_PER_IP = parseInt(process.env.LEAD_FORM_MAX_PER_IP) || 5;
+const MAX_PER_EMAIL = parseInt(process.env.LEAD_FORM_MAX_PER_EMAIL) || 3;
+const WINDOW_MINUTES = parseInt(process.env.LEAD_FORM_WINDOW_MINUTES) || 60;
+
+// Campos del body que no se guardan en cuarentena
+const FORM_CONTROL_FIELDS = ["form_token", "captcha_token"];
+
+const BLOCKED_DOMAINS = new Set([
+  ...DISPOSABLE_EMAIL_DOMAINS,
+  ...(process.env.LEAD_BLOCKED_EMAIL_DOMAINS || "")
+    .split(",")
+    .map((domain) => domain.trim().toLowerCase())
+    .filter(Boolean),
+]);
+
+/**
+ * Helper: Indica si el email es de un dominio bloqueado (o de un subdominio)
+ */
+function isBlockedEmail(email) {
+  const domain = String(email || "")
+    .trim()
+    .toLowerCase()
+    .split("@")[1];
+  if (!domain) return false;
+
+  const labels = domain.split(".");
+  return labels.some((_, i) => BLOCKED_DOMAINS.has(labels.slice(i).join(".")));
+}
+
+/**
+ * Helper: Primer motivo de rechazo del envío (null si pasa)
+ */
+async function findRejection(req) {
+  const body = req.body || {};
+
+  const honeypot = body[HONEYPOT_FIELD];
+  if (honeypot !== undefined && String(honeypot).trim() !== "") {
+    return {
+      motivo: "honeypot",
+      detalle: `Campo ${HONEYPOT_FIELD} relleno`,
+      silent: true,
+    };
+  }
+
+  const recent = await LeadFormSubmission.countRecent({
+    ip_address: req.ip,
+    email: body.email,
+    minutes: WINDOW_MINUTES,
+  });
+
+  if (recent.por_ip >= MAX_PER_IP) {
+    return {
+      motivo: "limite_ip",
+      detalle: `${recent.por_ip} envíos desde la IP en ${WINDOW_MINUTES} min`,
+      status: 429,
+      error: "Demasiados envíos desde esta IP, intenta más tarde",
+      retry_after: WINDOW_MINUTES * 60,
+    };
+  }
+
+  if (recent.por_email >= MAX_PER_EMAIL) {
+    return {
+      motivo: "limite_email",
+      detalle: `${recent.por_email} envíos con el email en ${WINDOW_MINUTES} min`,
+      status: 429,
+      error:
+        "Ya recibimos varias solicitudes con este email, intenta más tarde",
+      retry_after: WINDOW_MINUTES * 60,
+    };
+  }
+
+  let token = null;
+  if (TOKEN_REQUIRED || body.form_token) {
+    token = verifyFormToken(body.form_token, TOKEN_MAX_AGE_MINUTES * 60);
+
+    if (!token.valid) {
+      return {
+        motivo: "token_invalido",
+        detalle: body.form_token ? token.error : "Sin token de formulario",
+        error: token.error,
+      };
+    }
+
+    if (token.age_seconds < MIN_SECONDS) {
+      return {
+        motivo: "demasiado_rapido",
+        detalle: `Enviado ${token.age_seconds.toFixed(
+          1
+        )} s después de abrir el formulario`,
+        error: "Formulario enviado demasiado rápido, inténtalo de nuevo",
+      };
+    }
+  }
+
+  if (isBlockedEmail(body.email)) {
+    return {
+      motivo: "email_desechable",
+      detalle: String(body.email).split("@")[1],
+      error: "Usa un email permanente: no aceptamos emails temporales",
+    };
+  }
+
+  const captchaResult = await captcha.verify(body.captcha_token, {
+    ip: req.ip,
+  });
+  if (!captchaResult.success) {
+    return {
+      motivo: "captcha",
+      detalle: captchaResult.error,
+      error: captchaResult.error,
+    };
+  }
+
+  // Al final: un envío rechazado no gasta el token
+  if (
+    token &&
+    !(await LeadFormToken.markUsed(token.nonce, TOKEN_MAX_AGE_MINUTES))
+  ) {
+    return {
+      motivo: "token_invalido",
+      detalle: "Token ya usado",
+      error: "El formulario ya se envió, recarga la página",
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Configuración que necesita el frontend para enviar el formulario
+ *
+ * DÓNDE SE USA: En GET /api/leads/form-token
+ *
+ * @returns {Object} { token, expires_in, min_seconds, honeypot_field, captcha_required }
+ */
+function issueFormToken() {
+  return {
+    token: createFormToken(),
+    expires_in: TOKEN_MAX_AGE_MINUTES * 60,
+    min_seconds: MIN_SECONDS,
+    honeypot_field: HONEYPOT_FIELD,
+    captcha_required: captcha.isEnabled(),
+  };
+}
+
+/**
+ * Comprueba un envío del formulario público, lo registra y, si se
+ * rechaza, lo pone en cuarentena
+ *
+ * DÓNDE SE USA: En POST /api/leads (sin API key)
+ *
+ * @param {Object} req - Request de Express (body, IP y user agent)
+ * @returns {Promise<Object>} { allowed, motivo, status, error, retry_after, silent }
+ */
+async function checkSubmission(req) {
+  const body = req.body || {};
+  const rejection = await findRejection(req);
+
+  await LeadFormSubmission.record({
+    ip_address: req.ip,
+    email: body.email,
+    accepted: !rejection,
+    motivo: rejection ? rejection.motivo : null,
+  });
+
+  if (!rejection) return { allowed: true };
+
+  const payload = { ...body };
+  FORM_CONTROL_FIELDS.forEach((field) => delete payload[field]);
+
+  await LeadQuarantine.record({
+    motivo: rejection.motivo,
+    detalle: rejection.detalle,
+    payload,
+    ip_address: req.ip,
+    user_agent: req.get("user-agent"),
+  });
+
+  return { allowed: false, status: 400, ...rejection };
+}
+
+/**
+ * Envía la respuesta de envío rechazado
+ * (honeypot: respuesta de éxito sin datos; límites: 429 con Retry-After)
+ *
+ * @param {Object} res - Response de Express
+ * @param {Object} check - Resultado de checkSubmission()
+ */
+function sendRejection(res, check) {
+  if (check.silent) {
+    return res.status(201).json({
+      success: true,
+      message: "Lead creado exitosamente",
+    });
+  }
+
+  if (check.retry_after) {
+    res.set("Retry-After", String(check.retry_after));
+  }
+
+  return res.status(check.status).json({
+    success: false,
+    error: check.error,
+    motivo: check.motivo,
+    retry_after: check.retry_after,
+  });
+}
+
+module.exports = {
+  issueFormToken,
+  checkSubmission,
+  sendRejection,
+};
@@ -0,0 +1,227 @@
+/**
+ * @fileoverview Protección contra fuerza bruta en el login
+ *
+ * Reglas (configurables por variables de entorno):
+ * - Por IP: más de LOGIN_MAX_IP_FAILURES fallos en LOGIN_IP_WINDOW_MINUTES
+ *   bloquea temporalmente nuevos intentos desde esa IP
+ * - Por cuenta: cada fallo consecutivo impone una espera progresiva
+ *   (1s, 2s, 4s... hasta 30s) antes del siguiente intento
+ * - Por cuenta: LOGIN_MAX_ATTEMPTS fallos consecutivos bloquean la cuenta
+ *   durante LOGIN_LOCKOUT_MINUTES (un admin puede desbloquearla antes)
+ *
+ * Cada intento sobre una cuenta activa se cuenta como fallido antes de
+ * comprobar la contraseña (User.claimLoginAttempt, atómico) y el login
+ * exitoso reinicia el contador: así los intentos en paralelo no se saltan
+ * la espera ni el bloqueo. Todos los intentos quedan registrados en
+ * login_attempts.
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const User = require("../models/User");
+const LoginAttempt = require("../models/LoginAttempt");
+
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOGIN_MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 20;
+const LOGIN_IP_WINDOW_MINUTES =
+  parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15;
+const MAX_PROGRESSIVE_DELAY_SECONDS = 30;
+
+/**
+ * Helper: Segundos de espera exigidos tras N fallos consecutivos
+ */
+function progressiveDelaySeconds(failures) {
+  if (failures < 2) return 0;
+  return Math.min(2 ** (failures - 2), MAX_PROGRESSIVE_DELAY_SECONDS);
+}
+
+/**
+ * Helper: Segundos restantes hasta una fecha (mínimo 1)
+ */
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+}
+
+/**
+ * Helper: Rechazo por cuenta bloqueada o espera progresiva (null si no aplica)
+ */
+function accountRejection(state) {
+  if (state.locked_until && new Date(state.locked_until) > new Date()) {
+    return {
+      allowed: false,
+      status: 423,
+      reason: "account_locked",
+      error: "Cuenta bloqueada temporalmente por intentos fallidos",
+      retry_after: secondsUntil(state.locked_until),
+    };
+  }
+
+  const delay = progressiveDelaySeconds(state.failed_login_count);
+  if (delay > 0 && state.last_failed_login_at) {
+    const nextAllowedAt =
+      new Date(state.last_failed_login_at).getTime() + delay * 1000;
+    if (nextAllowedAt > Date.now()) {
+      return {
+        allowed: false,
+        status: 429,
+        reason: "throttled",
+        error: "Espera unos segundos antes de volver a intentarlo",
+        retry_after: secondsUntil(nextAllowedAt),
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Verifica si se permite un intento de login y, sobre una cuenta activa,
+ * lo reserva contándolo como fallido (registerSuccess lo reinicia)
+ *
+ * @param {Object} params
+ * @param {Object|null} params.user - Usuario (de User.findByEmail con includePassword)
+ * @param {string} params.ip - IP del cliente
+ * @returns {Promise<Object>} { allowed, status, error, retry_after }
+ */
+async function checkAllowed({ user, ip }) {
+  const ipFailures = await LoginAttempt.countRecentFailuresByIp(
+    ip,
+    LOGIN_IP_WINDOW_MINUTES
+  );
+
+  if (ipFailures >= LOGIN_MAX_IP_FAILURES) {
+    return {
+      allowed: false,
+      status: 429,
+      reason: "ip_blocked",
+      error: "Demasiados intentos fallidos desde esta IP, intenta más tarde",
+      retry_after: LOGIN_IP_WINDOW_MINUTES * 60,
+    };
+  }
+
+  // Los usuarios inactivos se rechazan sin sumar al contador (routes/auth.js)
+  if (!user || user.status !== "active") return { allowed: true };
+
+  const claimed = await User.claimLoginAttempt(
+    user.id,
+    LOGIN_MAX_ATTEMPTS,
+    LOGIN_LOCKOUT_MINUTES,
+    MAX_PROGRESSIVE_DELAY_SECONDS
+  );
+  if (claimed) return { allowed: true };
+
+  // Otro intento cambió el contador entre medias: la espera ya casi pasó
+  const state = await User.getLoginState(user.id);
+  return (
+    (state && accountRejection(state)) || {
+      allowed: false,
+      status: 429,
+      reason: "throttled",
+      error: "Espera unos segundos antes de volver a intentarlo",
+      retry_after: 1,
+    }
+  );
+}
+
+/**
+ * Registra un intento fallido
+ * (checkAllowed ya lo sumó al contador de la cuenta y la bloqueó si tocaba)
+ *
+ * @param {Object} params
+ * @param {Object|null} params.user - Usuario (null si el email no existe)
+ * @param {string} params.email - Email usado
+ * @param {Object} params.req - Request de Express (IP y user agent)
+ * @param {string} params.reason - Motivo del fallo
+ * @returns {Promise<void>}
+ */
+async function registerFailure({ user, email, req, reason }) {
+  await LoginAttempt.record({
+    user_id: user ? user.id : null,
+    email,
+    ip_address: req.ip,
+    user_agent: req.headers["user-agent"],
+    success: false,
+    failure_reason: reason,
+  });
+}
+
+/**
+ * Devuelve el intento reservado por checkAllowed cuando la contraseña es
+ * correcta pero el login sigue con el 2FA (que reserva su propio intento)
+ *
+ * @param {Object} user - Usuario
+ * @returns {Promise<void>}
+ */
+async function releaseAttempt(user) {
+  await User.releaseLoginAttempt(user.id, LOGIN_MAX_ATTEMPTS);
+}
+
+/**
+ * Registra un intento rechazado sin sumar al contador de fallos de la cuenta
+ * (bloqueos vigentes, usuario inactivo). Así un atacante no puede prolongar
+ * indefinidamente el bloqueo de la cuenta de otra persona.
+ *
+ * @param {Object} params
+ * @param {Object|null} params.user - Usuario (null si el email no existe)
+ * @param {string} params.email - Email usado
+ * @param {Object} params.req - Request de Express (IP y user agent)
+ * @param {string} params.reason - Motivo del rechazo
+ * @returns {Promise<void>}
+ */
+async function recordRejection({ user, email, req, reason }) {
+  await LoginAttempt.record({
+    user_id: user ? user.id : null,
+    email,
+    ip_address: req.ip,
+    user_agent: req.headers["user-agent"],
+    success: false,
+    failure_reason: reason,
+  });
+}
+
+/**
+ * Registra un intento exitoso y reinicia el contador de fallos
+ *
+ * @param {Object} params
+ * @param {Object} params.user - Usuario autenticado
+ * @param {Object} params.req - Request de Express (IP y user agent)
+ * @returns {Promise<void>}
+ */
+async function registerSuccess({ user, req }) {
+  await LoginAttempt.record({
+    user_id: user.id,
+    email: user.email,
+    ip_address: req.ip,
+    user_agent: req.headers["user-agent"],
+    success: true,
+  });
+
+  // Siempre: checkAllowed contó este intento como fallido
+  await User.resetFailedLogins(user.id);
+}
+
+/**
+ * Envía la respuesta de intento rechazado (con cabecera Retry-After)
+ *
+ * @param {Object} res - Response de Express
+ * @param {Object} check - Resultado de checkAllowed()
+ */
+function sendRejection(res, check) {
+  res.set("Retry-After", String(check.retry_after));
+  return res.status(check.status).json({
+    success: false,
+    error: check.error,
+    retry_after: check.retry_after,
+  });
+}
+
+module.exports = {
+  checkAllowed,
+  registerFailure,
+  releaseAttempt,
+  recordRejection,
+  registerSuccess,
+  sendRejection,
+};
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Servicio de envío de emails para Boost Agency API
+ *
+ * El envío se delega en un "transporte" intercambiable. Un transporte es
+ * cualquier objeto con un método async send(message).
+ *
+ * Transportes incluidos (variable MAIL_TRANSPORT):
+ * - console: imprime el email en la consola (por defecto, ideal para desarrollo)
+ * - file: guarda cada email como JSON en MAIL_FILE_DIR (útil para pruebas)
+ *
+ * Para producción se registra un transporte real al iniciar la app, por ejemplo:
+ *
+ * const mailer = require('./services/mailer');
+ * mailer.setTransport({
+ *   send: (message) => nodemailerTransport.sendMail(message),
+ * });
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const MAIL_FROM =
+  process.env.MAIL_FROM || "Boost Agency <no-reply@boostagency.com>";
+const MAIL_FILE_DIR =
+  process.env.MAIL_FILE_DIR || path.join(__dirname, "../logs/mails");
+
+/**
+ * Transportes incluidos
+ */
+const builtInTransports = {
+  console: {
+    async send(message) {
+      console.log("📧 Email (transporte console):");
+      console.log(`   Para: ${message.to}`);
+      console.log(`   Asunto: ${message.subject}`);
+      console.log(message.text);
+      return { id: null };
+    },
+  },
+  file: {
+    async send(message) {
+      if (!fs.existsSync(MAIL_FILE_DIR)) {
+        fs.mkdirSync(MAIL_FILE_DIR, { recursive: true });
+      }
+      const id = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+      const filePath = path.join(MAIL_FILE_DIR, `${id}.json`);
+      await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+      return { id, path: filePath };
+    },
+  },
+};
+
+let transport = null;
+
+/**
+ * Obtiene el transporte activo (por defecto el indicado en MAIL_TRANSPORT)
+ */
+function getTransport() {
+  if (transport) return transport;
+
+  const name = process.env.MAIL_TRANSPORT || "console";
+  if (!builtInTransports[name]) {
+    throw new Error(
+      `Transporte de email desconocido: ${name}. Disponibles: ${Object.keys(
+        builtInTransports
+      ).join(", ")}`
+    );
+  }
+  return builtInTransports[name];
+}
+
+/**
+ * Registra un transporte personalizado
+ *
+ * @param {Object} customTransport - Objeto con método async send(message)
+ */
+function setTransport(customTransport) {
+  if (!customTransport || typeof customTransport.send !== "function") {
+    throw new Error("El transporte debe implementar send(message)");
+  }
+  transport = customTransport;
+}
+
+/**
+ * Envía un email usando el transporte activo
+ *
+ * @param {Object} message - Datos del email
+ * @param {string} message.to - Destinatario
+ * @param {string} message.subject - Asunto
+ * @param {string} message.text - Cuerpo en texto plano
+ * @param {string} [message.html] - Cuerpo en HTML (opcional)
+ * @param {string} [message.from] - Remitente (por defecto MAIL_FROM)
+ * @returns {Promise<Object>} Resultado del transporte
+ */
+async function sendMail(message) {
+  const { to, subject, text, html, from = MAIL_FROM } = message;
+
+  if (!to || !subject || !text) {
+    throw new Error("Destinatario, asunto y cuerpo son requeridos");
+  }
+
+  return await getTransport().send({ from, to, subject, text, html });
+}
+
+module.exports = {
+  sendMail,
+  setTransport,
+};
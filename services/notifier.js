@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Servicio de notificaciones internas para Boost Agency API
+ *
+ * Avisa a los usuarios del equipo (recordatorios y tareas vencidas).
+ * Igual que el mailer, la entrega se delega en un "notificador"
+ * intercambiable: cualquier objeto con un método async notify(notification).
+ *
+ * Notificadores incluidos (variable NOTIFIER):
+ * - email: envía un email al responsable con services/mailer.js (por defecto)
+ * - console: imprime la notificación en la consola
+ *
+ * Para otros canales (Slack, push...) se registra uno propio al iniciar la app:
+ *
+ * const notifier = require('./services/notifier');
+ * notifier.setNotifier({
+ *   notify: (notification) => slack.postMessage(...),
+ * });
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const mailer = require("./mailer");
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:4200";
+
+/**
+ * Helper: Asunto y texto de una notificación de tarea
+ */
+function describeTask({ tipo, task }) {
+  const lead = task.lead_nombre || "lead";
+  const dueAt = new Date(task.due_at).toLocaleString("es-ES");
+
+  const subject =
+    tipo === "vencida"
+      ? `Tarea vencida: ${task.title}`
+      : `Recordatorio: ${task.title}`;
+
+  const text = [
+    tipo === "vencida"
+      ? `La tarea "${task.title}" (${lead}) venció el ${dueAt}.`
+      : `La tarea "${task.title}" (${lead}) vence el ${dueAt}.`,
+    task.description ? `\n${task.description}` : "",
+    `\nVer lead: ${FRONTEND_URL}/leads/${task.lead_id}`,
+  ].join("");
+
+  return { subject, text };
+}
+
+/**
+ * Notificadores incluidos
+ */
+const builtInNotifiers = {
+  email: {
+    async notify(notification) {
+      const { to } = notification;
+      if (!to) return { sent: false };
+
+      await mailer.sendMail({ to, ...describeTask(notification) });
+      return { sent: true };
+    },
+  },
+  console: {
+    async notify(notification) {
+      const { subject, text } = describeTask(notification);
+      console.log("🔔 Notificación (notificador console):");
+      console.log(`   Para: ${notification.to || "(sin responsable)"}`);
+      console.log(`   ${subject}`);
+      console.log(text);
+      return { sent: true };
+    },
+  },
+};
+
+let notifier = null;
+
+/**
+ * Obtiene el notificador activo (por defecto el indicado en NOTIFIER)
+ */
+function getNotifier() {
+  if (notifier) return notifier;
+
+  const name = process.env.NOTIFIER || "email";
+  if (!builtInNotifiers[name]) {
+    throw new Error(
+      `Notificador desconocido: ${name}. Disponibles: ${Object.keys(
+        builtInNotifiers
+      ).join(", ")}`
+    );
+  }
+  return builtInNotifiers[name];
+}
+
+/**
+ * Registra un notificador personalizado
+ *
+ * @param {Object} customNotifier - Objeto con método async notify(notification)
+ */
+function setNotifier(customNotifier) {
+  if (!customNotifier || typeof customNotifier.notify !== "function") {
+    throw new Error("El notificador debe implementar notify(notification)");
+  }
+  notifier = customNotifier;
+}
+
+/**
+ * Envía una notificación con el notificador activo
+ *
+ * @param {Object} notification - Datos de la notificación
+ * @param {string} notification.tipo - 'recordatorio' o 'vencida'
+ * @param {Object} notification.task - Tarea (con lead_nombre, assigned_to...)
+ * @param {string} [notification.to] - Email del responsable
+ * @returns {Promise<Object>} Resultado del notificador
+ */
+async function notify(notification) {
+  if (!notification || !notification.tipo || !notification.task) {
+    throw new Error("Tipo y tarea de la notificación son requeridos");
+  }
+
+  return await getNotifier().notify(notification);
+}
+
+module.exports = {
+  notify,
+  setNotifier,
+};
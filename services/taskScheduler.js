@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Job periódico de tareas de seguimiento de leads
+ *
+ * Cada TASK_SCHEDULER_INTERVAL_MINUTES (por defecto 5):
+ * - Envía los recordatorios pendientes (remind_at o, sin él,
+ *   TASK_REMINDER_MINUTES antes de la fecha límite)
+ * - Marca las tareas que vencieron sin completarse y avisa al responsable
+ *
+ * Las notificaciones se envían con services/notifier.js. Cada tarea se
+ * marca antes de notificarla (FOR UPDATE SKIP LOCKED), así que varias
+ * instancias de la API no envían avisos duplicados.
+ *
+ * Se arranca desde server.js (TASK_SCHEDULER_ENABLED=false lo desactiva).
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const Task = require("../models/Task");
+const notifier = require("./notifier");
+
+const INTERVAL_MINUTES =
+  parseInt(process.env.TASK_SCHEDULER_INTERVAL_MINUTES) || 5;
+const REMINDER_MINUTES = parseInt(process.env.TASK_REMINDER_MINUTES) || 60;
+
+// Máximo de tareas procesadas por tipo en cada ejecución
+const BATCH_SIZE = 100;
+
+let timer = null;
+let running = false;
+
+/**
+ * Helper: Notifica cada tarea sin que un fallo corte el resto
+ */
+async function notifyAll(tipo, tasks) {
+  let sent = 0;
+
+  for (const task of tasks) {
+    try {
+      await notifier.notify({ tipo, task, to: task.assigned_to_email });
+      sent++;
+    } catch (error) {
+      console.error(`Error notificando tarea ${task.id} (${tipo}):`, error);
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Ejecuta una pasada del job
+ *
+ * @returns {Promise<Object>} { recordatorios, vencidas } (notificaciones enviadas)
+ */
+async function runOnce() {
+  if (running) return { recordatorios: 0, vencidas: 0 };
+  running = true;
+
+  try {
+    const reminders = await Task.claimDueReminders(
+      REMINDER_MINUTES,
+      BATCH_SIZE
+    );
+    const overdue = await Task.markOverdue(BATCH_SIZE);
+
+    return {
+      recordatorios: await notifyAll("recordatorio", reminders),
+      vencidas: await notifyAll("vencida", overdue),
+    };
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Arranca el job (no impide que el proceso termine)
+ */
+function start() {
+  if (timer) return;
+
+  const tick = () =>
+    runOnce().catch((error) => {
+      console.error("Error en el job de tareas:", error);
+    });
+
+  timer = setInterval(tick, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  tick();
+
+  console.log(`⏰ Job de tareas activo (cada ${INTERVAL_MINUTES} min)`);
+}
+
+/**
+ * Detiene el job
+ */
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+};
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Despachador de webhooks salientes
+ *
+ * Cada WEBHOOK_DISPATCHER_INTERVAL_SECONDS (por defecto 15) reclama los
+ * envíos pendientes (models/WebhookDelivery.js) y los envía por POST:
+ * - Respuesta 2xx: entregado
+ * - Error, timeout (WEBHOOK_TIMEOUT_MS) o respuesta no 2xx: se reintenta
+ *   con espera exponencial (WEBHOOK_RETRY_BASE_SECONDS × 2^(intento - 1),
+ *   como mucho 6 horas) hasta WEBHOOK_MAX_ATTEMPTS intentos; después queda
+ *   fallido y se puede reenviar a mano
+ *
+ * Cada envío lleva las cabeceras:
+ * - X-Boost-Event: evento ('lead.created')
+ * - X-Boost-Delivery: UUID del envío (el mismo en todos sus reintentos)
+ * - X-Boost-Timestamp: segundos Unix del intento
+ * - X-Boost-Signature: 'sha256=' + HMAC-SHA256 hex de
+ *   '<timestamp>.<body>' con el secreto del webhook
+ *
+ * Se arranca desde server.js (WEBHOOK_DISPATCHER_ENABLED=false lo desactiva).
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const crypto = require("crypto");
+const WebhookDelivery = require("../models/WebhookDelivery");
+
+const INTERVAL_SECONDS =
+  parseInt(process.env.WEBHOOK_DISPATCHER_INTERVAL_SECONDS) || 15;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_SECONDS =
+  parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// Espera máxima entre reintentos
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+
+// Máximo de envíos por ejecución (se envían en paralelo)
+const BATCH_SIZE = 20;
+
+// Plazo tras el que otra instancia puede reintentar un envío reclamado
+const LEASE_SECONDS = Math.ceil(TIMEOUT_MS / 1000) + 60;
+
+let timer = null;
+let running = false;
+
+/**
+ * Firma el cuerpo de un envío
+ *
+ * @param {string} secret - Secreto del webhook
+ * @param {number} timestamp - Segundos Unix
+ * @param {string} body - Cuerpo JSON enviado
+ * @returns {string} Firma ('sha256=<hex>')
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `sha256=${digest}`;
+}
+
+/**
+ * Helper: Espera antes del siguiente intento (null si no quedan)
+ */
+function retryDelay(attempts) {
+  if (attempts >= MAX_ATTEMPTS) return null;
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+}
+
+/**
+ * Helper: Envía un envío reclamado y devuelve el resultado del intento
+ */
+async function send(delivery) {
+  const body = JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    created_at: delivery.created_at,
+    data: delivery.payload,
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "BoostAgency-Webhooks/1.0",
+        "X-Boost-Event": delivery.event,
+        "X-Boost-Delivery": delivery.id,
+        "X-Boost-Timestamp": String(timestamp),
+        "X-Boost-Signature": signPayload(delivery.secret, timestamp, body),
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+
+    return {
+      ok: response.ok,
+      response_status: response.status,
+      response_body: await response.text().catch(() => null),
+      error: response.ok ? null : `HTTP ${response.status}`,
+      duration_ms: Date.now() - startedAt,
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      error:
+        error.name === "TimeoutError"
+          ? `Sin respuesta en ${TIMEOUT_MS} ms`
+          : (error.cause && error.cause.message) || error.message,
+      duration_ms: Date.now() - startedAt,
+    };
+  }
+}
+
+/**
+ * Helper: Envía y registra un envío sin que un fallo corte el resto
+ */
+async function deliver(delivery) {
+  try {
+    const outcome = await send(delivery);
+    await WebhookDelivery.recordAttempt(
+      delivery,
+      outcome,
+      outcome.ok ? null : retryDelay(delivery.attempts)
+    );
+    return outcome.ok;
+  } catch (error) {
+    console.error(`Error entregando webhook ${delivery.id}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Ejecuta una pasada del despachador
+ *
+ * @returns {Promise<Object>} { intentados, entregados }
+ */
+async function runOnce() {
+  if (running) return { intentados: 0, entregados: 0 };
+  running = true;
+
+  try {
+    const deliveries = await WebhookDelivery.claimDue(
+      LEASE_SECONDS,
+      BATCH_SIZE
+    );
+    const results = await Promise.all(deliveries.map(deliver));
+
+    return {
+      intentados: deliveries.length,
+      entregados: results.filter(Boolean).length,
+    };
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Arranca el despachador (no impide que el proceso termine)
+ */
+function start() {
+  if (timer) return;
+
+  const tick = () =>
+    runOnce().catch((error) => {
+      console.error("Error en el despachador de webhooks:", error);
+    });
+
+  timer = setInterval(tick, INTERVAL_SECONDS * 1000);
+  timer.unref();
+  tick();
+
+  console.log(`🪝 Despachador de webhooks activo (cada ${INTERVAL_SECONDS} s)`);
+}
+
+/**
+ * Detiene el despachador
+ */
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+  signPayload,
+};
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Tests del reseteo de contraseña por un admin
+ * (POST /api/auth/reset-password/:userId en routes/auth.js)
+ *
+ * Con PostgreSQL en memoria (PGlite).
+ *
+ * USO: npm test
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestDatabase } = require("./helpers/database");
+const testDb = createTestDatabase([
+  "001_refresh_tokens.sql",
+  "002_user_sessions.sql",
+  "003_password_reset_tokens.sql",
+  "004_two_factor_auth.sql",
+  "005_login_attempts.sql",
+  "006_roles_permissions.sql",
+]);
+
+const RefreshToken = require("../models/RefreshToken");
+const {
+  createUser,
+  accessTokenFor,
+  authHeaders,
+  startApp,
+} = require("./helpers/app");
+
+let app;
+
+before(async () => {
+  app = await startApp({ "/api/auth": require("../routes/auth") });
+});
+
+after(async () => {
+  await app.close();
+});
+
+test("el reseteo por un admin cierra las sesiones y los refresh tokens del usuario", async () => {
+  const adminToken = await accessTokenFor(await createUser("admin"));
+  const editor = await createUser("editor");
+  const editorToken = await accessTokenFor(editor);
+
+  const { rows } = await testDb.query(
+    "SELECT id FROM user_sessions WHERE user_id = $1",
+    [editor.id]
+  );
+  await RefreshToken.issue(editor.id, rows[0].id);
+
+  const reset = await fetch(`${app.url}/api/auth/reset-password/${editor.id}`, {
+    method: "POST",
+    headers: authHeaders(adminToken),
+    body: JSON.stringify({ new_password: "Nueva12345!" }),
+  });
+  assert.equal(reset.status, 200);
+
+  const me = await fetch(`${app.url}/api/auth/me`, {
+    headers: authHeaders(editorToken),
+  });
+  assert.equal(me.status, 401);
+
+  const active = await testDb.query(
+    `SELECT
+       (SELECT COUNT(*) FROM user_sessions
+        WHERE user_id = $1 AND revoked_at IS NULL)::int AS sesiones,
+       (SELECT COUNT(*) FROM refresh_tokens
+        WHERE user_id = $1 AND revoked_at IS NULL)::int AS refresh_tokens`,
+    [editor.id]
+  );
+  assert.deepEqual(active.rows[0], { sesiones: 0, refresh_tokens: 0 });
+});
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Tests de la protección de los admins frente a usuarios con
+ * users:manage que no son admins (requireAdminForAdminTarget en
+ * routes/users.js y en la administración de cuentas de routes/auth.js)
+ *
+ * Con PostgreSQL en memoria (PGlite).
+ *
+ * USO: npm test
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestDatabase } = require("./helpers/database");
+const testDb = createTestDatabase([
+  "001_refresh_tokens.sql",
+  "002_user_sessions.sql",
+  "003_password_reset_tokens.sql",
+  "004_two_factor_auth.sql",
+  "005_login_attempts.sql",
+  "006_roles_permissions.sql",
+]);
+
+const {
+  createUser,
+  accessTokenFor,
+  authHeaders,
+  startApp,
+} = require("./helpers/app");
+
+let app;
+let managerToken;
+let adminToken;
+let otherAdmin;
+let editor;
+
+before(async () => {
+  await testDb.ready;
+  await testDb.query(
+    `INSERT INTO roles (name, description, permissions)
+     VALUES ('rrhh', 'Gestiona el equipo', ARRAY['users:manage'])`
+  );
+
+  const manager = await createUser("rrhh");
+  const admin = await createUser("admin");
+  otherAdmin = await createUser("admin");
+  editor = await createUser("editor");
+
+  managerToken = await accessTokenFor(manager);
+  adminToken = await accessTokenFor(admin);
+
+  app = await startApp({
+    "/api/auth": require("../routes/auth"),
+    "/api/users": require("../routes/users"),
+  });
+});
+
+after(async () => {
+  await app.close();
+});
+
+// Rutas de gestión de un usuario ({id} se sustituye por su UUID)
+const ROUTES = [
+  ["PUT", "/api/users/{id}", { full_name: "Cambiado" }],
+  ["PATCH", "/api/users/{id}/status", { status: "suspended" }],
+  ["DELETE", "/api/users/{id}"],
+  ["DELETE", "/api/users/{id}/permanent"],
+  ["POST", "/api/auth/reset-password/{id}", { new_password: "Otra12345!" }],
+  ["DELETE", "/api/auth/users/{id}/2fa"],
+  ["GET", "/api/auth/users/{id}/sessions"],
+  ["DELETE", "/api/auth/users/{id}/sessions"],
+  ["GET", "/api/auth/users/{id}/login-attempts"],
+  ["POST", "/api/auth/users/{id}/unlock"],
+];
+
+async function request(token, method, path, userId, body) {
+  return await fetch(`${app.url}${path.replace("{id}", userId)}`, {
+    method,
+    headers: authHeaders(token),
+    body: body ? JSON.stringify(body) : undefined,
+  });
+}
+
+test("quien no es admin no puede gestionar a un admin", async () => {
+  for (const [method, path, body] of ROUTES) {
+    const response = await request(
+      managerToken,
+      method,
+      path,
+      otherAdmin.id,
+      body
+    );
+
+    assert.equal(response.status, 403, `${method} ${path}`);
+    assert.equal(
+      (await response.json()).error,
+      "Solo un administrador puede gestionar a otro administrador"
+    );
+  }
+
+  const result = await testDb.query(
+    "SELECT full_name, status FROM users WHERE id = $1",
+    [otherAdmin.id]
+  );
+  assert.equal(result.rows[0].status, "active");
+  assert.notEqual(result.rows[0].full_name, "Cambiado");
+});
+
+test("quien no es admin sí gestiona a los demás usuarios", async () => {
+  const sessions = await request(
+    managerToken,
+    "GET",
+    "/api/auth/users/{id}/sessions",
+    editor.id
+  );
+  assert.equal(sessions.status, 200);
+
+  const updated = await request(
+    managerToken,
+    "PUT",
+    "/api/users/{id}",
+    editor.id,
+    { full_name: "Editora" }
+  );
+  assert.equal(updated.status, 200);
+  assert.equal((await updated.json()).data.full_name, "Editora");
+});
+
+test("quien no es admin no puede dar el rol admin", async () => {
+  const response = await request(
+    managerToken,
+    "PUT",
+    "/api/users/{id}",
+    editor.id,
+    { role: "admin" }
+  );
+
+  assert.equal(response.status, 403);
+});
+
+test("un admin gestiona a otro admin", async () => {
+  const sessions = await request(
+    adminToken,
+    "GET",
+    "/api/auth/users/{id}/sessions",
+    otherAdmin.id
+  );
+  assert.equal(sessions.status, 200);
+
+  const suspended = await request(
+    adminToken,
+    "PATCH",
+    "/api/users/{id}/status",
+    otherAdmin.id,
+    { status: "suspended" }
+  );
+  assert.equal(suspended.status, 200);
+});
+
+test("un usuario que no existe devuelve 404", async () => {
+  const response = await request(
+    managerToken,
+    "GET",
+    "/api/auth/users/{id}/sessions",
+    "99999999-9999-9999-9999-999999999999"
+  );
+
+  assert.equal(response.status, 404);
+});
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Tests de los errores al resolver una API key
+ * (identifyApiKey en middleware/apiKey.js y authenticateToken en
+ * middleware/auth.js)
+ *
+ * Sin base de datos: ApiKey se simula en cada test.
+ *
+ * USO: npm test
+ */
+
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Los modelos toman query al cargarse: hay que reemplazarlo antes
+const db = require("../config/database");
+db.query = async () => ({ rows: [] });
+
+const ApiKey = require("../models/ApiKey");
+const { identifyApiKey } = require("../middleware/apiKey");
+const { authenticateToken } = require("../middleware/auth");
+
+const MIDDLEWARES = { identifyApiKey, authenticateToken };
+
+// Petición con una API key
+function buildRequest() {
+  return { ip: "10.3.0.1", headers: { "x-api-key": "ba_clave" } };
+}
+
+// Response que guarda el status y el cuerpo
+function buildResponse() {
+  return {
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+async function run(middleware) {
+  const req = buildRequest();
+  const res = buildResponse();
+  const next = mock.fn();
+  await middleware(req, res, next);
+  return { req, res, next };
+}
+
+beforeEach(() => {
+  mock.restoreAll();
+  mock.method(console, "error", () => {});
+  mock.method(ApiKey, "touch", async () => {});
+});
+
+test("una API key válida identifica la petición", async () => {
+  const apiKey = { id: "key", name: "CRM", scopes: ["leads:read"] };
+  mock.method(ApiKey, "findActiveByKey", async () => apiKey);
+
+  for (const [name, middleware] of Object.entries(MIDDLEWARES)) {
+    const { req, res, next } = await run(middleware);
+
+    assert.equal(next.mock.callCount(), 1, name);
+    assert.equal(res.statusCode, null, name);
+    assert.equal(req.apiKey, apiKey, name);
+  }
+});
+
+test("una API key inválida, revocada o expirada devuelve 401", async () => {
+  mock.method(ApiKey, "findActiveByKey", async () => null);
+
+  for (const [name, middleware] of Object.entries(MIDDLEWARES)) {
+    const { res, next } = await run(middleware);
+
+    assert.equal(next.mock.callCount(), 0, name);
+    assert.equal(res.statusCode, 401, name);
+    assert.equal(res.body.error, "API key inválida, revocada o expirada");
+  }
+});
+
+test("un error de la base de datos devuelve 500 sin el mensaje interno", async () => {
+  mock.method(ApiKey, "findActiveByKey", async () => {
+    throw new Error("connection terminated unexpectedly");
+  });
+
+  for (const [name, middleware] of Object.entries(MIDDLEWARES)) {
+    const { res, next } = await run(middleware);
+
+    assert.equal(next.mock.callCount(), 0, name);
+    assert.equal(res.statusCode, 500, name);
+    assert.deepEqual(res.body, {
+      success: false,
+      error: "Error al verificar la API key",
+      details: undefined,
+    });
+  }
+});
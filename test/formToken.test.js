@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Tests de utils/formToken.js (token del formulario de leads)
+ *
+ * USO: npm test
+ */
+
+const { test, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFormToken, verifyFormToken } = require("../utils/formToken");
+
+const MAX_AGE_SECONDS = 2 * 60 * 60;
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+// Token emitido hace N segundos
+function tokenIssuedSecondsAgo(seconds) {
+  const now = Date.now();
+  mock.method(Date, "now", () => now - seconds * 1000);
+  const token = createFormToken();
+  mock.restoreAll();
+  return token;
+}
+
+test("un token recién emitido es válido e indica su antigüedad", () => {
+  const result = verifyFormToken(tokenIssuedSecondsAgo(5), MAX_AGE_SECONDS);
+
+  assert.equal(result.valid, true);
+  assert.ok(result.age_seconds >= 5 && result.age_seconds < 6);
+});
+
+test("un token caducado no es válido", () => {
+  const result = verifyFormToken(
+    tokenIssuedSecondsAgo(MAX_AGE_SECONDS + 1),
+    MAX_AGE_SECONDS
+  );
+
+  assert.deepEqual(result, {
+    valid: false,
+    error: "El formulario expiró, recarga la página",
+  });
+});
+
+test("un token emitido en el futuro no es válido", () => {
+  const result = verifyFormToken(tokenIssuedSecondsAgo(-60), MAX_AGE_SECONDS);
+
+  assert.equal(result.valid, false);
+});
+
+test("no se puede cambiar la hora de emisión sin invalidar la firma", () => {
+  const [issuedAt, nonce, signature] = createFormToken().split(".");
+  const forged = [parseInt(issuedAt) - 60000, nonce, signature].join(".");
+
+  assert.deepEqual(verifyFormToken(forged, MAX_AGE_SECONDS), {
+    valid: false,
+    error: "Token de formulario inválido",
+  });
+});
+
+test("una firma con caracteres multibyte se rechaza sin lanzar error", () => {
+  const [issuedAt, nonce, signature] = createFormToken().split(".");
+  const forged = [issuedAt, nonce, "é".repeat(signature.length)].join(".");
+
+  assert.equal(verifyFormToken(forged, MAX_AGE_SECONDS).valid, false);
+});
+
+test("los tokens mal formados no son válidos", () => {
+  for (const token of [undefined, null, 42, "", "a.b", "a.b.c.d"]) {
+    assert.equal(verifyFormToken(token, MAX_AGE_SECONDS).valid, false);
+  }
+});
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Servidor y usuarios autenticados para los tests de rutas
+ *
+ * Requiere createTestDatabase (./database.js) con las migraciones de
+ * sesiones y roles (001 a 006) antes de cargarlo.
+ *
+ * USO:
+ * const app = await startApp({ "/api/users": require("../routes/users") });
+ * const token = await accessTokenFor(await createUser("admin"));
+ * await fetch(`${app.url}/api/users`, { headers: authHeaders(token) });
+ */
+
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const User = require("../../models/User");
+const Session = require("../../models/Session");
+
+const JWT_SECRET = process.env.JWT_SECRET || "boost-agency-secret-key";
+
+let userCount = 0;
+
+/**
+ * Crea un usuario activo con un rol
+ *
+ * @param {string} role - Rol (debe existir en la tabla roles)
+ * @returns {Promise<Object>} Usuario creado
+ */
+async function createUser(role) {
+  userCount += 1;
+  return await User.create({
+    email: `${role}${userCount}@boost.test`,
+    password: "Password123!",
+    full_name: `Usuario ${userCount}`,
+    role,
+  });
+}
+
+/**
+ * Abre una sesión y devuelve su access token
+ *
+ * @param {Object} user - Usuario (con id, email y role)
+ * @returns {Promise<string>} Access token JWT
+ */
+async function accessTokenFor(user) {
+  const session = await Session.create({ user_id: user.id });
+  return jwt.sign(
+    { id: user.id, email: user.email, role: user.role, sid: session.id },
+    JWT_SECRET,
+    { expiresIn: "15m" }
+  );
+}
+
+/**
+ * Cabeceras de una petición JSON autenticada
+ */
+function authHeaders(token) {
+  return {
+    Authorization: `Bearer ${token}`,
+    "Content-Type": "application/json",
+  };
+}
+
+/**
+ * Arranca un servidor con las rutas indicadas en un puerto libre
+ *
+ * @param {Object} routes - { "/api/users": router }
+ * @returns {Promise<Object>} { url, close }
+ */
+async function startApp(routes) {
+  const app = express();
+  app.use(express.json());
+  for (const [path, router] of Object.entries(routes)) {
+    app.use(path, router);
+  }
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = {
+  createUser,
+  accessTokenFor,
+  authHeaders,
+  startApp,
+};
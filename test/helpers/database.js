@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Base de datos PostgreSQL en memoria (PGlite) para los tests
+ *
+ * Reemplaza query y transaction de config/database.js, así que hay que
+ * llamarlo antes de cargar los modelos (los toman al cargarse). Crea las
+ * tablas base (users y leads, su esquema completo no está en migrations/)
+ * y aplica las migraciones indicadas.
+ *
+ * USO:
+ * const { createTestDatabase } = require("./helpers/database");
+ * const testDb = createTestDatabase(["019_webhooks.sql"]);
+ * await testDb.ready;
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { PGlite } = require("@electric-sql/pglite");
+const db = require("../../config/database");
+
+const MIGRATIONS_DIR = path.join(__dirname, "../../migrations");
+
+// Columnas de users y leads que usan los modelos probados
+const BASE_SCHEMA = `
+  CREATE TABLE users (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255),
+    full_name VARCHAR(255),
+    role VARCHAR(50) NOT NULL DEFAULT 'editor',
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    phone VARCHAR(50),
+    avatar_url TEXT,
+    last_login TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE leads (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    nombre VARCHAR(255),
+    email VARCHAR(255),
+    estado VARCHAR(50),
+    fecha TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+/**
+ * Crea la base de datos de un test
+ *
+ * @param {Array<string>} [migrations] - Archivos de migrations/ a aplicar
+ * @returns {Object} { pg, ready, query }
+ */
+function createTestDatabase(migrations = []) {
+  const pg = new PGlite();
+
+  const ready = (async () => {
+    await pg.exec(BASE_SCHEMA);
+    for (const file of migrations) {
+      await pg.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8"));
+    }
+  })();
+
+  // Mismo resultado que pg (rowCount) para los modelos
+  const run = async (text, params) => {
+    await ready;
+    const result = await pg.query(text, params);
+    return {
+      ...result,
+      rowCount: result.affectedRows || result.rows.length,
+    };
+  };
+
+  db.query = run;
+  db.transaction = async (callback) => {
+    await run("BEGIN");
+    try {
+      const result = await callback({ query: run });
+      await run("COMMIT");
+      return result;
+    } catch (error) {
+      await run("ROLLBACK");
+      throw error;
+    }
+  };
+
+  return { pg, ready, query: run };
+}
+
+module.exports = {
+  createTestDatabase,
+};
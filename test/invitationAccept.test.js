@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Tests de la validación de POST /api/invitations/accept
+ * (routes/invitations.js)
+ *
+ * Sin base de datos: Invitation.accept se simula.
+ *
+ * USO: npm test
+ */
+
+const { test, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Los modelos toman query al cargarse: hay que reemplazarlo antes
+const db = require("../config/database");
+db.query = async () => ({ rows: [] });
+
+const Invitation = require("../models/Invitation");
+const { startApp } = require("./helpers/app");
+
+let app;
+
+before(async () => {
+  app = await startApp({
+    "/api/invitations": require("../routes/invitations"),
+  });
+});
+
+after(async () => {
+  await app.close();
+});
+
+beforeEach(() => {
+  mock.restoreAll();
+  mock.method(Invitation, "accept", async () => ({ id: "usuario" }));
+});
+
+async function accept(password) {
+  const response = await fetch(`${app.url}/api/invitations/accept`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      token: "token_del_email",
+      password,
+      full_name: "Ana Pérez",
+    }),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test("una contraseña que no es un texto devuelve 400", async () => {
+  for (const password of [[1, 2, 3, 4, 5, 6, 7, 8], { length: 12 }, 12345678]) {
+    const { status, body } = await accept(password);
+
+    assert.equal(status, 400, JSON.stringify(password));
+    assert.equal(body.error, "La contraseña debe ser un texto");
+  }
+
+  assert.equal(Invitation.accept.mock.callCount(), 0);
+});
+
+test("una contraseña válida crea la cuenta", async () => {
+  const { status } = await accept("Password123!");
+
+  assert.equal(status, 201);
+  assert.equal(Invitation.accept.mock.callCount(), 1);
+});
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Tests de la protección del último admin activo
+ * (User.isLastActiveAdmin, usada en routes/users.js)
+ *
+ * USO: npm test
+ */
+
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Los modelos toman query al cargarse: hay que reemplazarlo antes
+const db = require("../config/database");
+const queries = [];
+db.query = async (sql, params) => {
+  queries.push({ sql, params });
+  return { rows: [{ count: "2" }] };
+};
+
+const User = require("../models/User");
+
+const ADMIN = {
+  id: "11111111-1111-1111-1111-111111111111",
+  role: "admin",
+  status: "active",
+};
+
+beforeEach(() => {
+  mock.restoreAll();
+  queries.length = 0;
+});
+
+test("el único admin activo es el último", async () => {
+  mock.method(User, "countActiveAdmins", async () => 0);
+
+  assert.equal(await User.isLastActiveAdmin(ADMIN), true);
+  assert.deepEqual(User.countActiveAdmins.mock.calls[0].arguments, [ADMIN.id]);
+});
+
+test("con otro admin activo no es el último", async () => {
+  mock.method(User, "countActiveAdmins", async () => 1);
+
+  assert.equal(await User.isLastActiveAdmin(ADMIN), false);
+});
+
+test("un usuario que no es admin activo nunca es el último", async () => {
+  mock.method(User, "countActiveAdmins", async () => 0);
+
+  assert.equal(
+    await User.isLastActiveAdmin({ ...ADMIN, role: "editor" }),
+    false
+  );
+  assert.equal(
+    await User.isLastActiveAdmin({ ...ADMIN, status: "suspended" }),
+    false
+  );
+  assert.equal(User.countActiveAdmins.mock.callCount(), 0);
+});
+
+test("countActiveAdmins excluye al usuario indicado", async () => {
+  assert.equal(await User.countActiveAdmins(ADMIN.id), 2);
+
+  const [{ sql, params }] = queries;
+  assert.match(sql, /role = 'admin' AND status = 'active'/);
+  assert.deepEqual(params, [ADMIN.id]);
+});
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Tests de la respuesta de POST /api/leads (routes/leads.js)
+ *
+ * Sin base de datos: el lead creado y el antispam se simulan.
+ *
+ * USO: npm test
+ */
+
+const { test, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+// Los modelos toman query al cargarse: hay que reemplazarlo antes
+const db = require("../config/database");
+db.query = async () => ({ rows: [] });
+
+const Lead = require("../models/Lead");
+const leadSpamGuard = require("../services/leadSpamGuard");
+const { startApp } = require("./helpers/app");
+
+// Lead tal como lo devuelve Lead.create
+const CREATED_LEAD = {
+  id: "22222222-2222-2222-2222-222222222222",
+  nombre: "Ana",
+  email: "ana@empresa.com",
+  duplicate_of: "33333333-3333-3333-3333-333333333333",
+  assigned_to: "44444444-4444-4444-4444-444444444444",
+  score: 40,
+};
+
+const FORM = {
+  nombre: "Ana",
+  email: "ana@empresa.com",
+  telefono: "600000000",
+  servicio_interes: "SEO",
+};
+
+let app;
+let apiKey = null;
+
+before(async () => {
+  // Hace de identifyApiKey (server.js)
+  const leads = express.Router();
+  leads.use((req, res, next) => {
+    req.apiKey = apiKey;
+    next();
+  });
+  leads.use(require("../routes/leads"));
+
+  app = await startApp({ "/api/leads": leads });
+});
+
+after(async () => {
+  await app.close();
+});
+
+beforeEach(() => {
+  mock.restoreAll();
+  apiKey = null;
+  mock.method(Lead, "create", async () => ({ ...CREATED_LEAD }));
+  mock.method(leadSpamGuard, "checkSubmission", async () => ({
+    allowed: true,
+  }));
+});
+
+async function submit() {
+  const response = await fetch(`${app.url}/api/leads`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(FORM),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test("el formulario público solo recibe el id del lead", async () => {
+  const { status, body } = await submit();
+
+  assert.equal(status, 201);
+  assert.deepEqual(body.data, { id: CREATED_LEAD.id });
+});
+
+test("una API key sin leads:read solo recibe el id del lead", async () => {
+  apiKey = { id: "key", scopes: ["leads:write"] };
+
+  const { body } = await submit();
+
+  assert.deepEqual(body.data, { id: CREATED_LEAD.id });
+});
+
+test("una API key con leads:read recibe el lead completo", async () => {
+  apiKey = { id: "key", scopes: ["leads:read", "leads:write"] };
+
+  const { body } = await submit();
+
+  assert.deepEqual(body.data, CREATED_LEAD);
+});
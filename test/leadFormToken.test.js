@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Tests del token del formulario público de leads en
+ * services/leadSpamGuard.js (obligatorio y de un solo uso)
+ *
+ * Con PostgreSQL en memoria (PGlite).
+ *
+ * USO: npm test
+ */
+
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+delete process.env.LEAD_FORM_TOKEN_REQUIRED;
+
+const { createTestDatabase } = require("./helpers/database");
+const testDb = createTestDatabase([
+  "017_lead_spam.sql",
+  "022_lead_form_submission_motivo.sql",
+  "023_lead_form_token_uses.sql",
+]);
+
+const leadSpamGuard = require("../services/leadSpamGuard");
+
+let submissions = 0;
+
+// Token pedido hace un minuto (más que LEAD_FORM_MIN_SECONDS)
+function formToken() {
+  const now = Date.now();
+  mock.method(Date, "now", () => now - 60 * 1000);
+  const { token } = leadSpamGuard.issueFormToken();
+  mock.restoreAll();
+  return token;
+}
+
+// Envío del formulario (con una IP y un email distintos cada vez)
+function buildRequest(form_token) {
+  submissions += 1;
+  return {
+    ip: `10.1.0.${submissions}`,
+    body: {
+      nombre: "Ana",
+      email: `ana${submissions}@empresa.com`,
+      telefono: "600000000",
+      servicio_interes: "SEO",
+      form_token,
+    },
+    get: () => "test",
+  };
+}
+
+beforeEach(async () => {
+  await testDb.query("DELETE FROM lead_form_token_uses");
+});
+
+test("sin token el envío se rechaza por defecto", async () => {
+  const check = await leadSpamGuard.checkSubmission(buildRequest());
+
+  assert.equal(check.allowed, false);
+  assert.equal(check.motivo, "token_invalido");
+  assert.equal(check.status, 400);
+});
+
+test("un token vale para un solo envío", async () => {
+  const token = formToken();
+
+  const first = await leadSpamGuard.checkSubmission(buildRequest(token));
+  assert.equal(first.allowed, true);
+
+  const reused = await leadSpamGuard.checkSubmission(buildRequest(token));
+  assert.equal(reused.allowed, false);
+  assert.equal(reused.motivo, "token_invalido");
+  assert.equal(reused.error, "El formulario ya se envió, recarga la página");
+});
+
+test("un envío rechazado no gasta el token", async () => {
+  const token = formToken();
+
+  const request = buildRequest(token);
+  request.body.email = "bot@mailinator.com";
+  const rejected = await leadSpamGuard.checkSubmission(request);
+  assert.equal(rejected.motivo, "email_desechable");
+
+  const retry = await leadSpamGuard.checkSubmission(buildRequest(token));
+  assert.equal(retry.allowed, true);
+});
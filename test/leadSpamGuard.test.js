@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Tests de services/leadSpamGuard.js (antispam del
+ * formulario público de leads)
+ *
+ * Con PostgreSQL en memoria (PGlite).
+ *
+ * USO: npm test
+ */
+
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.LEAD_FORM_MAX_PER_IP = "2";
+process.env.LEAD_FORM_MAX_PER_EMAIL = "10";
+process.env.LEAD_FORM_WINDOW_MINUTES = "60";
+process.env.LEAD_FORM_TOKEN_REQUIRED = "false";
+
+const { createTestDatabase } = require("./helpers/database");
+const testDb = createTestDatabase([
+  "017_lead_spam.sql",
+  "022_lead_form_submission_motivo.sql",
+  "023_lead_form_token_uses.sql",
+]);
+
+const leadSpamGuard = require("../services/leadSpamGuard");
+
+let submissions = 0;
+
+// Envío del formulario desde una IP (con un email distinto cada vez)
+function buildRequest(ip) {
+  submissions += 1;
+  return {
+    ip,
+    body: {
+      nombre: "Ana",
+      email: `ana${submissions}@empresa.com`,
+      telefono: "600000000",
+      servicio_interes: "SEO",
+    },
+    get: () => "test",
+  };
+}
+
+beforeEach(async () => {
+  await testDb.query("DELETE FROM lead_form_submissions");
+  await testDb.query("DELETE FROM lead_quarantine");
+});
+
+test("se rechazan los envíos que superan el límite por IP", async () => {
+  const ip = "10.0.0.1";
+
+  assert.equal(
+    (await leadSpamGuard.checkSubmission(buildRequest(ip))).allowed,
+    true
+  );
+  assert.equal(
+    (await leadSpamGuard.checkSubmission(buildRequest(ip))).allowed,
+    true
+  );
+
+  const rejected = await leadSpamGuard.checkSubmission(buildRequest(ip));
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.motivo, "limite_ip");
+  assert.equal(rejected.status, 429);
+
+  const quarantine = await testDb.query("SELECT motivo FROM lead_quarantine");
+  assert.deepEqual(quarantine.rows, [{ motivo: "limite_ip" }]);
+});
+
+test("los reintentos de una IP bloqueada no renuevan el bloqueo", async () => {
+  const ip = "10.0.0.2";
+
+  await leadSpamGuard.checkSubmission(buildRequest(ip));
+  await leadSpamGuard.checkSubmission(buildRequest(ip));
+  for (let i = 0; i < 3; i++) {
+    const retry = await leadSpamGuard.checkSubmission(buildRequest(ip));
+    assert.equal(retry.motivo, "limite_ip");
+  }
+
+  // Los envíos aceptados salen de la ventana; los reintentos son recientes
+  await testDb.query(
+    `UPDATE lead_form_submissions
+     SET created_at = CURRENT_TIMESTAMP - INTERVAL '61 minutes'
+     WHERE accepted`
+  );
+
+  assert.equal(
+    (await leadSpamGuard.checkSubmission(buildRequest(ip))).allowed,
+    true
+  );
+});
+
+test("los envíos rechazados por otros motivos sí cuentan", async () => {
+  const ip = "10.0.0.3";
+
+  for (let i = 0; i < 2; i++) {
+    const request = buildRequest(ip);
+    request.body.email = `bot${i}@mailinator.com`;
+    const check = await leadSpamGuard.checkSubmission(request);
+    assert.equal(check.motivo, "email_desechable");
+  }
+
+  const check = await leadSpamGuard.checkSubmission(buildRequest(ip));
+  assert.equal(check.motivo, "limite_ip");
+});
+
+test("con LEAD_FORM_TOKEN_REQUIRED=false el token que llega se comprueba", async () => {
+  assert.equal(
+    (await leadSpamGuard.checkSubmission(buildRequest("10.0.0.4"))).allowed,
+    true
+  );
+
+  const request = buildRequest("10.0.0.4");
+  request.body.form_token = "no-es-un-token";
+  const check = await leadSpamGuard.checkSubmission(request);
+  assert.equal(check.motivo, "token_invalido");
+
+  // Y sigue siendo de un solo uso
+  const now = Date.now();
+  mock.method(Date, "now", () => now - 60 * 1000);
+  const { token } = leadSpamGuard.issueFormToken();
+  mock.restoreAll();
+
+  const first = buildRequest("10.0.0.5");
+  first.body.form_token = token;
+  assert.equal((await leadSpamGuard.checkSubmission(first)).allowed, true);
+
+  const reused = buildRequest("10.0.0.5");
+  reused.body.form_token = token;
+  assert.equal(
+    (await leadSpamGuard.checkSubmission(reused)).motivo,
+    "token_invalido"
+  );
+});
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Tests de los intentos de login en paralelo
+ * (services/loginGuard.js con User.claimLoginAttempt)
+ *
+ * Con PostgreSQL en memoria (PGlite).
+ *
+ * USO: npm test
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.LOGIN_MAX_ATTEMPTS = "5";
+process.env.LOGIN_LOCKOUT_MINUTES = "15";
+process.env.LOGIN_MAX_IP_FAILURES = "20";
+
+const { createTestDatabase } = require("./helpers/database");
+const testDb = createTestDatabase(["005_login_attempts.sql"]);
+
+const loginGuard = require("../services/loginGuard");
+
+let userCount = 0;
+
+// Usuario activo con el contador de fallos indicado
+async function createUser(failures = 0) {
+  userCount += 1;
+  const result = await testDb.query(
+    `INSERT INTO users (email, failed_login_count, last_failed_login_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP - INTERVAL '1 hour')
+     RETURNING id, email, status`,
+    [`usuario${userCount}@boost.test`, failures]
+  );
+  return result.rows[0];
+}
+
+async function findCounter(userId) {
+  const result = await testDb.query(
+    "SELECT failed_login_count, locked_until FROM users WHERE id = $1",
+    [userId]
+  );
+  return result.rows[0];
+}
+
+// Lanza N intentos a la vez sobre la misma cuenta
+async function checkInParallel(user, attempts) {
+  return await Promise.all(
+    Array.from({ length: attempts }, (_, i) =>
+      loginGuard.checkAllowed({ user, ip: `10.2.0.${i}` })
+    )
+  );
+}
+
+test("los intentos en paralelo no se saltan la espera progresiva", async () => {
+  const user = await createUser();
+
+  const checks = await checkInParallel(user, 10);
+
+  // Sin espera hasta el segundo fallo; desde ahí, 1 s entre intentos
+  assert.equal(checks.filter((check) => check.allowed).length, 2);
+  assert.ok(
+    checks
+      .filter((check) => !check.allowed)
+      .every((check) => check.reason === "throttled")
+  );
+  assert.equal((await findCounter(user.id)).failed_login_count, 2);
+});
+
+test("los intentos en paralelo no se saltan el bloqueo de la cuenta", async () => {
+  const user = await createUser(4);
+
+  const checks = await checkInParallel(user, 5);
+
+  assert.equal(checks.filter((check) => check.allowed).length, 1);
+  assert.ok(
+    checks
+      .filter((check) => !check.allowed)
+      .every((check) => check.reason === "account_locked")
+  );
+
+  const counter = await findCounter(user.id);
+  assert.equal(counter.failed_login_count, 5);
+  assert.ok(counter.locked_until);
+});
+
+test("un intento correcto devuelto con releaseAttempt no bloquea la cuenta", async () => {
+  const user = await createUser(4);
+
+  assert.equal(
+    (await loginGuard.checkAllowed({ user, ip: "10.2.1.1" })).allowed,
+    true
+  );
+  await loginGuard.releaseAttempt(user);
+
+  assert.deepEqual(await findCounter(user.id), {
+    failed_login_count: 4,
+    locked_until: null,
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Tests de services/loginGuard.js (bloqueos por IP y por cuenta)
+ *
+ * Sin base de datos: las consultas pasan por un query falso y los métodos
+ * de los modelos se simulan en cada test.
+ *
+ * USO: npm test
+ */
+
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.LOGIN_MAX_ATTEMPTS = "5";
+process.env.LOGIN_LOCKOUT_MINUTES = "15";
+process.env.LOGIN_MAX_IP_FAILURES = "20";
+process.env.LOGIN_IP_WINDOW_MINUTES = "15";
+
+// Los modelos toman query al cargarse: hay que reemplazarlo antes
+const db = require("../config/database");
+const queries = [];
+db.query = async (sql, params) => {
+  queries.push({ sql, params });
+  return { rows: [{ count: "0" }] };
+};
+
+const User = require("../models/User");
+const LoginAttempt = require("../models/LoginAttempt");
+const loginGuard = require("../services/loginGuard");
+
+const req = { ip: "10.0.0.1", headers: { "user-agent": "test" } };
+
+// Usuario activo sin fallos
+function buildUser(overrides = {}) {
+  return {
+    id: "11111111-1111-1111-1111-111111111111",
+    email: "ana@boost.com",
+    status: "active",
+    failed_login_count: 0,
+    last_failed_login_at: null,
+    locked_until: null,
+    ...overrides,
+  };
+}
+
+// La cuenta no admite el intento: claimLoginAttempt no actualiza nada y el
+// estado actual es el indicado
+function rejectClaim(state) {
+  User.claimLoginAttempt.mock.mockImplementation(async () => null);
+  User.getLoginState.mock.mockImplementation(async () => state);
+}
+
+// Fecha relativa a ahora (en segundos)
+const secondsFromNow = (seconds) => new Date(Date.now() + seconds * 1000);
+
+beforeEach(() => {
+  mock.restoreAll();
+  queries.length = 0;
+  mock.method(LoginAttempt, "countRecentFailuresByIp", async () => 0);
+  mock.method(LoginAttempt, "record", async () => ({}));
+  mock.method(User, "claimLoginAttempt", async () => ({}));
+  mock.method(User, "getLoginState", async () => null);
+  mock.method(User, "releaseLoginAttempt", async () => {});
+  mock.method(User, "resetFailedLogins", async () => ({}));
+});
+
+test("checkAllowed bloquea la IP al llegar a LOGIN_MAX_IP_FAILURES", async () => {
+  LoginAttempt.countRecentFailuresByIp.mock.mockImplementation(async () => 19);
+  assert.deepEqual(await loginGuard.checkAllowed({ user: null, ip: req.ip }), {
+    allowed: true,
+  });
+
+  LoginAttempt.countRecentFailuresByIp.mock.mockImplementation(async () => 20);
+  const check = await loginGuard.checkAllowed({
+    user: buildUser(),
+    ip: req.ip,
+  });
+
+  assert.equal(check.allowed, false);
+  assert.equal(check.status, 429);
+  assert.equal(check.reason, "ip_blocked");
+  assert.equal(check.retry_after, 15 * 60);
+  assert.deepEqual(
+    LoginAttempt.countRecentFailuresByIp.mock.calls[1].arguments,
+    [req.ip, 15]
+  );
+});
+
+test("checkAllowed reserva el intento con los límites configurados", async () => {
+  const user = buildUser();
+  const check = await loginGuard.checkAllowed({ user, ip: req.ip });
+
+  assert.deepEqual(check, { allowed: true });
+  assert.deepEqual(User.claimLoginAttempt.mock.calls[0].arguments, [
+    user.id,
+    5,
+    15,
+    30,
+  ]);
+});
+
+test("checkAllowed no reserva el intento de un usuario inactivo", async () => {
+  const check = await loginGuard.checkAllowed({
+    user: buildUser({ status: "suspended" }),
+    ip: req.ip,
+  });
+
+  assert.deepEqual(check, { allowed: true });
+  assert.equal(User.claimLoginAttempt.mock.callCount(), 0);
+});
+
+test("checkAllowed rechaza una cuenta bloqueada hasta que vence el bloqueo", async () => {
+  rejectClaim({
+    failed_login_count: 5,
+    last_failed_login_at: secondsFromNow(-60),
+    locked_until: secondsFromNow(90),
+  });
+  const locked = await loginGuard.checkAllowed({
+    user: buildUser(),
+    ip: req.ip,
+  });
+
+  assert.equal(locked.allowed, false);
+  assert.equal(locked.status, 423);
+  assert.equal(locked.reason, "account_locked");
+  assert.ok(locked.retry_after >= 89 && locked.retry_after <= 90);
+});
+
+test("checkAllowed indica la espera progresiva tras fallos consecutivos", async () => {
+  const cases = [
+    [2, 1],
+    [3, 2],
+    [4, 4],
+    [6, 16],
+    [10, 30],
+  ];
+
+  for (const [failures, delay] of cases) {
+    rejectClaim({
+      failed_login_count: failures,
+      last_failed_login_at: new Date(),
+      locked_until: null,
+    });
+    const check = await loginGuard.checkAllowed({
+      user: buildUser(),
+      ip: req.ip,
+    });
+
+    assert.equal(check.allowed, false, `${failures} fallos`);
+    assert.equal(check.reason, "throttled");
+    assert.equal(check.retry_after, delay, `${failures} fallos`);
+  }
+});
+
+test("checkAllowed rechaza el intento aunque la espera acabe de pasar", async () => {
+  rejectClaim({
+    failed_login_count: 3,
+    last_failed_login_at: secondsFromNow(-3),
+    locked_until: null,
+  });
+  const check = await loginGuard.checkAllowed({
+    user: buildUser(),
+    ip: req.ip,
+  });
+
+  assert.equal(check.allowed, false);
+  assert.equal(check.reason, "throttled");
+  assert.equal(check.retry_after, 1);
+});
+
+test("registerFailure solo registra el intento (ya se contó al reservarlo)", async () => {
+  const user = buildUser();
+  await loginGuard.registerFailure({
+    user,
+    email: user.email,
+    req,
+    reason: "invalid_password",
+  });
+
+  const [attempt] = LoginAttempt.record.mock.calls[0].arguments;
+  assert.equal(attempt.success, false);
+  assert.equal(attempt.failure_reason, "invalid_password");
+  assert.equal(attempt.ip_address, req.ip);
+  assert.equal(User.claimLoginAttempt.mock.callCount(), 0);
+});
+
+test("registerFailure con un email desconocido solo registra el intento", async () => {
+  const result = await loginGuard.registerFailure({
+    user: null,
+    email: "nadie@boost.com",
+    req,
+    reason: "unknown_email",
+  });
+
+  assert.equal(result, undefined);
+  assert.equal(LoginAttempt.record.mock.callCount(), 1);
+  assert.equal(User.claimLoginAttempt.mock.callCount(), 0);
+});
+
+test("recordRejection no suma al contador de la cuenta", async () => {
+  const user = buildUser({ locked_until: secondsFromNow(60) });
+  await loginGuard.recordRejection({
+    user,
+    email: user.email,
+    req,
+    reason: "account_locked",
+  });
+
+  assert.equal(LoginAttempt.record.mock.callCount(), 1);
+  assert.equal(User.claimLoginAttempt.mock.callCount(), 0);
+});
+
+test("registerSuccess reinicia siempre el contador", async () => {
+  await loginGuard.registerSuccess({ user: buildUser(), req });
+
+  assert.equal(LoginAttempt.record.mock.calls[0].arguments[0].success, true);
+  assert.deepEqual(User.resetFailedLogins.mock.calls[0].arguments, [
+    buildUser().id,
+  ]);
+});
+
+test("releaseAttempt devuelve el intento reservado", async () => {
+  const user = buildUser();
+  await loginGuard.releaseAttempt(user);
+
+  assert.deepEqual(User.releaseLoginAttempt.mock.calls[0].arguments, [
+    user.id,
+    5,
+  ]);
+});
+
+test("countRecentFailuresByIp solo cuenta credenciales erróneas", async () => {
+  mock.restoreAll();
+  await LoginAttempt.countRecentFailuresByIp(req.ip, 15);
+
+  const [{ sql, params }] = queries;
+  assert.match(sql, /failure_reason = ANY\(\$3::text\[\]\)/);
+  assert.deepEqual(params, [
+    req.ip,
+    15,
+    ["unknown_email", "invalid_password", "invalid_2fa"],
+  ]);
+});
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Tests de la respuesta del cliente a su ticket
+ * (POST /api/soporte/cliente/mensajes en routes/soporte.js)
+ *
+ * Sin base de datos: el ticket del enlace se simula.
+ *
+ * USO: npm test
+ */
+
+const { test, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Los modelos toman query al cargarse: hay que reemplazarlo antes
+const db = require("../config/database");
+db.query = async () => ({ rows: [] });
+
+const Ticket = require("../models/Ticket");
+const TicketMessage = require("../models/TicketMessage");
+const { startApp } = require("./helpers/app");
+
+let app;
+
+before(async () => {
+  app = await startApp({ "/api/soporte": require("../routes/soporte") });
+});
+
+after(async () => {
+  await app.close();
+});
+
+beforeEach(() => {
+  mock.restoreAll();
+  mock.method(console, "error", () => {});
+  mock.method(Ticket, "findByAccessToken", async () => ({ id: "ticket" }));
+});
+
+async function reply(mensaje) {
+  const response = await fetch(`${app.url}/api/soporte/cliente/mensajes`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ token: "token_del_enlace", mensaje }),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test("un mensaje vacío o demasiado largo devuelve 400 sin registrar un error", async () => {
+  for (const mensaje of ["", "   ", "x".repeat(10001)]) {
+    const { status } = await reply(mensaje);
+
+    assert.equal(status, 400, `${mensaje.length} caracteres`);
+  }
+
+  assert.equal(console.error.mock.callCount(), 0);
+});
+
+test("un fallo del servidor devuelve 500 y se registra", async () => {
+  mock.method(TicketMessage, "create", async () => {
+    throw new Error("connection terminated unexpectedly");
+  });
+
+  const { status, body } = await reply("Ya probé lo que me dijeron");
+
+  assert.equal(status, 500);
+  assert.equal(body.error, "Error al enviar la respuesta");
+  assert.equal(console.error.mock.callCount(), 1);
+});
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Tests de las reglas del SLA de soporte
+ * (plazos de TicketSlaPolicy y umbral de riesgo de Ticket)
+ *
+ * Sin base de datos: las consultas pasan por un query falso.
+ *
+ * USO: npm test
+ */
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.SUPPORT_SLA_AT_RISK_PERCENT = "40";
+
+// Los modelos toman query al cargarse: hay que reemplazarlo antes
+const db = require("../config/database");
+const queries = [];
+db.query = async (sql, params) => {
+  queries.push({ sql, params });
+  return { rows: [{ prioridad: params ? params[0] : null }] };
+};
+
+const Ticket = require("../models/Ticket");
+const TicketSlaPolicy = require("../models/TicketSlaPolicy");
+
+beforeEach(() => {
+  queries.length = 0;
+});
+
+test("upsert guarda los plazos válidos de una prioridad", async () => {
+  await TicketSlaPolicy.upsert(
+    "alta",
+    { primera_respuesta_minutos: 120, resolucion_minutos: 600 },
+    "11111111-1111-1111-1111-111111111111"
+  );
+
+  assert.deepEqual(queries[0].params, [
+    "alta",
+    120,
+    600,
+    "11111111-1111-1111-1111-111111111111",
+  ]);
+});
+
+test("upsert rechaza una prioridad que no existe", async () => {
+  await assert.rejects(
+    TicketSlaPolicy.upsert("critica", {
+      primera_respuesta_minutos: 60,
+      resolucion_minutos: 120,
+    }),
+    /Prioridad inválida/
+  );
+  assert.equal(queries.length, 0);
+});
+
+test("upsert exige plazos enteros entre 1 minuto y 30 días", async () => {
+  const invalid = [0, -5, 1.5, "60", null, 30 * 24 * 60 + 1];
+
+  for (const minutos of invalid) {
+    await assert.rejects(
+      TicketSlaPolicy.upsert("media", {
+        primera_respuesta_minutos: minutos,
+        resolucion_minutos: 2880,
+      }),
+      /primera_respuesta_minutos inválido/,
+      String(minutos)
+    );
+  }
+
+  await TicketSlaPolicy.upsert("media", {
+    primera_respuesta_minutos: 1,
+    resolucion_minutos: 30 * 24 * 60,
+  });
+  assert.equal(queries.length, 1);
+});
+
+test("upsert rechaza una resolución que vence antes que la primera respuesta", async () => {
+  await assert.rejects(
+    TicketSlaPolicy.upsert("urgente", {
+      primera_respuesta_minutos: 120,
+      resolucion_minutos: 60,
+    }),
+    /la resolución no puede vencer antes que la primera respuesta/
+  );
+});
+
+test("el riesgo se calcula con SUPPORT_SLA_AT_RISK_PERCENT del plazo", async () => {
+  await Ticket.findAtRisk({ incluir_incumplidos: false });
+
+  const [{ sql }] = queries;
+  assert.match(
+    sql,
+    /t\.resolution_due_at - \(t\.resolution_due_at - t\.created_at\) \* 0\.4/
+  );
+  assert.match(
+    sql,
+    /t\.first_response_due_at - \(t\.first_response_due_at - t\.created_at\) \* 0\.4/
+  );
+});
+
+test("findAll rechaza un filtro de SLA desconocido", async () => {
+  await assert.rejects(
+    Ticket.findAll({ sla: "vencido" }),
+    /Filtro de SLA inválido/
+  );
+});
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Tests de utils/ticketToken.js y del enlace del cliente de
+ * un ticket (Ticket.findByAccessToken)
+ *
+ * USO: npm test
+ */
+
+const { test, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createTicketToken,
+  verifyTicketToken,
+} = require("../utils/ticketToken");
+const Ticket = require("../models/Ticket");
+
+const TICKET_ID = "22222222-2222-2222-2222-222222222222";
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test("verifyTicketToken devuelve el ticket y la versión del enlace", () => {
+  assert.deepEqual(verifyTicketToken(createTicketToken(TICKET_ID, 3)), {
+    ticket_id: TICKET_ID,
+    version: 3,
+  });
+});
+
+test("no se puede cambiar el ticket ni la versión sin invalidar la firma", () => {
+  const [, , signature] = createTicketToken(TICKET_ID, 1).split(".");
+  const otherTicket = "33333333-3333-3333-3333-333333333333";
+
+  assert.equal(verifyTicketToken(`${TICKET_ID}.2.${signature}`), null);
+  assert.equal(verifyTicketToken(`${otherTicket}.1.${signature}`), null);
+});
+
+test("una firma con caracteres multibyte se rechaza sin lanzar error", () => {
+  const [, , signature] = createTicketToken(TICKET_ID, 1).split(".");
+  const forged = `${TICKET_ID}.1.${"ñ".repeat(signature.length)}`;
+
+  assert.equal(verifyTicketToken(forged), null);
+});
+
+test("los tokens mal formados no son válidos", () => {
+  const valid = createTicketToken(TICKET_ID, 1);
+  const tokens = [
+    undefined,
+    null,
+    "",
+    TICKET_ID,
+    valid.replace(".1.", ".uno."),
+    `${valid}.extra`,
+  ];
+
+  for (const token of tokens) {
+    assert.equal(verifyTicketToken(token), null);
+  }
+});
+
+test("findByAccessToken rechaza el enlace de una versión anterior", async () => {
+  mock.method(Ticket, "findById", async (id) => ({
+    id,
+    access_version: 2,
+  }));
+
+  const current = await Ticket.findByAccessToken(
+    Ticket.accessToken({ id: TICKET_ID, access_version: 2 })
+  );
+  assert.equal(current.id, TICKET_ID);
+
+  assert.equal(
+    await Ticket.findByAccessToken(createTicketToken(TICKET_ID, 1)),
+    null
+  );
+});
+
+test("findByAccessToken no consulta la base de datos con un token falso", async () => {
+  mock.method(Ticket, "findById", async () => {
+    throw new Error("No debería consultarse");
+  });
+
+  assert.equal(await Ticket.findByAccessToken(`${TICKET_ID}.1.falso`), null);
+});
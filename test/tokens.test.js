@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Tests de utils/tokens.js (tokens opacos y su hash)
+ *
+ * USO: npm test
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { generateToken, hashToken } = require("../utils/tokens");
+
+test("generateToken genera tokens base64url aleatorios", () => {
+  const token = generateToken();
+
+  assert.match(token, /^[A-Za-z0-9_-]+$/);
+  assert.equal(Buffer.from(token, "base64url").length, 48);
+  assert.notEqual(generateToken(), token);
+});
+
+test("generateToken respeta la cantidad de bytes indicada", () => {
+  assert.equal(Buffer.from(generateToken(16), "base64url").length, 16);
+});
+
+test("hashToken devuelve el SHA-256 en hexadecimal", () => {
+  assert.equal(
+    hashToken("abc"),
+    "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"
+  );
+  assert.equal(hashToken("abc"), hashToken("abc"));
+  assert.notEqual(hashToken("abc"), hashToken("abd"));
+});
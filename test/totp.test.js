@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Tests de utils/totp.js (TOTP y cifrado del secreto)
+ *
+ * USO: npm test
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const totp = require("../utils/totp");
+
+// Secreto de los vectores de prueba del RFC 6238 ("12345678901234567890")
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+// Paso de tiempo actual (periodo de 30 segundos)
+const step = () => Math.floor(Date.now() / 1000 / 30);
+
+test("generateCode coincide con los vectores del RFC 6238 (SHA-1)", () => {
+  assert.equal(totp.generateCode(RFC_SECRET, Math.floor(59 / 30)), "287082");
+  assert.equal(
+    totp.generateCode(RFC_SECRET, Math.floor(1111111109 / 30)),
+    "081804"
+  );
+  assert.equal(
+    totp.generateCode(RFC_SECRET, Math.floor(1234567890 / 30)),
+    "005924"
+  );
+});
+
+test("generateCode rechaza un secreto que no es base32", () => {
+  assert.throws(() => totp.generateCode("no-es-base32!", 1), {
+    message: "Secreto base32 inválido",
+  });
+});
+
+test("generateSecret genera secretos base32 de 160 bits", () => {
+  const secret = totp.generateSecret();
+
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.notEqual(totp.generateSecret(), secret);
+});
+
+test("verifyCode acepta el código actual y devuelve su paso", () => {
+  const secret = totp.generateSecret();
+  const current = step();
+  const matched = totp.verifyCode(secret, totp.generateCode(secret, current));
+
+  // Si el paso cambia entre las dos llamadas sigue dentro de la tolerancia
+  assert.ok(matched === current || matched === current + 1);
+});
+
+test("verifyCode tolera un paso de desfase y no más", () => {
+  const secret = totp.generateSecret();
+  const current = step();
+
+  assert.notEqual(
+    totp.verifyCode(secret, totp.generateCode(secret, current + 1)),
+    null
+  );
+  assert.equal(
+    totp.verifyCode(secret, totp.generateCode(secret, current - 3)),
+    null
+  );
+});
+
+test("verifyCode ignora espacios y rechaza códigos mal formados", () => {
+  const secret = totp.generateSecret();
+  const code = totp.generateCode(secret, step());
+
+  assert.notEqual(
+    totp.verifyCode(secret, `${code.slice(0, 3)} ${code.slice(3)}`),
+    null
+  );
+  assert.equal(totp.verifyCode(secret, "12345"), null);
+  assert.equal(totp.verifyCode(secret, "abcdef"), null);
+  assert.equal(totp.verifyCode(secret, undefined), null);
+});
+
+test("buildOtpauthUri incluye el secreto, el emisor y la cuenta", () => {
+  const uri = new URL(totp.buildOtpauthUri(RFC_SECRET, "ana@boost.com"));
+
+  assert.equal(uri.protocol, "otpauth:");
+  assert.match(decodeURIComponent(uri.pathname), /ana@boost\.com$/);
+  assert.equal(uri.searchParams.get("secret"), RFC_SECRET);
+  assert.equal(uri.searchParams.get("digits"), "6");
+  assert.equal(uri.searchParams.get("period"), "30");
+});
+
+test("encryptSecret y decryptSecret recuperan el secreto", () => {
+  const secret = totp.generateSecret();
+  const encrypted = totp.encryptSecret(secret);
+
+  assert.doesNotMatch(encrypted, new RegExp(secret));
+  assert.notEqual(totp.encryptSecret(secret), encrypted);
+  assert.equal(totp.decryptSecret(encrypted), secret);
+});
+
+test("decryptSecret rechaza un secreto cifrado alterado", () => {
+  const [iv, authTag, encrypted] = totp
+    .encryptSecret(totp.generateSecret())
+    .split(":");
+  const tampered = (encrypted[0] === "0" ? "1" : "0") + encrypted.slice(1);
+
+  assert.throws(() => totp.decryptSecret([iv, authTag, tampered].join(":")));
+});
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Tests de services/webhookDispatcher.js y del registro de
+ * intentos de models/WebhookDelivery.js (entregado, reintento y fallido)
+ *
+ * Con PostgreSQL en memoria (PGlite) y un receptor HTTP local.
+ *
+ * USO: npm test
+ */
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+process.env.WEBHOOK_MAX_ATTEMPTS = "2";
+process.env.WEBHOOK_RETRY_BASE_SECONDS = "30";
+
+const { createTestDatabase } = require("./helpers/database");
+const testDb = createTestDatabase(["019_webhooks.sql"]);
+
+const webhookDispatcher = require("../services/webhookDispatcher");
+
+const SECRET = "secreto-de-prueba";
+
+// Receptor: responde con receiverStatus y guarda lo recibido
+let receiverStatus = 200;
+const received = [];
+const receiver = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    received.push({ headers: req.headers, body });
+    res.writeHead(receiverStatus);
+    res.end(receiverStatus === 200 ? "ok" : "error");
+  });
+});
+
+let webhookId;
+
+before(async () => {
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+  const result = await testDb.query(
+    `INSERT INTO webhooks (name, url, events, secret)
+     VALUES ('CRM', $1, ARRAY['lead.created'], $2)
+     RETURNING id`,
+    [url, SECRET]
+  );
+  webhookId = result.rows[0].id;
+});
+
+after(() => {
+  receiver.close();
+});
+
+beforeEach(() => {
+  received.length = 0;
+  receiverStatus = 200;
+});
+
+// Encola un envío listo para intentarse
+async function enqueue() {
+  const result = await testDb.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+     VALUES ($1, 'lead.created', $2)
+     RETURNING id`,
+    [webhookId, JSON.stringify({ id: "lead-1" })]
+  );
+  return result.rows[0].id;
+}
+
+async function findDelivery(id) {
+  const result = await testDb.query(
+    `SELECT d.*,
+       EXTRACT(EPOCH FROM (d.next_attempt_at - CURRENT_TIMESTAMP)) AS espera,
+       (SELECT COUNT(*) FROM webhook_delivery_attempts a
+        WHERE a.delivery_id = d.id)::int AS intentos
+     FROM webhook_deliveries d WHERE d.id = $1`,
+    [id]
+  );
+  return result.rows[0];
+}
+
+test("una respuesta 2xx marca el envío como entregado", async () => {
+  const id = await enqueue();
+
+  assert.deepEqual(await webhookDispatcher.runOnce(), {
+    intentados: 1,
+    entregados: 1,
+  });
+
+  const delivery = await findDelivery(id);
+  assert.equal(delivery.estado, "entregado");
+  assert.equal(delivery.response_status, 200);
+  assert.ok(delivery.delivered_at);
+  assert.equal(delivery.intentos, 1);
+
+  // No se vuelve a enviar
+  assert.deepEqual(await webhookDispatcher.runOnce(), {
+    intentados: 0,
+    entregados: 0,
+  });
+  assert.equal(received.length, 1);
+});
+
+test("el envío lleva el evento y la firma del cuerpo", async () => {
+  const id = await enqueue();
+  await webhookDispatcher.runOnce();
+
+  const [{ headers, body }] = received;
+  assert.equal(headers["x-boost-event"], "lead.created");
+  assert.equal(headers["x-boost-delivery"], id);
+  assert.equal(
+    headers["x-boost-signature"],
+    webhookDispatcher.signPayload(SECRET, headers["x-boost-timestamp"], body)
+  );
+  assert.deepEqual(JSON.parse(body).data, { id: "lead-1" });
+});
+
+test("un error se reintenta y al agotar los intentos queda fallido", async () => {
+  receiverStatus = 500;
+  const id = await enqueue();
+
+  await webhookDispatcher.runOnce();
+
+  let delivery = await findDelivery(id);
+  assert.equal(delivery.estado, "pendiente");
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.error, "HTTP 500");
+  assert.equal(delivery.delivered_at, null);
+  assert.ok(delivery.espera > 25 && delivery.espera <= 30);
+
+  // Aún no toca reintentarlo
+  assert.equal((await webhookDispatcher.runOnce()).intentados, 0);
+
+  await testDb.query(
+    `UPDATE webhook_deliveries
+     SET next_attempt_at = CURRENT_TIMESTAMP - INTERVAL '1 second'
+     WHERE id = $1`,
+    [id]
+  );
+  await webhookDispatcher.runOnce();
+
+  delivery = await findDelivery(id);
+  assert.equal(delivery.estado, "fallido");
+  assert.equal(delivery.attempts, 2);
+  assert.equal(delivery.intentos, 2);
+  assert.equal(received.length, 2);
+
+  // Un envío fallido ya no se reclama
+  assert.equal((await webhookDispatcher.runOnce()).intentados, 0);
+});
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Lectura de los datos de atribución del formulario de leads
+ *
+ * El formulario envía la visita actual (último contacto) en campos planos
+ * y, opcionalmente, la primera visita guardada por el frontend en
+ * first_touch:
+ *
+ * {
+ *   "utm_source": "google", "utm_medium": "cpc", "utm_campaign": "seo-2024",
+ *   "gclid": "...", "referrer": "https://www.google.com/",
+ *   "landing_page": "https://boostagency.com/seo?utm_source=google",
+ *   "first_touch": { "utm_source": "facebook", ..., "touched_at": "2024-05-01T10:00:00Z" }
+ * }
+ *
+ * Los UTM y los identificadores de clic que falten se leen de la query de
+ * landing_page.
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+// Parámetros de campaña (se leen también de la URL de entrada)
+const URL_PARAMS = [
+  "utm_source",
+  "utm_medium",
+  "utm_campaign",
+  "utm_term",
+  "utm_content",
+  "gclid",
+  "fbclid",
+];
+
+// Campos de un contacto y su longitud máxima
+const TOUCH_FIELDS = {
+  utm_source: 255,
+  utm_medium: 255,
+  utm_campaign: 255,
+  utm_term: 255,
+  utm_content: 255,
+  gclid: 255,
+  fbclid: 255,
+  referrer: 2000,
+  landing_page: 2000,
+};
+
+// Margen para relojes de cliente adelantados
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Helper: Texto recortado o null
+ */
+function clean(value, maxLength) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text ? text.slice(0, maxLength) : null;
+}
+
+/**
+ * Helper: URL o null si no es válida
+ */
+function parseUrl(value) {
+  try {
+    return value ? new URL(value) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Helper: Normaliza un contacto (null si no trae ningún dato)
+ */
+function parseTouch(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return null;
+
+  const touch = {};
+  for (const [field, maxLength] of Object.entries(TOUCH_FIELDS)) {
+    touch[field] = clean(raw[field], maxLength);
+  }
+
+  const landing = parseUrl(touch.landing_page);
+  if (landing) {
+    for (const param of URL_PARAMS) {
+      if (!touch[param]) {
+        touch[param] = clean(landing.searchParams.get(param), 255);
+      }
+    }
+  }
+
+  // Navegación interna: el referrer es el propio sitio
+  const referrer = parseUrl(touch.referrer);
+  if (referrer && landing && referrer.host === landing.host) {
+    touch.referrer = null;
+  }
+
+  if (touch.utm_source) touch.utm_source = touch.utm_source.toLowerCase();
+  if (touch.utm_medium) touch.utm_medium = touch.utm_medium.toLowerCase();
+
+  if (Object.values(touch).every((value) => value === null)) return null;
+
+  const touchedAt = new Date(raw.touched_at);
+  touch.touched_at =
+    raw.touched_at && touchedAt.getTime() <= Date.now() + MAX_CLOCK_SKEW_MS
+      ? touchedAt
+      : new Date();
+
+  return touch;
+}
+
+/**
+ * Lee la atribución de un envío del formulario
+ *
+ * DÓNDE SE USA: En POST /api/leads y al aprobar un envío en cuarentena
+ *
+ * @param {Object} body - Body del formulario
+ * @param {Object} [options]
+ * @param {string} [options.referer] - Cabecera Referer (página de entrada si
+ *   el formulario no envía landing_page)
+ * @returns {Object|null} { first, last } o null si no hay datos
+ */
+function parseAttribution(body, options = {}) {
+  const data = body || {};
+  const current = {};
+  for (const field of Object.keys(TOUCH_FIELDS)) {
+    current[field] = data[field];
+  }
+  if (!current.landing_page) current.landing_page = options.referer;
+
+  const last = parseTouch(current);
+  const first = parseTouch(data.first_touch) || last;
+
+  if (!first && !last) return null;
+
+  return { first, last: last || first };
+}
+
+module.exports = {
+  TOUCH_FIELDS,
+  parseAttribution,
+};
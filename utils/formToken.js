@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Tokens firmados del formulario público de leads
+ *
+ * El frontend pide un token al mostrar el formulario y lo envía con el lead.
+ * El token lleva la hora en que se emitió firmada con HMAC-SHA256, así que
+ * no se puede falsificar ni reutilizar pasado su tiempo de vida, y permite
+ * medir cuánto tardó en rellenarse el formulario (los bots lo envían al
+ * instante). El nonce identifica el token para que valga para un solo
+ * envío (lo registra services/leadSpamGuard.js).
+ *
+ * La clave se deriva de LEAD_FORM_SECRET (o JWT_SECRET si no está configurada).
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const crypto = require("crypto");
+
+const SIGNING_KEY = crypto
+  .createHash("sha256")
+  .update(
+    process.env.LEAD_FORM_SECRET ||
+      process.env.JWT_SECRET ||
+      "boost-agency-secret-key"
+  )
+  .digest();
+
+/**
+ * Helper: Firma el contenido del token
+ */
+function sign(payload) {
+  return crypto
+    .createHmac("sha256", SIGNING_KEY)
+    .update(payload)
+    .digest("base64url");
+}
+
+/**
+ * Genera un token de formulario
+ *
+ * @returns {string} Token ('<emitido_en>.<nonce>.<firma>')
+ */
+function createFormToken() {
+  const payload = `${Date.now()}.${crypto
+    .randomBytes(9)
+    .toString("base64url")}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verifica un token de formulario
+ *
+ * @param {string} token - Token recibido con el formulario
+ * @param {number} maxAgeSeconds - Tiempo de vida máximo
+ * @returns {Object} { valid, age_seconds, nonce, error }
+ */
+function verifyFormToken(token, maxAgeSeconds) {
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3) {
+    return { valid: false, error: "Token de formulario inválido" };
+  }
+
+  const [issuedAt, nonce, signature] = parts;
+  const expected = sign(`${issuedAt}.${nonce}`);
+
+  // Solo base64url: timingSafeEqual exige el mismo número de bytes
+  if (
+    !/^[A-Za-z0-9_-]+$/.test(signature) ||
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return { valid: false, error: "Token de formulario inválido" };
+  }
+
+  const ageSeconds = (Date.now() - parseInt(issuedAt)) / 1000;
+  if (!(ageSeconds >= 0) || ageSeconds > maxAgeSeconds) {
+    return {
+      valid: false,
+      error: "El formulario expiró, recarga la página",
+    };
+  }
+
+  return { valid: true, age_seconds: ageSeconds, nonce };
+}
+
+module.exports = {
+  createFormToken,
+  verifyFormToken,
+};
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Validación de los datos de un lead
+ *
+ * Mismas reglas que el formulario público (content/formularios/leads.json →
+ * campos_requeridos). Se usa en POST /api/leads y en la importación CSV.
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const leadsForm = require("../content/formularios/leads.json");
+
+// Campos obligatorios del formulario
+const CAMPOS_REQUERIDOS = leadsForm.configuracion.campos_requeridos;
+
+// Formato de email aceptado
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Valida los datos de un lead
+ *
+ * @param {Object} data - Datos del lead (nombre, email, telefono...)
+ * @returns {Object} { campos_faltantes: [], errores: [] } (vacíos si es válido)
+ *
+ * @example
+ * validateLeadFields({ nombre: "Ana", email: "ana@" })
+ * // { campos_faltantes: ["telefono", "servicio_interes"], errores: ["Formato de email inválido"] }
+ */
+function validateLeadFields(data) {
+  const camposFaltantes = CAMPOS_REQUERIDOS.filter(
+    (campo) => !data[campo] || !String(data[campo]).trim()
+  );
+  const errores = [];
+
+  if (data.email && !EMAIL_REGEX.test(String(data.email).trim())) {
+    errores.push("Formato de email inválido");
+  }
+
+  return {
+    campos_faltantes: camposFaltantes,
+    errores,
+  };
+}
+
+module.exports = {
+  CAMPOS_REQUERIDOS,
+  validateLeadFields,
+};
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Utilidades para el campo presupuesto de los leads
+ *
+ * El presupuesto llega como texto libre o como una de las opciones del
+ * formulario (content/formularios/leads.json → rangos_presupuesto):
+ *   "Menos de $2,000", "$2,000 - $5,000", "5000-10000", "Más de $25,000"
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+/**
+ * Convierte un presupuesto en texto a un rango numérico
+ *
+ * @param {string} presupuesto - Texto del presupuesto
+ * @returns {Object|null} { min, max } (max null = sin tope) o null si no hay cifras
+ *
+ * @example
+ * parsePresupuesto("$2,000 - $5,000") // { min: 2000, max: 5000 }
+ * parsePresupuesto("Menos de $2,000") // { min: 0, max: 2000 }
+ * parsePresupuesto("Más de $25,000")  // { min: 25000, max: null }
+ */
+function parsePresupuesto(presupuesto) {
+  if (!presupuesto) return null;
+
+  const text = String(presupuesto).toLowerCase();
+
+  // Quitar separadores de miles ("2,000" o "2.000")
+  const numbers = (
+    text.replace(/(\d)[.,](?=\d{3}\b)/g, "$1").match(/\d+/g) || []
+  ).map(Number);
+
+  if (numbers.length === 0) return null;
+
+  if (/menos de|hasta|<|less than|under/.test(text)) {
+    return { min: 0, max: numbers[0] };
+  }
+
+  if (/más de|mas de|desde|\+|>|more than|over/.test(text)) {
+    return { min: numbers[0], max: null };
+  }
+
+  if (numbers.length === 1) {
+    return { min: numbers[0], max: numbers[0] };
+  }
+
+  return {
+    min: Math.min(numbers[0], numbers[1]),
+    max: Math.max(numbers[0], numbers[1]),
+  };
+}
+
+module.exports = {
+  parsePresupuesto,
+};
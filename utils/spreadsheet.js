@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Hojas de cálculo: escritura CSV/Excel en streaming y lectura CSV
+ *
+ * Las filas se escriben directamente en la respuesta HTTP a medida que
+ * llegan, sin acumular el archivo completo en memoria.
+ * La lectura CSV se usa en la importación de leads.
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const ExcelJS = require("exceljs");
+
+// Formatos soportados → Content-Type
+const FORMATS = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+/**
+ * Convierte un valor de la base de datos en texto para CSV
+ * Las celdas que empiezan por = + - @ se prefijan con ' para que Excel
+ * no las ejecute como fórmulas (inyección CSV)
+ *
+ * @param {*} value - Valor de la celda
+ * @returns {string} Celda escapada
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Espera a que el stream acepte más datos
+ */
+function waitForDrain(stream) {
+  return new Promise((resolve) => stream.once("drain", resolve));
+}
+
+/**
+ * Crea un escritor CSV sobre un stream (con BOM para que Excel detecte UTF-8)
+ *
+ * @param {Writable} stream - Destino (p. ej. la respuesta HTTP)
+ * @param {Array<string>} columns - Columnas (cabecera y orden de las celdas)
+ * @returns {Object} { writeRows(rows), end() }
+ */
+function createCsvWriter(stream, columns) {
+  stream.write(`﻿${columns.map(toCsvCell).join(",")}\r\n`);
+
+  return {
+    async writeRows(rows) {
+      const chunk = rows
+        .map(
+          (row) =>
+            `${columns.map((column) => toCsvCell(row[column])).join(",")}\r\n`
+        )
+        .join("");
+
+      if (!stream.write(chunk)) {
+        await waitForDrain(stream);
+      }
+    },
+
+    async end() {
+      stream.end();
+    },
+  };
+}
+
+/**
+ * Crea un escritor Excel (.xlsx) sobre un stream
+ *
+ * @param {Writable} stream - Destino (p. ej. la respuesta HTTP)
+ * @param {Array<string>} columns - Columnas (cabecera y orden de las celdas)
+ * @param {string} [sheetName='Datos'] - Nombre de la hoja
+ * @returns {Object} { writeRows(rows), end() }
+ */
+function createXlsxWriter(stream, columns, sheetName = "Datos") {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream,
+    useStyles: true,
+    useSharedStrings: false,
+  });
+  const worksheet = workbook.addWorksheet(sheetName);
+
+  worksheet.columns = columns.map((column) => ({
+    header: column,
+    key: column,
+    width: 20,
+  }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).commit();
+
+  return {
+    async writeRows(rows) {
+      for (const row of rows) {
+        worksheet.addRow(row).commit();
+      }
+    },
+
+    async end() {
+      worksheet.commit();
+      await workbook.commit();
+    },
+  };
+}
+
+/**
+ * Crea el escritor del formato indicado
+ *
+ * @param {string} format - 'csv' o 'xlsx'
+ * @param {Writable} stream - Destino
+ * @param {Array<string>} columns - Columnas
+ * @returns {Object} { writeRows(rows), end() }
+ */
+function createSpreadsheetWriter(format, stream, columns) {
+  return format === "xlsx"
+    ? createXlsxWriter(stream, columns)
+    : createCsvWriter(stream, columns);
+}
+
+/**
+ * Lee un CSV (RFC 4180: comillas dobles, saltos de línea dentro de comillas)
+ * El separador se detecta en la cabecera: ',' o ';' (Excel en español)
+ *
+ * @param {string} text - Contenido del archivo
+ * @returns {Object} { headers: [], rows: [[]] } (sin filas vacías)
+ * @throws {Error} Si el archivo está vacío o tiene comillas sin cerrar
+ */
+function parseCsv(text) {
+  const content = String(text).replace(/^\uFEFF/, "");
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter =
+    (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length
+      ? ";"
+      : ",";
+
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("CSV inválido: comillas sin cerrar");
+  }
+
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter((r) => r.some((cell) => cell.trim() !== ""));
+  if (nonEmpty.length === 0) {
+    throw new Error("CSV inválido: el archivo está vacío");
+  }
+
+  return {
+    headers: nonEmpty[0].map((header) => header.trim()),
+    rows: nonEmpty.slice(1),
+  };
+}
+
+module.exports = {
+  FORMATS,
+  createSpreadsheetWriter,
+  parseCsv,
+};
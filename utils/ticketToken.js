@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Tokens firmados del enlace de un ticket de soporte
+ *
+ * El cliente consulta y responde su ticket sin cuenta, con un enlace que
+ * lleva el ID del ticket y la versión de su enlace firmados con
+ * HMAC-SHA256. No caduca: al regenerar el enlace se incrementa la versión
+ * (tickets.access_version) y el anterior deja de valer.
+ *
+ * La clave se deriva de TICKET_LINK_SECRET (o JWT_SECRET si no está configurada).
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const crypto = require("crypto");
+
+const SIGNING_KEY = crypto
+  .createHash("sha256")
+  .update(
+    process.env.TICKET_LINK_SECRET ||
+      process.env.JWT_SECRET ||
+      "boost-agency-secret-key"
+  )
+  .digest();
+
+/**
+ * Helper: Firma el contenido del token
+ */
+function sign(payload) {
+  return crypto
+    .createHmac("sha256", SIGNING_KEY)
+    .update(`ticket:${payload}`)
+    .digest("base64url");
+}
+
+/**
+ * Genera el token del enlace de un ticket
+ *
+ * @param {string} ticketId - UUID del ticket
+ * @param {number} version - Versión del enlace (tickets.access_version)
+ * @returns {string} Token ('<ticket_id>.<version>.<firma>')
+ */
+function createTicketToken(ticketId, version) {
+  const payload = `${ticketId}.${version}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verifica el token del enlace de un ticket
+ * (la versión se compara después con la del ticket)
+ *
+ * @param {string} token - Token recibido en el enlace
+ * @returns {Object|null} { ticket_id, version } o null si no es válido
+ */
+function verifyTicketToken(token) {
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3 || !/^\d+$/.test(parts[1])) {
+    return null;
+  }
+
+  const [ticketId, version, signature] = parts;
+  const expected = sign(`${ticketId}.${version}`);
+
+  // Solo base64url: timingSafeEqual exige el mismo número de bytes
+  if (
+    !/^[A-Za-z0-9_-]+$/.test(signature) ||
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return null;
+  }
+
+  return { ticket_id: ticketId, version: parseInt(version) };
+}
+
+module.exports = {
+  createTicketToken,
+  verifyTicketToken,
+};
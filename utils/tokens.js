@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Utilidades para tokens opacos
+ *
+ * Los tokens que se entregan al cliente (refresh tokens, enlaces de
+ * recuperación, etc.) se generan aleatoriamente y en la base de datos
+ * solo se guarda su hash SHA-256.
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Genera un token opaco aleatorio (base64url)
+ *
+ * @param {number} [bytes=48] - Cantidad de bytes aleatorios
+ * @returns {string} Token en texto plano
+ */
+function generateToken(bytes = 48) {
+  return crypto.randomBytes(bytes).toString("base64url");
+}
+
+/**
+ * Calcula el hash SHA-256 de un token en texto plano
+ *
+ * @param {string} token - Token en texto plano
+ * @returns {string} Hash en hexadecimal (64 caracteres)
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+module.exports = {
+  generateToken,
+  hashToken,
+};
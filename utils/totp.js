@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Implementación de TOTP (RFC 6238) para autenticación en dos pasos
+ *
+ * Compatible con Google Authenticator, Authy, 1Password, etc.
+ * (SHA-1, 6 dígitos, periodo de 30 segundos).
+ *
+ * Los secretos se guardan cifrados con AES-256-GCM usando una clave derivada
+ * de TOTP_ENCRYPTION_KEY (o JWT_SECRET si no está configurada).
+ *
+ * @author Boost Agency Development Team
+ * @version 2.0.0
+ */
+
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const DIGITS = 6;
+const PERIOD = 30; // segundos
+const ISSUER = process.env.TOTP_ISSUER || "Boost Agency";
+
+const ENCRYPTION_KEY = crypto
+  .createHash("sha256")
+  .update(
+    process.env.TOTP_ENCRYPTION_KEY ||
+      process.env.JWT_SECRET ||
+      "boost-agency-secret-key"
+  )
+  .digest();
+
+/**
+ * Helper: Codifica un buffer en base32 (RFC 4648, sin padding)
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Helper: Decodifica un string base32 a buffer
+ */
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Secreto base32 inválido");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Genera un secreto TOTP aleatorio (160 bits, base32)
+ *
+ * @returns {string} Secreto en base32
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Calcula el código TOTP para un paso de tiempo
+ *
+ * @param {string} secret - Secreto en base32
+ * @param {number} step - Paso de tiempo (segundos desde epoch / PERIOD)
+ * @returns {string} Código de 6 dígitos
+ */
+function generateCode(secret, step = currentStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/**
+ * Paso de tiempo actual
+ *
+ * @returns {number} Paso TOTP actual
+ */
+function currentStep() {
+  return Math.floor(Date.now() / 1000 / PERIOD);
+}
+
+/**
+ * Verifica un código TOTP con tolerancia de ±window pasos (desfase de reloj)
+ *
+ * @param {string} secret - Secreto en base32
+ * @param {string} code - Código introducido por el usuario
+ * @param {number} [window=1] - Pasos de tolerancia antes y después
+ * @returns {number|null} Paso que coincidió o null si el código no es válido
+ */
+function verifyCode(secret, code, window = 1) {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const step = currentStep();
+  for (let i = -window; i <= window; i++) {
+    const candidate = generateCode(secret, step + i);
+    if (
+      crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))
+    ) {
+      return step + i;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Construye la URI otpauth:// para generar el código QR
+ *
+ * @param {string} secret - Secreto en base32
+ * @param {string} accountName - Nombre de la cuenta (normalmente el email)
+ * @returns {string} URI otpauth
+ */
+function buildOtpauthUri(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(PERIOD),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Cifra un secreto para guardarlo en la base de datos
+ *
+ * @param {string} secret - Secreto en base32
+ * @returns {string} iv:authTag:cifrado (hex)
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([
+    cipher.update(secret, "utf8"),
+    cipher.final(),
+  ]);
+  const authTag = cipher.getAuthTag();
+  return [iv, authTag, encrypted].map((part) => part.toString("hex")).join(":");
+}
+
+/**
+ * Descifra un secreto guardado en la base de datos
+ *
+ * @param {string} payload - iv:authTag:cifrado (hex)
+ * @returns {string} Secreto en base32
+ */
+function decryptSecret(payload) {
+  const [iv, authTag, encrypted] = payload
+    .split(":")
+    .map((part) => Buffer.from(part, "hex"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8"
+  );
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+};